@@ -0,0 +1,73 @@
+// File: approachMonitor.js
+// Proximity-operations rules around the docking zones: stay inside each
+// zone's approach corridor and stay slow inside its keep-out sphere (the
+// zone's `approach` block, see dockingZones.js). Checked after every step
+// while the spacecraft flies free; docked or being retracted it is exempt.
+//
+// `cautions` is what is wrong right now, for the HUD. A violation is logged
+// once each time a rule starts being broken, into `violations` and `counts`:
+//
+//   corridor   outside the approach corridor
+//   keepOut    inside the keep-out sphere faster than keepOutSpeed
+//
+// Nothing is printed: the HUD shows `cautions`, and a headless run reports
+// `violations` and `counts` in its summary (`approach`).
+
+import { evaluateApproach, getDockingZoneLabel } from './dockingZones.js';
+
+export class ApproachMonitor {
+  constructor() {
+    this.cautions = []; // { type, zone, message }
+    this.violations = []; // { time, type, zone, range, speed, offAxisAngle }
+    this.counts = { corridor: 0, keepOut: 0 };
+    this.status = []; // evaluateApproach() per zone with approach rules, from the last step
+    this._broken = new Map(); // `${zone}:${type}` -> true while that rule is broken
+  }
+
+  update(core) {
+    this.cautions = [];
+    this.status = [];
+    if (!core.body || core.isDocked || core.capture.phase !== 'free') {
+      this._broken.clear();
+      return;
+    }
+    core.dockingZones.forEach(zone => {
+      const status = evaluateApproach(core.body, zone);
+      if (!status) return;
+      this.status.push(status);
+      const label = getDockingZoneLabel(zone);
+      this._check(core, 'corridor', status, !status.inCorridor,
+        `${label}: outside corridor (${status.offAxisAngle.toFixed(1)}° > ${status.approach.corridorAngle}°)`);
+      this._check(core, 'keepOut', status, status.keepOutSpeedExceeded,
+        `${label}: keep-out speed ${status.speed.toFixed(2)} > ${status.approach.keepOutSpeed} m/s`);
+    });
+  }
+
+  _check(core, type, status, broken, message) {
+    const key = `${status.zoneName}:${type}`;
+    if (!broken) {
+      this._broken.delete(key);
+      return;
+    }
+    this.cautions.push({ type, zone: status.zoneName, message });
+    if (this._broken.has(key)) return;
+    this._broken.set(key, true);
+    this.counts[type]++;
+    this.violations.push({
+      time: core.time,
+      type,
+      zone: status.zoneName,
+      range: status.range,
+      speed: status.speed,
+      offAxisAngle: status.offAxisAngle
+    });
+  }
+
+  reset() {
+    this.cautions = [];
+    this.violations = [];
+    this.counts = { corridor: 0, keepOut: 0 };
+    this.status = [];
+    this._broken.clear();
+  }
+}
@@ -1,5 +1,5 @@
 // attitudeControl.js
-import * as THREE from 'three';
+// Physics only (cannon-es, no Three.js) so it also runs in the headless SimulationCore.
 import * as CANNON from 'cannon-es';
 
 // Attitude control system manager
@@ -161,34 +161,49 @@ class AttitudeControlSystem {
         return this.mode;
     }
 
-    applyControlTorque(torque) {
+    // `dt` is the fixed physics step the torque is held for; it sets how much
+    // momentum the wheels/CMGs absorb, so it must match the world step.
+    applyControlTorque(torque, dt) {
         if (this.mode === 'reactionwheels') {
-            this.applyReactionWheelControl(torque);
+            this.applyReactionWheelControl(torque, dt);
         } else if (this.mode === 'cmgs') {
-            this.applyCMGControl(torque);
+            this.applyCMGControl(torque, dt);
         }
     }
 
-    applyReactionWheelControl(torque) {
-        // Apply torque using reaction wheels
+    // Controller commands: `bodyTorque` is the torque wanted ON THE SPACECRAFT
+    // (body frame), whatever the current mode. Wheels push back on the body,
+    // so they are driven with the opposite torque; CMG torque already acts on
+    // the body. Momentum and torque limits apply as for the keyboard.
+    applyWheelTorque(bodyTorque, dt) {
+        this.applyReactionWheelControl(bodyTorque.scale(-1), dt);
+    }
+
+    applyCMGTorque(bodyTorque, dt) {
+        this.applyCMGControl(bodyTorque, dt);
+    }
+
+    applyReactionWheelControl(torque, dt) {
+        // Apply torque using reaction wheels (a failed wheel gives none)
         this.reactionWheels.forEach(wheel => {
+            if (wheel.failed) return;
             const wheelAxis = wheel.orientation;
             const requestedTorqueAlongWheel = wheelAxis.dot(torque);
 
             // Determine how much torque wheel can actually apply before saturating
+            // (and within the motor's torque limit)
             let actualTorqueApplied = 0;
-            const dt = 1/60; // Time step
 
             if (requestedTorqueAlongWheel > 0) {
                 // Requesting positive torque, check against max momentum
                 const momentumCapacity = wheel.maxAngularMomentum - wheel.currentAngularMomentum;
                 const maxPossibleTorque = momentumCapacity / dt;
-                actualTorqueApplied = Math.min(requestedTorqueAlongWheel, maxPossibleTorque);
+                actualTorqueApplied = Math.min(requestedTorqueAlongWheel, maxPossibleTorque, wheel.maxTorque);
             } else if (requestedTorqueAlongWheel < 0) {
                 // Requesting negative torque, check against min momentum
                 const momentumCapacity = wheel.currentAngularMomentum - (-wheel.maxAngularMomentum);
                 const maxPossibleTorque = momentumCapacity / dt;
-                actualTorqueApplied = Math.max(requestedTorqueAlongWheel, -maxPossibleTorque);
+                actualTorqueApplied = Math.max(requestedTorqueAlongWheel, -maxPossibleTorque, -wheel.maxTorque);
             }
 
             // Update wheel's angular momentum based on ACTUAL torque applied
@@ -205,15 +220,15 @@ class AttitudeControlSystem {
         });
     }
 
-    applyCMGControl(torque) {
-        const dt = 1/60; // Physics timestep
+    applyCMGControl(torque, dt) {
         const desiredLocalTorque = torque;
         
         // Check if CMGs exist
         if (this.cmgs.length === 0) return;
 
-        // Apply torque to each CMG
+        // Apply torque to each CMG (a failed CMG gives none)
         this.cmgs.forEach(cmg => {
+            if (cmg.failed) return;
             // Calculate current total angular momentum magnitude
             const currentMomentumMag = cmg.currentAngularMomentum.length();
             
@@ -254,20 +269,34 @@ class AttitudeControlSystem {
         });
     }
 
+    // Total momentum stored in the wheels and CMGs, body frame. Feeds the
+    // gyroscopic coupling term (ω × h) on the spacecraft.
+    getStoredMomentum() {
+        const h = new CANNON.Vec3(0, 0, 0);
+        this.reactionWheels.forEach(wheel => {
+            h.addScaledVector(wheel.currentAngularMomentum, wheel.orientation, h);
+        });
+        this.cmgs.forEach(cmg => h.vadd(cmg.currentAngularMomentum, h));
+        return h;
+    }
+
     getStatus() {
         const status = {
             mode: this.mode,
             loaded: this.loaded
         };
         
-        if (this.mode === 'reactionwheels' && this.reactionWheels.length > 0) {
+        // Every actuator is listed whatever the mode; `mode` says which is in use.
+        if (this.reactionWheels.length > 0) {
             status.reactionWheels = this.reactionWheels.map(wheel => ({
                 name: wheel.name,
                 momentum: wheel.currentAngularMomentum,
                 maxMomentum: wheel.maxAngularMomentum,
+                failed: !!wheel.failed,
                 percentage: (wheel.currentAngularMomentum / wheel.maxAngularMomentum * 100).toFixed(1)
             }));
-        } else if (this.mode === 'cmgs' && this.cmgs.length > 0) {
+        }
+        if (this.cmgs.length > 0) {
             // Handle multiple CMGs
             status.cmgs = this.cmgs.map(cmg => {
                 const momentumMag = cmg.currentAngularMomentum.length();
@@ -275,6 +304,7 @@ class AttitudeControlSystem {
                     name: cmg.name,
                     momentum: momentumMag,
                     maxMomentum: cmg.maxAngularMomentum,
+                    failed: !!cmg.failed,
                     momentumX: cmg.currentAngularMomentum.x,
                     momentumY: cmg.currentAngularMomentum.y,
                     momentumZ: cmg.currentAngularMomentum.z,
@@ -0,0 +1,376 @@
+// File: attitudeIndicator.js
+// Attitude director indicator ("8-ball") for the HUD, with a cross-pointer
+// for translational alignment. Drawn on one canvas (#adi-canvas):
+//
+//   - the ball: the reference frame's sphere as seen from the spacecraft,
+//     light above the reference horizon, dark below, lines every 30°.
+//     Views along body -Z with +Y up and +X right, the camera convention the
+//     pitch/yaw/roll key labels use (K pitches up, J yaws left, O rolls left).
+//   - rate needles around it: roll rate on top, pitch rate on the right, yaw
+//     rate at the bottom, full scale RATE_SCALE. They lean the way the
+//     spacecraft is turning.
+//   - error needles across it: attitude error to the selected docking zone,
+//     full scale ERROR_SCALE. Fly to them: turn toward the needle to center it.
+//   - the cross-pointer beside it: where the selected zone is across its
+//     approach axis (needles) and the lateral drift rate (triangles), in the
+//     zone's frame, full scale TOLERANCE_SCALE times the zone's limits.
+//     Translate toward the needles; drift on the same side as a needle closes
+//     on the centerline.
+//
+// Reference frames (ADI_FRAMES): the selected docking zone's orientation,
+// LVLH (radial up, along-track ahead, from the scenario's orbit block or the
+// default CW axes) or inertial (the simulator's world axes).
+
+import * as THREE from 'three';
+import { DEFAULT_ORBIT_AXES, parseAxis } from './orbitalDynamics.js';
+
+export const ADI_FRAMES = {
+  target: 'Target',
+  lvlh: 'LVLH',
+  inertial: 'Inertial'
+};
+
+const RATE_SCALE = 5; // °/s at full needle deflection
+const ERROR_SCALE = 10; // ° at full needle deflection
+const TOLERANCE_SCALE = 5; // cross-pointer full scale, in multiples of the zone's limits
+const GRID_STEP = Math.PI / 6; // 30°
+const RAD_TO_DEG = 180 / Math.PI;
+
+const SKY = [190, 190, 190];
+const GROUND = [45, 45, 45];
+const GRID_ON_SKY = [60, 60, 60];
+const GRID_ON_GROUND = [170, 170, 170];
+const HORIZON = [255, 140, 0];
+
+const NEEDLE = '#ff0';
+const RATE = '#0f0';
+const PINNED = '#f44';
+
+function clamp(v, limit = 1) {
+  return Math.max(-limit, Math.min(limit, v));
+}
+
+// LVLH as a world-frame quaternion: reference +Y radial (up), -Z along-track
+// (ahead), +X = Y × Z.
+function lvlhQuaternion(orbitalDynamics) {
+  const radial = orbitalDynamics?.radial || parseAxis(DEFAULT_ORBIT_AXES.radial);
+  const alongTrack = orbitalDynamics?.alongTrack || parseAxis(DEFAULT_ORBIT_AXES.alongTrack);
+  const y = new THREE.Vector3(radial.x, radial.y, radial.z);
+  const z = new THREE.Vector3(-alongTrack.x, -alongTrack.y, -alongTrack.z);
+  const x = new THREE.Vector3().crossVectors(y, z);
+  return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+}
+
+export class AttitudeIndicator {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.frame = 'target';
+    // Ball geometry: leaves room for the rate scales, cross-pointer to the right
+    this.radius = Math.floor((canvas.height - 48) / 2);
+    this.center = { x: this.radius + 24, y: this.radius + 24 };
+    this.ball = this.ctx.createImageData(this.radius * 2, this.radius * 2);
+  }
+
+  // Next frame in ADI_FRAMES order; returns its label.
+  cycleFrame() {
+    const frames = Object.keys(ADI_FRAMES);
+    this.frame = frames[(frames.indexOf(this.frame) + 1) % frames.length];
+    return ADI_FRAMES[this.frame];
+  }
+
+  // Body attitude in the current reference frame. `target` is the selected
+  // zone as DockingManager.getSelectedTargetState() gives it; its quaternion
+  // already is the attitude in the zone's frame. Null in the target frame
+  // with no zone.
+  relativeAttitude(satBody, target, orbitalDynamics) {
+    const q = satBody.quaternion;
+    const body = new THREE.Quaternion(q.x, q.y, q.z, q.w);
+    if (this.frame === 'target') {
+      if (!target) return null;
+      const t = target.quaternion;
+      return new THREE.Quaternion(t.x, t.y, t.z, t.w);
+    }
+    if (this.frame === 'lvlh') return lvlhQuaternion(orbitalDynamics).invert().multiply(body);
+    return body;
+  }
+
+  update(satBody, target = null, orbitalDynamics = null) {
+    if (!satBody) return;
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const attitude = this.relativeAttitude(satBody, target, orbitalDynamics);
+    if (attitude) {
+      this.drawBall(attitude);
+      this.drawBallLabels(attitude);
+    } else {
+      ctx.strokeStyle = '#555';
+      ctx.beginPath();
+      ctx.arc(this.center.x, this.center.y, this.radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillStyle = '#888';
+      ctx.fillText('NO TARGET', this.center.x, this.center.y);
+    }
+
+    this.drawReticle();
+    if (target) this.drawErrorNeedles(target.attitudeError);
+    this.drawRateNeedles(satBody);
+    this.drawCrossPointer(target);
+  }
+
+  // Shade each pixel of the ball by where its line of sight lands on the
+  // reference sphere.
+  drawBall(attitude) {
+    const r = this.radius;
+    const size = r * 2;
+    const data = this.ball.data;
+    const m = new THREE.Matrix4().makeRotationFromQuaternion(attitude).elements; // body -> reference, column-major
+    const lineWidth = 1.2 / r;
+
+    for (let py = 0; py < size; py++) {
+      const sy = 1 - (py + 0.5) / r;
+      for (let px = 0; px < size; px++) {
+        const sx = (px + 0.5) / r - 1;
+        const i = (py * size + px) * 4;
+        const rr = sx * sx + sy * sy;
+        if (rr > 1) {
+          data[i + 3] = 0;
+          continue;
+        }
+        // Line of sight in the body frame, looking along -Z
+        const sz = -Math.sqrt(1 - rr);
+        const x = m[0] * sx + m[4] * sy + m[8] * sz;
+        const y = m[1] * sx + m[5] * sy + m[9] * sz;
+        const z = m[2] * sx + m[6] * sy + m[10] * sz;
+        const elevation = Math.asin(clamp(y));
+        const azimuth = Math.atan2(x, -z);
+
+        let color = y >= 0 ? SKY : GROUND;
+        const onElevationLine = Math.abs(elevation - Math.round(elevation / GRID_STEP) * GRID_STEP) < lineWidth;
+        const onAzimuthLine = Math.abs(elevation) < 1.4 &&
+          Math.abs(azimuth - Math.round(azimuth / GRID_STEP) * GRID_STEP) * Math.cos(elevation) < lineWidth;
+        if (Math.abs(elevation) < lineWidth * 1.5) color = HORIZON;
+        else if (onElevationLine || onAzimuthLine) color = y >= 0 ? GRID_ON_SKY : GRID_ON_GROUND;
+
+        // Darken toward the rim so it reads as a sphere
+        const shade = 0.55 - 0.45 * sz;
+        data[i] = color[0] * shade;
+        data[i + 1] = color[1] * shade;
+        data[i + 2] = color[2] * shade;
+        data[i + 3] = 255;
+      }
+    }
+    this.ctx.putImageData(this.ball, this.center.x - r, this.center.y - r);
+  }
+
+  // Azimuth along the horizon and elevation up the 0° meridian, where they
+  // face the viewer.
+  drawBallLabels(attitude) {
+    const ctx = this.ctx;
+    const toBody = attitude.clone().invert();
+    const label = (v, text, color) => {
+      v.applyQuaternion(toBody);
+      if (v.z > -0.35) return;
+      ctx.fillStyle = color;
+      ctx.fillText(text, this.center.x + v.x * this.radius, this.center.y - v.y * this.radius);
+    };
+    for (let deg = 0; deg < 360; deg += 30) {
+      const a = deg / RAD_TO_DEG;
+      label(new THREE.Vector3(Math.sin(a), 0.06, -Math.cos(a)), String(deg), '#000');
+    }
+    [-60, -30, 30, 60].forEach(deg => {
+      const e = deg / RAD_TO_DEG;
+      label(new THREE.Vector3(0.08, Math.sin(e), -Math.cos(e)), String(deg), deg > 0 ? '#000' : '#ddd');
+    });
+  }
+
+  // Fixed spacecraft symbol at the center of the ball.
+  drawReticle() {
+    const ctx = this.ctx;
+    const { x, y } = this.center;
+    const w = this.radius * 0.35;
+    ctx.strokeStyle = '#f80';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x - w, y);
+    ctx.lineTo(x - w * 0.35, y);
+    ctx.lineTo(x, y + w * 0.25);
+    ctx.lineTo(x + w * 0.35, y);
+    ctx.lineTo(x + w, y);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  // Fly-to needles from the zone's attitude error (target.attitudeError, °).
+  drawErrorNeedles(error) {
+    const ctx = this.ctx;
+    const { x, y } = this.center;
+    const span = this.radius * 0.8;
+    const deflect = v => clamp(v / ERROR_SCALE) * span;
+    const pinned = v => Math.abs(v) >= ERROR_SCALE;
+    ctx.lineWidth = 2;
+
+    // Pitch: horizontal bar, below center when pitched up too far
+    const py = y + deflect(error.pitch);
+    ctx.strokeStyle = pinned(error.pitch) ? PINNED : NEEDLE;
+    ctx.beginPath();
+    ctx.moveTo(x - span, py);
+    ctx.lineTo(x + span, py);
+    ctx.stroke();
+
+    // Yaw: vertical bar, right of center when yawed left too far
+    const yx = x + deflect(error.yaw);
+    ctx.strokeStyle = pinned(error.yaw) ? PINNED : NEEDLE;
+    ctx.beginPath();
+    ctx.moveTo(yx, y - span);
+    ctx.lineTo(yx, y + span);
+    ctx.stroke();
+
+    // Roll: short bar hanging from the top, right when rolled left too far
+    const rx = x + deflect(error.roll);
+    ctx.strokeStyle = pinned(error.roll) ? PINNED : NEEDLE;
+    ctx.beginPath();
+    ctx.moveTo(rx, y - this.radius + 2);
+    ctx.lineTo(rx, y - this.radius * 0.7);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  // Body rates (°/s) on scales outside the ball.
+  drawRateNeedles(satBody) {
+    const q = satBody.quaternion, av = satBody.angularVelocity;
+    const rates = new THREE.Vector3(av.x, av.y, av.z)
+      .applyQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w).invert())
+      .multiplyScalar(RAD_TO_DEG);
+    const ctx = this.ctx;
+    const { x, y } = this.center;
+    const r = this.radius;
+    const span = r * 0.8;
+    const gap = r + 12;
+
+    const scale = (horizontal, at, value, label) => {
+      const deflection = clamp(value / RATE_SCALE) * span;
+      ctx.strokeStyle = '#666';
+      ctx.fillStyle = '#888';
+      ctx.beginPath();
+      for (let t = -1; t <= 1; t += 0.5) {
+        if (horizontal) {
+          ctx.moveTo(x + t * span, at - 3);
+          ctx.lineTo(x + t * span, at + 3);
+        } else {
+          ctx.moveTo(at - 3, y + t * span);
+          ctx.lineTo(at + 3, y + t * span);
+        }
+      }
+      if (horizontal) {
+        ctx.moveTo(x - span, at);
+        ctx.lineTo(x + span, at);
+      } else {
+        ctx.moveTo(at, y - span);
+        ctx.lineTo(at, y + span);
+      }
+      ctx.stroke();
+      if (horizontal) ctx.fillText(label, x - span - 10, at);
+      else ctx.fillText(label, at, y - span - 8);
+
+      // Needle: a triangle pointing at the scale
+      ctx.fillStyle = Math.abs(value) >= RATE_SCALE ? PINNED : RATE;
+      ctx.beginPath();
+      if (horizontal) {
+        const nx = x + deflection, dir = at < y ? 1 : -1;
+        ctx.moveTo(nx, at);
+        ctx.lineTo(nx - 4, at + 7 * dir);
+        ctx.lineTo(nx + 4, at + 7 * dir);
+      } else {
+        const ny = y + deflection;
+        ctx.moveTo(at, ny);
+        ctx.lineTo(at - 7, ny - 4);
+        ctx.lineTo(at - 7, ny + 4);
+      }
+      ctx.fill();
+    };
+
+    // Needles lean left for roll and yaw left, up for pitch up
+    scale(true, y - gap, -rates.z, 'R');
+    scale(false, x + gap, -rates.x, 'P');
+    scale(true, y + gap, -rates.y, 'Y');
+  }
+
+  // Position and lateral rate across the zone's approach axis.
+  drawCrossPointer(target) {
+    const ctx = this.ctx;
+    const size = Math.min(this.canvas.width - (this.center.x + this.radius + 40), this.radius * 1.4);
+    if (size < 40) return;
+    const half = size / 2;
+    const cx = this.canvas.width - half - 6;
+    const cy = this.center.y;
+    const left = cx - half, top = cy - half;
+
+    ctx.strokeStyle = '#555';
+    ctx.strokeRect(left, top, size, size);
+    ctx.beginPath();
+    ctx.moveTo(cx - 4, cy);
+    ctx.lineTo(cx + 4, cy);
+    ctx.moveTo(cx, cy - 4);
+    ctx.lineTo(cx, cy + 4);
+    ctx.stroke();
+    ctx.fillStyle = '#888';
+    ctx.fillText('TRANSLATION', cx, top - 8);
+    if (!target) {
+      ctx.fillText('NO TARGET', cx, cy + 14);
+      return;
+    }
+
+    const tol = target.criteria.positionTolerance;
+    const rateLimit = target.criteria.maxLateralSpeed;
+    // The zone's limits as a box
+    ctx.strokeStyle = '#0a0';
+    ctx.strokeRect(cx - half / TOLERANCE_SCALE, cy - half / TOLERANCE_SCALE, size / TOLERANCE_SCALE, size / TOLERANCE_SCALE);
+
+    // Where the zone is: opposite the spacecraft's offset from it
+    const p = target.position, v = target.velocity;
+    const px = clamp(-p.x / (tol.x * TOLERANCE_SCALE));
+    const py = clamp(-p.y / (tol.y * TOLERANCE_SCALE));
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = Math.abs(px) >= 1 ? PINNED : NEEDLE;
+    ctx.beginPath();
+    ctx.moveTo(cx + px * half, top + 2);
+    ctx.lineTo(cx + px * half, top + size - 2);
+    ctx.stroke();
+    ctx.strokeStyle = Math.abs(py) >= 1 ? PINNED : NEEDLE;
+    ctx.beginPath();
+    ctx.moveTo(left + 2, cy - py * half);
+    ctx.lineTo(left + size - 2, cy - py * half);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    // Lateral drift: triangles on the bottom and left edges
+    const vx = clamp(v.x / (rateLimit * TOLERANCE_SCALE));
+    const vy = clamp(v.y / (rateLimit * TOLERANCE_SCALE));
+    ctx.fillStyle = Math.abs(vx) >= 1 ? PINNED : RATE;
+    ctx.beginPath();
+    ctx.moveTo(cx + vx * half, top + size);
+    ctx.lineTo(cx + vx * half - 4, top + size + 7);
+    ctx.lineTo(cx + vx * half + 4, top + size + 7);
+    ctx.fill();
+    ctx.fillStyle = Math.abs(vy) >= 1 ? PINNED : RATE;
+    ctx.beginPath();
+    ctx.moveTo(left, cy - vy * half);
+    ctx.lineTo(left - 7, cy - vy * half - 4);
+    ctx.lineTo(left - 7, cy - vy * half + 4);
+    ctx.fill();
+
+    // Range and range rate
+    const range = target.distance;
+    const rangeRate = range > 0 ? (p.x * v.x + p.y * v.y + p.z * v.z) / range : 0;
+    ctx.fillStyle = '#0f0';
+    ctx.fillText(`R ${range.toFixed(2)} m`, cx, top + size + 16);
+    ctx.fillText(`Ṙ ${rangeRate.toFixed(3)} m/s`, cx, top + size + 28);
+    ctx.fillStyle = '#888';
+    ctx.fillText(`±${(tol.x * TOLERANCE_SCALE).toFixed(2)} m`, cx, top + size + 40);
+  }
+}
@@ -1,4 +1,20 @@
-import * as THREE from 'three';
+import {
+  buildControllerState,
+  CONTROLLER_KEYS
+} from './controllerState.js';
+
+// Controller programs run in controllerWorker.js. computeControl runs once per
+// physics step, on the state before the step, and the step waits for its
+// reply (readyForStep()), so the keys it returns fire during that same step
+// exactly as in headless.js. A slow program slows the simulation down rather
+// than changing what it does.
+//
+// A single computeControl/onKeyPress call may take at most TICK_BUDGET_MS
+// (measured inside the worker) before the controller is switched off, and a
+// worker that has not answered after HANG_TIMEOUT_MS (an infinite loop) is
+// terminated and restarted with the same code, disabled.
+const TICK_BUDGET_MS = 50;
+const HANG_TIMEOUT_MS = 1000;
 
 const STARTER_CODE = `// ===== STUDENT AUTOPILOT CONTROLLER =====
 // This is just an example to get you started
@@ -13,6 +29,17 @@ const STARTER_CODE = `// ===== STUDENT AUTOPILOT CONTROLLER =====
 //
 //   BODY-FIXED — what the spacecraft "feels" along its own x/y/z axes.
 //     state.velocityBody, state.gyroBody
+//
+// These are the exact truth (also in state.truth). state.sensors holds
+// what onboard sensors measure instead: noisy, biased and a little late.
+//     state.sensors.gyro, .accelerometer, .starTracker, .relative, .gps
+// Your instructor may switch the truth off, so check before using it.
+//
+// state.target is the docking zone selected with \`+Z: where you are
+// relative to the port, in the port's frame, and the docking checks.
+// Call cycleSelectedZone() to switch between the station and Spacecraft 2.
+//
+// plot('name', value) charts any number live in the plot panel (\`+L).
 
 let lastPrintTime = 0;
 
@@ -40,6 +67,13 @@ function computeControl(state, inputs) {
   keys.push('d');   // apply −X translation
   //just put as many button pushes as you want and its like you are pressing the keyboard
   return { keys: keys };// push both keys at the same time
+
+  // Besides keys you can also return (all body frame, all optional):
+  //   thrusters:   { 0: 0.5, 3: 1 }     duty cycle 0..1 per thruster index
+  //   force:       { x, y, z }          N,   thrusters chosen for you
+  //   torque:      { x, y, z }          N·m, thrusters chosen for you
+  //   wheelTorque: { x, y, z }          N·m from the reaction wheels
+  //   cmgTorque:   { x, y, z }          N·m from the CMGs
 }
 
 function onKeyPress(key, action) {
@@ -50,21 +84,28 @@ function onKeyPress(key, action) {
   }
 }`;
 
-function vecToPlain(v) {
-  return { x: v?.x || 0, y: v?.y || 0, z: v?.z || 0 };
-}
-
 export class StudentController {
-  constructor({ satBody }) {
+  constructor({ satBody, faults = null, sensors = null, getTarget = null, onCycleSelectedZone = null, onPlot = null, onStepReady = null }) {
     this.satBody = satBody;
+    this.faults = faults; // FaultManager: sensor bias/dropout faults edit the state
+    this.sensors = sensors; // SensorSuite: adds state.sensors and state.truth
+    this.getTarget = getTarget; // () => state.target (DockingManager.getSelectedTargetState)
+    this.onCycleSelectedZone = onCycleSelectedZone; // The program called cycleSelectedZone()
+    this.onPlot = onPlot; // The program called plot(name, value): (name, value, time)
+    this.onStepReady = onStepReady; // A step that was waiting for computeControl can run now
     this.enabled = false;
-    this.computeControl = () => ({});
-    this.onKeyPress = null;
+    this.worker = null;
+    this.code = '';
+    this.pending = []; // [{ id, kind: 'tick' | 'key', sentAt, step? }] awaiting replies, oldest first
+    this.stepReply = null; // { step, keys, commands } from computeControl for the step about to run
+    this.nextMessageId = 1;
+    this.tickBudgetMs = TICK_BUDGET_MS;
+    this.hangTimeoutMs = HANG_TIMEOUT_MS;
     this.keyStates = {};
     this.activeKeys = new Set();
+    this.activeCommands = null; // thruster duties / force / torque requests (controllerState.js)
     this.outputLines = [];
     this.maxOutputLines = 80;
-    this.startTime = performance.now();
 
     this.editor = document.getElementById('controller-code');
     this.output = document.getElementById('controller-output');
@@ -140,48 +181,118 @@ export class StudentController {
     // Avoid repeated keydown events spamming student callbacks.
     if (action === 'down' && wasDown) return;
 
-    if (typeof this.onKeyPress === 'function') {
-      try {
-        this.onKeyPress(key, action);
-      } catch (error) {
-        this.log('onKeyPress error: ' + error.message);
-      }
-    }
+    // onKeyPress runs even while the controller is off: it is how programs
+    // toggle themselves on. The worker handles messages in order.
+    if (!this.worker || this.checkWorkerHang()) return;
+    this.postToWorker('key', { key, action });
   }
 
+  // Compile the editor's program in a fresh worker. Program globals start
+  // over, exactly as re-running the code did before. The result (applied or
+  // a compile error) is logged when the worker answers.
   applyCode() {
-    const code = this.editor?.value || STARTER_CODE;
-    const api = {
-      log: (message) => this.log(message),
-      setControllerEnabled: (enabled) => this.setEnabled(enabled),
-      isControllerEnabled: () => this.enabled
+    this.code = this.editor?.value || STARTER_CODE;
+    this.startWorker();
+    return true;
+  }
+
+  startWorker() {
+    if (this.worker) this.worker.terminate();
+    this.pending = [];
+    this.stepReply = null;
+    this.activeKeys.clear();
+    this.activeCommands = null;
+    this.worker = new Worker(new URL('./controllerWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.log('Controller worker error: ' + (event.message || 'failed to start'));
     };
+    this.worker.postMessage({ type: 'enabled', enabled: this.enabled });
+    this.worker.postMessage({ type: 'load', code: this.code });
+  }
+
+  postToWorker(kind, payload, step = null) {
+    const id = this.nextMessageId++;
+    this.pending.push({ id, kind, sentAt: performance.now(), step });
+    this.worker.postMessage({ type: kind, id, ...payload });
+  }
 
-    try {
-      const factory = new Function(
-        'log',
-        'setControllerEnabled',
-        'isControllerEnabled',
-        `${code}\nreturn {\n  computeControl: (typeof computeControl === 'function') ? computeControl : null,\n  onKeyPress: (typeof onKeyPress === 'function') ? onKeyPress : null\n};`
-      );
-      const result = factory(api.log, api.setControllerEnabled, api.isControllerEnabled);
-      if (typeof result.computeControl !== 'function') throw new Error('Code must define function computeControl(state, inputs).');
-      this.computeControl = result.computeControl;
-      this.onKeyPress = result.onKeyPress;
-      this.log('Controller code applied');
-      this.updateStatus();
-      return true;
-    } catch (error) {
-      this.log('Apply error: ' + error.message);
-      return false;
+  handleWorkerMessage(msg) {
+    switch (msg.type) {
+      case 'loaded':
+        this.log(msg.ok ? 'Controller code applied' : 'Apply error: ' + msg.error);
+        this.updateStatus();
+        break;
+      case 'log':
+        this.log(msg.message);
+        break;
+      case 'setEnabled':
+        this.setEnabled(msg.enabled);
+        break;
+      case 'cycleSelectedZone':
+        if (this.onCycleSelectedZone) this.onCycleSelectedZone();
+        break;
+      case 'plot':
+        if (this.onPlot) this.onPlot(msg.name, msg.value, msg.time);
+        break;
+      case 'result':
+      case 'keyDone':
+        this.handleWorkerReply(msg);
+        break;
+    }
+  }
+
+  handleWorkerReply(msg) {
+    const index = this.pending.findIndex(p => p.id === msg.id);
+    if (index < 0) return; // stale (worker restarted or ticks discarded)
+    const [request] = this.pending.splice(index, 1);
+
+    if (msg.elapsed > this.tickBudgetMs) {
+      const what = msg.type === 'result' ? 'computeControl' : 'onKeyPress';
+      this.log(`${what} took ${msg.elapsed.toFixed(1)} ms (budget ${this.tickBudgetMs} ms); controller disabled`);
+      this.setEnabled(false);
+    } else if (msg.type === 'result') {
+      if (msg.error) this.log('computeControl error: ' + msg.error);
+      // A call that threw holds no keys, as in headless.js
+      this.stepReply = msg.error
+        ? { step: request.step, keys: [], commands: null }
+        : { step: request.step, keys: msg.keys, commands: msg.commands };
+    } else {
+      return;
     }
+    // The step waiting on this reply can run now
+    if (this.onStepReady) this.onStepReady();
+  }
+
+  // Forget ticks in flight and any reply not yet used, e.g. after a reset
+  // rewinds the step count. Their replies are ignored when they arrive.
+  discardTicks() {
+    this.pending = this.pending.filter(p => p.kind !== 'tick');
+    this.stepReply = null;
+  }
+
+  // True (after restarting the worker) when the oldest outstanding request
+  // has gone unanswered for longer than hangTimeoutMs.
+  checkWorkerHang() {
+    const oldest = this.pending[0];
+    if (!oldest || performance.now() - oldest.sentAt <= this.hangTimeoutMs) return false;
+    const what = oldest.kind === 'tick' ? 'computeControl' : 'onKeyPress';
+    this.log(`${what} did not return within ${this.hangTimeoutMs} ms (infinite loop?); controller disabled and restarted`);
+    this.setEnabled(false);
+    this.startWorker();
+    return true;
   }
 
   setEnabled(enabled) {
     this.enabled = !!enabled;
     // Clear any held controller keys immediately when disabled so thrusters
     // don't keep firing after the autopilot is turned off.
-    if (!this.enabled) this.activeKeys.clear();
+    if (!this.enabled) {
+      this.activeKeys.clear();
+      this.activeCommands = null;
+    }
+    if (this.worker) this.worker.postMessage({ type: 'enabled', enabled: this.enabled });
     if (this.toggle) this.toggle.checked = this.enabled;
     this.updateStatus();
   }
@@ -207,105 +318,61 @@ export class StudentController {
     }
   }
 
-  buildState() {
-    const q = this.satBody.quaternion;
-    const threeQ = new THREE.Quaternion(q.x, q.y, q.z, q.w);
-    // q rotates body->world, so its inverse (== conjugate for a unit
-    // quaternion) rotates world->body. We use it to convert the physics
-    // engine's world-frame velocity/angular velocity into the spacecraft's
-    // body-fixed frame so the controller can read "body" rates.
-    const invQ = threeQ.clone().invert();
-    // IMPORTANT: must use 'YXZ' to match the HUD's decomposition order, or the
-    // roll/pitch/yaw shown here will differ from the HUD for the same attitude.
-    const euler = new THREE.Euler().setFromQuaternion(threeQ, 'YXZ');
-    const radToDeg = 180 / Math.PI;
-
-    // World-frame (global/inertial) motion from the physics body.
-    const worldVel = this.satBody.velocity;
-    const worldAngVel = this.satBody.angularVelocity;
-
-    // Body-fixed motion: rotate the world vectors into the spacecraft frame.
-    const localVel = new THREE.Vector3(worldVel.x, worldVel.y, worldVel.z).applyQuaternion(invQ);
-    const localAngVel = new THREE.Vector3(worldAngVel.x, worldAngVel.y, worldAngVel.z).applyQuaternion(invQ);
-
-    return {
-      // Global (inertial) frame quantities.
-      position: vecToPlain(this.satBody.position),
-      velocity: vecToPlain(worldVel),
-      orientation: {
-        roll: euler.z * radToDeg,
-        pitch: euler.x * radToDeg,
-        yaw: euler.y * radToDeg
-      },
-      attitude: {
-        roll: euler.z * radToDeg,
-        pitch: euler.x * radToDeg,
-        yaw: euler.y * radToDeg
-      },
-      gyro: {
-        x: worldAngVel.x * radToDeg,
-        y: worldAngVel.y * radToDeg,
-        z: worldAngVel.z * radToDeg
-      },
-      angularVelocity: {
-        x: worldAngVel.x * radToDeg,
-        y: worldAngVel.y * radToDeg,
-        z: worldAngVel.z * radToDeg
-      },
-      // Body-fixed frame quantities (what the spacecraft "feels").
-      velocityBody: vecToPlain(localVel),
-      gyroBody: {
-        x: localAngVel.x * radToDeg,
-        y: localAngVel.y * radToDeg,
-        z: localAngVel.z * radToDeg
-      },
-      angularVelocityBody: {
-        x: localAngVel.x * radToDeg,
-        y: localAngVel.y * radToDeg,
-        z: localAngVel.z * radToDeg
-      },
-      time: (performance.now() - this.startTime) / 1000
-    };
+  // The state object is built in controllerState.js so headless runs see
+  // exactly the same values.
+  buildState(time, dt) {
+    let state = buildControllerState(this.satBody, time, dt);
+    state.target = this.getTarget ? this.getTarget() : null;
+    if (this.sensors) state = this.sensors.applyTo(state);
+    return this.faults ? this.faults.applySensorFaults(state) : state;
   }
 
   // Keys the controller is allowed to "press." These are exactly the keys the
   // keyboard uses to fire thrusters, so the controller drives the same
   // (fuel-burning, thruster-activating) code path as a human pilot.
   static get VALID_KEYS() {
-    return new Set(['w', 's', 'a', 'd', 'q', 'e', 'i', 'k', 'j', 'l', 'u', 'o']);
+    return new Set(CONTROLLER_KEYS);
   }
 
-  // Run the student's control law for this frame. Instead of applying forces or
-  // torques directly to the physics body, the law returns the keys it wants
-  // held down. Those keys are merged with the real keyboard state in
-  // simulation.js and fired through the normal thruster/fuel path.
-  update() {
-    if (!this.enabled || !this.satBody) {
-      this.activeKeys.clear();
-      return;
+  // Called before each physics step; `step` is SimulationCore.stepCount and
+  // `time` the simulated time at the end of the step. True when the step can
+  // run: the controller is off, or computeControl has answered for this step.
+  // Otherwise this posts the step's state to the worker (once) and the caller
+  // holds the step until onStepReady() says the reply is in.
+  readyForStep(step, time, dt) {
+    if (!this.enabled || !this.satBody || !this.worker) return true;
+    if (this.checkWorkerHang()) return true; // restarted, disabled
+    if (this.stepReply?.step === step) return true;
+    if (!this.pending.some(p => p.kind === 'tick' && p.step === step)) {
+      this.postToWorker('tick', {
+        state: this.buildState(time, dt),
+        inputs: {
+          text: this.input?.value || '',
+          keyStates: { ...this.keyStates }
+        }
+      }, step);
     }
+    return false;
+  }
 
-    let output;
-    try {
-      output = this.computeControl(this.buildState(), {
-        text: this.input?.value || '',
-        keyStates: { ...this.keyStates }
-      }) || {};
-    } catch (error) {
-      this.log('computeControl error: ' + error.message);
+  // Run the student's control law for the step about to run. Instead of
+  // applying forces or torques directly to the physics body, the law returns
+  // the keys it wants held down. Those keys are merged with the real keyboard
+  // state in simulation.js and fired through the normal thruster/fuel path.
+  // The law ran in the worker while readyForStep() held the step; this takes
+  // its reply.
+  update() {
+    const reply = this.stepReply;
+    this.stepReply = null;
+    if (!this.enabled || !this.satBody || !this.worker) {
       this.activeKeys.clear();
+      this.activeCommands = null;
       return;
     }
-
-    // The controller "presses keys" instead of applying forces directly. Only
-    // control keys are accepted; anything else is ignored. Returning no keys
-    // (or an empty/invalid result) means "release everything" this frame.
-    this.activeKeys.clear();
-    if (Array.isArray(output.keys)) {
-      for (const raw of output.keys) {
-        const k = String(raw).toLowerCase();
-        if (StudentController.VALID_KEYS.has(k)) this.activeKeys.add(k);
-      }
+    if (reply) {
+      // Only control keys survive sanitizeControllerKeys() in the worker.
+      this.activeKeys = new Set(reply.keys);
+      this.activeCommands = reply.commands;
     }
   }
 
@@ -316,6 +383,12 @@ export class StudentController {
     return this.enabled ? new Set(this.activeKeys) : new Set();
   }
 
+  // Proportional thruster / force-torque / wheel / CMG commands from this
+  // step's reply, for SimulationCore.step(). null when there are none.
+  getActiveCommands() {
+    return this.enabled ? this.activeCommands : null;
+  }
+
   // Export the current controller program to a file
   exportProgram() {
     const code = this.editor?.value || '';
@@ -0,0 +1,196 @@
+// File: controllerState.js
+// The student-controller contract without any DOM or Three.js: building the
+// `state` object passed to computeControl() and compiling a controller
+// program. Used by StudentController in the browser and by headless.js, so a
+// program behaves identically in both.
+
+import {
+  evaluateDockingZone,
+  getDockingZoneLabel,
+  rotateByInverse,
+  relativeQuaternion
+} from './dockingZones.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Keys a controller is allowed to "press" — exactly the thruster keys.
+export const CONTROLLER_KEYS = ['w', 's', 'a', 'd', 'q', 'e', 'i', 'k', 'j', 'l', 'u', 'o'];
+
+function vecToPlain(v) {
+  return { x: v?.x || 0, y: v?.y || 0, z: v?.z || 0 };
+}
+
+function scaleVec(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+// 'YXZ' Euler angles (radians) from a unit quaternion — the same
+// decomposition the HUD uses (THREE.Euler.setFromQuaternion(q, 'YXZ')).
+export function quaternionToEulerYXZ(q) {
+  const { x, y, z, w } = q;
+  const m11 = 1 - 2 * (y * y + z * z);
+  const m13 = 2 * (x * z + w * y);
+  const m21 = 2 * (x * y + w * z);
+  const m22 = 1 - 2 * (x * x + z * z);
+  const m23 = 2 * (y * z - w * x);
+  const m31 = 2 * (x * z - w * y);
+  const m33 = 1 - 2 * (x * x + y * y);
+
+  const ex = Math.asin(-Math.min(Math.max(m23, -1), 1));
+  if (Math.abs(m23) < 0.9999999) {
+    return { x: ex, y: Math.atan2(m13, m33), z: Math.atan2(m21, m22) };
+  }
+  return { x: ex, y: Math.atan2(-m31, m11), z: 0 };
+}
+
+// Build the controller's view of the spacecraft body at simulated time `time`.
+export function buildControllerState(body, time = 0, dt = 0) {
+  const q = body.quaternion;
+  // IMPORTANT: must use 'YXZ' to match the HUD's decomposition order, or the
+  // roll/pitch/yaw shown here will differ from the HUD for the same attitude.
+  const euler = quaternionToEulerYXZ(q);
+  const attitude = {
+    roll: euler.z * RAD_TO_DEG,
+    pitch: euler.x * RAD_TO_DEG,
+    yaw: euler.y * RAD_TO_DEG
+  };
+
+  // World-frame (global/inertial) motion from the physics body.
+  const worldVel = body.velocity;
+  const worldAngVel = body.angularVelocity;
+
+  // Body-fixed motion: q rotates body->world, so its inverse rotates the
+  // world vectors into the spacecraft frame.
+  const localVel = rotateByInverse(q, worldVel);
+  const localAngVel = rotateByInverse(q, worldAngVel);
+
+  return {
+    // Global (inertial) frame quantities.
+    position: vecToPlain(body.position),
+    velocity: vecToPlain(worldVel),
+    orientation: { ...attitude },
+    attitude: { ...attitude },
+    gyro: scaleVec(worldAngVel, RAD_TO_DEG),
+    angularVelocity: scaleVec(worldAngVel, RAD_TO_DEG),
+    // Body-fixed frame quantities (what the spacecraft "feels").
+    velocityBody: vecToPlain(localVel),
+    gyroBody: scaleVec(localAngVel, RAD_TO_DEG),
+    angularVelocityBody: scaleVec(localAngVel, RAD_TO_DEG),
+    time,
+    dt
+  };
+}
+
+// state.target: the selected docking zone as seen from the spacecraft.
+// `status` is that zone's docking status (evaluateDockingZone, which
+// DockingManager.getSelectedDockingZoneStatus wraps); `index`/`total` say
+// which of the zones it is. Relative position and velocity are the
+// spacecraft's, measured from the port in the port's frame; `quaternion`
+// is the spacecraft attitude relative to the port, and attitudeError the
+// same as roll/pitch/yaw in degrees (zero when aligned for docking).
+export function buildTargetState(body, zone, { status = null, index = 0, total = 1 } = {}) {
+  if (!body || !zone) return null;
+  const s = status || evaluateDockingZone(body, zone);
+  const zq = zone.orientation || { x: 0, y: 0, z: 0, w: 1 };
+  const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+  const zw = zone.angularVelocity || { x: 0, y: 0, z: 0 };
+  const r = {
+    x: body.position.x - zone.position.x,
+    y: body.position.y - zone.position.y,
+    z: body.position.z - zone.position.z
+  };
+  const quaternion = relativeQuaternion(body.quaternion, zq);
+  const error = quaternionToEulerYXZ(quaternion);
+
+  return {
+    index,
+    total,
+    name: zone.name || null,
+    label: getDockingZoneLabel(zone),
+    boxSize: zone.dockingBoxSize,
+    angleThreshold: zone.dockingAngleThreshold,
+    criteria: s.criteria,
+    position: rotateByInverse(zq, r),
+    // Rate of change of `position`: the port frame of a spinning vehicle
+    // turns too, so zone.angularVelocity × r comes off as well
+    velocity: rotateByInverse(zq, {
+      x: body.velocity.x - zv.x - (zw.y * r.z - zw.z * r.y),
+      y: body.velocity.y - zv.y - (zw.z * r.x - zw.x * r.z),
+      z: body.velocity.z - zv.z - (zw.x * r.y - zw.y * r.x)
+    }),
+    quaternion,
+    attitudeError: { roll: error.z * RAD_TO_DEG, pitch: error.x * RAD_TO_DEG, yaw: error.y * RAD_TO_DEG },
+    distance: s.distance,
+    angleDiff: s.angleDiff,
+    inBox: !!s.inBox,
+    inAngle: !!s.inAngle,
+    withinSpeedLimits: !!s.withinSpeedLimits,
+    withinAngularSpeedLimit: !!s.withinAngularSpeedLimit,
+    failing: s.failing || []
+  };
+}
+
+// Compile controller source into { computeControl, onKeyPress }. `api`
+// supplies the globals the program may call: log, setControllerEnabled,
+// isControllerEnabled and cycleSelectedZone. Throws if computeControl is
+// missing.
+export function compileControllerProgram(code, api) {
+  const factory = new Function(
+    'log',
+    'setControllerEnabled',
+    'isControllerEnabled',
+    'cycleSelectedZone',
+    'plot',
+    `${code}\nreturn {\n  computeControl: (typeof computeControl === 'function') ? computeControl : null,\n  onKeyPress: (typeof onKeyPress === 'function') ? onKeyPress : null\n};`
+  );
+  const result = factory(api.log, api.setControllerEnabled, api.isControllerEnabled,
+    api.cycleSelectedZone || (() => {}), api.plot || (() => {}));
+  if (typeof result.computeControl !== 'function') throw new Error('Code must define function computeControl(state, inputs).');
+  return result;
+}
+
+function toFiniteVec(v) {
+  if (!v) return null;
+  const [x, y, z] = Array.isArray(v) ? v : [v.x, v.y, v.z];
+  const vec = { x: Number(x) || 0, y: Number(y) || 0, z: Number(z) || 0 };
+  return [vec.x, vec.y, vec.z].every(Number.isFinite) ? vec : null;
+}
+
+// The non-key outputs of computeControl(), validated:
+//   thrusters:   duty cycle 0..1 per thruster index, as an array or { index: duty }
+//   force:       body-frame force request (N), sent through thruster allocation
+//   torque:      body-frame torque request (N·m), sent through thruster allocation
+//   wheelTorque: body-frame torque on the spacecraft from the reaction wheels
+//   cmgTorque:   body-frame torque on the spacecraft from the CMGs
+// Returns null when none are present.
+export function sanitizeControllerCommands(output) {
+  if (!output || typeof output !== 'object') return null;
+  const commands = {};
+
+  if (output.thrusters && typeof output.thrusters === 'object') {
+    const duties = {};
+    Object.entries(output.thrusters).forEach(([index, duty]) => {
+      const i = Number(index), d = Number(duty);
+      if (Number.isInteger(i) && i >= 0 && Number.isFinite(d) && d > 0) duties[i] = Math.min(d, 1);
+    });
+    if (Object.keys(duties).length) commands.thrusters = duties;
+  }
+  ['force', 'torque', 'wheelTorque', 'cmgTorque'].forEach(name => {
+    const vec = toFiniteVec(output[name]);
+    if (vec) commands[name] = vec;
+  });
+
+  return Object.keys(commands).length ? commands : null;
+}
+
+// Filter a computeControl() result down to the valid key set.
+export function sanitizeControllerKeys(output) {
+  const keys = new Set();
+  if (output && Array.isArray(output.keys)) {
+    for (const raw of output.keys) {
+      const k = String(raw).toLowerCase();
+      if (CONTROLLER_KEYS.includes(k)) keys.add(k);
+    }
+  }
+  return keys;
+}
@@ -0,0 +1,97 @@
+// File: controllerWorker.js
+// Sandbox for student controller programs. StudentController runs this as a
+// module Worker, so controller code cannot reach window.satBody (or anything
+// else on the page) and an infinite loop only hangs this thread — the main
+// thread notices the missing reply and terminates the worker.
+//
+// Messages in (from StudentController):
+//   { type: 'load', code }                       compile a program
+//   { type: 'enabled', enabled }                 mirror of the on/off toggle
+//   { type: 'tick', id, state, inputs }          run computeControl once
+//   { type: 'key', id, key, action }             run onKeyPress
+// Messages out:
+//   { type: 'loaded', ok, error? }
+//   { type: 'log', message }
+//   { type: 'setEnabled', enabled }
+//   { type: 'cycleSelectedZone' }                 select the next docking target
+//   { type: 'plot', name, value, time }           a value for the plot panel
+//   { type: 'result', id, keys, commands, elapsed, error? }
+//   { type: 'keyDone', id, elapsed }
+
+import {
+  compileControllerProgram,
+  sanitizeControllerKeys,
+  sanitizeControllerCommands
+} from './controllerState.js';
+
+let program = null;
+let enabled = false;
+let stateTime = 0; // state.time of the tick being run, stamped on plot() values
+
+// Same API the program had on the main thread.
+const api = {
+  log: (message) => self.postMessage({
+    type: 'log',
+    message: typeof message === 'string' ? message : JSON.stringify(message)
+  }),
+  setControllerEnabled: (value) => {
+    enabled = !!value;
+    self.postMessage({ type: 'setEnabled', enabled });
+  },
+  isControllerEnabled: () => enabled,
+  // The new target shows up in state.target from the next tick on
+  cycleSelectedZone: () => self.postMessage({ type: 'cycleSelectedZone' }),
+  plot: (name, value) => {
+    const number = Number(value);
+    if (Number.isFinite(number)) self.postMessage({ type: 'plot', name: String(name), value: number, time: stateTime });
+  }
+};
+
+self.onmessage = (event) => {
+  const msg = event.data;
+  switch (msg.type) {
+    case 'load':
+      try {
+        program = compileControllerProgram(msg.code, api);
+        self.postMessage({ type: 'loaded', ok: true });
+      } catch (error) {
+        program = null;
+        self.postMessage({ type: 'loaded', ok: false, error: error.message });
+      }
+      break;
+
+    case 'enabled':
+      enabled = !!msg.enabled;
+      break;
+
+    case 'tick': {
+      const start = performance.now();
+      let keys = [];
+      let commands = null;
+      let error = null;
+      stateTime = msg.state?.time ?? stateTime;
+      try {
+        const output = program ? program.computeControl(msg.state, msg.inputs) || {} : {};
+        keys = [...sanitizeControllerKeys(output)];
+        commands = sanitizeControllerCommands(output);
+      } catch (e) {
+        error = e.message;
+      }
+      self.postMessage({ type: 'result', id: msg.id, keys, commands, elapsed: performance.now() - start, error });
+      break;
+    }
+
+    case 'key': {
+      const start = performance.now();
+      if (program && typeof program.onKeyPress === 'function') {
+        try {
+          program.onKeyPress(msg.key, msg.action);
+        } catch (error) {
+          api.log('onKeyPress error: ' + error.message);
+        }
+      }
+      self.postMessage({ type: 'keyDone', id: msg.id, elapsed: performance.now() - start });
+      break;
+    }
+  }
+};
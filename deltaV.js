@@ -0,0 +1,149 @@
+// File: deltaV.js
+// Delta-v bookkeeping: what the propellant left still buys along each
+// translation axis, what has been spent, and a rough estimate of the
+// propellant it takes to dock.
+//
+// Each translation key fires its own thruster set (the key allocation, or
+// custom keybinds), usually several thrusters, some canted. Their combined
+// thrust along the key's axis over their combined propellant flow gives an
+// effective Isp for that axis, and the rocket equation
+//
+//   Δv = Isp · g0 · ln(m_wet / m_dry)
+//
+// turns the propellant left into delta-v. Cosine losses and thrusters firing
+// against each other lower the effective Isp, so axes differ. Masses are the
+// body's, so a mated Spacecraft 2 counts.
+//
+// No Three.js and no DOM: SimulationCore keeps a DeltaVTracker in `deltaV`.
+
+import { KEY_WRENCHES } from './thrusterAllocation.js';
+import { getFuelStatus } from './spacecraftPhysics.js';
+import { resolveDockingCriteria } from './dockingZones.js';
+
+export const G0 = 9.81; // m/s², as in SimulationCore.fireThruster
+
+const TRANSLATION_AXES = Object.keys(KEY_WRENCHES).filter(key => KEY_WRENCHES[key].force);
+
+// Thrust and Isp after any degraded-thruster fault, as fired.
+function performance(t) {
+  return {
+    thrust: t.thrust * (t.fault ? t.fault.thrustScale : 1),
+    isp: t.isp * (t.fault ? t.fault.ispScale : 1)
+  };
+}
+
+// Body-frame net force and propellant flow (kg/s) of thrusters at `duties`.
+export function thrustFromDuties(thrusters, duties) {
+  const force = { x: 0, y: 0, z: 0 };
+  let flow = 0;
+  duties.forEach((duty, i) => {
+    const t = thrusters[i];
+    if (!(duty > 0) || !t) return;
+    const { thrust, isp } = performance(t);
+    const f = Math.min(duty, 1) * thrust;
+    force.x += f * t.dir.x;
+    force.y += f * t.dir.y;
+    force.z += f * t.dir.z;
+    if (isp > 0) flow += f / (isp * G0);
+  });
+  return { force, flow };
+}
+
+export function rocketDeltaV(isp, wetMass, dryMass) {
+  if (!(isp > 0) || !(dryMass > 0) || wetMass <= dryMass) return 0;
+  return isp * G0 * Math.log(wetMass / dryMass);
+}
+
+export function propellantForDeltaV(deltaV, isp, wetMass) {
+  if (!(deltaV > 0)) return 0;
+  if (!(isp > 0)) return Infinity;
+  return wetMass * (1 - Math.exp(-deltaV / (isp * G0)));
+}
+
+// Remaining delta-v per translation key:
+//   { axes: { w: { deltaV, isp, acceleration, thrusters }, ... }, wetMass, dryMass, fuelMass }
+// An axis no available thruster can push along has deltaV 0.
+export function computeDeltaVBudget(core) {
+  const { fuelMass } = getFuelStatus();
+  const wetMass = core.body ? core.body.mass : 0;
+  const dryMass = wetMass - fuelMass;
+  const axes = {};
+  TRANSLATION_AXES.forEach(key => {
+    const duties = core.thrusters.length
+      ? core.keyDuties(null, false, k => (k === key ? 1 : 0)).map((duty, i) => (core.isThrusterUnavailable(i) ? 0 : duty))
+      : [];
+    const { force, flow } = thrustFromDuties(core.thrusters, duties);
+    const axis = KEY_WRENCHES[key].force;
+    const along = force.x * axis.x + force.y * axis.y + force.z * axis.z;
+    const isp = along > 0 && flow > 0 ? along / (flow * G0) : 0;
+    axes[key] = {
+      deltaV: rocketDeltaV(isp, wetMass, dryMass),
+      isp,
+      acceleration: wetMass > 0 ? Math.max(0, along) / wetMass : 0,
+      thrusters: duties.filter(duty => duty > 0).length
+    };
+  });
+  return { axes, wetMass, dryMass, fuelMass };
+}
+
+// Rough propellant to dock at `zone` from the current range and closing
+// rate: cancel the drift across the line of sight, then brake to half the
+// zone's max axial speed for contact (or, when not closing, start closing at
+// that speed). Assumes the worst translation axis' Isp and ignores attitude
+// maneuvers and orbital dynamics, so treat it as a lower bound.
+//   { zone, range, closingRate, deltaV, propellant, eta, enough }
+export function predictDockingPropellant(core, zone, budget = computeDeltaVBudget(core)) {
+  const b = core.body;
+  if (!b || !zone) return null;
+  const p = zone.position;
+  const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+  const los = { x: p.x - b.position.x, y: p.y - b.position.y, z: p.z - b.position.z };
+  const range = Math.hypot(los.x, los.y, los.z);
+  const v = { x: b.velocity.x - zv.x, y: b.velocity.y - zv.y, z: b.velocity.z - zv.z };
+  const closingRate = range > 0 ? (v.x * los.x + v.y * los.y + v.z * los.z) / range : 0;
+  const lateral = range > 0
+    ? Math.hypot(
+      v.x - closingRate * los.x / range,
+      v.y - closingRate * los.y / range,
+      v.z - closingRate * los.z / range)
+    : Math.hypot(v.x, v.y, v.z);
+
+  const contactSpeed = resolveDockingCriteria(zone).maxAxialSpeed / 2;
+  const axial = closingRate > 0 ? Math.max(0, closingRate - contactSpeed) : contactSpeed - closingRate;
+  const deltaV = lateral + axial;
+  const eta = range / (closingRate > 0 ? Math.min(closingRate, contactSpeed) : contactSpeed);
+
+  const isps = Object.values(budget.axes).map(a => a.isp).filter(isp => isp > 0);
+  const propellant = propellantForDeltaV(deltaV, isps.length ? Math.min(...isps) : 0, budget.wetMass);
+  return {
+    zone: zone.name || null,
+    range,
+    closingRate,
+    deltaV,
+    propellant,
+    eta,
+    enough: propellant <= budget.fuelMass
+  };
+}
+
+// Delta-v spent and propellant used since the last reset, fed after each
+// step's thrusters have fired.
+export class DeltaVTracker {
+  constructor() {
+    this.spent = 0; // m/s, ∫ |thrust| / m dt
+    this.propellantUsed = 0; // kg
+  }
+
+  record(core, fuelBefore, dt) {
+    const firing = core.thrusterDuties.map((duty, i) => (core.thrusters[i]?.active ? duty : 0));
+    const { force } = thrustFromDuties(core.thrusters, firing);
+    const mass = core.body ? core.body.mass : 0;
+    if (mass > 0) this.spent += Math.hypot(force.x, force.y, force.z) / mass * dt;
+    this.propellantUsed += Math.max(0, fuelBefore - getFuelStatus().fuelMass);
+  }
+
+  reset() {
+    this.spent = 0;
+    this.propellantUsed = 0;
+  }
+}
@@ -0,0 +1,288 @@
+// File: dockingCapture.js
+// Soft capture and hard dock. Entering a docking zone's box is contact with
+// the port's capture ring; what happens next depends on the contact:
+//
+//   all docking criteria met     latches engage (soft capture), then the
+//                                port retracts the spacecraft onto the exact
+//                                docking pose with a critically damped pull,
+//                                and the latches close (hard dock)
+//   faster than REBOUND_SPEED    the spacecraft bounces off, keeping
+//                                RESTITUTION of its closing velocity
+//   anything else                the latches miss (failed capture) and the
+//                                ring pushes the spacecraft back out slowly
+//
+// After a rebound or a failed capture the spacecraft has to leave the box
+// before it can try again. Hard docked to a zone with a `vehicle` (Spacecraft
+// 2), the two become one body: the vehicle's mass and inertia are added to
+// the spacecraft (spacecraftPhysics.setAttachedMass) and the vehicle and its
+// zone are carried along, so the pair can be flown together. Docked to the
+// station the spacecraft is simply held. Releasing (undock) leaves the
+// vehicle where it is; reset puts it back where it started.
+//
+// A zone's vehicle is { mass, inertia, position, orientation, body?, dynamic? },
+// where position/orientation are the vehicle's center of mass and attitude
+// (its cannon body's own objects, so they move with it) and body, if given,
+// stops colliding with the spacecraft while mated. A dynamic vehicle's motion
+// becomes the pair's at hard dock, and on release it flies off with the
+// pair's motion.
+//
+// No Three.js and no DOM: SimulationCore runs it in the browser and headless.
+
+import * as CANNON from 'cannon-es';
+import { setAttachedMass } from './spacecraftPhysics.js';
+import { rotateTensor, parseInertia } from './inertiaTensor.js';
+import {
+  DOCKING_CRITERIA_LABELS,
+  rotate,
+  rotateByInverse,
+  multiplyQuaternions,
+  conjugateQuaternion
+} from './dockingZones.js';
+
+export const REBOUND_SPEED = 0.3;       // m/s relative contact speed that bounces off
+export const RESTITUTION = 0.5;         // fraction of the closing velocity kept in a rebound
+export const SEPARATION_SPEED = 0.02;   // m/s the ring pushes back after a failed capture
+const RETRACT_FREQUENCY = 1.5;          // rad/s natural frequency of the retraction (ζ = 1)
+const RETRACT_TIMEOUT = 20;             // s, the latches close whatever the error after this
+const HARD_DOCK_DISTANCE = 0.002;       // m
+const HARD_DOCK_ANGLE = 0.1;            // deg
+const HARD_DOCK_SPEED = 0.002;          // m/s
+const HARD_DOCK_RATE = 0.1;             // deg/s
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Works for cannon-es and Three.js vectors/quaternions as well as plain objects.
+function assign(target, v) {
+  target.x = v.x; target.y = v.y; target.z = v.z;
+  if ('w' in v) target.w = v.w;
+}
+
+// Velocity of the point `p` on a rigid body: v + ω × r.
+function pointVelocity(body, p) {
+  const v = body.velocity;
+  const w = body.angularVelocity;
+  const r = { x: p.x - body.position.x, y: p.y - body.position.y, z: p.z - body.position.z };
+  return {
+    x: v.x + w.y * r.z - w.z * r.y,
+    y: v.y + w.z * r.x - w.x * r.z,
+    z: v.z + w.x * r.y - w.y * r.x
+  };
+}
+
+function orientationOf(part) {
+  return part.orientation || part.quaternion;
+}
+
+// Why a contact that meets the speed limit still failed to latch: the
+// zone's failing criteria (dockingZones.js), bar the box itself.
+function failureReason(status) {
+  const reasons = (status.failing || [])
+    .filter(key => key !== 'position')
+    .map(key => DOCKING_CRITERIA_LABELS[key]);
+  return reasons.join(', ') || 'missed';
+}
+
+export class DockingCapture {
+  constructor() {
+    this.phase = 'free'; // free | retracting | docked
+    this.zone = null;
+    this.inContact = false;
+    this.retractTime = 0;
+    this.mated = null; // { zone, parts: [{ part, position, orientation }] } while flying as one body
+    this.events = []; // { time, type: captured | rebound | failed | hardDock | released, zone, speed?, reason? }
+    this.onMatedChange = null; // (zone, mated, { restore }) for the browser's meshes
+    this._home = new Map(); // carried part -> pose before the first mate, for reset
+  }
+
+  _event(core, type, extra = {}) {
+    const event = { time: core.time, type, zone: this.zone?.name || null, ...extra };
+    this.events.push(event);
+    console.log(`Docking: ${type}${event.zone ? ` (${event.zone})` : ''}${extra.reason ? `: ${extra.reason}` : ''}`);
+    return event;
+  }
+
+  // First step inside a zone's box since it was last outside. Returns the
+  // event (captured, rebound or failed).
+  contact(core, zone, status) {
+    this.inContact = true;
+    this.zone = zone;
+    const body = core.body;
+    const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+    const rel = { x: body.velocity.x - zv.x, y: body.velocity.y - zv.y, z: body.velocity.z - zv.z };
+    const speed = Math.hypot(rel.x, rel.y, rel.z);
+
+    if (status.inAngle && status.withinSpeedLimits && status.withinAngularSpeedLimit) {
+      this.phase = 'retracting';
+      this.retractTime = 0;
+      return this._event(core, 'captured', { speed });
+    }
+    if (speed > REBOUND_SPEED) {
+      body.velocity.set(zv.x - RESTITUTION * rel.x, zv.y - RESTITUTION * rel.y, zv.z - RESTITUTION * rel.z);
+      body.angularVelocity.scale(RESTITUTION, body.angularVelocity);
+      return this._event(core, 'rebound', { speed });
+    }
+    const back = speed > 0 ? SEPARATION_SPEED / speed : 0;
+    body.velocity.set(zv.x - back * rel.x, zv.y - back * rel.y, zv.z - back * rel.z);
+    return this._event(core, 'failed', { speed, reason: failureReason(status) });
+  }
+
+  // One step of retraction toward the zone's docking pose. Returns true once
+  // the spacecraft is on the pose (hard dock).
+  retract(core, dt) {
+    const body = core.body;
+    const zone = this.zone;
+    const zq = zone.orientation || { x: 0, y: 0, z: 0, w: 1 };
+    const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+    const zw = zone.angularVelocity || { x: 0, y: 0, z: 0 };
+    const wn = RETRACT_FREQUENCY;
+    this.retractTime += dt;
+
+    const e = { x: body.position.x - zone.position.x, y: body.position.y - zone.position.y, z: body.position.z - zone.position.z };
+    const v = { x: body.velocity.x - zv.x, y: body.velocity.y - zv.y, z: body.velocity.z - zv.z };
+    body.velocity.set(
+      body.velocity.x + (-wn * wn * e.x - 2 * wn * v.x) * dt,
+      body.velocity.y + (-wn * wn * e.y - 2 * wn * v.y) * dt,
+      body.velocity.z + (-wn * wn * e.z - 2 * wn * v.z) * dt
+    );
+
+    // Attitude error as a rotation vector (world frame), the short way round
+    let qe = multiplyQuaternions(body.quaternion, conjugateQuaternion(zq));
+    if (qe.w < 0) qe = { x: -qe.x, y: -qe.y, z: -qe.z, w: -qe.w };
+    const s = Math.hypot(qe.x, qe.y, qe.z);
+    const angle = 2 * Math.atan2(s, qe.w);
+    const k = s > 1e-12 ? angle / s : 2;
+    const theta = { x: qe.x * k, y: qe.y * k, z: qe.z * k };
+    const w = body.angularVelocity;
+    const wr = { x: w.x - zw.x, y: w.y - zw.y, z: w.z - zw.z };
+    w.set(
+      w.x + (-wn * wn * theta.x - 2 * wn * wr.x) * dt,
+      w.y + (-wn * wn * theta.y - 2 * wn * wr.y) * dt,
+      w.z + (-wn * wn * theta.z - 2 * wn * wr.z) * dt
+    );
+
+    const settled = Math.hypot(e.x, e.y, e.z) < HARD_DOCK_DISTANCE &&
+      angle * RAD_TO_DEG < HARD_DOCK_ANGLE &&
+      Math.hypot(v.x, v.y, v.z) < HARD_DOCK_SPEED &&
+      Math.hypot(wr.x, wr.y, wr.z) * RAD_TO_DEG < HARD_DOCK_RATE;
+    return settled || this.retractTime >= RETRACT_TIMEOUT;
+  }
+
+  // Latches closed: put the spacecraft exactly on the docking pose and, for a
+  // vehicle, join the two into one body.
+  hardDock(core) {
+    const body = core.body;
+    const zone = this.zone;
+    const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+    const zw = zone.angularVelocity || { x: 0, y: 0, z: 0 };
+    assign(body.position, zone.position);
+    if (zone.orientation) assign(body.quaternion, zone.orientation);
+    body.velocity.set(zv.x, zv.y, zv.z);
+    body.angularVelocity.set(zw.x, zw.y, zw.z);
+    this.phase = 'docked';
+    this._event(core, 'hardDock');
+    if (zone.vehicle) this.mate(core, zone);
+  }
+
+  // Add the vehicle's mass to the spacecraft and start carrying it.
+  mate(core, zone) {
+    const body = core.body;
+    const vehicle = zone.vehicle;
+    const q = body.quaternion;
+    const qInv = conjugateQuaternion(q);
+    const offset = body.centerOfMassOffset || { x: 0, y: 0, z: 0 };
+
+    // Each carried part's pose relative to the spacecraft, position in the
+    // config frame so it stays put when the center of mass moves.
+    const parts = [zone, vehicle].map(part => {
+      if (!this._home.has(part)) {
+        const o = orientationOf(part);
+        this._home.set(part, {
+          position: { x: part.position.x, y: part.position.y, z: part.position.z },
+          orientation: { x: o.x, y: o.y, z: o.z, w: o.w }
+        });
+      }
+      const r = rotateByInverse(q, {
+        x: part.position.x - body.position.x,
+        y: part.position.y - body.position.y,
+        z: part.position.z - body.position.z
+      });
+      return {
+        part,
+        position: { x: r.x + offset.x, y: r.y + offset.y, z: r.z + offset.z },
+        orientation: multiplyQuaternions(qInv, orientationOf(part))
+      };
+    });
+    const vehiclePart = parts[1];
+
+    let inertia;
+    try {
+      inertia = rotateTensor(parseInertia(vehicle.inertia), vehiclePart.orientation);
+    } catch (error) {
+      console.error('Invalid vehicle inertia, docking without it:', error);
+      return;
+    }
+    setAttachedMass({ mass: vehicle.mass, centerOfMass: vehiclePart.position, inertia });
+    if (vehicle.body) vehicle.body.collisionResponse = false;
+    if (vehicle.dynamic && vehicle.body) {
+      // The pair moves as the vehicle did (the center of mass just moved),
+      // and from now on the vehicle only goes where it is carried
+      const vb = vehicle.body;
+      assign(body.velocity, pointVelocity(vb, body.position));
+      body.angularVelocity.copy(vb.angularVelocity);
+      vb.type = CANNON.Body.KINEMATIC;
+      vb.velocity.set(0, 0, 0);
+      vb.angularVelocity.set(0, 0, 0);
+    }
+    this.mated = { zone, parts };
+    if (this.onMatedChange) this.onMatedChange(zone, true, { restore: false });
+  }
+
+  // Move the mated parts with the spacecraft. Call after every step.
+  carry(core) {
+    if (!this.mated) return;
+    const body = core.body;
+    const q = body.quaternion;
+    const offset = body.centerOfMassOffset || { x: 0, y: 0, z: 0 };
+    this.mated.parts.forEach(({ part, position, orientation }) => {
+      const r = rotate(q, { x: position.x - offset.x, y: position.y - offset.y, z: position.z - offset.z });
+      assign(part.position, { x: body.position.x + r.x, y: body.position.y + r.y, z: body.position.z + r.z });
+      assign(orientationOf(part), multiplyQuaternions(q, orientation));
+    });
+    if (this.mated.zone.vehicle.body) this.mated.zone.vehicle.body.aabbNeedsUpdate = true;
+  }
+
+  // Undock: open the latches and let go of any vehicle where it is.
+  release(core, { restore = false } = {}) {
+    if (this.mated) {
+      const { zone } = this.mated;
+      const vb = zone.vehicle.body;
+      if (zone.vehicle.dynamic && vb && core?.body) {
+        // Let go with the pair's motion at the vehicle
+        vb.type = CANNON.Body.DYNAMIC;
+        assign(vb.velocity, pointVelocity(core.body, vb.position));
+        vb.angularVelocity.copy(core.body.angularVelocity);
+      }
+      setAttachedMass(null);
+      if (vb) vb.collisionResponse = true;
+      this.mated = null;
+      if (!restore && core) this._event(core, 'released');
+      if (this.onMatedChange) this.onMatedChange(zone, false, { restore });
+    }
+    this.phase = 'free';
+    this.zone = null;
+    this.retractTime = 0;
+  }
+
+  // Back to t = 0: release, and put carried vehicles back where they started.
+  reset(core) {
+    this.release(core, { restore: true });
+    this._home.forEach((pose, part) => {
+      assign(part.position, pose.position);
+      assign(orientationOf(part), pose.orientation);
+      if (part.body) part.body.aabbNeedsUpdate = true;
+    });
+    this._home.clear();
+    this.inContact = false;
+    this.events = [];
+  }
+}
@@ -6,16 +6,25 @@
 //  - Reads window.uploadedFiles for optional model/position overrides.
 //  - Publishes dockingPort/secondSpacecraft refs onto window.* for legacy code.
 //  - Exposes secondSpacecraftBoundingBoxMesh so the ` + h hull toggle can match it.
+//  - The zone math itself lives in dockingZones.js so the headless
+//    SimulationCore evaluates docking exactly the same way.
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-
-// Speed/angle limits for a "successful" dock. Kept here because only the
-// docking logic consumes them.
-const MAX_ANGULAR_SPEED = 1.0; // deg/s
-const MAX_XZ_SPEED = 0.1;       // m/s
-const MAX_Z_SPEED = 1.0;        // m/s
+import {
+  evaluateDockingZone,
+  findClosestDockingZoneStatus,
+  getDockingSpeedStatus,
+  getDockingZoneLabel,
+  resolveDockingCriteria,
+  resolveApproach,
+  resolveSecondSpacecraftZone,
+  mountDockingZone,
+  DEFAULT_SECOND_SPACECRAFT_POSITION
+} from './dockingZones.js';
+import { buildTargetState } from './controllerState.js';
+import { setVehicleDynamics } from './spacecraftPhysics.js';
 
 export class DockingManager {
   constructor({ scene, world }) {
@@ -24,6 +33,7 @@ export class DockingManager {
 
     this.dockingZones = [];
     this.dockingBoxVisuals = [];
+    this.approachVisuals = []; // { zone, group } corridor cone + keep-out sphere
     this.dockingBoxesVisible = false;
     this.selectedDockingZoneIndex = 0;
 
@@ -32,6 +42,7 @@ export class DockingManager {
     this.secondSpacecraftMesh = null;
     this.secondSpacecraftBoundingBoxMesh = null;
     this.secondSpacecraftLoaded = false;
+    this.secondSpacecraftCarried = false;
 
     // Initial state used only by the (normally unreachable) no-zones fallback.
     this.initialPosition = null;
@@ -56,7 +67,7 @@ export class DockingManager {
   getSelectedZoneLabel() {
     if (this.dockingZones.length === 0) return null;
     const zone = this.dockingZones[this.selectedDockingZoneIndex % this.dockingZones.length];
-    return zone.name === 'primary' ? 'Station' : 'Spacecraft 2';
+    return getDockingZoneLabel(zone);
   }
 
   // ===========================================================================
@@ -148,20 +159,24 @@ export class DockingManager {
   }
 
   // ===========================================================================
-  // SECOND SPACECRAFT (STATIC TARGET)
+  // SECOND SPACECRAFT (STATIC OR FREE-FLYING TARGET)
   // ===========================================================================
   // The second spacecraft uses the SAME position/orientation file format as the
   // primary spacecraft. The docking port is part of its model STL, so SC2's
   // docking zone is simply its position + orientation. There is no separate
-  // second docking port upload.
+  // second docking port upload. With `dynamic`/`velocity`/`angularVelocity`
+  // in its position file SC2 is a free-flying body, and its meshes and
+  // docking zone follow it (updateMovingParts / dockingZones.updateMovingZone).
 
   loadSecondSpacecraft() {
     // Default placement if no file uploaded
-    let pos = new CANNON.Vec3(10, 0, -10);
+    let pos = new CANNON.Vec3(
+      DEFAULT_SECOND_SPACECRAFT_POSITION.x,
+      DEFAULT_SECOND_SPACECRAFT_POSITION.y,
+      DEFAULT_SECOND_SPACECRAFT_POSITION.z
+    );
     let quat = new CANNON.Quaternion(0, 0, 0, 1);
     let quatThree = new THREE.Quaternion(0, 0, 0, 1);
-    let dockingBoxSize = 0.1;
-    let dockingAngleThreshold = 3;
 
     // The exported position file format (identical to SC1) is reused here.
     if (window.uploadedFiles && window.uploadedFiles.secondPosition) {
@@ -169,8 +184,6 @@ export class DockingManager {
       pos = new CANNON.Vec3(posData.position.x, posData.position.y, posData.position.z);
       quat = new CANNON.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
       quatThree = new THREE.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
-      if (posData.dockingBoxSize !== undefined) dockingBoxSize = posData.dockingBoxSize;
-      if (posData.dockingAngleThreshold !== undefined) dockingAngleThreshold = posData.dockingAngleThreshold;
       console.log("Second spacecraft placement loaded:", posData);
     } else {
       console.log("No second spacecraft position file — using default placement");
@@ -227,39 +240,42 @@ export class DockingManager {
       axes.position.copy(pos);
       axes.quaternion.copy(quatThree);
       this.scene.add(axes);
+      this.secondSpacecraftAxes = axes;
 
       this.secondSpacecraftLoaded = true;
       window.secondSpacecraftBody = this.secondSpacecraftBody;
       window.secondSpacecraftMesh = this.secondSpacecraftMesh;
 
       // The docking port is part of SC2's model. By default the docking zone
-      // is 2 meters below SC2's position (so SC1 isn't trying to dock inside
-      // SC2's collision box). A separate "docking location" file (same format
-      // as the position files) can override where SC1 must be to dock to SC2.
-      let zonePos = new CANNON.Vec3(pos.x, pos.y - 2, pos.z);
-      let zoneQuatThree = quatThree;
-      let zoneBoxSize = dockingBoxSize;
-      let zoneAngleThreshold = dockingAngleThreshold;
-
-      if (window.uploadedFiles && window.uploadedFiles.secondDockingLocation) {
-        const dockData = window.uploadedFiles.secondDockingLocation;
-        zonePos = new CANNON.Vec3(dockData.position.x, dockData.position.y, dockData.position.z);
-        zoneQuatThree = new THREE.Quaternion(
-          dockData.orientation.x, dockData.orientation.y, dockData.orientation.z, dockData.orientation.w
-        );
-        if (dockData.dockingBoxSize !== undefined) zoneBoxSize = dockData.dockingBoxSize;
-        if (dockData.dockingAngleThreshold !== undefined) zoneAngleThreshold = dockData.dockingAngleThreshold;
-        console.log("Second spacecraft docking location loaded:", dockData);
+      // is 2 meters below SC2's position; a separate "docking location" file
+      // (same format as the position files) can override where SC1 must be to
+      // dock to SC2. See resolveSecondSpacecraftZone() in dockingZones.js.
+      const uploads = window.uploadedFiles || {};
+      const zone = resolveSecondSpacecraftZone(uploads.secondPosition || null, uploads.secondDockingLocation || null);
+      if (uploads.secondDockingLocation) {
+        console.log("Second spacecraft docking location loaded:", uploads.secondDockingLocation);
       } else {
         console.log("No second spacecraft docking location file — defaulting to 2 meters below SC2 position");
       }
 
+      if (zone.vehicle.dynamic) {
+        setVehicleDynamics(body, zone.vehicle);
+        console.log("Second spacecraft is free-flying:", zone.vehicle.velocity, zone.vehicle.angularVelocity);
+      }
+      // The meshes' poses relative to the body, to follow it when it moves
+      const inverse = new THREE.Quaternion(quat.x, quat.y, quat.z, quat.w).invert();
+      this._secondSpacecraftMount = [mesh, this.secondSpacecraftBoundingBoxMesh, axes].map(part => ({
+        mesh: part,
+        position: part.position.clone().sub(body.position).applyQuaternion(inverse),
+        quaternion: inverse.clone().multiply(part.quaternion)
+      }));
+
+      // Once docked, SC1 carries the collision body itself
       this.registerDockingZone({
-        position: zonePos,
-        orientation: zoneQuatThree,
-        dockingBoxSize: zoneBoxSize,
-        dockingAngleThreshold: zoneAngleThreshold,
-        name: 'secondSpacecraft'
+        ...zone,
+        position: new CANNON.Vec3(zone.position.x, zone.position.y, zone.position.z),
+        orientation: new THREE.Quaternion(zone.orientation.x, zone.orientation.y, zone.orientation.z, zone.orientation.w),
+        vehicle: { ...zone.vehicle, position: body.position, orientation: body.quaternion, body }
       });
 
       console.log("Second spacecraft loaded at", pos);
@@ -280,6 +296,49 @@ export class DockingManager {
     }
   }
 
+  // SC2's meshes while it is docked to SC1 (dockingCapture.js): parented to
+  // `carrier` (SC1's model) so they follow it, or back in the scene. A reset
+  // also puts them back where they were built.
+  setSecondSpacecraftCarried(carrier, { restore = false } = {}) {
+    const meshes = [this.secondSpacecraftMesh, this.secondSpacecraftBoundingBoxMesh, this.secondSpacecraftAxes].filter(Boolean);
+    if (!this._secondSpacecraftHome) {
+      this._secondSpacecraftHome = meshes.map(mesh => ({ mesh, position: mesh.position.clone(), quaternion: mesh.quaternion.clone() }));
+    }
+    meshes.forEach(mesh => (carrier || this.scene).attach(mesh));
+    this.secondSpacecraftCarried = !!carrier;
+    if (restore) {
+      this._secondSpacecraftHome.forEach(({ mesh, position, quaternion }) => {
+        mesh.position.copy(position);
+        mesh.quaternion.copy(quaternion);
+      });
+    }
+  }
+
+  // Per frame: SC2's meshes follow its body (unless SC1 is carrying them) and
+  // the docking boxes follow their zones.
+  updateMovingParts() {
+    const body = this.secondSpacecraftBody;
+    if (body && this._secondSpacecraftMount && !this.secondSpacecraftCarried) {
+      const bodyQuaternion = new THREE.Quaternion(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+      this._secondSpacecraftMount.forEach(({ mesh, position, quaternion }) => {
+        mesh.position.copy(position).applyQuaternion(bodyQuaternion);
+        mesh.position.x += body.position.x;
+        mesh.position.y += body.position.y;
+        mesh.position.z += body.position.z;
+        mesh.quaternion.copy(bodyQuaternion).multiply(quaternion);
+      });
+    }
+    this.dockingBoxVisuals.forEach((mesh, i) => {
+      const zone = this.dockingZones[i];
+      mesh.position.set(zone.position.x, zone.position.y, zone.position.z);
+      if (zone.orientation) mesh.quaternion.copy(zone.orientation);
+    });
+    this.approachVisuals.forEach(({ zone, group }) => {
+      group.position.set(zone.position.x, zone.position.y, zone.position.z);
+      if (zone.orientation) group.quaternion.copy(zone.orientation);
+    });
+  }
+
   // ===========================================================================
   // DOCKING ZONE REGISTRY & VISUALS
   // ===========================================================================
@@ -287,17 +346,19 @@ export class DockingManager {
   // Register a docking zone (the spacecraft can dock at any registered zone)
   registerDockingZone(zone) {
     this.dockingZones.push(zone);
+    mountDockingZone(zone);
     console.log(`Registered docking zone "${zone.name}" at`, zone.position);
   }
 
   // Lazily build a wireframe box for each registered docking zone.
   // The box represents the acceptance volume the spacecraft must occupy to dock
-  // (dockingBoxSize is a half-extent, so the full box is dockingBoxSize * 2).
+  // (the position tolerances are half-extents in the port frame, so the full
+  // box is twice each one).
   ensureDockingBoxVisuals() {
     if (this.dockingBoxVisuals.length > 0 || this.dockingZones.length === 0) return;
     this.dockingZones.forEach(zone => {
-      const fullSize = (zone.dockingBoxSize || 0.1) * 2;
-      const geo = new THREE.BoxGeometry(fullSize, fullSize, fullSize);
+      const tol = resolveDockingCriteria(zone).positionTolerance;
+      const geo = new THREE.BoxGeometry(tol.x * 2, tol.y * 2, tol.z * 2);
       const mat = new THREE.MeshBasicMaterial({
         color: 0xffff00,
         wireframe: true,
@@ -313,24 +374,77 @@ export class DockingManager {
     });
   }
 
-  // Toggle visibility of the docking zone acceptance boxes (` + b)
+  // Lazily build the approach guides for each zone with approach rules: the
+  // corridor as an open cone from the docking position out along its
+  // direction (corridorLength long, or keepOutRadius, or 10 m) and the
+  // keep-out sphere, both in the zone's frame.
+  ensureApproachVisuals() {
+    if (this.approachVisuals.length > 0) return;
+    this.dockingZones.forEach(zone => {
+      const approach = resolveApproach(zone);
+      if (!approach) return;
+      const group = new THREE.Group();
+      group.position.set(zone.position.x, zone.position.y, zone.position.z);
+      if (zone.orientation) group.quaternion.copy(zone.orientation);
+
+      if (approach.corridorAngle !== null) {
+        const length = approach.corridorLength ?? approach.keepOutRadius ?? 10;
+        const radius = length * Math.tan(Math.min(approach.corridorAngle, 89) * Math.PI / 180);
+        const cone = new THREE.Mesh(
+          new THREE.ConeGeometry(radius, length, 32, 1, true),
+          new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false })
+        );
+        // ConeGeometry points its apex up +y; turn it so the apex sits on
+        // the docking position and the cone opens along the corridor
+        const direction = new THREE.Vector3(approach.direction.x, approach.direction.y, approach.direction.z);
+        cone.quaternion.setFromUnitVectors(new THREE.Vector3(0, -1, 0), direction);
+        cone.position.copy(direction).multiplyScalar(length / 2);
+        group.add(cone);
+      }
+      if (approach.keepOutRadius !== null) {
+        const sphere = new THREE.Mesh(
+          new THREE.SphereGeometry(approach.keepOutRadius, 32, 16),
+          new THREE.MeshBasicMaterial({ color: 0xff3300, transparent: true, opacity: 0.08, wireframe: true, depthWrite: false })
+        );
+        sphere.position.set(approach.keepOutCenter.x, approach.keepOutCenter.y, approach.keepOutCenter.z);
+        group.add(sphere);
+      }
+      group.visible = false;
+      this.scene.add(group);
+      this.approachVisuals.push({ zone, group });
+    });
+  }
+
+  // Toggle visibility of the docking zone acceptance boxes and approach
+  // guides (` + b)
   toggleDockingBoxes() {
     this.ensureDockingBoxVisuals();
+    this.ensureApproachVisuals();
     this.dockingBoxesVisible = !this.dockingBoxesVisible;
     for (const mesh of this.dockingBoxVisuals) {
       mesh.visible = this.dockingBoxesVisible;
     }
+    for (const { group } of this.approachVisuals) {
+      group.visible = this.dockingBoxesVisible;
+    }
     console.log(`Docking bounding boxes ${this.dockingBoxesVisible ? 'shown' : 'hidden'} (${this.dockingBoxVisuals.length} zone(s))`);
   }
 
   // Cycle which docking zone the HUD shows info for (` + z). Returns the new
   // selection so the caller can update the HUD label.
   cycleSelectedZone() {
-    if (this.dockingZones.length === 0) return null;
-    this.selectedDockingZoneIndex = (this.selectedDockingZoneIndex + 1) % this.dockingZones.length;
-    const label = this.getSelectedZoneLabel();
-    console.log(`HUD docking info now showing: ${label} (zone ${this.selectedDockingZoneIndex + 1}/${this.dockingZones.length})`);
-    return { label, index: this.selectedDockingZoneIndex, total: this.dockingZones.length };
+    const selection = this.selectZone(this.selectedDockingZoneIndex + 1);
+    if (selection) console.log(`HUD docking info now showing: ${selection.label} (zone ${selection.index + 1}/${selection.total})`);
+    return selection;
+  }
+
+  // Select zone `index` (wrapped into range), e.g. a replay's recorded
+  // selection. Returns the selection like cycleSelectedZone().
+  selectZone(index) {
+    const total = this.dockingZones.length;
+    if (total === 0) return null;
+    this.selectedDockingZoneIndex = ((index % total) + total) % total;
+    return { label: this.getSelectedZoneLabel(), index: this.selectedDockingZoneIndex, total };
   }
 
   // ===========================================================================
@@ -344,18 +458,6 @@ export class DockingManager {
   isInDockingZone(satBody) {
     if (!satBody) return { inBox: false };
 
-    const currentOrientationThree = new THREE.Quaternion(
-      satBody.quaternion.x, satBody.quaternion.y, satBody.quaternion.z, satBody.quaternion.w
-    );
-
-    const speed = satBody.velocity.length();
-    const xzSpeed = Math.sqrt(satBody.velocity.x ** 2 + satBody.velocity.z ** 2);
-    const zSpeed = satBody.velocity.z;
-    const withinSpeedLimits = xzSpeed <= MAX_XZ_SPEED && zSpeed <= MAX_Z_SPEED;
-
-    const angularSpeed = satBody.angularVelocity.length() * (180 / Math.PI);
-    const withinAngularSpeedLimit = angularSpeed <= MAX_ANGULAR_SPEED;
-
     // If no zones registered (shouldn't happen), fall back to primary defaults
     if (this.dockingZones.length === 0) {
       const positionDiff = {
@@ -367,56 +469,30 @@ export class DockingManager {
       const inBox = Math.abs(positionDiff.x) <= this.dockingBoxSize &&
                     Math.abs(positionDiff.y) <= this.dockingBoxSize &&
                     Math.abs(positionDiff.z) <= this.dockingBoxSize;
+      const currentOrientationThree = new THREE.Quaternion(
+        satBody.quaternion.x, satBody.quaternion.y, satBody.quaternion.z, satBody.quaternion.w
+      );
       const angleDiff = this.initialOrientationThree
         ? currentOrientationThree.angleTo(this.initialOrientationThree) * (180 / Math.PI)
         : 0;
       return {
         inBox,
         inAngle: angleDiff <= this.dockingAngleThreshold,
-        withinSpeedLimits,
-        withinAngularSpeedLimit,
+        ...getDockingSpeedStatus(satBody),
         angleDiff,
         distance,
-        speed,
-        angularSpeed,
         zoneName: 'primary'
       };
     }
 
     // Evaluate every zone and pick the closest one
-    let best = null;
-    for (const zone of this.dockingZones) {
-      const dx = satBody.position.x - zone.position.x;
-      const dy = satBody.position.y - zone.position.y;
-      const dz = satBody.position.z - zone.position.z;
-      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-      const inBox = Math.abs(dx) <= zone.dockingBoxSize &&
-                    Math.abs(dy) <= zone.dockingBoxSize &&
-                    Math.abs(dz) <= zone.dockingBoxSize;
-
-      const angleDiff = currentOrientationThree.angleTo(zone.orientation) * (180 / Math.PI);
-      const inAngle = angleDiff <= zone.dockingAngleThreshold;
-
-      // A zone is a candidate if we're within its box OR it's the closest seen
-      const candidate = {
-        inBox,
-        inAngle,
-        withinSpeedLimits,
-        withinAngularSpeedLimit,
-        angleDiff,
-        distance,
-        speed,
-        angularSpeed,
-        zoneName: zone.name
-      };
-
-      if (best === null || distance < best.distance) {
-        best = candidate;
-      }
-    }
+    return findClosestDockingZoneStatus(satBody, this.dockingZones);
+  }
 
-    return best;
+  // The zone selected with ` + z, or null when there are none.
+  getSelectedZone() {
+    if (this.dockingZones.length === 0) return null;
+    return this.dockingZones[this.selectedDockingZoneIndex % this.dockingZones.length];
   }
 
   // Compute docking status relative to a SPECIFIC zone (for HUD display).
@@ -424,41 +500,18 @@ export class DockingManager {
   // select which target they want to monitor.
   getSelectedDockingZoneStatus(satBody) {
     if (!satBody || this.dockingZones.length === 0) return null;
-    const zone = this.dockingZones[this.selectedDockingZoneIndex % this.dockingZones.length];
-
-    const currentOrientationThree = new THREE.Quaternion(
-      satBody.quaternion.x, satBody.quaternion.y, satBody.quaternion.z, satBody.quaternion.w
-    );
+    const zone = this.getSelectedZone();
+    return { ...evaluateDockingZone(satBody, zone), label: getDockingZoneLabel(zone) };
+  }
 
-    const dx = satBody.position.x - zone.position.x;
-    const dy = satBody.position.y - zone.position.y;
-    const dz = satBody.position.z - zone.position.z;
-    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    const inBox = Math.abs(dx) <= zone.dockingBoxSize &&
-                  Math.abs(dy) <= zone.dockingBoxSize &&
-                  Math.abs(dz) <= zone.dockingBoxSize;
-    const angleDiff = currentOrientationThree.angleTo(zone.orientation) * (180 / Math.PI);
-
-    const speed = satBody.velocity.length();
-    const xzSpeed = Math.sqrt(satBody.velocity.x ** 2 + satBody.velocity.z ** 2);
-    const zSpeed = satBody.velocity.z;
-    const withinSpeedLimits = xzSpeed <= MAX_XZ_SPEED && zSpeed <= MAX_Z_SPEED;
-    const angularSpeed = satBody.angularVelocity.length() * (180 / Math.PI);
-    const withinAngularSpeedLimit = angularSpeed <= MAX_ANGULAR_SPEED;
-
-    const label = zone.name === 'primary' ? 'Station' : 'Spacecraft 2';
-
-    return {
-      inBox,
-      inAngle: angleDiff <= zone.dockingAngleThreshold,
-      withinSpeedLimits,
-      withinAngularSpeedLimit,
-      angleDiff,
-      distance,
-      speed,
-      angularSpeed,
-      zoneName: zone.name,
-      label
-    };
+  // The selected zone as the autopilot's state.target (controllerState.js).
+  getSelectedTargetState(satBody) {
+    if (!satBody || this.dockingZones.length === 0) return null;
+    const index = this.selectedDockingZoneIndex % this.dockingZones.length;
+    return buildTargetState(satBody, this.dockingZones[index], {
+      status: this.getSelectedDockingZoneStatus(satBody),
+      index,
+      total: this.dockingZones.length
+    });
   }
-}
\ No newline at end of file
+}
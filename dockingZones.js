@@ -0,0 +1,431 @@
+// File: dockingZones.js
+// Pure docking-zone math shared by DockingManager (browser) and SimulationCore
+// (headless). No Three.js: zone orientations may be THREE.Quaternion or
+// CANNON.Quaternion, anything with x/y/z/w works.
+//
+// A zone is { position, orientation, dockingBoxSize, dockingAngleThreshold,
+// dockingCriteria?, name }. Every check is made in the port frame (the zone's
+// orientation), where +z is the docking axis:
+//
+//   dockingCriteria: {
+//     positionTolerance: { x, y, z }  m half-extents of the docking box,
+//                                     or one number for a cube
+//     maxAxialSpeed                   m/s along the docking axis
+//     maxLateralSpeed                 m/s across it
+//     maxAngularSpeed                 deg/s
+//     pointingTolerance               deg between the docking axes
+//     rollTolerance                   deg of roll about the docking axis
+//   }
+//
+// Anything left out falls back to the zone's dockingBoxSize and
+// dockingAngleThreshold, then to the defaults below.
+//
+// A zone may also define proximity-operations rules (approachMonitor.js):
+//
+//   approach: {
+//     corridorAngle      deg half-angle of the approach cone
+//     corridorLength     m the cone reaches out from the docking position
+//     direction          port-frame unit vector along the cone, out from
+//                        the docking position (default -z)
+//     keepOutRadius      m radius of the keep-out sphere
+//     keepOutCenter      m port-frame offset of its center (default 0)
+//     keepOutSpeed       m/s fastest allowed inside the sphere
+//   }
+//
+// A zone on a moving vehicle (a dynamic Spacecraft 2) also has `velocity`
+// and `angularVelocity` (rad/s), kept up to date with its pose by
+// updateMovingZone(); speeds and rates are checked relative to those.
+
+// Default limits for a zone that does not set its own.
+export const MAX_ANGULAR_SPEED = 1.0;  // deg/s
+export const MAX_LATERAL_SPEED = 0.1;  // m/s
+export const MAX_AXIAL_SPEED = 1.0;    // m/s
+const DEFAULT_BOX_SIZE = 0.1;          // m
+const DEFAULT_ANGLE_THRESHOLD = 3;     // deg
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// HUD/controller names for each criterion, in the order they are checked.
+export const DOCKING_CRITERIA_LABELS = {
+  position: 'position',
+  lateralSpeed: 'lateral speed',
+  axialSpeed: 'axial speed',
+  angularSpeed: 'rotation rate',
+  pointing: 'pointing',
+  roll: 'roll'
+};
+
+// Default placement of the second spacecraft when no position file is given.
+export const DEFAULT_SECOND_SPACECRAFT_POSITION = { x: 10, y: 0, z: -10 };
+// Its mass (kg) and inertia (kg·m²) once docked, unless its position file
+// gives `mass` and `inertia`.
+export const DEFAULT_SECOND_SPACECRAFT_MASS = 10;
+export const DEFAULT_SECOND_SPACECRAFT_INERTIA = { x: 2, y: 2, z: 2 };
+
+// Angle between two unit quaternions in degrees (same as THREE's angleTo).
+export function quaternionAngleDeg(a, b) {
+  const dot = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(Math.max(dot, -1), 1)) * (180 / Math.PI);
+}
+
+// Quaternion helpers, also used by controllerState.js, sensors.js and
+// dockingCapture.js. Plain { x, y, z, w } and { x, y, z } objects in, plain
+// objects out.
+
+// v rotated by the inverse of unit quaternion q (world -> port frame, or
+// world -> body frame when q is a body's orientation). Same arithmetic as
+// THREE.Vector3.applyQuaternion with the conjugate.
+export function rotateByInverse(q, v) {
+  const x = -q.x, y = -q.y, z = -q.z, w = q.w;
+  const ix = w * v.x + y * v.z - z * v.y;
+  const iy = w * v.y + z * v.x - x * v.z;
+  const iz = w * v.z + x * v.y - y * v.x;
+  const iw = -x * v.x - y * v.y - z * v.z;
+  return {
+    x: ix * w + iw * -x + iy * -z - iz * -y,
+    y: iy * w + iw * -y + iz * -x - ix * -z,
+    z: iz * w + iw * -z + ix * -y - iy * -x
+  };
+}
+
+// v rotated by unit quaternion q.
+export function rotate(q, v) {
+  return rotateByInverse(conjugateQuaternion(q), v);
+}
+
+// Inverse of unit quaternion q.
+export function conjugateQuaternion(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+// Hamilton product a ⊗ b.
+export function multiplyQuaternions(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+  };
+}
+
+// conj(zq) ⊗ q: attitude q seen in the frame of zq (the spacecraft attitude
+// in the port frame).
+export function relativeQuaternion(q, zq) {
+  return multiplyQuaternions(conjugateQuaternion(zq), q);
+}
+
+// The zone's limits with every fallback filled in.
+export function resolveDockingCriteria(zone = {}) {
+  const c = zone.dockingCriteria || {};
+  const box = zone.dockingBoxSize ?? DEFAULT_BOX_SIZE;
+  const angle = zone.dockingAngleThreshold ?? DEFAULT_ANGLE_THRESHOLD;
+  const tol = c.positionTolerance ?? box;
+  const positionTolerance = typeof tol === 'number'
+    ? { x: tol, y: tol, z: tol }
+    : { x: tol.x ?? box, y: tol.y ?? box, z: tol.z ?? box };
+  return {
+    positionTolerance,
+    maxAxialSpeed: c.maxAxialSpeed ?? MAX_AXIAL_SPEED,
+    maxLateralSpeed: c.maxLateralSpeed ?? MAX_LATERAL_SPEED,
+    maxAngularSpeed: c.maxAngularSpeed ?? MAX_ANGULAR_SPEED,
+    pointingTolerance: c.pointingTolerance ?? angle,
+    rollTolerance: c.rollTolerance ?? angle
+  };
+}
+
+// Speed checks for `satBody` against a zone's limits (the default limits and
+// world axes when there is no zone), relative to the zone's own motion.
+export function getDockingSpeedStatus(satBody, zone = null) {
+  const criteria = resolveDockingCriteria(zone || {});
+  const zv = zone?.velocity || { x: 0, y: 0, z: 0 };
+  const zw = zone?.angularVelocity || { x: 0, y: 0, z: 0 };
+  const rel = {
+    x: satBody.velocity.x - zv.x,
+    y: satBody.velocity.y - zv.y,
+    z: satBody.velocity.z - zv.z
+  };
+  const v = rotateByInverse(zone?.orientation || { x: 0, y: 0, z: 0, w: 1 }, rel);
+  const speed = Math.hypot(rel.x, rel.y, rel.z);
+  const axialSpeed = Math.abs(v.z);
+  const lateralSpeed = Math.hypot(v.x, v.y);
+  const w = satBody.angularVelocity;
+  const angularSpeed = Math.hypot(w.x - zw.x, w.y - zw.y, w.z - zw.z) * RAD_TO_DEG;
+  return {
+    speed,
+    axialSpeed,
+    lateralSpeed,
+    angularSpeed,
+    withinSpeedLimits: lateralSpeed <= criteria.maxLateralSpeed && axialSpeed <= criteria.maxAxialSpeed,
+    withinAngularSpeedLimit: angularSpeed <= criteria.maxAngularSpeed
+  };
+}
+
+// Pointing (angle between the docking axes) and roll (about the docking
+// axis) of the spacecraft relative to the port, in degrees.
+function getAlignment(q, zq) {
+  const { x, y, z, w } = relativeQuaternion(q, zq);
+  const axisZ = 1 - 2 * (x * x + y * y); // body z along port z
+  const pointing = Math.acos(Math.min(Math.max(axisZ, -1), 1)) * RAD_TO_DEG;
+  // Twist part of the swing-twist split about z, the short way round
+  const roll = 2 * Math.atan2(Math.abs(z), Math.abs(w)) * RAD_TO_DEG;
+  return { pointing, roll };
+}
+
+// Docking status of `satBody` relative to a single zone. `failing` lists
+// the criteria (keys of DOCKING_CRITERIA_LABELS) that are not met, and
+// `checks` has each one's value and limit for the HUD.
+export function evaluateDockingZone(satBody, zone) {
+  const criteria = resolveDockingCriteria(zone);
+  const zq = zone.orientation || { x: 0, y: 0, z: 0, w: 1 };
+  const dx = satBody.position.x - zone.position.x;
+  const dy = satBody.position.y - zone.position.y;
+  const dz = satBody.position.z - zone.position.z;
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const offset = rotateByInverse(zq, { x: dx, y: dy, z: dz });
+  const tol = criteria.positionTolerance;
+
+  const inBox = Math.abs(offset.x) <= tol.x &&
+                Math.abs(offset.y) <= tol.y &&
+                Math.abs(offset.z) <= tol.z;
+
+  const angleDiff = zone.orientation ? quaternionAngleDeg(satBody.quaternion, zone.orientation) : 0;
+  const { pointing, roll } = zone.orientation ? getAlignment(satBody.quaternion, zq) : { pointing: 0, roll: 0 };
+  const speedStatus = getDockingSpeedStatus(satBody, zone);
+
+  // Worst position axis, as a fraction of its tolerance
+  const positionRatio = Math.max(Math.abs(offset.x) / tol.x, Math.abs(offset.y) / tol.y, Math.abs(offset.z) / tol.z);
+  const checks = {
+    position: { value: positionRatio, limit: 1, ok: inBox },
+    lateralSpeed: { value: speedStatus.lateralSpeed, limit: criteria.maxLateralSpeed },
+    axialSpeed: { value: speedStatus.axialSpeed, limit: criteria.maxAxialSpeed },
+    angularSpeed: { value: speedStatus.angularSpeed, limit: criteria.maxAngularSpeed },
+    pointing: { value: pointing, limit: criteria.pointingTolerance },
+    roll: { value: roll, limit: criteria.rollTolerance }
+  };
+  Object.values(checks).forEach(check => { check.ok ??= check.value <= check.limit; });
+  const failing = Object.keys(checks).filter(key => !checks[key].ok);
+
+  return {
+    inBox,
+    inAngle: checks.pointing.ok && checks.roll.ok,
+    withinSpeedLimits: speedStatus.withinSpeedLimits,
+    withinAngularSpeedLimit: speedStatus.withinAngularSpeedLimit,
+    angleDiff,
+    pointing,
+    roll,
+    offset,
+    distance,
+    speed: speedStatus.speed,
+    axialSpeed: speedStatus.axialSpeed,
+    lateralSpeed: speedStatus.lateralSpeed,
+    angularSpeed: speedStatus.angularSpeed,
+    criteria,
+    checks,
+    failing,
+    zoneName: zone.name
+  };
+}
+
+function scaleVector(v, k) {
+  return { x: v.x * k, y: v.y * k, z: v.z * k };
+}
+
+// Fix a zone to its vehicle's body: records the zone's pose in the body frame
+// and the body's starting pose and motion (for reset). Only dynamic vehicles
+// move, so anything else is left alone.
+export function mountDockingZone(zone) {
+  const body = zone.vehicle?.dynamic ? zone.vehicle.body : null;
+  if (!body) return;
+  const qInv = conjugateQuaternion(body.quaternion);
+  const zq = zone.orientation || { x: 0, y: 0, z: 0, w: 1 };
+  zone.mount = {
+    position: rotate(qInv, {
+      x: zone.position.x - body.position.x,
+      y: zone.position.y - body.position.y,
+      z: zone.position.z - body.position.z
+    }),
+    orientation: multiplyQuaternions(qInv, zq),
+    home: {
+      position: { x: body.position.x, y: body.position.y, z: body.position.z },
+      quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+      velocity: { ...(zone.vehicle.velocity || { x: 0, y: 0, z: 0 }) },
+      angularVelocity: { ...(zone.vehicle.angularVelocity || { x: 0, y: 0, z: 0 }) }
+    }
+  };
+  updateMovingZone(zone);
+}
+
+// Move a mounted zone with its vehicle: pose, and the velocity of the port
+// point (v + ω × r) and angular velocity. Call after every physics step.
+export function updateMovingZone(zone) {
+  if (!zone.mount) return;
+  const body = zone.vehicle.body;
+  const r = rotate(body.quaternion, zone.mount.position);
+  const q = multiplyQuaternions(body.quaternion, zone.mount.orientation);
+  const v = body.velocity;
+  const w = body.angularVelocity;
+  zone.position.x = body.position.x + r.x;
+  zone.position.y = body.position.y + r.y;
+  zone.position.z = body.position.z + r.z;
+  if (zone.orientation) {
+    zone.orientation.x = q.x; zone.orientation.y = q.y; zone.orientation.z = q.z; zone.orientation.w = q.w;
+  } else {
+    zone.orientation = q;
+  }
+  zone.velocity = {
+    x: v.x + w.y * r.z - w.z * r.y,
+    y: v.y + w.z * r.x - w.x * r.z,
+    z: v.z + w.x * r.y - w.y * r.x
+  };
+  zone.angularVelocity = { x: w.x, y: w.y, z: w.z };
+}
+
+// Put a mounted zone's vehicle back at its starting pose and motion.
+export function resetMovingZone(zone) {
+  if (!zone.mount) return;
+  const body = zone.vehicle.body;
+  const home = zone.mount.home;
+  body.position.set(home.position.x, home.position.y, home.position.z);
+  body.quaternion.set(home.quaternion.x, home.quaternion.y, home.quaternion.z, home.quaternion.w);
+  body.velocity.set(home.velocity.x, home.velocity.y, home.velocity.z);
+  body.angularVelocity.set(home.angularVelocity.x, home.angularVelocity.y, home.angularVelocity.z);
+  body.aabbNeedsUpdate = true;
+  updateMovingZone(zone);
+}
+
+// The zone's approach rules with defaults filled in, or null without any.
+export function resolveApproach(zone) {
+  const a = zone.approach;
+  if (!a) return null;
+  const d = a.direction || { x: 0, y: 0, z: -1 };
+  const length = Math.hypot(d.x || 0, d.y || 0, d.z || 0) || 1;
+  return {
+    corridorAngle: a.corridorAngle ?? null,
+    corridorLength: a.corridorLength ?? null,
+    direction: { x: (d.x || 0) / length, y: (d.y || 0) / length, z: (d.z || 0) / length },
+    keepOutRadius: a.keepOutRadius ?? null,
+    keepOutCenter: { x: 0, y: 0, z: 0, ...a.keepOutCenter },
+    keepOutSpeed: a.keepOutSpeed ?? null
+  };
+}
+
+// Where `satBody` is relative to a zone's approach corridor and keep-out
+// sphere, or null when the zone has no approach rules. The corridor applies
+// within corridorLength of the docking position (inside the keep-out sphere
+// when there is no length, everywhere when there is neither); a spacecraft
+// within the docking box of the axis counts as in it.
+export function evaluateApproach(satBody, zone) {
+  const approach = resolveApproach(zone);
+  if (!approach) return null;
+  const zq = zone.orientation || { x: 0, y: 0, z: 0, w: 1 };
+  const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+  const p = rotateByInverse(zq, {
+    x: satBody.position.x - zone.position.x,
+    y: satBody.position.y - zone.position.y,
+    z: satBody.position.z - zone.position.z
+  });
+  const range = Math.hypot(p.x, p.y, p.z);
+  const speed = Math.hypot(satBody.velocity.x - zv.x, satBody.velocity.y - zv.y, satBody.velocity.z - zv.z);
+
+  const c = approach.keepOutCenter;
+  const keepOutDistance = Math.hypot(p.x - c.x, p.y - c.y, p.z - c.z);
+  const inKeepOut = approach.keepOutRadius !== null && keepOutDistance <= approach.keepOutRadius;
+
+  const d = approach.direction;
+  const along = p.x * d.x + p.y * d.y + p.z * d.z;
+  const lateral = Math.hypot(p.x - along * d.x, p.y - along * d.y, p.z - along * d.z);
+  const offAxisAngle = Math.atan2(lateral, along) * RAD_TO_DEG;
+  const tol = resolveDockingCriteria(zone).positionTolerance;
+  const corridorActive = approach.corridorAngle !== null && (
+    approach.corridorLength !== null ? range <= approach.corridorLength
+      : approach.keepOutRadius !== null ? inKeepOut : true);
+  const inCorridor = !corridorActive || offAxisAngle <= approach.corridorAngle ||
+    lateral <= Math.max(tol.x, tol.y, tol.z);
+
+  return {
+    zoneName: zone.name,
+    approach,
+    range,
+    speed,
+    offAxisAngle,
+    corridorActive,
+    inCorridor,
+    inKeepOut,
+    keepOutSpeedExceeded: inKeepOut && approach.keepOutSpeed !== null && speed > approach.keepOutSpeed
+  };
+}
+
+// Checks every zone and returns the status for the closest one, or
+// { inBox: false } when there is nothing to dock with.
+export function findClosestDockingZoneStatus(satBody, zones) {
+  if (!satBody || zones.length === 0) return { inBox: false };
+
+  let best = null;
+  for (const zone of zones) {
+    const candidate = evaluateDockingZone(satBody, zone);
+    if (best === null || candidate.distance < best.distance) {
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+// True when a status object meets every docking criterion.
+export function isDockingStatusValid(status) {
+  return !!(status.inBox && status.inAngle && status.withinSpeedLimits && status.withinAngularSpeedLimit);
+}
+
+// HUD label for a zone.
+export function getDockingZoneLabel(zone) {
+  return zone.name === 'primary' ? 'Station' : 'Spacecraft 2';
+}
+
+// Build the second spacecraft's docking zone from its position file and the
+// optional docking-location file (both the same format as the primary's
+// position file). Without a docking-location file the zone sits 2 meters
+// below SC2's position so SC1 isn't trying to dock inside SC2's collision box.
+// `vehicle` is SC2 itself, which SC1 carries once docked (dockingCapture.js).
+// SC2 flies free (`dynamic`) when its position file sets `dynamic: true` or
+// gives a `velocity` (m/s) or `angularVelocity` (deg/s); otherwise it stays
+// put.
+export function resolveSecondSpacecraftZone(secondPosition = null, secondDockingLocation = null) {
+  const pos = secondPosition ? secondPosition.position : DEFAULT_SECOND_SPACECRAFT_POSITION;
+  const orientation = secondPosition ? secondPosition.orientation : { x: 0, y: 0, z: 0, w: 1 };
+  const dockingBoxSize = secondPosition?.dockingBoxSize ?? 0.1;
+  const dockingAngleThreshold = secondPosition?.dockingAngleThreshold ?? 3;
+  const dockingCriteria = secondPosition?.dockingCriteria;
+  const approach = secondPosition?.approach;
+  const vehicle = {
+    position: { x: pos.x, y: pos.y, z: pos.z },
+    orientation: { ...orientation },
+    mass: secondPosition?.mass ?? DEFAULT_SECOND_SPACECRAFT_MASS,
+    inertia: secondPosition?.inertia ?? DEFAULT_SECOND_SPACECRAFT_INERTIA,
+    dynamic: !!(secondPosition?.dynamic ?? (secondPosition?.velocity || secondPosition?.angularVelocity)),
+    velocity: { x: 0, y: 0, z: 0, ...secondPosition?.velocity },
+    angularVelocity: scaleVector({ x: 0, y: 0, z: 0, ...secondPosition?.angularVelocity }, 1 / RAD_TO_DEG)
+  };
+
+  if (secondDockingLocation) {
+    return {
+      position: { ...secondDockingLocation.position },
+      orientation: { ...secondDockingLocation.orientation },
+      dockingBoxSize: secondDockingLocation.dockingBoxSize ?? dockingBoxSize,
+      dockingAngleThreshold: secondDockingLocation.dockingAngleThreshold ?? dockingAngleThreshold,
+      dockingCriteria: secondDockingLocation.dockingCriteria ?? dockingCriteria,
+      approach: secondDockingLocation.approach ?? approach,
+      name: 'secondSpacecraft',
+      vehicle
+    };
+  }
+
+  return {
+    position: { x: pos.x, y: pos.y - 2, z: pos.z },
+    orientation: { ...orientation },
+    dockingBoxSize,
+    dockingAngleThreshold,
+    dockingCriteria,
+    approach,
+    name: 'secondSpacecraft',
+    vehicle
+  };
+}
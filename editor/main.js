@@ -10,6 +10,7 @@ import { ThrustersTab } from './thrusters-tab.js';
 import { CamerasTab } from './cameras-tab.js';
 import { AttitudeTab } from './attitude-tab.js';
 import { LightsTab } from './lights-tab.js';
+import { parseInertia } from '../inertiaTensor.js';
 
 // Global variables
 let scene, camera, renderer, controls;
@@ -37,7 +38,10 @@ let spacecraftData = {
         "inertia": {
             "x": 3,
             "y": 3,
-            "z": 3
+            "z": 3,
+            "xy": 0,
+            "xz": 0,
+            "yz": 0
         },
         "name": "Custom Spacecraft",
         "description": "A custom spacecraft with specific properties",
@@ -334,6 +338,7 @@ function setupEventListeners() {
                     transformedData.cmg?.cmgs?.forEach(c => restorePosition(c.position));
                     transformedData.reactionwheels?.wheels?.forEach(w => restorePosition(w.position));
                     transformedData.lamps?.lamps?.forEach(l => restorePosition(l.position));
+                    transformedData.spacecraftProperties?.tanks?.forEach(t => restorePosition(t.position));
                 }
                 
                 // Update the main spacecraft data object with the transformed data
@@ -346,9 +351,7 @@ function setupEventListeners() {
                 document.getElementById('dry-mass').value = props.dryMass;
                 document.getElementById('fuel-mass').value = props.fuelMass;
                 document.getElementById('max-fuel-mass').value = props.maxFuelMass;
-                document.getElementById('inertia-xx').value = props.inertia.x;
-                document.getElementById('inertia-yy').value = props.inertia.y;
-                document.getElementById('inertia-zz').value = props.inertia.z;
+                setInertiaFields(props);
                 
                 const cg = props.centerOfMass || { x: 0, y: 0, z: 0 };
                 document.getElementById('cg-x').value = cg.x;
@@ -527,9 +530,14 @@ function setupEventListeners() {
         spacecraftData.spacecraftProperties.dryMass = parseFloat(document.getElementById('dry-mass').value);
         spacecraftData.spacecraftProperties.fuelMass = parseFloat(document.getElementById('fuel-mass').value);
         spacecraftData.spacecraftProperties.maxFuelMass = parseFloat(document.getElementById('max-fuel-mass').value);
-        spacecraftData.spacecraftProperties.inertia.x = parseFloat(document.getElementById('inertia-xx').value);
-        spacecraftData.spacecraftProperties.inertia.y = parseFloat(document.getElementById('inertia-yy').value);
-        spacecraftData.spacecraftProperties.inertia.z = parseFloat(document.getElementById('inertia-zz').value);
+        spacecraftData.spacecraftProperties.inertia = {
+            x: parseFloat(document.getElementById('inertia-xx').value),
+            y: parseFloat(document.getElementById('inertia-yy').value),
+            z: parseFloat(document.getElementById('inertia-zz').value),
+            xy: parseFloat(document.getElementById('inertia-xy').value) || 0,
+            xz: parseFloat(document.getElementById('inertia-xz').value) || 0,
+            yz: parseFloat(document.getElementById('inertia-yz').value) || 0
+        };
         
         // DEBUG: Print spacecraftData.cmg before export
         console.log('DEBUG: spacecraftData.cmg before export:', JSON.stringify(spacecraftData.cmg, null, 2));
@@ -571,6 +579,7 @@ function setupEventListeners() {
         
         exportData.reactionwheels?.wheels?.forEach(w => offsetPosition(w.position));
         exportData.lamps?.lamps?.forEach(l => offsetPosition(l.position));
+        exportData.spacecraftProperties?.tanks?.forEach(t => offsetPosition(t.position));
         
         // Create a new object with the structure expected by the validation function
         // CORRECTED: Explicitly include the model and its features
@@ -704,6 +713,7 @@ function setupEventListeners() {
                             transformedData.cmg?.cmgs?.forEach(c => restorePosition(c.position));
                             transformedData.reactionwheels?.wheels?.forEach(w => restorePosition(w.position));
                             transformedData.lamps?.lamps?.forEach(l => restorePosition(l.position));
+                            transformedData.spacecraftProperties?.tanks?.forEach(t => restorePosition(t.position));
                         }
                         
                         // Update the main spacecraft data object with the transformed data
@@ -716,9 +726,7 @@ function setupEventListeners() {
                         document.getElementById('dry-mass').value = props.dryMass;
                         document.getElementById('fuel-mass').value = props.fuelMass;
                         document.getElementById('max-fuel-mass').value = props.maxFuelMass;
-        document.getElementById('inertia-xx').value = props.inertia.x;
-        document.getElementById('inertia-yy').value = props.inertia.y;
-        document.getElementById('inertia-zz').value = props.inertia.z;
+        setInertiaFields(props);
                         
                         const cg = props.centerOfMass || { x: 0, y: 0, z: 0 };
                         document.getElementById('cg-x').value = cg.x;
@@ -790,6 +798,11 @@ function setupEventListeners() {
         }
         // Also update the data object
         spacecraftData.spacecraftProperties.centerOfMass = { x, y, z };
+        // Auto-bound thruster keys depend on the lever arms about the CG
+        if (thrustersTab.features.some(f => f.autoBind)) {
+            thrustersTab.updateSpacecraftData();
+            thrustersTab.updateFeaturesList();
+        }
     }
 
     cgCheckbox.addEventListener('change', () => {
@@ -803,6 +816,25 @@ function setupEventListeners() {
     cgZInput.addEventListener('input', updateCGPosition);
 }
 
+// Fill the inertia inputs from any inertia form the simulator accepts
+// (diagonal, diagonal + products, matrix, or principal + orientation).
+function setInertiaFields(props) {
+    let tensor;
+    try {
+        tensor = parseInertia(props.inertia || { x: 3, y: 3, z: 3 });
+    } catch (error) {
+        console.warn('Could not read inertia from config, using defaults:', error);
+        tensor = { xx: 3, yy: 3, zz: 3, xy: 0, xz: 0, yz: 0 };
+    }
+    document.getElementById('inertia-xx').value = tensor.xx;
+    document.getElementById('inertia-yy').value = tensor.yy;
+    document.getElementById('inertia-zz').value = tensor.zz;
+    document.getElementById('inertia-xy').value = tensor.xy;
+    document.getElementById('inertia-xz').value = tensor.xz;
+    document.getElementById('inertia-yz').value = tensor.yz;
+    props.inertia = { x: tensor.xx, y: tensor.yy, z: tensor.zz, xy: tensor.xy, xz: tensor.xz, yz: tensor.yz };
+}
+
 // Show notification
 function showNotification(message, type = 'success') {
     const notification = document.getElementById('notification');
@@ -11,12 +11,18 @@ PORT = 8000
 FILE_PREFIX = "index"
 FILE_SUFFIX = ".html"
 CHECK_INTERVAL = 5  # seconds between file update checks
+# The editor imports modules it shares with the simulator from the repo root
+# (../inertiaTensor.js, ../thrusterAllocation.js), so the server's root is the
+# repo and the editor is at /editor/.
+EDITOR_DIR = os.path.dirname(os.path.abspath(__file__))
+ROOT_DIR = os.path.dirname(EDITOR_DIR)
 
 # --- 1. Find the file with the highest number ---
 def find_highest_version_file():
     """
-    Searches the current directory for files matching the pattern
-    and returns the one with the highest numerical suffix.
+    Searches the editor directory for files matching the pattern
+    and returns the one with the highest numerical suffix (plain index.html
+    counts as 0).
     """
     max_num = -1
     target_filename = None
@@ -24,7 +30,13 @@ def find_highest_version_file():
     # Use a regular expression to find the number in the filename
     pattern = re.compile(rf"^{re.escape(FILE_PREFIX)}(\d+){re.escape(FILE_SUFFIX)}$")
 
-    for filename in os.listdir("."):
+    for filename in os.listdir(EDITOR_DIR):
+        if filename == f"{FILE_PREFIX}{FILE_SUFFIX}":
+            num = 0
+            if num > max_num:
+                max_num = num
+                target_filename = filename
+            continue
         match = pattern.match(filename)
         if match:
             # Extract the number and convert it to an integer
@@ -42,23 +54,30 @@ def find_highest_version_file():
 # --- 2. Create a custom web server handler ---
 class CustomHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
     """
-    A custom handler that serves a specific file when the root URL is requested.
+    A custom handler that serves the repo root and sends the root URL to our
+    target file in /editor/.
     """
     # Class attributes to track the current file and its modification time
     target_file = None
     current_file_mtime = 0
     lock = threading.Lock()
     
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, directory=ROOT_DIR, **kwargs)
+
     def do_GET(self):
-        # If the user requests the root directory, serve our target file
-        if self.path == '/':
+        # If the user requests the root directory, redirect to our target file
+        # so the editor's relative imports resolve under /editor/
+        if self.path in ('/', '/editor', '/editor/'):
             # Check if the target file exists before trying to serve it
             with CustomHTTPRequestHandler.lock:
-                if os.path.exists(self.target_file):
-                    self.path = self.target_file  # Trick the parent class into serving our file
+                if os.path.exists(os.path.join(EDITOR_DIR, self.target_file)):
+                    self.send_response(302)
+                    self.send_header('Location', f"/editor/{self.target_file}")
+                    self.end_headers()
                 else:
                     self.send_error(404, f"File Not Found: {self.target_file}")
-                    return
+                return
         
         # For all other paths, use the default behavior (e.g., serving CSS, JS files)
         super().do_GET()
@@ -78,11 +97,11 @@ def check_for_updates():
             if new_file and new_file != CustomHTTPRequestHandler.target_file:
                 print(f"New file detected: {new_file}. Reloading...")
                 CustomHTTPRequestHandler.target_file = new_file
-                CustomHTTPRequestHandler.current_file_mtime = os.path.getmtime(new_file)
+                CustomHTTPRequestHandler.current_file_mtime = os.path.getmtime(os.path.join(EDITOR_DIR, new_file))
             
             # Check if the current file has been modified
-            elif os.path.exists(CustomHTTPRequestHandler.target_file):
-                current_mtime = os.path.getmtime(CustomHTTPRequestHandler.target_file)
+            elif os.path.exists(os.path.join(EDITOR_DIR, CustomHTTPRequestHandler.target_file)):
+                current_mtime = os.path.getmtime(os.path.join(EDITOR_DIR, CustomHTTPRequestHandler.target_file))
                 if current_mtime != CustomHTTPRequestHandler.current_file_mtime:
                     print(f"File {CustomHTTPRequestHandler.target_file} has been modified. Reloading...")
                     CustomHTTPRequestHandler.current_file_mtime = current_mtime
@@ -93,12 +112,12 @@ if __name__ == "__main__":
     file_to_serve = find_highest_version_file()
 
     if not file_to_serve:
-        print(f"Error: Could not find any files matching '{FILE_PREFIX}*{FILE_SUFFIX}' in the current directory.")
+        print(f"Error: Could not find any files matching '{FILE_PREFIX}*{FILE_SUFFIX}' in {EDITOR_DIR}.")
         sys.exit(1)
 
     # Set the target file and its initial modification time
     CustomHTTPRequestHandler.target_file = file_to_serve
-    CustomHTTPRequestHandler.current_file_mtime = os.path.getmtime(file_to_serve)
+    CustomHTTPRequestHandler.current_file_mtime = os.path.getmtime(os.path.join(EDITOR_DIR, file_to_serve))
 
     # Start the update checker thread
     update_thread = threading.Thread(target=check_for_updates, daemon=True)
@@ -106,7 +125,7 @@ if __name__ == "__main__":
 
     # Start the server
     with socketserver.TCPServer(("", PORT), CustomHTTPRequestHandler) as httpd:
-        print(f"Serving '{file_to_serve}' at http://localhost:{PORT}")
+        print(f"Serving '{file_to_serve}' at http://localhost:{PORT}/editor/{file_to_serve}")
         print("Press Ctrl+C to stop the server.")
         try:
             httpd.serve_forever()
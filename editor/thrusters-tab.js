@@ -1,10 +1,7 @@
 //thrusters-tab.js
 import * as THREE from 'three';
 import { FeatureManager } from './featureManager.js';
-
-// Auto-binding tolerances
-const TRANSLATION_ANGLE_DEGREES = 90-15;
-const TRANSLATION_TOLERANCE = Math.cos(TRANSLATION_ANGLE_DEGREES * Math.PI / 180);
+import { computeKeyAllocation, keysForThruster } from '../thrusterAllocation.js';
 
 export class ThrustersTab extends FeatureManager {
     constructor(scene, spacecraftData) {
@@ -88,44 +85,43 @@ export class ThrustersTab extends FeatureManager {
         }
     }
     
-    // Auto-binding logic that returns an array of keys
-    autoBindThruster(thruster) {
-        const dir = new THREE.Vector3(thruster.direction[0], thruster.direction[1], thruster.direction[2]);
-        dir.normalize(); // Add this line to normalize the direction vector
-        const pos = new THREE.Vector3(thruster.position[0], thruster.position[1], thruster.position[2]);
-        const keys = [];
-        
-        // Translation: thruster points mostly along one axis
-        const dot = (a, b) => a.dot(b);
-        if (Math.abs(dot(dir, new THREE.Vector3(0, 0, 1))) > TRANSLATION_TOLERANCE) {
-            keys.push(dir.z > 0 ? 'w' : 's');
-        }
-        if (Math.abs(dot(dir, new THREE.Vector3(1, 0, 0))) > TRANSLATION_TOLERANCE) {
-            keys.push(dir.x > 0 ? 'a' : 'd');
-        }
-        if (Math.abs(dot(dir, new THREE.Vector3(0, 1, 0))) > TRANSLATION_TOLERANCE) {
-            keys.push(dir.y > 0 ? 'e' : 'q');
-        }
-        
-        // Rotation: torque = r × F  (lever arm × direction)
-        const torque = new THREE.Vector3().crossVectors(pos, dir);
-
-        // Pitch (rotation around X axis)
-        if (Math.abs(torque.x) > 0.025) {
-            keys.push(torque.x > 0 ? 'k' : 'i'); // pitch up/down
-        }
-
-        // Yaw (rotation around Y axis)
-        if (Math.abs(torque.y) > 0.025) {
-            keys.push(torque.y > 0 ? 'j' : 'l'); // yaw left/right
-        }
-
-        // Roll (rotation around Z axis)
-        if (Math.abs(torque.z) > 0.025) {
-            keys.push(torque.z > 0 ? 'o' : 'u'); // roll left/right
-        }
-        
-        return keys; // Return array of keys
+    // Center of mass from the CG inputs; thruster lever arms are measured from it.
+    getCenterOfMass() {
+        const value = id => parseFloat(document.getElementById(id)?.value) || 0;
+        return { x: value('cg-x'), y: value('cg-y'), z: value('cg-z') };
+    }
+    
+    // Auto-binding: the keybinds of every auto-bound thruster come from the
+    // simulator's allocation solver (../thrusterAllocation.js). Each key is a
+    // body force or torque, so what a thruster is bound to depends on the
+    // other auto-bound thrusters too, and all of them are recomputed together.
+    refreshAutoBindings() {
+        const cg = this.getCenterOfMass();
+        const thrusters = this.features.map(f => {
+            const dir = new THREE.Vector3(f.direction[0], f.direction[1], f.direction[2]).normalize();
+            return {
+                pos: { x: f.position[0] - cg.x, y: f.position[1] - cg.y, z: f.position[2] - cg.z },
+                dir: { x: dir.x, y: dir.y, z: dir.z },
+                thrust: parseFloat(f.thrust) || 0
+            };
+        });
+        const allocation = computeKeyAllocation(thrusters, { isAvailable: i => !!this.features[i].autoBind });
+        this.features.forEach((feature, index) => {
+            if (feature.autoBind) feature.keybind = keysForThruster(allocation, index);
+        });
+    }
+    
+    // Keep auto-bound keybinds current whenever the thruster list changes
+    // (add, copy, delete and edits all end up here).
+    updateSpacecraftData() {
+        this.refreshAutoBindings();
+        super.updateSpacecraftData();
+    }
+    
+    loadFromData(spacecraftData) {
+        super.loadFromData(spacecraftData);
+        this.refreshAutoBindings();
+        this.updateFeaturesList();
     }
     
     addFeature() {
@@ -227,38 +223,18 @@ export class ThrustersTab extends FeatureManager {
             }
         }
         
-        // Handle auto-binding
-        if (property === 'autoBind' && value === true) {
-            const autoKeys = this.autoBindThruster(feature);
-            if (autoKeys.length > 0) {
-                feature.keybind = autoKeys;
-            } else {
-                // If no auto-binding found, uncheck box
-                feature.autoBind = false;
-                this.updateFeaturesList();
-                return;
-            }
-        } else if (property === 'autoBind' && value === false) {
-            // Clear keybinds when auto-bind is disabled
+        // Clear keybinds when auto-bind is disabled; enabling it is handled
+        // by updateSpacecraftData() below.
+        if (property === 'autoBind' && value === false) {
             feature.keybind = [];
         }
         
         // Update visual if position or direction changed
         if (property.startsWith('position') || property.startsWith('direction')) {
             this.updateVisual(index, feature);
-            
-            // If auto-bind is enabled, recalculate keybinds
-            if (feature.autoBind) {
-                const autoKeys = this.autoBindThruster(feature);
-                if (autoKeys.length > 0) {
-                    feature.keybind = autoKeys;
-                } else {
-                    feature.autoBind = false;
-                }
-            }
         }
         
-        // Update spacecraft data
+        // Update spacecraft data (recalculates auto-bound keybinds)
         this.updateSpacecraftData();
         
         // Refresh UI to show updated keybinds if needed
@@ -268,19 +244,17 @@ export class ThrustersTab extends FeatureManager {
     }
     
     shouldRefreshUI(property, feature) {
-        // Refresh UI if auto-binding changed or if auto-bind is enabled and position/direction changed
+        // Refresh UI if auto-binding changed, or if any thruster is auto-bound and
+        // a property the allocation depends on changed
         return property === 'autoBind' || property === 'keybind' ||
-               (feature.autoBind && (property.startsWith('position') || property.startsWith('direction')));
+               (this.features.some(f => f.autoBind) &&
+                (property.startsWith('position') || property.startsWith('direction') || property === 'thrust'));
     }
     
     // Method to auto-bind all thrusters
     autoBindAll() {
-        this.features.forEach((thruster, index) => {
-            const autoKeys = this.autoBindThruster(thruster);
-            if (autoKeys.length > 0) {
-                thruster.keybind = autoKeys;
-                thruster.autoBind = true;
-            }
+        this.features.forEach(thruster => {
+            thruster.autoBind = true;
         });
         
         // Update spacecraft data and refresh UI
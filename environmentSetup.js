@@ -1,7 +1,8 @@
 // File: environmentSetup.js
 // Static scene decoration extracted from simulation.js: space station model,
 // lighting rig, world axes helper, and the eye-chart target plane.
-// Each function only needs the THREE scene (and optionally a config path).
+// Each function only needs the THREE scene, plus the scenario's station
+// choice and lighting when a scenario file sets them (scenarioLoader.js).
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
@@ -11,17 +12,32 @@ const MODEL_PATH = 'https://raw.githubusercontent.com/nasa/NASA-3D-Resources/11e
 
 // Load the static space station into the scene. Returns the station object once
 // loaded (also added to the scene). The caller usually stores it for later use.
-export function loadSpaceStation(scene) {
+// `choice` is 'gateway' (the default), 'none', or { url, position?, scale? }
+// for another glTF model.
+export function loadSpaceStation(scene, choice = 'gateway') {
+  if (choice === 'none') {
+    console.log('Scenario has no space station');
+    return undefined;
+  }
+  const custom = typeof choice === 'object' && choice !== null;
+  if (!custom && choice !== 'gateway') console.warn(`Unknown station "${choice}", using the Gateway`);
   const loader = new GLTFLoader();
   let station;
-  loader.load(MODEL_PATH, gltf => {
+  loader.load(custom ? choice.url : MODEL_PATH, gltf => {
     station = gltf.scene;
-    station.scale.set(1,1,1);
-    const rot1 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI/180*-25);
-    station.quaternion.multiply(rot1);
-    const rot2 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI/180*-10);
-    station.quaternion.multiply(rot2);
-    station.position.set(0, 0, 0);
+    if (custom) {
+      const scale = choice.scale ?? 1;
+      station.scale.set(scale, scale, scale);
+      const p = choice.position || { x: 0, y: 0, z: 0 };
+      station.position.set(p.x, p.y, p.z);
+    } else {
+      station.scale.set(1,1,1);
+      const rot1 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI/180*-25);
+      station.quaternion.multiply(rot1);
+      const rot2 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI/180*-10);
+      station.quaternion.multiply(rot2);
+      station.position.set(0, 0, 0);
+    }
     station.traverse((child) => {
       if (child.isMesh) {
         child.receiveShadow = true;
@@ -35,15 +51,20 @@ export function loadSpaceStation(scene) {
 
 // Add the lighting rig: low ambient, key directional light with high-quality
 // shadows, and a soft fill light. Also adds a small world-axes helper.
-export function setupLighting(scene) {
+// A scenario's `lighting` can override ambient (color), sunColor,
+// sunIntensity, sunPosition ({ x, y, z }, the sun shines from there toward
+// the origin) and fillIntensity.
+export function setupLighting(scene, lighting = null) {
+  const l = lighting || {};
   // Reduced ambient light intensity to make shadows appear darker in shadowed areas
-  scene.add(new THREE.AmbientLight(0x111111));
+  scene.add(new THREE.AmbientLight(l.ambient ?? 0x111111));
 
   // Enhanced directional light with high-quality shadow casting.
   // Shadow map reduced from 4096² to 2048² — a 4× drop in shadow-fill work
   // with negligible visual difference for this scene's scale.
-  const dirLight = new THREE.DirectionalLight(0xffffff, 2.5);
-  dirLight.position.set(-10, -2, -1);
+  const dirLight = new THREE.DirectionalLight(l.sunColor ?? 0xffffff, l.sunIntensity ?? 2.5);
+  const sun = l.sunPosition || { x: -10, y: -2, z: -1 };
+  dirLight.position.set(sun.x, sun.y, sun.z);
   dirLight.castShadow = true;
   dirLight.shadow.mapSize.width = 2048;
   dirLight.shadow.mapSize.height = 2048;
@@ -58,7 +79,7 @@ export function setupLighting(scene) {
   scene.add(dirLight);
 
   // Secondary fill light for subtle shadow gradients
-  const fillLight = new THREE.DirectionalLight(0x334466, 0.15);
+  const fillLight = new THREE.DirectionalLight(0x334466, l.fillIntensity ?? 0.15);
   fillLight.position.set(5, 1, 2);
   scene.add(fillLight);
 
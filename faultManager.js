@@ -0,0 +1,401 @@
+// File: faultManager.js
+// Fault injection. A scenario lists faults in the `faults` array of its
+// initial position file, and each one fires when its trigger holds. An
+// instructor can fire more while the sim runs (fault panel, ` + M).
+//
+//   "faults": [
+//     { "type": "thrusterStuckOff", "target": { "direction": { "z": 1 } },
+//       "trigger": { "region": { "max": { "z": 2 } } } },
+//     { "type": "thrusterDegraded", "target": 3, "thrustScale": 0.5,
+//       "trigger": { "time": 30 }, "duration": 20 }
+//   ]
+//
+// Fault types (FAULT_TYPES) and what they act on:
+//   thrusterStuckOff, thrusterStuckOpen           thruster
+//   thrusterLeak { leakRate }                     thruster
+//   thrusterDegraded { thrustScale, ispScale }    thruster
+//   reactionWheelFailed, reactionWheelSaturated   reaction wheel
+//   cmgFailed, cmgSaturated                       CMG
+//   sensorBias { bias }, sensorDropout            sensor (SENSOR_FIELDS, sensors.js)
+//   lampFailed                                    lamp (index or id)
+//   cameraBlackout                                onboard camera (index or name)
+//
+// `target` is an index, a name or "all". Thrusters, wheels and CMGs also take
+// "random" (their default) or, for thrusters, { "direction": {x,y,z} }: a
+// random thruster whose thrust points along that world direction when the
+// fault fires. Lamps and cameras default to "all".
+//
+// Trigger conditions; all that are given must hold, and none means at once:
+//   time        simulated seconds since the last reset
+//   region      { min, max } box (leave out any bound) or { center, radius }
+//   fuelBelow   fuel left, percent of a full tank
+//   hazardRate  failures per second while the rest holds (Poisson process)
+// `duration` (s) clears the fault again; otherwise it lasts until reset.
+//
+// Thruster and actuator faults are written onto those objects, so
+// SimulationCore and AttitudeControlSystem only read flags: thruster.fault
+// ({ stuckOff, stuckOpen, leakDuty, thrustScale, ispScale } or null),
+// wheel.failed and cmg.failed. Saturation is a one-off: the momentum jumps to its limit when
+// the fault fires. Lamps, cameras and sensors are queried by their owners.
+//
+// Random picks come from core.random, which the browser seeds, so faults
+// replay exactly. No DOM and no Three.js: headless runs use it too.
+
+import { getFuelStatus } from './spacecraftPhysics.js';
+
+export const FAULT_TYPES = {
+  thrusterStuckOff: { target: 'thruster', label: 'Thruster stuck off' },
+  thrusterStuckOpen: { target: 'thruster', label: 'Thruster stuck open' },
+  thrusterLeak: { target: 'thruster', label: 'Thruster leak' },
+  thrusterDegraded: { target: 'thruster', label: 'Thruster degraded' },
+  reactionWheelFailed: { target: 'reactionWheel', label: 'Reaction wheel failed' },
+  reactionWheelSaturated: { target: 'reactionWheel', label: 'Reaction wheel saturated' },
+  cmgFailed: { target: 'cmg', label: 'CMG failed' },
+  cmgSaturated: { target: 'cmg', label: 'CMG saturated' },
+  sensorBias: { target: 'sensor', label: 'Sensor bias' },
+  sensorDropout: { target: 'sensor', label: 'Sensor dropout' },
+  lampFailed: { target: 'lamp', label: 'Lamp failed' },
+  cameraBlackout: { target: 'camera', label: 'Camera blackout' }
+};
+
+// Controller state fields (controllerState.js) fed by each sensor. A bias is
+// added to all of them, a dropout sets them to null. The sensor models in
+// sensors.js read their faults through getSensorFaults(); accelerometer and
+// relative (line of sight to the docking target) exist only there.
+export const SENSOR_FIELDS = {
+  position: ['position'],
+  velocity: ['velocity', 'velocityBody'],
+  attitude: ['orientation', 'attitude'],
+  gyro: ['gyro', 'angularVelocity', 'gyroBody', 'angularVelocityBody'],
+  accelerometer: [],
+  relative: []
+};
+
+export const DEFAULT_LEAK_RATE = 0.05;
+
+function finite(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Check one fault entry and fill in defaults. Throws on anything unusable.
+export function parseFault(spec) {
+  const info = FAULT_TYPES[spec?.type];
+  if (!info) throw new Error(`Unknown fault type: ${spec?.type}`);
+
+  let target = spec.target;
+  if (typeof target === 'string' && /^\d+$/.test(target.trim())) target = parseInt(target, 10);
+  if (target === undefined || target === null || target === '') {
+    target = info.target === 'sensor' ? 'gyro'
+      : (info.target === 'lamp' || info.target === 'camera') ? 'all' : 'random';
+  }
+  if (info.target === 'sensor' && !SENSOR_FIELDS[target]) throw new Error(`Unknown sensor: ${target}`);
+
+  const fault = {
+    type: spec.type,
+    target,
+    trigger: spec.trigger || {},
+    duration: finite(spec.duration, 0) > 0 ? Number(spec.duration) : null
+  };
+  if (spec.type === 'thrusterLeak') {
+    // Fraction of full thrust (and of its fuel flow) that leaks out
+    fault.leakRate = Math.min(1, Math.max(0, finite(spec.leakRate, DEFAULT_LEAK_RATE)));
+  }
+  if (spec.type === 'thrusterDegraded') {
+    fault.thrustScale = Math.max(0, finite(spec.thrustScale, 1));
+    fault.ispScale = Math.max(0.01, finite(spec.ispScale, 1)); // Isp must stay > 0
+  }
+  if (spec.type === 'sensorBias') {
+    const b = spec.bias || {};
+    fault.bias = target === 'attitude'
+      ? { roll: finite(b.roll, 0), pitch: finite(b.pitch, 0), yaw: finite(b.yaw, 0) }
+      : { x: finite(b.x, 0), y: finite(b.y, 0), z: finite(b.z, 0) };
+  }
+  return fault;
+}
+
+function inRegion(p, region) {
+  if (region.center) {
+    const c = region.center;
+    const dx = p.x - (c.x || 0), dy = p.y - (c.y || 0), dz = p.z - (c.z || 0);
+    return dx * dx + dy * dy + dz * dz <= (region.radius || 0) ** 2;
+  }
+  return ['x', 'y', 'z'].every(axis =>
+    (region.min?.[axis] === undefined || p[axis] >= region.min[axis]) &&
+    (region.max?.[axis] === undefined || p[axis] <= region.max[axis]));
+}
+
+// The deterministic trigger conditions (everything but hazardRate).
+function conditionsHold(trigger, core) {
+  if (trigger.time !== undefined && core.time < trigger.time) return false;
+  if (trigger.region && !(core.body && inRegion(core.body.position, trigger.region))) return false;
+  if (trigger.fuelBelow !== undefined) {
+    const fuel = getFuelStatus();
+    const percent = fuel.maxFuelMass > 0 ? fuel.fuelMass / fuel.maxFuelMass * 100 : 0;
+    if (percent >= trigger.fuelBelow) return false;
+  }
+  return true;
+}
+
+// "t ≥ 30 s, fuel < 50%" for the instructor panel.
+export function describeTrigger(trigger = {}) {
+  const parts = [];
+  if (trigger.time !== undefined) parts.push(`t ≥ ${trigger.time} s`);
+  if (trigger.region) parts.push('in region');
+  if (trigger.fuelBelow !== undefined) parts.push(`fuel < ${trigger.fuelBelow}%`);
+  if (trigger.hazardRate > 0) parts.push(`${trigger.hazardRate}/s hazard`);
+  return parts.length ? parts.join(', ') : 'at start';
+}
+
+export class FaultManager {
+  constructor() {
+    this.schedule = []; // Parsed scenario faults
+    this.pending = [];  // Scheduled faults that have not fired since the reset
+    this.active = [];   // Fired faults: the fault plus id, indices, activatedAt, clearAt, source
+    this.history = [];  // { time, event: 'activated' | 'cleared', id, type, source }
+    this.nextId = 1;
+    this.onChange = null; // (active) => void, whenever the active set changes
+  }
+
+  // Scenario fault list (the position file's `faults`). Bad entries are
+  // skipped with an error.
+  load(faults) {
+    this.schedule = [];
+    (Array.isArray(faults) ? faults : []).forEach((spec, i) => {
+      try {
+        this.schedule.push(parseFault(spec));
+      } catch (error) {
+        console.error(`Skipping fault ${i}:`, error.message);
+      }
+    });
+    this.pending = [...this.schedule];
+    if (this.schedule.length) console.log(`Loaded ${this.schedule.length} scheduled fault(s)`);
+  }
+
+  // Clear every fault and re-arm the schedule.
+  reset(core) {
+    this.active = [];
+    this.pending = [...this.schedule];
+    this.history = [];
+    this.nextId = 1;
+    this._changed(core);
+  }
+
+  // Once per physics step, before anything fires: expire faults whose
+  // duration is up and fire scheduled faults whose trigger holds.
+  update(core) {
+    let changed = false;
+    this.active = this.active.filter(f => {
+      if (f.clearAt === null || core.time < f.clearAt) return true;
+      this._record('cleared', f, core);
+      changed = true;
+      return false;
+    });
+    this.pending = this.pending.filter(fault => {
+      if (!conditionsHold(fault.trigger, core)) return true;
+      const rate = fault.trigger.hazardRate;
+      if (rate > 0 && core.random() >= 1 - Math.exp(-rate * core.stepSize)) return true;
+      this._activate(fault, core, 'schedule');
+      changed = true;
+      return false;
+    });
+    if (changed) this._changed(core);
+  }
+
+  // Fire a fault now (instructor panel). Throws on a bad spec.
+  inject(spec, core) {
+    const active = this._activate(parseFault(spec), core, 'instructor');
+    this._changed(core);
+    return active;
+  }
+
+  clear(id, core) {
+    const fault = this.active.find(f => f.id === id);
+    if (!fault) return;
+    this.active = this.active.filter(f => f !== fault);
+    this._record('cleared', fault, core);
+    this._changed(core);
+  }
+
+  clearAll(core) {
+    this.active.forEach(f => this._record('cleared', f, core));
+    this.active = [];
+    this._changed(core);
+  }
+
+  // Thrusters, wheels or CMGs the fault kind acts on; null for kinds that
+  // are matched when queried (lamps, cameras, sensors).
+  _targetList(kind, core) {
+    const ac = core.attitudeControl;
+    if (kind === 'thruster') return core.thrusters;
+    if (kind === 'reactionWheel') return ac ? ac.reactionWheels : [];
+    if (kind === 'cmg') return ac ? ac.cmgs : [];
+    return null;
+  }
+
+  _resolveTarget(fault, list, core) {
+    const target = fault.target;
+    if (target === 'all') return list.map((_, i) => i);
+    if (typeof target === 'number') return target >= 0 && target < list.length ? [target] : [];
+    if (typeof target === 'string' && target !== 'random') {
+      const index = list.findIndex(item => item.name === target);
+      return index >= 0 ? [index] : [];
+    }
+
+    let candidates = list.map((_, i) => i);
+    const d = target?.direction;
+    if (d && FAULT_TYPES[fault.type].target === 'thruster' && core.body) {
+      // thruster.dir is body frame; compare in world frame
+      const facing = candidates.filter(i => {
+        const w = core.body.quaternion.vmult(list[i].dir);
+        return w.x * (d.x || 0) + w.y * (d.y || 0) + w.z * (d.z || 0) > 0;
+      });
+      if (facing.length) candidates = facing;
+    }
+    if (!candidates.length) return [];
+    return [candidates[Math.floor(core.random() * candidates.length)]];
+  }
+
+  _activate(fault, core, source) {
+    const kind = FAULT_TYPES[fault.type].target;
+    const list = this._targetList(kind, core);
+    const active = {
+      ...fault,
+      id: this.nextId++,
+      source,
+      indices: list ? this._resolveTarget(fault, list, core) : null,
+      activatedAt: core.time,
+      clearAt: fault.duration ? core.time + fault.duration : null
+    };
+    if (active.indices && active.indices.length === 0) {
+      console.warn(`Fault ${fault.type}: no ${kind} matches target ${JSON.stringify(fault.target)}`);
+    }
+    if (fault.type === 'reactionWheelSaturated' || fault.type === 'cmgSaturated') {
+      active.indices.forEach(i => this._saturate(list[i]));
+    }
+    this.active.push(active);
+    this._record('activated', active, core);
+    return active;
+  }
+
+  // Momentum straight to the limit, keeping its direction.
+  _saturate(actuator) {
+    const h = actuator.currentAngularMomentum;
+    if (typeof h === 'number') {
+      actuator.currentAngularMomentum = (h < 0 ? -1 : 1) * actuator.maxAngularMomentum;
+      return;
+    }
+    const length = h.length();
+    if (length > 1e-9) h.scale(actuator.maxAngularMomentum / length, h);
+    else h.set(actuator.maxAngularMomentum, 0, 0);
+  }
+
+  _record(event, fault, core) {
+    this.history.push({ time: core.time, event, id: fault.id, type: fault.type, source: fault.source });
+    console.log(`Fault ${event} at t = ${core.time.toFixed(2)} s: ${this.describe(fault, core)}`);
+  }
+
+  // Rewrite the fault flags on the thrusters, wheels and CMGs from the
+  // active list. Also call after the thrusters or actuators are rebuilt.
+  applyEffects(core) {
+    const ac = core.attitudeControl;
+    core.thrusters.forEach(t => { t.fault = null; });
+    if (ac) {
+      ac.reactionWheels.forEach(wheel => { wheel.failed = false; });
+      ac.cmgs.forEach(cmg => { cmg.failed = false; });
+    }
+
+    this.active.forEach(f => {
+      const list = this._targetList(FAULT_TYPES[f.type].target, core);
+      if (!list) return;
+      f.indices.forEach(i => {
+        const item = list[i];
+        if (!item) return;
+        if (f.type === 'reactionWheelFailed' || f.type === 'cmgFailed') {
+          item.failed = true;
+          return;
+        }
+        if (FAULT_TYPES[f.type].target !== 'thruster') return;
+        const fault = item.fault || (item.fault = { stuckOff: false, stuckOpen: false, leakDuty: 0, thrustScale: 1, ispScale: 1 });
+        if (f.type === 'thrusterStuckOff') {
+          fault.stuckOff = true;
+          fault.stuckOpen = false;
+        } else if (f.type === 'thrusterStuckOpen') {
+          fault.stuckOpen = true;
+          fault.stuckOff = false;
+        } else if (f.type === 'thrusterLeak') {
+          fault.leakDuty = Math.max(fault.leakDuty, f.leakRate);
+        } else {
+          fault.thrustScale *= f.thrustScale;
+          fault.ispScale *= f.ispScale;
+        }
+      });
+    });
+  }
+
+  _changed(core) {
+    this.applyEffects(core);
+    if (this.onChange) this.onChange(this.active);
+  }
+
+  // A target matches by index, by name/id, or "all".
+  _matches(fault, index, name) {
+    return fault.target === 'all' || fault.target === index || (name !== undefined && fault.target === name);
+  }
+
+  isLampFailed(index, id) {
+    return this.active.some(f => f.type === 'lampFailed' && this._matches(f, index, id));
+  }
+
+  isCameraBlackedOut(index, name) {
+    return this.active.some(f => f.type === 'cameraBlackout' && this._matches(f, index, name));
+  }
+
+  // Bias or blank the controller state in place (see SENSOR_FIELDS).
+  applySensorFaults(state) {
+    this.active.forEach(f => {
+      if (f.type !== 'sensorBias' && f.type !== 'sensorDropout') return;
+      SENSOR_FIELDS[f.target].forEach(field => {
+        if (!(field in state)) return; // Truth hidden by the sensor suite
+        if (f.type === 'sensorDropout') {
+          state[field] = null;
+        } else if (state[field]) {
+          const biased = { ...state[field] };
+          Object.entries(f.bias).forEach(([key, value]) => { biased[key] += value; });
+          state[field] = biased;
+        }
+      });
+    });
+    return state;
+  }
+
+  // Combined effect of the active faults on one sensor (a SENSOR_FIELDS
+  // key): { dropout, bias } with the biases summed, or null bias.
+  getSensorFaults(sensor) {
+    let dropout = false, bias = null;
+    this.active.forEach(f => {
+      if (f.target !== sensor) return;
+      if (f.type === 'sensorDropout') dropout = true;
+      if (f.type === 'sensorBias') {
+        bias = bias || {};
+        Object.entries(f.bias).forEach(([key, value]) => { bias[key] = (bias[key] || 0) + value; });
+      }
+    });
+    return { dropout, bias };
+  }
+
+  // "Thruster stuck off: T3" for logs and the instructor panel. Works for
+  // scheduled entries (no indices yet) as well as fired faults.
+  describe(fault, core) {
+    const info = FAULT_TYPES[fault.type];
+    const list = fault.indices ? this._targetList(info.target, core) : null;
+    const target = list
+      ? (fault.indices.map(i => list[i]?.name || `#${i}`).join(', ') || 'none')
+      : (typeof fault.target === 'object' ? 'random, facing direction' : String(fault.target));
+    let detail = '';
+    if (fault.type === 'thrusterLeak') detail = ` (${(fault.leakRate * 100).toFixed(1)}% thrust)`;
+    if (fault.type === 'thrusterDegraded') detail = ` (thrust ×${fault.thrustScale}, Isp ×${fault.ispScale})`;
+    if (fault.type === 'sensorBias') detail = ` (${Object.entries(fault.bias).map(([k, v]) => `${k} ${v}`).join(', ')})`;
+    return `${info.label}: ${target}${detail}`;
+  }
+}
@@ -0,0 +1,71 @@
+// File: fixedStepScheduler.js
+// Fixed-timestep physics scheduler. Rendering runs at whatever rate the
+// browser hands us frames, but physics always advances in constant steps of
+// PHYSICS_DT. Every subsystem (thrusters, fuel, reaction wheels, CMGs, the
+// student controller, docking checks) receives that same dt, so a run follows
+// the same trajectory on a 30 Hz laptop as on a 144 Hz desktop.
+//
+// The fraction of a step left in the accumulator after a frame is returned as
+// `alpha` so the renderer can interpolate between the previous and current
+// physics states instead of showing the stair-stepping of raw substeps.
+
+export const PHYSICS_DT = 1 / 60;
+
+export class FixedStepScheduler {
+  constructor({ stepSize = PHYSICS_DT, maxSubSteps = 15, maxFrameTime = 0.25 } = {}) {
+    this.stepSize = stepSize;
+    this.maxSubSteps = maxSubSteps;   // hard cap on steps run per rendered frame
+    this.maxFrameTime = maxFrameTime; // frame times above this are clamped (tab switches, breakpoints)
+    this.accumulator = 0;             // real seconds not yet simulated
+    this.time = 0;                    // simulated seconds since start/reset
+    this.stepCount = 0;               // physics steps taken since start/reset
+  }
+
+  // Add one rendered frame's worth of real time and run as many fixed steps
+  // as fit. `stepFn(dt)` may return false to stop early (e.g. the sim paused
+  // itself on docking mid-frame). `isReady()`, if given, is asked before each
+  // step: while it says no (the student controller has not answered yet) the
+  // steps wait and their time stays in the accumulator, to be run by a later
+  // advance() call. Returns the interpolation factor in [0, 1].
+  advance(frameTime, stepFn, isReady = null) {
+    this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+
+    let steps = 0;
+    while (this.accumulator >= this.stepSize && steps < this.maxSubSteps) {
+      if (isReady && !isReady()) {
+        // Keep no more backlog than one long frame while waiting
+        this.accumulator = Math.min(this.accumulator, this.maxFrameTime);
+        return Math.min(this.accumulator / this.stepSize, 1);
+      }
+      this.accumulator -= this.stepSize;
+      this.time += this.stepSize;
+      this.stepCount++;
+      steps++;
+      if (stepFn(this.stepSize) === false) {
+        this.accumulator = 0;
+        return 1;
+      }
+    }
+
+    // Could not keep up: drop the backlog rather than spiralling, the sim
+    // just runs slower than real time until the machine catches up.
+    if (this.accumulator >= this.stepSize) {
+      this.accumulator %= this.stepSize;
+    }
+
+    return this.accumulator / this.stepSize;
+  }
+
+  // Drop any pending partial step. Called while paused so resuming doesn't
+  // burst through the time spent paused.
+  resetAccumulator() {
+    this.accumulator = 0;
+  }
+
+  // Full reset back to t = 0 (simulation reset).
+  reset() {
+    this.accumulator = 0;
+    this.time = 0;
+    this.stepCount = 0;
+  }
+}
@@ -0,0 +1,320 @@
+// File: gamepadInput.js
+// Gamepads, joysticks and HOTAS through the Gamepad API. Analog axes fly the
+// spacecraft like partly held keys: a half-deflected stick gives half the
+// key's thruster duty, or half of full reaction-wheel/CMG torque in RW/CMG
+// mode (SimulationCore `analog` commands). Buttons trigger the keyboard's
+// one-shot actions.
+//
+// Each device (by Gamepad.id) has its own profile, saved to localStorage:
+//
+//   {
+//     "deadzone": 0.1,                         fraction of full deflection
+//     "axes": {                                one source per axis action
+//       "surge": { "axis": 1, "invert": true },
+//       "heave": { "buttons": [7, 6] }         analog buttons (triggers): plus, minus
+//     },
+//     "buttons": { "camera": 3, ... },         action -> button index
+//     "calibration": { "0": { "min": -1, "center": 0, "max": 1 } }
+//   }
+//
+// poll() once per frame; getAnalog() is then read every physics step. No
+// DOM, the setup panel lives in simulation.js.
+
+// Axis actions and the key pair they stand in for: positive deflection
+// presses the first key, negative the second.
+export const GAMEPAD_AXIS_ACTIONS = {
+  surge: { label: 'Translate +Z/-Z (W/S)', keys: ['w', 's'] },
+  sway: { label: 'Translate +X/-X (A/D)', keys: ['a', 'd'] },
+  heave: { label: 'Translate +Y/-Y (E/Q)', keys: ['e', 'q'] },
+  pitch: { label: 'Pitch +/- (K/I)', keys: ['k', 'i'] },
+  yaw: { label: 'Yaw +/- (J/L)', keys: ['j', 'l'] },
+  roll: { label: 'Roll +/- (O/U)', keys: ['o', 'u'] }
+};
+
+export const GAMEPAD_BUTTON_ACTIONS = {
+  camera: 'Switch camera (C)',
+  lamps: 'Toggle lights (V)',
+  fineControl: 'Fine control (Caps Lock)',
+  attitudeMode: 'Attitude control mode (T)',
+  pause: 'Pause/unpause (`+P)'
+};
+
+const STORAGE_KEY = 'satsim-gamepad-profiles';
+const BIND_THRESHOLD = 0.5; // deflection/press that picks an input while binding
+
+// "standard" mapping (Xbox/PlayStation layout): left stick translates, right
+// stick pitches and yaws, triggers heave, bumpers roll.
+const STANDARD_PROFILE = {
+  deadzone: 0.1,
+  axes: {
+    surge: { axis: 1, invert: true },
+    sway: { axis: 0, invert: true },
+    heave: { buttons: [7, 6] },
+    pitch: { axis: 3, invert: false },
+    yaw: { axis: 2, invert: true },
+    roll: { buttons: [5, 4] }
+  },
+  buttons: { attitudeMode: 0, fineControl: 1, lamps: 2, camera: 3, pause: 9 },
+  calibration: {}
+};
+
+// Anything else (flight sticks, HOTAS): stick rolls and pitches, twist yaws,
+// throttle gives surge. Axis numbers vary by device, so expect to rebind.
+const JOYSTICK_PROFILE = {
+  deadzone: 0.1,
+  axes: {
+    surge: { axis: 3, invert: true },
+    sway: null,
+    heave: null,
+    pitch: { axis: 1, invert: false },
+    yaw: { axis: 2, invert: true },
+    roll: { axis: 0, invert: true }
+  },
+  buttons: { attitudeMode: 0, camera: 1, lamps: 2, fineControl: 3, pause: 4 },
+  calibration: {}
+};
+
+export function defaultGamepadProfile(gamepad) {
+  return JSON.parse(JSON.stringify(gamepad?.mapping === 'standard' ? STANDARD_PROFILE : JOYSTICK_PROFILE));
+}
+
+// Raw axis value -> -1..1 around the calibrated center, with the deadzone cut
+// out and the rest rescaled so output still starts at 0.
+export function shapeAxis(raw, calibration, deadzone) {
+  const { min = -1, center = 0, max = 1 } = calibration || {};
+  const range = raw >= center ? max - center : center - min;
+  if (range <= 0) return 0;
+  const v = Math.max(-1, Math.min(1, (raw - center) / range));
+  if (Math.abs(v) <= deadzone) return 0;
+  return Math.sign(v) * (Math.abs(v) - deadzone) / (1 - deadzone);
+}
+
+export class GamepadInput {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+    this.profiles = this.loadProfiles();
+    this.gamepad = null; // the Gamepad polled last frame
+    this.profile = null; // its profile
+    this.values = {}; // axis action -> -1..1 after calibration and deadzone
+    this.raw = []; // raw axis values, last poll
+    this.calibrating = null; // { [axis]: { min, max } } while calibrating
+    this.binding = null; // { kind: 'axis'|'button', action, rest, onBound } while waiting for an input
+    this._pressed = [];
+  }
+
+  loadProfiles() {
+    if (!this.storage) return {};
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Ignoring unreadable gamepad profiles:', error.message);
+      return {};
+    }
+  }
+
+  saveProfiles() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+    } catch (error) {
+      console.warn('Could not save gamepad profiles:', error.message);
+    }
+  }
+
+  getProfile(gamepad) {
+    if (!this.profiles[gamepad.id]) this.profiles[gamepad.id] = defaultGamepadProfile(gamepad);
+    return this.profiles[gamepad.id];
+  }
+
+  resetProfile() {
+    if (!this.gamepad) return;
+    this.profiles[this.gamepad.id] = defaultGamepadProfile(this.gamepad);
+    this.profile = this.profiles[this.gamepad.id];
+    this.saveProfiles();
+  }
+
+  get connected() {
+    return !!this.gamepad;
+  }
+
+  // Read the first connected gamepad. Returns the button actions pressed since
+  // the last poll.
+  poll() {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const gamepad = [...pads].find(pad => pad && pad.connected) || null;
+    if (!gamepad) {
+      this.gamepad = null;
+      this.profile = null;
+      this.values = {};
+      this.raw = [];
+      this._pressed = [];
+      return [];
+    }
+    if (this.gamepad?.id !== gamepad.id) {
+      console.log(`Gamepad connected: ${gamepad.id} (${gamepad.mapping || 'no standard mapping'})`);
+      this._pressed = [];
+    }
+    this.gamepad = gamepad;
+    this.profile = this.getProfile(gamepad);
+    this.raw = gamepad.axes.slice();
+    const pressed = gamepad.buttons.map(b => b.pressed || b.value > BIND_THRESHOLD);
+
+    if (this.calibrating) this._trackCalibration();
+    if (this.binding) {
+      this._checkBinding(pressed);
+      this._pressed = pressed;
+      this.values = {};
+      return [];
+    }
+
+    this.values = {};
+    Object.entries(this.profile.axes).forEach(([action, source]) => {
+      const value = this._readAxis(gamepad, source);
+      if (value) this.values[action] = value;
+    });
+
+    const actions = Object.entries(this.profile.buttons)
+      .filter(([, index]) => pressed[index] && !this._pressed[index])
+      .map(([action]) => action);
+    this._pressed = pressed;
+    return actions;
+  }
+
+  _readAxis(gamepad, source) {
+    if (!source) return 0;
+    const deadzone = this.profile.deadzone ?? 0.1;
+    if (source.buttons) {
+      const [plus, minus] = source.buttons.map(i => gamepad.buttons[i]?.value || 0);
+      return shapeAxis(plus - minus, null, deadzone);
+    }
+    const raw = gamepad.axes[source.axis];
+    if (raw === undefined) return 0;
+    const value = shapeAxis(raw, this.profile.calibration[source.axis], deadzone);
+    return source.invert ? -value : value;
+  }
+
+  // Analog commands for SimulationCore: { key: 0..1 } for every deflected
+  // axis, or null.
+  getAnalog() {
+    const analog = {};
+    Object.entries(this.values).forEach(([action, value]) => {
+      const [plus, minus] = GAMEPAD_AXIS_ACTIONS[action].keys;
+      analog[value > 0 ? plus : minus] = Math.abs(value);
+    });
+    return Object.keys(analog).length ? analog : null;
+  }
+
+  // Calibration: start, move every axis through its full travel, let go,
+  // finish. The resting position becomes each axis' center.
+  startCalibration() {
+    if (!this.gamepad) return false;
+    this.calibrating = {};
+    this.raw.forEach((v, axis) => { this.calibrating[axis] = { min: v, max: v }; });
+    return true;
+  }
+
+  _trackCalibration() {
+    this.raw.forEach((v, axis) => {
+      const range = this.calibrating[axis] || (this.calibrating[axis] = { min: v, max: v });
+      range.min = Math.min(range.min, v);
+      range.max = Math.max(range.max, v);
+    });
+  }
+
+  finishCalibration() {
+    if (!this.calibrating || !this.profile) return;
+    Object.entries(this.calibrating).forEach(([axis, { min, max }]) => {
+      // An axis that never moved keeps the default range
+      if (max - min < BIND_THRESHOLD) return;
+      this.profile.calibration[axis] = { min, center: this.raw[axis] ?? 0, max };
+    });
+    this.calibrating = null;
+    this.saveProfiles();
+  }
+
+  cancelCalibration() {
+    this.calibrating = null;
+  }
+
+  clearCalibration() {
+    if (!this.profile) return;
+    this.profile.calibration = {};
+    this.saveProfiles();
+  }
+
+  setDeadzone(deadzone) {
+    if (!this.profile) return;
+    this.profile.deadzone = Math.max(0, Math.min(0.9, deadzone));
+    this.saveProfiles();
+  }
+
+  // Bind the next axis moved (or analog button pressed) to an axis action,
+  // or the next button pressed to a button action. onBound(source) is called
+  // once it is bound.
+  bind(kind, action, onBound) {
+    if (!this.gamepad) return false;
+    this.binding = {
+      kind, action, onBound,
+      rest: this.raw.slice(),
+      held: this.gamepad.buttons.map(b => b.pressed || b.value > BIND_THRESHOLD)
+    };
+    return true;
+  }
+
+  cancelBinding() {
+    this.binding = null;
+  }
+
+  _checkBinding(pressed) {
+    const { kind, action, rest, held, onBound } = this.binding;
+    let source;
+    if (kind === 'axis') {
+      const axis = this.raw.findIndex((v, i) => Math.abs(v - (rest[i] ?? 0)) > BIND_THRESHOLD);
+      if (axis >= 0) {
+        // Push toward the action's positive direction while binding
+        source = { axis, invert: this.raw[axis] < (rest[axis] ?? 0) };
+      } else {
+        const button = pressed.findIndex((p, i) => p && !held[i]);
+        if (button >= 0) {
+          // An analog button drives the positive half; the previous source's
+          // minus button (if any) keeps the other half
+          const previous = this.profile.axes[action];
+          source = { buttons: [button, previous?.buttons ? previous.buttons[1] : -1] };
+        }
+      }
+      if (source) this.profile.axes[action] = source;
+    } else {
+      const button = pressed.findIndex((p, i) => p && !held[i]);
+      if (button >= 0) {
+        source = button;
+        this.profile.buttons[action] = button;
+      }
+    }
+    if (source === undefined) return;
+    this.binding = null;
+    this.saveProfiles();
+    if (onBound) onBound(source);
+  }
+
+  unbind(kind, action) {
+    if (!this.profile) return;
+    if (kind === 'axis') this.profile.axes[action] = null;
+    else delete this.profile.buttons[action];
+    this.saveProfiles();
+  }
+
+  // Short text for a bound source, for the setup panel.
+  describe(kind, action) {
+    if (!this.profile) return '--';
+    if (kind === 'button') {
+      const index = this.profile.buttons[action];
+      return index === undefined ? 'unbound' : `Button ${index}`;
+    }
+    const source = this.profile.axes[action];
+    if (!source) return 'unbound';
+    if (source.buttons) {
+      return source.buttons.map(i => (i >= 0 ? `Button ${i}` : '--')).join(' / ');
+    }
+    return `Axis ${source.axis}${source.invert ? ' (inverted)' : ''}`;
+  }
+}
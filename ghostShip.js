@@ -0,0 +1,164 @@
+// File: ghostShip.js
+// "Ghost" overlay of a previous attempt: a translucent copy of the spacecraft
+// model that flies a saved trajectory in step with the mission clock, so the
+// pilot can race their best run. The trajectory file is a telemetry JSON
+// export (telemetryRecorder.js); any { samples: [...] } or bare array whose
+// entries have missionTime (or time), position and quaternion also works.
+//
+// update() returns the live-minus-ghost deltas for the HUD:
+//   position {x,y,z} and distance (m), angle between attitudes (deg), and
+//   timeDelta (s): the mission time now minus the time the ghost passed
+//   closest to where the live spacecraft is. Positive means behind the ghost.
+
+import * as THREE from 'three';
+
+const GHOST_COLOR = 0x66ccff;
+const GHOST_OPACITY = 0.35;
+
+// Trajectory file -> [{ t, position, quaternion }] sorted by time.
+export function parseTrajectory(data) {
+  const samples = Array.isArray(data) ? data : data?.samples;
+  if (!Array.isArray(samples)) throw new Error('No samples in trajectory file');
+
+  const points = samples
+    .map(s => ({
+      t: Number(s.missionTime ?? s.time ?? s.t),
+      position: s.position,
+      quaternion: s.quaternion
+    }))
+    .filter(p => Number.isFinite(p.t) && p.position && p.quaternion);
+  if (points.length === 0) throw new Error('Trajectory has no usable samples');
+
+  points.sort((a, b) => a.t - b.t); // Stable, so equal times keep their order
+  return points;
+}
+
+export class GhostShip {
+  constructor(scene) {
+    this.scene = scene;
+    this.points = [];
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.model = null;
+    this.sourceModel = null;
+    this.visible = true;
+    this.material = new THREE.MeshStandardMaterial({
+      color: GHOST_COLOR,
+      transparent: true,
+      opacity: GHOST_OPACITY,
+      depthWrite: false
+    });
+    scene.add(this.group);
+
+    this._quaternion = new THREE.Quaternion();
+    this._liveQuaternion = new THREE.Quaternion();
+  }
+
+  get loaded() {
+    return this.points.length > 0;
+  }
+
+  get duration() {
+    return this.loaded ? this.points[this.points.length - 1].t : 0;
+  }
+
+  // Load a trajectory (see parseTrajectory). `sourceModel` is the live
+  // spacecraft model the ghost is cloned from.
+  load(data, sourceModel) {
+    this.points = parseTrajectory(data);
+    this.setModel(sourceModel);
+    this.group.visible = this.visible;
+    return this.points.length;
+  }
+
+  // Rebuild the ghost from `sourceModel` (geometry shared, own material).
+  setModel(sourceModel) {
+    if (this.model) this.group.remove(this.model);
+    this.model = null;
+    this.sourceModel = sourceModel || null;
+    if (!sourceModel) return;
+
+    this.model = sourceModel.clone();
+    this.model.traverse(child => {
+      if (child.isMesh) {
+        child.material = this.material;
+        child.castShadow = false;
+        child.receiveShadow = false;
+      }
+    });
+    this.group.add(this.model);
+  }
+
+  clear() {
+    this.points = [];
+    this.group.visible = false;
+  }
+
+  toggleVisible() {
+    this.visible = !this.visible;
+    this.group.visible = this.visible && this.loaded;
+    return this.visible;
+  }
+
+  // Index of the last point at or before `t` (-1 if `t` is before the start).
+  _indexAt(t) {
+    let lo = 0, hi = this.points.length - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.points[mid].t <= t) { found = mid; lo = mid + 1; } else { hi = mid - 1; }
+    }
+    return found;
+  }
+
+  // Ghost pose at mission time `t` (s), interpolated between samples and
+  // held at the ends. Writes into this.group.
+  _poseAt(t) {
+    const i = Math.max(this._indexAt(t), 0);
+    const a = this.points[i];
+    const b = this.points[Math.min(i + 1, this.points.length - 1)];
+    const span = b.t - a.t;
+    const f = span > 0 ? Math.min(Math.max((t - a.t) / span, 0), 1) : 0;
+
+    this.group.position.set(
+      a.position.x + (b.position.x - a.position.x) * f,
+      a.position.y + (b.position.y - a.position.y) * f,
+      a.position.z + (b.position.z - a.position.z) * f
+    );
+    this.group.quaternion.set(a.quaternion.x, a.quaternion.y, a.quaternion.z, a.quaternion.w);
+    this._quaternion.set(b.quaternion.x, b.quaternion.y, b.quaternion.z, b.quaternion.w);
+    this.group.quaternion.slerp(this._quaternion, f);
+  }
+
+  // Mission time at which the ghost passed closest to `position`.
+  _closestTime(position) {
+    let best = null, bestDist = Infinity;
+    for (const p of this.points) {
+      const dx = p.position.x - position.x, dy = p.position.y - position.y, dz = p.position.z - position.z;
+      const d = dx * dx + dy * dy + dz * dz;
+      if (d < bestDist) { bestDist = d; best = p; }
+    }
+    return best ? best.t : 0;
+  }
+
+  // Move the ghost to mission time `missionTime` (s) and compare it with the
+  // live body. Returns the HUD deltas, or null with no trajectory loaded.
+  update(missionTime, liveBody) {
+    if (!this.loaded) return null;
+    this._poseAt(missionTime);
+    // The live model moves on the body as the center of mass shifts; match it
+    if (this.model && this.sourceModel) this.model.position.copy(this.sourceModel.position);
+    if (!liveBody) return null;
+
+    const p = liveBody.position, g = this.group.position;
+    const q = liveBody.quaternion;
+    this._liveQuaternion.set(q.x, q.y, q.z, q.w);
+    const position = { x: p.x - g.x, y: p.y - g.y, z: p.z - g.z };
+    return {
+      position,
+      distance: Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z),
+      angle: THREE.MathUtils.radToDeg(this._liveQuaternion.angleTo(this.group.quaternion)),
+      timeDelta: missionTime - this._closestTime(p),
+      finished: missionTime >= this.duration
+    };
+  }
+}
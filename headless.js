@@ -0,0 +1,257 @@
+// File: headless.js
+// Run the simulation without a browser: no Three.js, no DOM, no rendering.
+// Loads a config.json + position file into a SimulationCore, optionally runs a
+// student controller program (same format as the in-browser editor), and
+// steps the physics for a fixed amount of simulated time.
+//
+//   npm install
+//   node headless.js --config config.json --position start.json \
+//        --controller autopilot-program.js --duration 120 --out run.json
+//
+// Options:
+//   --scenario <file>           scenario file (scenarioLoader.js); supplies the
+//                               config, position files and faults the other
+//                               options don't, and grades the run
+//   --config <file>             spacecraft config (editor export format)
+//   --position <file>           initial position / primary docking file
+//   --second-position <file>    second spacecraft position file
+//   --second-docking <file>     second spacecraft docking location file
+//   --controller <file>         controller program (computeControl/onKeyPress)
+//   --input <text>              value of inputs.text seen by the controller
+//   --duration <seconds>        simulated time to run (default 60)
+//   --sample-every <steps>      record a state sample every N steps (default 60)
+//   --stop-on-dock              end the run as soon as the spacecraft docks
+//   --seed <n>                  seed for random fault picks (faults in the position file)
+//   --out <file>                write the summary + samples as JSON
+//
+// Exit code is 0 when the run completes, 1 on errors. Use runHeadless() from
+// your own scripts for assertions in CI.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { SimulationCore } from './simulationCore.js';
+import { normalizeConfiguration } from './configLoader.js';
+import { createSeededRandom, randomSeed } from './seededRandom.js';
+import { unpackScenario, evaluateSuccessCriteria } from './scenarioLoader.js';
+import {
+  buildControllerState,
+  buildTargetState,
+  compileControllerProgram,
+  sanitizeControllerKeys,
+  sanitizeControllerCommands
+} from './controllerState.js';
+
+function readJson(file) {
+  return file ? JSON.parse(readFileSync(file, 'utf8')) : null;
+}
+
+// Compile a controller program for headless use. computeControl runs once
+// per physics step on the state before the step, and its keys fire during
+// that step, the same timing the browser gets by holding each step for the
+// worker's reply (controller.js). The controller starts enabled;
+// setControllerEnabled()/onKeyPress behave as in the browser except that
+// there is no keyboard, so onKeyPress is never called.
+// plot(name, value) calls land in `plots` as { name: [[time, value], ...] }.
+function loadController(code, logLines, core, plots = {}) {
+  const controller = { enabled: true, computeControl: null };
+  const program = compileControllerProgram(code, {
+    log: (message) => logLines.push(typeof message === 'string' ? message : JSON.stringify(message)),
+    setControllerEnabled: (enabled) => { controller.enabled = !!enabled; },
+    isControllerEnabled: () => controller.enabled,
+    cycleSelectedZone: () => {
+      const total = core.dockingZones.length;
+      if (total) core.sensors.targetZoneIndex = (core.sensors.targetZoneIndex + 1) % total;
+    },
+    plot: (name, value) => {
+      const number = Number(value);
+      if (Number.isFinite(number)) (plots[name] = plots[name] || []).push([core.time, number]);
+    }
+  });
+  controller.computeControl = program.computeControl;
+  return controller;
+}
+
+// state.target for the selected zone. There is no DockingManager here, so
+// the selection is the relative sensor's (SensorSuite.targetZoneIndex).
+function buildHeadlessTarget(core) {
+  const total = core.dockingZones.length;
+  if (!total) return null;
+  const index = core.sensors.targetZoneIndex % total;
+  return buildTargetState(core.body, core.dockingZones[index], { index, total });
+}
+
+/**
+ * Run one headless simulation.
+ *
+ * @param {object} options
+ * @param {object} [options.scenario] - Scenario file contents; fills in whatever of config,
+ *   position, secondPosition and secondDockingLocation is not given, and its faults and
+ *   success criteria apply.
+ * @param {object} [options.config] - Raw or normalized spacecraft config (required without a scenario config).
+ * @param {object} [options.position] - Primary position file contents.
+ * @param {object} [options.secondPosition] - Second spacecraft position file contents.
+ * @param {object} [options.secondDockingLocation] - Second spacecraft docking location contents.
+ * @param {string} [options.controllerCode] - Controller program source.
+ * @param {function} [options.getKeys] - (state, core) => keys, used instead of a controller program.
+ * @param {string} [options.inputText] - inputs.text for the controller.
+ * @param {number} [options.duration=60] - Simulated seconds to run.
+ * @param {number} [options.sampleEvery=60] - Steps between recorded samples.
+ * @param {boolean} [options.stopOnDock=false] - Stop as soon as the spacecraft docks.
+ * @param {number} [options.seed] - Seed for random fault picks (random if not given).
+ * @returns {Promise<object>} Summary with final state, samples, fault history, docking events,
+ *   approach violations, scenario result (`success`, null without criteria) and controller log.
+ */
+export async function runHeadless({
+  scenario = null,
+  config = null,
+  position = null,
+  secondPosition = null,
+  secondDockingLocation = null,
+  controllerCode = null,
+  getKeys = null,
+  inputText = '',
+  duration = 60,
+  sampleEvery = 60,
+  stopOnDock = false,
+  seed = randomSeed()
+}) {
+  const bundle = scenario ? unpackScenario(scenario) : null;
+  const files = bundle ? bundle.uploadedFiles : {};
+  config = config || files.config;
+  if (!config) throw new Error('No config: pass one, or a scenario that includes one');
+
+  const core = await SimulationCore.fromConfig({
+    config: normalizeConfiguration(config),
+    position: position || files.initialPosition,
+    secondPosition: secondPosition || files.secondPosition,
+    secondDockingLocation: secondDockingLocation || files.secondDockingLocation
+  });
+  if (bundle?.scenario.faults) core.faults.load(bundle.scenario.faults);
+  core.random = createSeededRandom(seed);
+
+  const log = [];
+  const plots = {};
+  const controller = controllerCode ? loadController(controllerCode, log, core, plots) : null;
+  const samples = [];
+  let dockedAt = null;
+  let controllerErrors = 0;
+
+  // The browser sim starts docked and paused; a headless run starts undocked.
+  core.undock();
+
+  const totalSteps = Math.ceil(duration / core.stepSize);
+  for (let i = 0; i < totalSteps; i++) {
+    let keys = [];
+    let commands = null;
+    const state = buildControllerState(core.body, core.time + core.stepSize, core.stepSize);
+    state.target = buildHeadlessTarget(core);
+    core.faults.applySensorFaults(core.sensors.applyTo(state));
+    if (getKeys) {
+      keys = getKeys(state, core) || [];
+    } else if (controller && controller.enabled) {
+      try {
+        const output = controller.computeControl(state, { text: inputText, keyStates: {} }) || {};
+        // A program that switched itself off holds no keys, as in the browser
+        if (controller.enabled) {
+          keys = sanitizeControllerKeys(output);
+          commands = sanitizeControllerCommands(output);
+        }
+      } catch (error) {
+        controllerErrors++;
+        log.push('computeControl error: ' + error.message);
+      }
+    }
+
+    const held = new Set(keys);
+    const { docked } = core.step(held, commands);
+    core.releaseThrusters(key => held.has(key));
+
+    if (core.stepCount % sampleEvery === 0) samples.push(core.getState());
+    if (docked) {
+      dockedAt = core.time;
+      if (stopOnDock) break;
+    }
+  }
+
+  const result = {
+    duration: core.time,
+    steps: core.stepCount,
+    dockedAt,
+    controllerErrors,
+    seed,
+    faults: core.faults.history,
+    docking: core.capture.events,
+    approach: { ...core.approach.counts, violations: core.approach.violations },
+    success: bundle ? evaluateSuccessCriteria(bundle.scenario.successCriteria, core) : null,
+    final: core.getState(),
+    samples,
+    plots,
+    log
+  };
+  // Fuel and mass state are shared module state: hand them to the next run
+  core.dispose();
+  return result;
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.config && !args.scenario) {
+    console.error('Usage: node headless.js --config config.json | --scenario scenario.json [--position start.json] [--controller program.js] [--duration 60] [--out run.json]');
+    process.exit(1);
+  }
+
+  const result = await runHeadless({
+    scenario: readJson(args.scenario),
+    config: readJson(args.config),
+    position: readJson(args.position),
+    secondPosition: readJson(args['second-position']),
+    secondDockingLocation: readJson(args['second-docking']),
+    controllerCode: args.controller ? readFileSync(args.controller, 'utf8') : null,
+    inputText: typeof args.input === 'string' ? args.input : '',
+    duration: args.duration ? parseFloat(args.duration) : 60,
+    sampleEvery: args['sample-every'] ? parseInt(args['sample-every'], 10) : 60,
+    stopOnDock: !!args['stop-on-dock'],
+    seed: args.seed !== undefined ? parseInt(args.seed, 10) >>> 0 : undefined
+  });
+
+  result.log.forEach(line => console.log('[controller] ' + line));
+  const { final } = result;
+  console.log(`Simulated ${result.duration.toFixed(2)} s (${result.steps} steps)`);
+  console.log(`Position: ${final.position.x.toFixed(3)}, ${final.position.y.toFixed(3)}, ${final.position.z.toFixed(3)}`);
+  console.log(`Fuel: ${final.fuel.fuelMass.toFixed(3)} / ${final.fuel.maxFuelMass} kg`);
+  console.log(result.dockedAt !== null ? `Docked at t = ${result.dockedAt.toFixed(2)} s` : 'Not docked');
+  if (result.success) {
+    console.log(`Scenario ${result.success.passed ? 'PASSED' : 'FAILED'}`);
+    result.success.checks.forEach(c => console.log(`  ${c.passed ? 'ok  ' : 'FAIL'} ${c.name}: ${c.detail}`));
+  }
+
+  if (args.out) {
+    writeFileSync(args.out, JSON.stringify(result, null, 2));
+    console.log(`Wrote ${args.out}`);
+  }
+}
+
+// Only run the CLI when executed directly (not when imported by a test).
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
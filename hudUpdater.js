@@ -1,6 +1,8 @@
 // File: hudUpdater.js
 
 import * as THREE from 'three';
+import { DOCKING_CRITERIA_LABELS } from './dockingZones.js';
+import { AttitudeIndicator } from './attitudeIndicator.js';
 
 // UI elements cache to avoid repeated DOM queries
 const uiElements = {
@@ -31,7 +33,25 @@ const uiElements = {
   dockDistance: null,
   angularDiff: null,
   dockingSpeed: null,
-  dockingAngularSpeed: null
+  dockingAngularSpeed: null,
+  dockingFailing: null,
+  deltaVAxes: null,
+  deltaVSpent: null,
+  propellantUsed: null,
+  dockPropellant: null,
+  approachStatus: null,
+  approachViolations: null,
+  orbitMode: null,
+  orbitDetails: null,
+  orbitMeanMotion: null,
+  orbitPeriod: null,
+  ghostStatus: null,
+  ghostDetails: null,
+  ghostDeltaPosition: null,
+  ghostDistance: null,
+  ghostDeltaAngle: null,
+  ghostDeltaTime: null,
+  attitudeIndicator: null
 };
 
 // Initialize UI element references
@@ -63,6 +83,25 @@ export function initializeUI() {
   uiElements.angularDiff = document.getElementById('angular-diff');
   uiElements.dockingSpeed = document.getElementById('docking-speed');
   uiElements.dockingAngularSpeed = document.getElementById('docking-angular-speed');
+  uiElements.dockingFailing = document.getElementById('docking-failing');
+  uiElements.deltaVAxes = document.getElementById('delta-v-axes');
+  uiElements.deltaVSpent = document.getElementById('delta-v-spent');
+  uiElements.propellantUsed = document.getElementById('propellant-used');
+  uiElements.dockPropellant = document.getElementById('dock-propellant');
+  uiElements.approachStatus = document.getElementById('approach-status');
+  uiElements.approachViolations = document.getElementById('approach-violations');
+  uiElements.orbitMode = document.getElementById('orbit-mode');
+  uiElements.orbitDetails = document.getElementById('orbit-details');
+  uiElements.orbitMeanMotion = document.getElementById('orbit-mean-motion');
+  uiElements.orbitPeriod = document.getElementById('orbit-period');
+  uiElements.ghostStatus = document.getElementById('ghost-status');
+  uiElements.ghostDetails = document.getElementById('ghost-details');
+  uiElements.ghostDeltaPosition = document.getElementById('ghost-delta-position');
+  uiElements.ghostDistance = document.getElementById('ghost-distance');
+  uiElements.ghostDeltaAngle = document.getElementById('ghost-delta-angle');
+  uiElements.ghostDeltaTime = document.getElementById('ghost-delta-time');
+  const adiCanvas = document.getElementById('adi-canvas');
+  uiElements.attitudeIndicator = adiCanvas ? new AttitudeIndicator(adiCanvas) : null;
   
   // Cache distance elements
   ['x-pos', 'x-neg', 'y-pos', 'y-neg', 'z-pos', 'z-neg'].forEach(id => {
@@ -88,10 +127,18 @@ export function updateUI(params) {
     raycaster,
     maxDistance,
     showDistanceInfo,
+    showAttitudeIndicator,
+    target,
     cameraSystem,
     fineControlMode,
     isDocked,
-    dockingStatus
+    dockingStatus,
+    capture,
+    approach,
+    deltaV,
+    simTime,
+    orbitalDynamics,
+    ghostDeltas
   } = params;
   
   // Update paused overlay
@@ -103,6 +150,9 @@ export function updateUI(params) {
   // Update fuel gauge
   updateFuelGauge(fuelMass, maxFuelMass, dryMass);
   
+  // Update delta-v budget and propellant-to-dock estimate
+  updateDeltaVInfo(deltaV);
+  
   // Update attitude control status
   updateAttitudeControlStatus(attitudeControl);
   
@@ -110,12 +160,26 @@ export function updateUI(params) {
   updateLampStatus(lampManager);
   
   // Update docking information
-  updateDockingInfo(isDocked, dockingStatus);
+  updateDockingInfo(isDocked, dockingStatus, capture, simTime);
+  
+  // Update approach corridor / keep-out sphere cautions
+  updateApproachInfo(approach);
+  
+  // Update orbital dynamics (CW) information
+  updateOrbitInfo(orbitalDynamics);
+  
+  // Update ghost-ship comparison
+  updateGhostInfo(ghostDeltas);
   
   // Update distance information if enabled
   if (showDistanceInfo) {
     calculateDistancesToWalls(station, satMesh, raycaster, maxDistance);
   }
+  
+  // Update the attitude indicator if enabled
+  if (showAttitudeIndicator && uiElements.attitudeIndicator) {
+    uiElements.attitudeIndicator.update(satBody, target, orbitalDynamics);
+  }
 }
 
 /**
@@ -186,6 +250,35 @@ function updateUnifiedHUD(satBody, isPaused, cameraSystem, fineControlMode, isDo
   }
 }
 
+// Axis labels for the translation keys (see the controls box)
+const DELTA_V_AXES = [['w', '+Z'], ['s', '-Z'], ['a', '+X'], ['d', '-X'], ['e', '+Y'], ['q', '-Y']];
+
+/**
+ * Delta-v left per translation axis, delta-v spent, and the propellant
+ * estimate to dock at the selected zone (deltaV.js).
+ * @param {object} deltaV - { budget, prediction, spent, propellantUsed }
+ */
+function updateDeltaVInfo(deltaV) {
+  if (!uiElements.deltaVAxes || !deltaV) return;
+
+  const { budget, prediction, spent, propellantUsed } = deltaV;
+  uiElements.deltaVAxes.textContent = DELTA_V_AXES
+    .map(([key, label]) => `${label} ${budget.axes[key].deltaV.toFixed(1)}`)
+    .join(' | ');
+  uiElements.deltaVSpent.textContent = spent.toFixed(3);
+  uiElements.propellantUsed.textContent = propellantUsed.toFixed(3);
+
+  if (!prediction) {
+    uiElements.dockPropellant.textContent = '--';
+    uiElements.dockPropellant.style.color = '';
+    return;
+  }
+  const propellant = Number.isFinite(prediction.propellant) ? `${prediction.propellant.toFixed(3)} kg` : 'no thrust';
+  uiElements.dockPropellant.textContent =
+    `~${propellant} (Δv ${prediction.deltaV.toFixed(2)} m/s, closing ${prediction.closingRate.toFixed(3)} m/s, ETA ${prediction.eta.toFixed(0)} s)`;
+  uiElements.dockPropellant.style.color = prediction.enough ? '' : '#f00';
+}
+
 /**
  * Updates the fuel gauge display with current fuel information.
  * @param {number} fuelMass - Current fuel mass
@@ -237,7 +330,7 @@ function updateAttitudeControlStatus(attitudeControl) {
                    Math.abs(wheel.percentage) > 50 ? '#ff0' : '#0f0';
       
       wheelDiv.innerHTML = `
-        <div>${wheel.name}: ${wheel.percentage}%</div>
+        <div>${wheel.name}: ${wheel.percentage}%${wheel.failed ? ' <span style="color: #f66;">FAILED</span>' : ''}</div>
         <div class="momentum-bar-container">
           <div class="momentum-bar" style="width: ${Math.abs(wheel.percentage)}%; background-color: ${color}"></div>
         </div>
@@ -263,7 +356,7 @@ function updateAttitudeControlStatus(attitudeControl) {
                    cmg.percentage > 50 ? '#ff0' : '#0f0';
       
       cmgDiv.innerHTML = `
-        <div>${cmg.name}: ${cmg.percentage}%</div>
+        <div>${cmg.name}: ${cmg.percentage}%${cmg.failed ? ' <span style="color: #f66;">FAILED</span>' : ''}</div>
         <div class="momentum-bar-container">
           <div class="momentum-bar" style="width: ${cmg.percentage}%; background-color: ${color}"></div>
         </div>
@@ -291,18 +384,54 @@ function updateLampStatus(lampManager) {
   }
 }
 
+// How long a rebound or failed capture stays on the HUD (simulated s)
+const CAPTURE_MESSAGE_TIME = 3;
+
+const CRITERIA_UNITS = { lateralSpeed: 'm/s', axialSpeed: 'm/s', angularSpeed: '°/s', pointing: '°', roll: '°' };
+
+/**
+ * Describes one failing docking criterion against the zone's own limit.
+ * @param {object} dockingStatus - Status from evaluateDockingZone
+ * @param {string} key - Criterion key (DOCKING_CRITERIA_LABELS)
+ * @returns {string} e.g. "lateral speed 0.150 > 0.100 m/s"
+ */
+function describeCriterion(dockingStatus, key) {
+  const label = DOCKING_CRITERIA_LABELS[key];
+  if (key === 'position') {
+    // Name the axis (port frame) that is furthest outside its tolerance
+    const { offset, criteria } = dockingStatus;
+    const axis = ['x', 'y', 'z'].reduce((worst, a) =>
+      Math.abs(offset[a]) / criteria.positionTolerance[a] > Math.abs(offset[worst]) / criteria.positionTolerance[worst] ? a : worst);
+    return `${label} ${axis} ${Math.abs(offset[axis]).toFixed(3)} > ${criteria.positionTolerance[axis].toFixed(3)} m`;
+  }
+  const check = dockingStatus.checks[key];
+  const digits = CRITERIA_UNITS[key] === 'm/s' ? 3 : 2;
+  return `${label} ${check.value.toFixed(digits)} > ${check.limit.toFixed(digits)} ${CRITERIA_UNITS[key]}`;
+}
+
 /**
  * Updates the docking information display.
  * @param {boolean} isDocked - Whether the spacecraft is docked
  * @param {object} dockingStatus - Object containing docking status information
+ * @param {object} [capture] - DockingCapture (phase, mated vehicle, events)
+ * @param {number} [simTime] - Simulated time, to age capture messages
  */
-function updateDockingInfo(isDocked, dockingStatus) {
+function updateDockingInfo(isDocked, dockingStatus, capture = null, simTime = 0) {
   if (!dockingStatus) return;
   
   // Update docking status text
+  const lastEvent = capture?.events[capture.events.length - 1];
   if (isDocked) {
-    uiElements.dockingStatus.textContent = 'DOCKED';
+    uiElements.dockingStatus.textContent = capture?.mated ? 'DOCKED (flying as one)' : 'DOCKED';
     uiElements.dockingStatus.style.color = '#0ff';
+  } else if (capture?.phase === 'retracting') {
+    uiElements.dockingStatus.textContent = 'SOFT CAPTURE, RETRACTING';
+    uiElements.dockingStatus.style.color = '#0f0';
+  } else if (lastEvent && (lastEvent.type === 'rebound' || lastEvent.type === 'failed') && simTime - lastEvent.time < CAPTURE_MESSAGE_TIME) {
+    uiElements.dockingStatus.textContent = lastEvent.type === 'rebound'
+      ? `REBOUND (${lastEvent.speed.toFixed(2)} m/s)`
+      : `CAPTURE FAILED: ${lastEvent.reason}`;
+    uiElements.dockingStatus.style.color = '#f66';
   } else {
     uiElements.dockingStatus.textContent = 'NOT DOCKED';
     uiElements.dockingStatus.style.color = '#ff0';
@@ -316,6 +445,70 @@ function updateDockingInfo(isDocked, dockingStatus) {
   uiElements.angularDiff.textContent = dockingStatus.angleDiff.toFixed(2);
   uiElements.dockingSpeed.textContent = dockingStatus.speed.toFixed(3);
   uiElements.dockingAngularSpeed.textContent = dockingStatus.angularSpeed.toFixed(3);
+
+  // Which of the zone's criteria are not met
+  if (uiElements.dockingFailing && dockingStatus.failing) {
+    const failing = dockingStatus.failing;
+    uiElements.dockingFailing.textContent = failing.length
+      ? failing.map(key => describeCriterion(dockingStatus, key)).join('; ')
+      : 'ALL MET';
+    uiElements.dockingFailing.style.color = failing.length ? '#f66' : '#0f0';
+  }
+}
+
+/**
+ * Updates the approach corridor / keep-out sphere cautions and violation count.
+ * @param {object|null} approach - ApproachMonitor (cautions, counts, status)
+ */
+function updateApproachInfo(approach) {
+  if (!approach || !uiElements.approachStatus) return;
+  
+  if (approach.cautions.length) {
+    uiElements.approachStatus.textContent = 'CAUTION: ' + approach.cautions.map(c => c.message).join('; ');
+    uiElements.approachStatus.style.color = '#f93';
+  } else {
+    uiElements.approachStatus.textContent = approach.status.length ? 'OK' : '--';
+    uiElements.approachStatus.style.color = '#0f0';
+  }
+  const total = approach.counts.corridor + approach.counts.keepOut;
+  uiElements.approachViolations.textContent = total;
+  uiElements.approachViolations.style.color = total ? '#f66' : '#0f0';
+}
+
+/**
+ * Updates the orbital dynamics display (mean motion and orbit period).
+ * @param {object|null} orbitalDynamics - The active OrbitalDynamics, or null for free drift
+ */
+function updateOrbitInfo(orbitalDynamics) {
+  if (!uiElements.orbitMode) return;
+  
+  const active = !!(orbitalDynamics && orbitalDynamics.enabled);
+  uiElements.orbitMode.textContent = active ? 'CW (LVLH)' : 'OFF (free drift)';
+  uiElements.orbitMode.style.color = active ? '#0ff' : '#0f0';
+  uiElements.orbitDetails.style.display = active ? 'block' : 'none';
+  if (!active) return;
+  
+  uiElements.orbitMeanMotion.textContent = orbitalDynamics.meanMotion.toExponential(4);
+  uiElements.orbitPeriod.textContent = (orbitalDynamics.period / 60).toFixed(1);
+}
+
+/**
+ * Updates the ghost-ship deltas (live minus ghost, see ghostShip.js).
+ * @param {object|null} ghostDeltas - GhostShip.update() result, or null with no ghost loaded
+ */
+function updateGhostInfo(ghostDeltas) {
+  if (!uiElements.ghostDetails) return;
+  
+  uiElements.ghostDetails.style.display = ghostDeltas ? 'block' : 'none';
+  if (!ghostDeltas) return;
+  
+  const p = ghostDeltas.position;
+  uiElements.ghostDeltaPosition.textContent = `X: ${p.x.toFixed(2)} Y: ${p.y.toFixed(2)} Z: ${p.z.toFixed(2)}`;
+  uiElements.ghostDistance.textContent = ghostDeltas.distance.toFixed(2);
+  uiElements.ghostDeltaAngle.textContent = ghostDeltas.angle.toFixed(1);
+  const dt = ghostDeltas.timeDelta;
+  uiElements.ghostDeltaTime.textContent = `${dt >= 0 ? '+' : ''}${dt.toFixed(2)} s ${dt >= 0 ? 'behind' : 'ahead'}`;
+  uiElements.ghostDeltaTime.style.color = dt > 0 ? '#f66' : '#0f0';
 }
 
 // Cached raycast targets — the station mesh tree is static once loaded, so we
@@ -395,6 +588,11 @@ function calculateDistancesToWalls(station, satMesh, raycaster, maxDistance) {
   });
 }
 
+// Switch the attitude indicator's reference frame; returns the new frame's label
+export function cycleAttitudeIndicatorFrame() {
+  return uiElements.attitudeIndicator ? uiElements.attitudeIndicator.cycleFrame() : null;
+}
+
 // Toggle paused overlay visibility
 function togglePausedOverlay(isPaused) {
   const overlay = document.getElementById('paused-overlay');
@@ -411,10 +609,11 @@ export function toggleUIVisibility(elementId, isVisible) {
   }
 }
 
-// Export a function to update UI text
-export function updateUIText(elementId, text) {
+// Export a function to update UI text (and optionally its color)
+export function updateUIText(elementId, text, color = null) {
   const element = document.getElementById(elementId);
   if (element) {
     element.textContent = text;
+    if (color) element.style.color = color;
   }
 }
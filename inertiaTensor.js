@@ -0,0 +1,148 @@
+// File: inertiaTensor.js
+// Full 3x3 inertia tensor support. cannon-es only stores a diagonal inertia
+// (body.inertia / body.invInertia as Vec3s), which ignores products of
+// inertia. This module parses the config forms below into a symmetric tensor
+// and patches a body so its world inverse inertia is R·I⁻¹·Rᵀ with the full
+// tensor — the integrator and the contact solver both read invInertiaWorld.
+//
+// Accepted `spacecraftProperties.inertia` forms (kg m², body frame, about the
+// center of mass):
+//
+//   { "x": 3, "y": 3, "z": 10 }                          principal/diagonal only
+//   { "x": 3, "y": 4, "z": 10, "xy": -0.2, "xz": 0, "yz": 0.1 }
+//                                                        diagonal + products
+//   { "matrix": [[3, -0.2, 0], [-0.2, 4, 0.1], [0, 0.1, 10]] }
+//   { "principal": { "x": 2, "y": 4, "z": 10 },
+//     "orientation": { "x": 0, "y": 0, "z": 0.259, "w": 0.966 } }
+//
+// Products are the tensor's off-diagonal ELEMENTS, i.e. Ixy = -∫x·y dm (the
+// sign convention of the matrix form). `orientation` is the unit quaternion
+// that rotates the principal axes into the body axes.
+//
+// Tensors are plain { xx, yy, zz, xy, xz, yz } objects (same as
+// massProperties.js). No Three.js.
+
+import * as CANNON from 'cannon-es';
+
+function num(v) {
+  const n = parseFloat(v);
+  return isNaN(n) ? 0 : n;
+}
+
+export function diagonalTensor(x, y, z) {
+  return { xx: x, yy: y, zz: z, xy: 0, xz: 0, yz: 0 };
+}
+
+export function isDiagonal(t) {
+  return t.xy === 0 && t.xz === 0 && t.yz === 0;
+}
+
+// Row-major 9-element array, the layout of CANNON.Mat3.elements.
+export function tensorToElements(t) {
+  return [t.xx, t.xy, t.xz, t.xy, t.yy, t.yz, t.xz, t.yz, t.zz];
+}
+
+// Rotate a tensor: R·I·Rᵀ for rotation quaternion q.
+export function rotateTensor(t, q) {
+  const R = new CANNON.Mat3();
+  R.setRotationFromQuaternion(new CANNON.Quaternion(q.x, q.y, q.z, q.w).normalize());
+  const I = new CANNON.Mat3(tensorToElements(t));
+  const e = R.mmult(I).mmult(R.transpose()).elements;
+  return { xx: e[0], yy: e[4], zz: e[8], xy: (e[1] + e[3]) / 2, xz: (e[2] + e[6]) / 2, yz: (e[5] + e[7]) / 2 };
+}
+
+// Any accepted config form -> tensor. Throws on malformed input.
+export function parseInertia(inertia) {
+  if (!inertia) throw new Error('Missing inertia');
+  if (Array.isArray(inertia.matrix)) {
+    const m = inertia.matrix;
+    if (m.length !== 3 || m.some(row => !Array.isArray(row) || row.length !== 3)) {
+      throw new Error('inertia.matrix must be a 3x3 array');
+    }
+    const e = m.map(row => row.map(num));
+    const asymmetry = Math.max(Math.abs(e[0][1] - e[1][0]), Math.abs(e[0][2] - e[2][0]), Math.abs(e[1][2] - e[2][1]));
+    if (asymmetry > 1e-6 * Math.max(e[0][0], e[1][1], e[2][2], 1)) {
+      console.warn('inertia.matrix is not symmetric; using the average of the off-diagonal pairs.');
+    }
+    return {
+      xx: e[0][0], yy: e[1][1], zz: e[2][2],
+      xy: (e[0][1] + e[1][0]) / 2, xz: (e[0][2] + e[2][0]) / 2, yz: (e[1][2] + e[2][1]) / 2
+    };
+  }
+  if (inertia.principal) {
+    const p = inertia.principal;
+    const principal = diagonalTensor(num(p.x), num(p.y), num(p.z));
+    return inertia.orientation ? rotateTensor(principal, inertia.orientation) : principal;
+  }
+  return {
+    xx: num(inertia.xx ?? inertia.x), yy: num(inertia.yy ?? inertia.y), zz: num(inertia.zz ?? inertia.z),
+    xy: num(inertia.xy), xz: num(inertia.xz), yz: num(inertia.yz)
+  };
+}
+
+// Symmetric positive definite (Sylvester's criterion) — any physical inertia.
+export function isPositiveDefinite(t) {
+  const d2 = t.xx * t.yy - t.xy * t.xy;
+  const d3 = t.xx * (t.yy * t.zz - t.yz * t.yz)
+           - t.xy * (t.xy * t.zz - t.yz * t.xz)
+           + t.xz * (t.xy * t.yz - t.yy * t.xz);
+  return t.xx > 0 && d2 > 0 && d3 > 0;
+}
+
+// Inverse of a symmetric tensor (adjugate / determinant).
+export function invertTensor(t) {
+  const c00 = t.yy * t.zz - t.yz * t.yz;
+  const c01 = t.xz * t.yz - t.xy * t.zz;
+  const c02 = t.xy * t.yz - t.xz * t.yy;
+  const c11 = t.xx * t.zz - t.xz * t.xz;
+  const c12 = t.xy * t.xz - t.xx * t.yz;
+  const c22 = t.xx * t.yy - t.xy * t.xy;
+  const det = t.xx * c00 + t.xy * c01 + t.xz * c02;
+  if (Math.abs(det) < 1e-12) throw new Error('Inertia tensor is singular');
+  return { xx: c00 / det, yy: c11 / det, zz: c22 / det, xy: c01 / det, xz: c02 / det, yz: c12 / det };
+}
+
+// t·v for a body-frame vector.
+export function multiplyTensor(t, v) {
+  return {
+    x: t.xx * v.x + t.xy * v.y + t.xz * v.z,
+    y: t.xy * v.x + t.yy * v.y + t.yz * v.z,
+    z: t.xz * v.x + t.yz * v.y + t.zz * v.z
+  };
+}
+
+// Replacement for Body.updateInertiaWorld on bodies with a full tensor.
+// invInertiaWorld = R·I⁻¹·Rᵀ, R from the body quaternion.
+const rotation = new CANNON.Mat3();
+const rotationT = new CANNON.Mat3();
+const scratch = new CANNON.Mat3();
+function updateFullInertiaWorld() {
+  rotation.setRotationFromQuaternion(this.quaternion);
+  rotation.transpose(rotationT);
+  rotation.mmult(this.invInertiaTensor, scratch);
+  scratch.mmult(rotationT, this.invInertiaWorld);
+}
+
+// Give `body` the inertia tensor `t`. Diagonal tensors use cannon's own
+// path; anything else patches updateInertiaWorld for this body only.
+// body.inertia/invInertia keep the diagonal for code that reads them.
+export function setBodyInertiaTensor(body, t) {
+  body.inertiaTensor = { ...t };
+  body.inertia.set(t.xx, t.yy, t.zz);
+
+  if (isDiagonal(t)) {
+    body.invInertia.set(
+      t.xx > 0 ? 1 / t.xx : 0,
+      t.yy > 0 ? 1 / t.yy : 0,
+      t.zz > 0 ? 1 / t.zz : 0
+    );
+    body.invInertiaTensor = null;
+    delete body.updateInertiaWorld; // back to the prototype method
+  } else {
+    const inv = invertTensor(t);
+    body.invInertia.set(inv.xx, inv.yy, inv.zz);
+    body.invInertiaTensor = new CANNON.Mat3(tensorToElements(inv));
+    body.updateInertiaWorld = updateFullInertiaWorld;
+  }
+  body.updateInertiaWorld(true);
+}
@@ -0,0 +1,132 @@
+// File: inputReplay.js
+// Input recording and deterministic replay. Physics always advances in fixed
+// steps (fixedStepScheduler.js), so a run is fully determined by its start
+// state, the random seed and what was fed into each step. InputRecorder logs
+// that input stream from the last reset on; ReplayPlayer feeds it back one
+// step at a time so the simulator reproduces the run exactly.
+//
+// Recorded per step (stored only when something changes):
+//   keys               thruster keys held (keyboard, fine control, controller)
+//   commands           StudentController proportional commands, or null
+//   torquePercentage   RW/CMG torque slider
+// Recorded as events, applied before the step they are tagged with:
+//   undock, pause, resume, attitudeMode { mode }, stopEverything,
+//   thrusterEnabled { index, enabled }, fineControl { enabled },
+//   fault { fault }, clearFault { id }, clearAllFaults (instructor panel),
+//   selectZone { index } (docking target)
+//
+// No DOM and no Three.js: simulation.js owns the UI and applies events.
+
+export const REPLAY_FORMAT = 'satsim-replay';
+export const REPLAY_VERSION = 1;
+
+function sameInput(a, b) {
+  return a.torquePercentage === b.torquePercentage &&
+    a.keys.length === b.keys.length && a.keys.every((k, i) => k === b.keys[i]) &&
+    JSON.stringify(a.commands) === JSON.stringify(b.commands);
+}
+
+export class InputRecorder {
+  constructor() {
+    this.recording = null;
+    this.lastInput = null;
+  }
+
+  // Start a new log at step 0. `header` holds what the replay needs to
+  // rebuild the start state: seed, disabledThrusters, fineControl,
+  // stepSize, thrusterCount, the initial pose and the selected docking zone.
+  begin(header) {
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...header,
+      totalSteps: 0,
+      frames: [],
+      events: []
+    };
+    this.lastInput = null;
+  }
+
+  // Input for step `step`, recorded just before the step runs.
+  recordStep(step, input) {
+    if (!this.recording) return;
+    const entry = {
+      keys: [...input.keys].sort(),
+      commands: input.commands ? JSON.parse(JSON.stringify(input.commands)) : null,
+      torquePercentage: input.torquePercentage
+    };
+    if (!this.lastInput || !sameInput(entry, this.lastInput)) {
+      this.recording.frames.push({ step, ...entry });
+      this.lastInput = entry;
+    }
+    this.recording.totalSteps = step + 1;
+  }
+
+  // Something that happened between steps; it is replayed before step `step`.
+  recordEvent(step, event) {
+    if (!this.recording) return;
+    this.recording.events.push({ step, ...event });
+  }
+
+  toJSON() {
+    return this.recording;
+  }
+}
+
+// Check a loaded file and fill in defaults. Throws on anything unusable.
+export function parseReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) throw new Error('Not a replay file');
+  if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}`);
+  if (!Array.isArray(data.frames) || !Array.isArray(data.events)) throw new Error('Replay has no input data');
+  if (!(data.totalSteps > 0)) throw new Error('Replay is empty');
+  return {
+    ...data,
+    seed: data.seed >>> 0,
+    disabledThrusters: Array.isArray(data.disabledThrusters) ? data.disabledThrusters : []
+  };
+}
+
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.playing = false;
+    this.speed = 1;
+    this.rewind();
+  }
+
+  get totalSteps() {
+    return this.recording.totalSteps;
+  }
+
+  // Back to step 0 (the caller resets the simulation to match).
+  rewind() {
+    this.frameIndex = 0;
+    this.eventIndex = 0;
+    this.input = { keys: [], commands: null, torquePercentage: 50 };
+  }
+
+  isFinished(step) {
+    return step >= this.recording.totalSteps;
+  }
+
+  // Events tagged with `step`, in recorded order. Call before the step runs.
+  takeEvents(step) {
+    const events = [];
+    const list = this.recording.events;
+    while (this.eventIndex < list.length && list[this.eventIndex].step <= step) {
+      events.push(list[this.eventIndex++]);
+    }
+    return events;
+  }
+
+  // Input for `step`. Steps must be taken in order after rewind().
+  inputAt(step) {
+    const frames = this.recording.frames;
+    while (this.frameIndex < frames.length && frames[this.frameIndex].step <= step) {
+      const { keys, commands, torquePercentage } = frames[this.frameIndex++];
+      this.input = { keys, commands, torquePercentage };
+    }
+    return this.input;
+  }
+}
@@ -0,0 +1,209 @@
+// File: keybindings.js
+// Keyboard bindings for the main simulator. Every action the keydown handler
+// knows has one binding, a key name as KeyboardEvent.key gives it
+// (lowercased; 'space' for the space bar), optionally prefixed with the
+// backtick modifier: 'w', 'capslock', '`+p'.
+//
+// The twelve flight actions keep the names of the keys they replace
+// (w/s/a/d/q/e, i/k/j/l/u/o): SimulationCore, replays and the autopilot all
+// speak those, so rebinding Translate +Z to the up arrow still fires 'w'.
+// Thrusters with autobind off whose keybind is one of those twelve follow the
+// flight action; any other keybind is a physical key of its own, checked for
+// conflicts but not rebindable here (edit it in the config).
+//
+// Bindings are saved to localStorage and can be exported/imported as
+//
+//   { "format": "satsim-keybindings", "version": 1, "bindings": { "pause": "`+p", ... } }
+//
+// Actions missing from a saved or imported file keep their defaults.
+
+export const MODIFIER_KEY = '`';
+export const KEYBINDINGS_FORMAT = 'satsim-keybindings';
+const STORAGE_KEY = 'satsim-keybindings';
+
+// action -> { label, group, binding (default) }
+export const KEY_ACTIONS = {
+  w: { label: 'Translate +Z', group: 'Translation', binding: 'w' },
+  s: { label: 'Translate -Z', group: 'Translation', binding: 's' },
+  a: { label: 'Translate +X', group: 'Translation', binding: 'a' },
+  d: { label: 'Translate -X', group: 'Translation', binding: 'd' },
+  e: { label: 'Translate +Y', group: 'Translation', binding: 'e' },
+  q: { label: 'Translate -Y', group: 'Translation', binding: 'q' },
+  k: { label: 'Pitch +', group: 'Rotation', binding: 'k' },
+  i: { label: 'Pitch -', group: 'Rotation', binding: 'i' },
+  j: { label: 'Yaw +', group: 'Rotation', binding: 'j' },
+  l: { label: 'Yaw -', group: 'Rotation', binding: 'l' },
+  o: { label: 'Roll +', group: 'Rotation', binding: 'o' },
+  u: { label: 'Roll -', group: 'Rotation', binding: 'u' },
+  fineControl: { label: 'Fine control', group: 'Flight', binding: 'capslock' },
+  attitudeMode: { label: 'Attitude control mode (RCS/RW/CMG)', group: 'Flight', binding: 't' },
+  stop: { label: 'Stop movement and rotation', group: 'Flight', binding: 'space' },
+  camera: { label: 'Switch camera', group: 'View', binding: 'c' },
+  lamps: { label: 'Toggle lights', group: 'View', binding: 'v' },
+  lampHelpers: { label: 'Toggle lamp helpers', group: 'View', binding: '`+v' },
+  hulls: { label: 'Toggle hulls', group: 'View', binding: '`+h' },
+  distanceInfo: { label: 'Wall distances', group: 'View', binding: '`+x' },
+  ghost: { label: 'Show/hide ghost', group: 'View', binding: '`+g' },
+  dockingBoxes: { label: 'Docking boxes and approach rules', group: 'View', binding: '`+b' },
+  dockingTarget: { label: 'Cycle docking info target', group: 'View', binding: '`+z' },
+  attitudeIndicator: { label: 'Show/hide attitude indicator', group: 'View', binding: '`+i' },
+  attitudeFrame: { label: 'Attitude indicator reference frame', group: 'View', binding: '`+o' },
+  pause: { label: 'Pause/unpause (undocks when docked)', group: 'State', binding: '`+p' },
+  undock: { label: 'Pause/unpause, second key', group: 'State', binding: '`+f' },
+  reset: { label: 'Reset', group: 'State', binding: '`+r' },
+  faultPanel: { label: 'Fault panel', group: 'Panels', binding: '`+m' },
+  gamepadPanel: { label: 'Gamepad setup', group: 'Panels', binding: '`+n' },
+  keyBindingPanel: { label: 'Key bindings', group: 'Panels', binding: '`+y' },
+  plotPanel: { label: 'Plot panel', group: 'Panels', binding: '`+l' }
+};
+
+export const FLIGHT_ACTIONS = ['w', 's', 'a', 'd', 'q', 'e', 'i', 'k', 'j', 'l', 'u', 'o'];
+
+// KeyboardEvent.key -> binding key name.
+export function normalizeKey(key) {
+  if (key === ' ') return 'space';
+  return String(key).toLowerCase();
+}
+
+export function makeBinding(key, modifier = false) {
+  return modifier ? `${MODIFIER_KEY}+${key}` : key;
+}
+
+export function parseBinding(binding) {
+  const prefix = `${MODIFIER_KEY}+`;
+  return binding.startsWith(prefix) && binding.length > prefix.length
+    ? { modifier: true, key: binding.slice(prefix.length) }
+    : { modifier: false, key: binding };
+}
+
+const KEY_NAMES = {
+  space: 'Space', capslock: 'Caps Lock', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→',
+  enter: 'Enter', tab: 'Tab', shift: 'Shift', control: 'Ctrl', alt: 'Alt'
+};
+
+// '`+p' -> '`+P', 'capslock' -> 'Caps Lock'; '--' when unbound.
+export function formatBinding(binding) {
+  if (!binding) return '--';
+  const { modifier, key } = parseBinding(binding);
+  const name = KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+  return modifier ? `${MODIFIER_KEY}+${name}` : name;
+}
+
+export class KeyBindings {
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+    this.bindings = this.defaults();
+    this.thrusterKeys = {}; // custom thruster keybind -> thruster names, see setThrusterKeys()
+    this.load();
+  }
+
+  defaults() {
+    const bindings = {};
+    Object.entries(KEY_ACTIONS).forEach(([action, info]) => { bindings[action] = info.binding; });
+    return bindings;
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      if (saved) this.apply(saved);
+    } catch (error) {
+      console.warn('Ignoring unreadable key bindings:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.warn('Could not save key bindings:', error.message);
+    }
+  }
+
+  // Take known actions from `bindings`; null unbinds.
+  apply(bindings) {
+    Object.entries(bindings).forEach(([action, binding]) => {
+      if (!KEY_ACTIONS[action]) {
+        console.warn(`Ignoring key binding for unknown action "${action}"`);
+        return;
+      }
+      this.bindings[action] = typeof binding === 'string' && binding ? binding.toLowerCase() : null;
+    });
+  }
+
+  set(action, binding) {
+    this.bindings[action] = binding;
+    this.save();
+  }
+
+  reset() {
+    this.bindings = this.defaults();
+    this.save();
+  }
+
+  // Custom keybinds of autobind-off thrusters outside the flight keys, which
+  // fire on the physical key.
+  setThrusterKeys(thrusters) {
+    this.thrusterKeys = {};
+    thrusters.forEach(t => {
+      if (t.autoBind) return;
+      t.keybind.filter(key => !FLIGHT_ACTIONS.includes(key)).forEach(key => {
+        (this.thrusterKeys[key] = this.thrusterKeys[key] || []).push(t.name);
+      });
+    });
+  }
+
+  // Action for a key press. With the modifier held, an action bound to the
+  // modified key wins, then the plain key's (so flight keys keep working).
+  actionFor(key, modifier = false) {
+    const find = binding => Object.keys(this.bindings).find(action => this.bindings[action] === binding);
+    return (modifier && find(makeBinding(key, true))) || find(key) || null;
+  }
+
+  // Flight actions (and custom thruster keys) a key release lets go of.
+  releasedBy(key) {
+    const released = FLIGHT_ACTIONS.filter(action => {
+      const binding = this.bindings[action];
+      return binding && parseBinding(binding).key === key;
+    });
+    if (this.thrusterKeys[key]) released.push(key);
+    return released;
+  }
+
+  // Bindings used more than once: [{ binding, users: [labels] }]. Custom
+  // thruster keys count as users, as does a bare modifier key.
+  conflicts() {
+    const users = {};
+    const add = (binding, label) => { (users[binding] = users[binding] || []).push(label); };
+    Object.entries(this.bindings).forEach(([action, binding]) => {
+      if (!binding) return;
+      add(binding, KEY_ACTIONS[action].label);
+      if (parseBinding(binding).key === MODIFIER_KEY) add(binding, 'the modifier key');
+    });
+    Object.entries(this.thrusterKeys).forEach(([key, names]) => add(key, `thruster keybind (${names.join(', ')})`));
+    return Object.entries(users)
+      .filter(([, labels]) => labels.length > 1)
+      .map(([binding, labels]) => ({ binding, users: labels }));
+  }
+
+  isConflicting(action) {
+    const binding = this.bindings[action];
+    return !!binding && this.conflicts().some(c => c.binding === binding);
+  }
+
+  toJSON() {
+    return { format: KEYBINDINGS_FORMAT, version: 1, bindings: { ...this.bindings } };
+  }
+
+  // Throws on a file that isn't a key bindings export.
+  import(content) {
+    if (!content || content.format !== KEYBINDINGS_FORMAT || typeof content.bindings !== 'object') {
+      throw new Error(`Not a key bindings file (expected "format": "${KEYBINDINGS_FORMAT}")`);
+    }
+    this.bindings = this.defaults();
+    this.apply(content.bindings);
+    this.save();
+  }
+}
@@ -9,6 +9,7 @@ export class LampManager {
     this.lampHelpers = [];
     this.lampsVisible = true;
     this.helpersVisible = false;
+    this.failedLamps = new Set(); // Lamp indices knocked out by a fault; stay dark when toggled on
     this.centerOfMassOffset = {x: 0, y: 0, z: 0};
 
     // Create temporary objects for calculations to avoid garbage collection
@@ -117,10 +118,16 @@ export class LampManager {
 
   toggleLamps() {
     this.lampsVisible = !this.lampsVisible;
-    this.lights.forEach(light => light.visible = this.lampsVisible);
+    this.lights.forEach((light, index) => light.visible = this.lampsVisible && !this.failedLamps.has(index));
     return this.lampsVisible;
   }
 
+  setLampFailed(index, failed) {
+    if (failed) this.failedLamps.add(index);
+    else this.failedLamps.delete(index);
+    if (this.lights[index]) this.lights[index].visible = this.lampsVisible && !failed;
+  }
+
   // This is critical new method
   updateLamps() {
     // Ensure spacecraft's world matrix is up-to-date
@@ -0,0 +1,186 @@
+// File: massProperties.js
+// Mass, center of mass and inertia of the spacecraft as propellant is burned.
+// The dry structure is a rigid body; each propellant tank is a point mass at
+// its position whose mass shrinks as fuel is consumed. Combined inertia about
+// the current center of mass follows from the parallel-axis theorem.
+//
+// Tanks are declared in spacecraftProperties:
+//
+//   "tanks": [
+//     { "name": "Main", "position": { "x": 0, "y": 0, "z": -0.3 }, "capacity": 4 },
+//     { "name": "Aux",  "position": [0.2, 0, 0.1], "capacity": 1 }
+//   ]
+//
+// Positions are in the same frame as thruster/lamp positions in the config.
+// All tanks drain together (each stays at the same fill fraction). The config's
+// `inertia` and `centerOfMass` describe the spacecraft at its configured
+// `fuelMass`; the dry values are derived from them by removing the tanks.
+//
+// No Three.js: used by spacecraftPhysics.js in the browser and headless runs.
+
+import { parseInertia } from './inertiaTensor.js';
+
+// Inertia tensors are symmetric: { xx, yy, zz, xy, xz, yz }, with the
+// off-diagonal entries as tensor elements (Ixy = -Σ m·x·y).
+function zeroTensor() {
+  return { xx: 0, yy: 0, zz: 0, xy: 0, xz: 0, yz: 0 };
+}
+
+function addTensor(target, t, sign = 1) {
+  target.xx += sign * t.xx; target.yy += sign * t.yy; target.zz += sign * t.zz;
+  target.xy += sign * t.xy; target.xz += sign * t.xz; target.yz += sign * t.yz;
+  return target;
+}
+
+// Inertia of point mass `m` at offset `r` from the reference point
+// (the parallel-axis term m(|r|²E - r rᵀ)).
+export function pointMassTensor(m, r) {
+  return {
+    xx: m * (r.y * r.y + r.z * r.z),
+    yy: m * (r.x * r.x + r.z * r.z),
+    zz: m * (r.x * r.x + r.y * r.y),
+    xy: -m * r.x * r.y,
+    xz: -m * r.x * r.z,
+    yz: -m * r.y * r.z
+  };
+}
+
+// Two rigid bodies as one: total mass, combined center of mass and the
+// inertia about it. Each is { mass, centerOfMass, inertia } in the same frame.
+export function combineMassProperties(a, b) {
+  const mass = a.mass + b.mass;
+  const centerOfMass = mass > 0
+    ? {
+        x: (a.mass * a.centerOfMass.x + b.mass * b.centerOfMass.x) / mass,
+        y: (a.mass * a.centerOfMass.y + b.mass * b.centerOfMass.y) / mass,
+        z: (a.mass * a.centerOfMass.z + b.mass * b.centerOfMass.z) / mass
+      }
+    : { ...a.centerOfMass };
+  const inertia = addTensor(addTensor(zeroTensor(), a.inertia), b.inertia);
+  addTensor(inertia, pointMassTensor(a.mass, sub(a.centerOfMass, centerOfMass)));
+  addTensor(inertia, pointMassTensor(b.mass, sub(b.centerOfMass, centerOfMass)));
+  return { mass, centerOfMass, inertia };
+}
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function toVec(p) {
+  if (Array.isArray(p)) return { x: parseFloat(p[0]) || 0, y: parseFloat(p[1]) || 0, z: parseFloat(p[2]) || 0 };
+  return { x: parseFloat(p?.x) || 0, y: parseFloat(p?.y) || 0, z: parseFloat(p?.z) || 0 };
+}
+
+// Normalize the config `tanks` array. Tanks without a positive capacity are
+// dropped with a warning.
+export function parseTanks(tanks) {
+  if (!Array.isArray(tanks)) return [];
+  return tanks.map((tank, i) => ({
+    name: tank.name || `Tank${i}`,
+    position: toVec(tank.position),
+    capacity: parseFloat(tank.capacity)
+  })).filter(tank => {
+    if (tank.capacity > 0) return true;
+    console.warn(`Tank "${tank.name}" has no valid capacity, ignoring it.`);
+    return false;
+  });
+}
+
+export class MassModel {
+  constructor({ dryMass, dryCenterOfMass, dryInertia, tanks }) {
+    this.dryMass = dryMass;
+    this.dryCenterOfMass = dryCenterOfMass;
+    this.dryInertia = dryInertia;
+    this.tanks = tanks;
+    this.capacity = tanks.reduce((sum, tank) => sum + tank.capacity, 0);
+  }
+
+  // Build from spacecraftProperties. Returns null when no tanks are declared,
+  // in which case the body keeps the fixed inertia and center of mass.
+  static fromProperties(properties = {}, dryMass, fuelMass) {
+    const tanks = parseTanks(properties.tanks);
+    if (tanks.length === 0) return null;
+    if (!(dryMass > 0)) {
+      console.warn('Tanks need a positive dryMass, keeping fixed mass properties.');
+      return null;
+    }
+
+    const capacity = tanks.reduce((sum, tank) => sum + tank.capacity, 0);
+    const referenceFuel = Math.min(Math.max(fuelMass, 0), capacity);
+    const reference = toVec(properties.centerOfMass);
+
+    // Dry center of mass: remove the tanks' first moment from the total.
+    const totalMass = dryMass + referenceFuel;
+    const dryCenterOfMass = { x: reference.x * totalMass, y: reference.y * totalMass, z: reference.z * totalMass };
+    tanks.forEach(tank => {
+      const m = tank.capacity * referenceFuel / capacity;
+      dryCenterOfMass.x -= m * tank.position.x;
+      dryCenterOfMass.y -= m * tank.position.y;
+      dryCenterOfMass.z -= m * tank.position.z;
+    });
+    dryCenterOfMass.x /= dryMass;
+    dryCenterOfMass.y /= dryMass;
+    dryCenterOfMass.z /= dryMass;
+
+    // Dry inertia about the dry center of mass: configured inertia minus the
+    // tanks and the dry mass's own parallel-axis term about the reference.
+    let dryInertia;
+    try {
+      dryInertia = parseInertia(properties.inertia || { x: 0, y: 0, z: 0 });
+    } catch (error) {
+      console.warn('Invalid inertia, keeping fixed mass properties:', error);
+      return null;
+    }
+    tanks.forEach(tank => {
+      const m = tank.capacity * referenceFuel / capacity;
+      addTensor(dryInertia, pointMassTensor(m, sub(tank.position, reference)), -1);
+    });
+    addTensor(dryInertia, pointMassTensor(dryMass, sub(dryCenterOfMass, reference)), -1);
+
+    ['xx', 'yy', 'zz'].forEach(axis => {
+      if (!(dryInertia[axis] > 0)) {
+        console.warn(`Tank layout leaves a non-positive dry inertia ${axis} (${dryInertia[axis]}); check the config inertia and tank positions.`);
+        dryInertia[axis] = 1e-6;
+      }
+    });
+
+    const model = new MassModel({ dryMass, dryCenterOfMass, dryInertia, tanks });
+    model.sourceProperties = properties;
+    return model;
+  }
+
+  // Fuel left in each tank for a total of `fuelMass`.
+  getTankFuel(fuelMass) {
+    const fill = this.capacity > 0 ? Math.min(Math.max(fuelMass, 0), this.capacity) / this.capacity : 0;
+    return this.tanks.map(tank => tank.capacity * fill);
+  }
+
+  // Mass, center of mass (config frame) and inertia tensor about that center
+  // of mass for a total of `fuelMass` propellant on board.
+  evaluate(fuelMass) {
+    const tankFuel = this.getTankFuel(fuelMass);
+    let mass = this.dryMass;
+    const moment = {
+      x: this.dryMass * this.dryCenterOfMass.x,
+      y: this.dryMass * this.dryCenterOfMass.y,
+      z: this.dryMass * this.dryCenterOfMass.z
+    };
+    this.tanks.forEach((tank, i) => {
+      mass += tankFuel[i];
+      moment.x += tankFuel[i] * tank.position.x;
+      moment.y += tankFuel[i] * tank.position.y;
+      moment.z += tankFuel[i] * tank.position.z;
+    });
+    const centerOfMass = mass > 0
+      ? { x: moment.x / mass, y: moment.y / mass, z: moment.z / mass }
+      : { ...this.dryCenterOfMass };
+
+    const inertia = addTensor(zeroTensor(), this.dryInertia);
+    addTensor(inertia, pointMassTensor(this.dryMass, sub(this.dryCenterOfMass, centerOfMass)));
+    this.tanks.forEach((tank, i) => {
+      addTensor(inertia, pointMassTensor(tankFuel[i], sub(tank.position, centerOfMass)));
+    });
+
+    return { mass, centerOfMass, inertia, tankFuel };
+  }
+}
@@ -77,30 +77,25 @@ export class MissionClock {
     return `${hoursStr}:${minutesStr}:${secondsStr}.${millisecondsStr}`;
   }
 
-  // Redraw the clock. `paused` and `isDocked` mirror the simulation's flags so
-  // this module doesn't need to own the broader simulation state.
-  update(paused, isDocked) {
-    if (!this._ensureDisplay()) return;
-
-    // If never undocked, show 0:00:00.000
-    if (this.undockTime === null) {
-      this.clockDisplay.textContent = '0:00:00.000';
-      return;
-    }
-
-    // If docked, show the time at which we docked (frozen)
-    if (isDocked) {
-      this.clockDisplay.textContent = this._format(this.lastDockedTime);
-      return;
-    }
+  // Elapsed mission time in ms, as the clock shows it.
+  getElapsedMs(paused, isDocked) {
+    if (this.undockTime === null) return 0;
+    if (isDocked) return this.lastDockedTime;
 
-    // Calculate elapsed time since undock, accounting for paused time
-    let currentTime = performance.now();
     // If currently paused, subtract the current pause duration from the calc
+    let currentTime = performance.now();
     if (paused && this.pausedStartTime !== null) {
       currentTime = this.pausedStartTime;
     }
-    const elapsedMilliseconds = currentTime - this.undockTime - this.accumulatedPausedTime;
-    this.clockDisplay.textContent = this._format(elapsedMilliseconds);
+    return currentTime - this.undockTime - this.accumulatedPausedTime;
+  }
+
+  // Redraw the clock. `paused` and `isDocked` mirror the simulation's flags so
+  // this module doesn't need to own the broader simulation state.
+  update(paused, isDocked) {
+    if (!this._ensureDisplay()) return;
+
+    // 0:00:00.000 if never undocked; frozen at the docking time once docked
+    this.clockDisplay.textContent = this._format(this.getElapsedMs(paused, isDocked));
   }
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+// File: orbitalDynamics.js
+// Optional orbital relative-motion mode: Hill / Clohessy-Wiltshire (CW)
+// accelerations for a chaser near a target station in a circular orbit.
+// With world gravity at zero the proximity scenario is otherwise pure free
+// drift; with CW on, a radial offset makes the chaser drift along-track, so
+// approaches need real V-bar / R-bar technique.
+//
+// Configured per scenario by an `orbit` block in the position JSON:
+//
+//   "orbit": {
+//     "enabled": true,              // optional, default true when the block exists
+//     "altitudeKm": 400,            // circular orbit altitude, OR
+//     "meanMotion": 0.001131,       // rad/s (takes precedence over altitudeKm)
+//     "origin": { "x": 0, "y": -3, "z": 5.5 },   // target reference point in sim
+//                                   // coordinates; defaults to the docking position
+//     "axes": {                     // LVLH axes expressed as sim axes
+//       "radial": "+y",             // R-bar: away from Earth
+//       "alongTrack": "-z",         // V-bar: direction of orbital velocity
+//       "crossTrack": "-x"          // H-bar: optional, must equal radial × alongTrack
+//     }
+//   }
+//
+// No Three.js: used by SimulationCore in both the browser and headless runs.
+
+export const EARTH_MU = 3.986004418e14; // m^3/s^2
+export const EARTH_RADIUS = 6378137;    // m (equatorial)
+
+export const DEFAULT_ORBIT_AXES = { radial: '+y', alongTrack: '-z' };
+
+const AXIS_VECTORS = {
+  '+x': { x: 1, y: 0, z: 0 }, '-x': { x: -1, y: 0, z: 0 },
+  '+y': { x: 0, y: 1, z: 0 }, '-y': { x: 0, y: -1, z: 0 },
+  '+z': { x: 0, y: 0, z: 1 }, '-z': { x: 0, y: 0, z: -1 }
+};
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+// "+y", "y", "-Z" -> unit vector along that sim axis.
+export function parseAxis(spec) {
+  let key = String(spec).trim().toLowerCase();
+  if (key.length === 1) key = '+' + key;
+  const axis = AXIS_VECTORS[key];
+  if (!axis) throw new Error(`Invalid LVLH axis "${spec}" (use +x, -x, +y, -y, +z or -z)`);
+  return { ...axis };
+}
+
+// Mean motion (rad/s) of a circular orbit at `altitudeKm` above the equator.
+export function meanMotionFromAltitude(altitudeKm) {
+  const a = EARTH_RADIUS + altitudeKm * 1000;
+  return Math.sqrt(EARTH_MU / (a * a * a));
+}
+
+export class OrbitalDynamics {
+  constructor({ meanMotion, altitudeKm = null, origin = { x: 0, y: 0, z: 0 }, axes = DEFAULT_ORBIT_AXES, enabled = true }) {
+    if (!(meanMotion > 0)) throw new Error('Orbit mean motion must be a positive number (rad/s)');
+    this.meanMotion = meanMotion;
+    this.period = 2 * Math.PI / meanMotion;
+    this.altitudeKm = altitudeKm;
+    this.origin = { x: origin.x || 0, y: origin.y || 0, z: origin.z || 0 };
+    this.enabled = enabled;
+
+    this.axisSpecs = { radial: axes.radial, alongTrack: axes.alongTrack };
+    this.radial = parseAxis(axes.radial);
+    this.alongTrack = parseAxis(axes.alongTrack);
+    if (Math.abs(dot(this.radial, this.alongTrack)) > 1e-9) {
+      throw new Error(`LVLH radial (${axes.radial}) and along-track (${axes.alongTrack}) axes must be perpendicular`);
+    }
+    this.crossTrack = cross(this.radial, this.alongTrack);
+    if (axes.crossTrack !== undefined && dot(parseAxis(axes.crossTrack), this.crossTrack) < 0.5) {
+      throw new Error(`LVLH cross-track axis ${axes.crossTrack} does not complete a right-handed frame with radial ${axes.radial} and along-track ${axes.alongTrack}`);
+    }
+    this.axisSpecs.crossTrack = axes.crossTrack ?? Object.keys(AXIS_VECTORS).find(k => dot(AXIS_VECTORS[k], this.crossTrack) > 0.5);
+  }
+
+  // Build from a position file's `orbit` block. Returns null when there is no
+  // block or it is disabled. `defaultOrigin` is used when the block has none.
+  static fromPositionData(posData, defaultOrigin = { x: 0, y: 0, z: 0 }) {
+    const orbit = posData?.orbit;
+    if (!orbit || orbit.enabled === false) return null;
+
+    let meanMotion = parseFloat(orbit.meanMotion);
+    const altitudeKm = orbit.altitudeKm !== undefined ? parseFloat(orbit.altitudeKm) : null;
+    if (!(meanMotion > 0)) {
+      if (!(altitudeKm > 0)) throw new Error('Orbit block needs "meanMotion" (rad/s) or "altitudeKm"');
+      meanMotion = meanMotionFromAltitude(altitudeKm);
+    }
+
+    return new OrbitalDynamics({
+      meanMotion,
+      altitudeKm,
+      origin: orbit.origin || defaultOrigin,
+      axes: { ...DEFAULT_ORBIT_AXES, ...(orbit.axes || {}) }
+    });
+  }
+
+  // CW relative acceleration (world/sim frame) for a point at `position`
+  // moving with `velocity`, relative to the origin:
+  //   x'' = 3n²x + 2n y'    (radial)
+  //   y'' = -2n x'          (along-track)
+  //   z'' = -n² z           (cross-track)
+  getAcceleration(position, velocity) {
+    const n = this.meanMotion;
+    const r = {
+      x: position.x - this.origin.x,
+      y: position.y - this.origin.y,
+      z: position.z - this.origin.z
+    };
+    const x = dot(r, this.radial), z = dot(r, this.crossTrack);
+    const vx = dot(velocity, this.radial), vy = dot(velocity, this.alongTrack);
+
+    const ax = 3 * n * n * x + 2 * n * vy;
+    const ay = -2 * n * vx;
+    const az = -n * n * z;
+
+    return {
+      x: ax * this.radial.x + ay * this.alongTrack.x + az * this.crossTrack.x,
+      y: ax * this.radial.y + ay * this.alongTrack.y + az * this.crossTrack.y,
+      z: ax * this.radial.z + ay * this.alongTrack.z + az * this.crossTrack.z
+    };
+  }
+
+  // Add the CW force (m·a, through the center of mass) to `body` for the
+  // coming world step. cannon clears body.force after each step.
+  applyTo(body) {
+    if (!this.enabled || !body) return;
+    const a = this.getAcceleration(body.position, body.velocity);
+    body.force.x += a.x * body.mass;
+    body.force.y += a.y * body.mass;
+    body.force.z += a.z * body.mass;
+  }
+
+  // Round-trips through the position file format (used by position export).
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      meanMotion: this.meanMotion,
+      ...(this.altitudeKm !== null ? { altitudeKm: this.altitudeKm } : {}),
+      origin: { ...this.origin },
+      axes: { ...this.axisSpecs }
+    };
+  }
+}
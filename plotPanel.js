@@ -0,0 +1,379 @@
+// File: plotPanel.js
+// Strip-chart plot panel: selected signals against simulated time over a
+// scrolling window, one strip per signal group, for tuning controllers
+// without reading numbers off the HUD.
+//
+// Samples are recorded at SAMPLE_INTERVAL of simulated time whether or not
+// the panel is open, keeping the last MAX_WINDOW seconds, so opening it
+// shows recent history. A sample is { t, values: { 'group.series': number },
+// duties: [] }; series are discovered from the values, so wheels, CMGs and
+// the autopilot's plot(name, value) calls need no setup.
+//
+// The panel's markup is in index.html (#plot-panel); PlotPanel wires it up
+// the way StudentController does the controller panel.
+
+import { getFuelStatus } from './spacecraftPhysics.js';
+
+const SAMPLE_INTERVAL = 0.05; // s of simulated time (20 Hz)
+const MAX_WINDOW = 120; // s kept
+const WINDOWS = [2, 5, 10, 20, 30, 60, 120]; // zoom steps, s
+const COLORS = ['#f55', '#5f5', '#59f', '#fd4', '#f5f', '#5ff', '#fa5', '#aaf'];
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Strips in display order. `raster` draws thruster duty as rows.
+export const PLOT_GROUPS = {
+  position: { label: 'Position', unit: 'm' },
+  velocity: { label: 'Velocity', unit: 'm/s' },
+  bodyRates: { label: 'Body rates', unit: '°/s' },
+  attitudeError: { label: 'Attitude error to target', unit: '°' },
+  fuel: { label: 'Fuel', unit: 'kg' },
+  wheelMomentum: { label: 'Wheel/CMG momentum', unit: 'N·m·s' },
+  thrusters: { label: 'Thruster activity', unit: '', raster: true },
+  controller: { label: 'Autopilot plot()', unit: '' }
+};
+
+// One sample of the built-in signals. `target` is the selected zone's
+// evaluateDockingZone() status (or null).
+export function samplePlotSignals(core, target = null) {
+  const b = core.body;
+  if (!b) return null;
+  const rates = b.quaternion.conjugate().vmult(b.angularVelocity);
+  const values = {
+    'position.x': b.position.x, 'position.y': b.position.y, 'position.z': b.position.z,
+    'velocity.x': b.velocity.x, 'velocity.y': b.velocity.y, 'velocity.z': b.velocity.z,
+    'bodyRates.x': rates.x * RAD_TO_DEG, 'bodyRates.y': rates.y * RAD_TO_DEG, 'bodyRates.z': rates.z * RAD_TO_DEG,
+    'fuel.fuel': getFuelStatus().fuelMass
+  };
+  if (target?.checks) {
+    values['attitudeError.pointing'] = target.checks.pointing.value;
+    values['attitudeError.roll'] = target.checks.roll.value;
+    values['attitudeError.total'] = target.angleDiff;
+  }
+  const ac = core.attitudeControl;
+  if (ac) {
+    ac.reactionWheels.forEach(wheel => { values[`wheelMomentum.${wheel.name}`] = wheel.currentAngularMomentum; });
+    ac.cmgs.forEach(cmg => { values[`wheelMomentum.${cmg.name}`] = cmg.currentAngularMomentum.length(); });
+  }
+  const duties = core.thrusters.map((t, i) => (t.active ? core.thrusterDuties[i] || 0 : 0));
+  return { values, duties };
+}
+
+export class PlotPanel {
+  constructor() {
+    this.samples = [];
+    this.series = {}; // group -> [series names], in order of appearance
+    this.thrusterCount = 0;
+    this.controllerValues = {}; // latest plot(name, value) per name, added to each sample
+    this.lastSampleTime = -Infinity;
+    this.windowLength = 20;
+    this.paused = false;
+    this.pausedAt = 0; // end of the window while paused
+    this.selected = new Set(['position', 'velocity']);
+
+    this.panel = document.getElementById('plot-panel');
+    this.canvas = document.getElementById('plot-canvas');
+    this.signalList = document.getElementById('plot-signals');
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+    if (this.panel) this.bindControls();
+  }
+
+  get visible() {
+    return !!this.panel && this.panel.style.display !== 'none';
+  }
+
+  toggle() {
+    if (!this.panel) return;
+    this.panel.style.display = this.visible ? 'none' : 'flex';
+    this.render();
+  }
+
+  bindControls() {
+    const byId = id => document.getElementById(id);
+    byId('plot-close').addEventListener('click', () => this.toggle());
+    byId('plot-pause').addEventListener('click', e => {
+      e.target.blur();
+      this.setPaused(!this.paused);
+    });
+    byId('plot-zoom-in').addEventListener('click', e => {
+      e.target.blur();
+      this.zoom(-1);
+    });
+    byId('plot-zoom-out').addEventListener('click', e => {
+      e.target.blur();
+      this.zoom(1);
+    });
+    byId('plot-export').addEventListener('click', e => {
+      e.target.blur();
+      this.exportPNG();
+    });
+    const dock = byId('plot-dock');
+    dock.addEventListener('change', () => {
+      dock.blur();
+      this.setDock(dock.value);
+    });
+    this.canvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.zoom(e.deltaY > 0 ? 1 : -1);
+    }, { passive: false });
+
+    // Floating: drag by the header
+    const header = byId('plot-panel-header');
+    header.addEventListener('mousedown', e => {
+      if (this.dock !== 'float' || e.target.closest('button, select')) return;
+      const rect = this.panel.getBoundingClientRect();
+      const dx = e.clientX - rect.left, dy = e.clientY - rect.top;
+      const move = ev => {
+        this.panel.style.left = `${Math.max(0, ev.clientX - dx)}px`;
+        this.panel.style.top = `${Math.max(0, ev.clientY - dy)}px`;
+      };
+      const up = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', up);
+      };
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', up);
+    });
+
+    this.setDock('bottom');
+    this.updateSignalList();
+  }
+
+  setDock(dock) {
+    this.dock = dock;
+    this.panel.classList.remove('plot-dock-bottom', 'plot-dock-right', 'plot-dock-float');
+    this.panel.classList.add(`plot-dock-${dock}`);
+    ['left', 'top', 'right', 'bottom'].forEach(side => { this.panel.style[side] = ''; });
+    this.render();
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.pausedAt = this.latestTime();
+    const button = document.getElementById('plot-pause');
+    if (button) button.textContent = paused ? 'Resume' : 'Pause';
+    this.render();
+  }
+
+  zoom(direction) {
+    const i = WINDOWS.indexOf(this.windowLength);
+    this.windowLength = WINDOWS[Math.max(0, Math.min(WINDOWS.length - 1, i + direction))];
+    const label = document.getElementById('plot-window');
+    if (label) label.textContent = this.windowLength;
+    this.render();
+  }
+
+  // A value from the autopilot's plot(name, value), charted from the next sample.
+  setControllerValue(name, value) {
+    this.controllerValues[name] = value;
+  }
+
+  // Time going backwards (a reset or replay the panel wasn't told about) is due too.
+  due(time) {
+    return time < this.lastSampleTime || time - this.lastSampleTime >= SAMPLE_INTERVAL - 1e-9;
+  }
+
+  record(time, sample) {
+    if (!sample || !this.due(time)) return;
+    if (time < this.lastSampleTime) this.clear();
+    const values = { ...sample.values };
+    Object.entries(this.controllerValues).forEach(([name, value]) => { values[`controller.${name}`] = value; });
+    let newSeries = false;
+    Object.keys(values).forEach(key => {
+      const dot = key.indexOf('.');
+      const group = key.slice(0, dot), name = key.slice(dot + 1);
+      const names = this.series[group] || (this.series[group] = []);
+      if (!names.includes(name)) {
+        names.push(name);
+        newSeries = true;
+      }
+    });
+    this.thrusterCount = Math.max(this.thrusterCount, sample.duties.length);
+    this.samples.push({ t: time, values, duties: sample.duties });
+    this.lastSampleTime = time;
+    while (this.samples.length && this.samples[0].t < time - MAX_WINDOW) this.samples.shift();
+    if (newSeries) this.updateSignalList();
+  }
+
+  // Start over, e.g. on reset.
+  clear() {
+    this.samples = [];
+    this.controllerValues = {};
+    this.series = {};
+    this.lastSampleTime = -Infinity;
+    this.pausedAt = 0;
+    this.updateSignalList();
+    this.render();
+  }
+
+  latestTime() {
+    return this.samples.length ? this.samples[this.samples.length - 1].t : 0;
+  }
+
+  // Checkboxes for the groups that have data (and the raster once there are thrusters).
+  updateSignalList() {
+    if (!this.signalList) return;
+    this.signalList.innerHTML = '';
+    Object.entries(PLOT_GROUPS).forEach(([group, info]) => {
+      const available = info.raster ? this.thrusterCount > 0 : !!this.series[group]?.length;
+      if (!available && group !== 'controller') return;
+      const label = document.createElement('label');
+      label.style.marginRight = '8px';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = this.selected.has(group);
+      box.addEventListener('change', () => {
+        box.blur();
+        if (box.checked) this.selected.add(group);
+        else this.selected.delete(group);
+        this.render();
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${info.label}`));
+      this.signalList.appendChild(label);
+    });
+  }
+
+  render() {
+    if (!this.visible || !this.ctx) return;
+    const canvas = this.canvas;
+    const ratio = Math.min(window.devicePixelRatio || 1, 2);
+    const width = canvas.clientWidth, height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+    const ctx = this.ctx;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#050505';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '10px monospace';
+
+    const groups = Object.keys(PLOT_GROUPS).filter(group => this.selected.has(group));
+    if (!groups.length || !this.samples.length) {
+      ctx.fillStyle = '#888';
+      ctx.fillText(this.samples.length ? 'No signals selected' : 'No data yet: undock and fly', 10, 20);
+      return;
+    }
+
+    const end = this.paused ? this.pausedAt : this.latestTime();
+    const start = end - this.windowLength;
+    const visible = this.samples.filter(s => s.t >= start && s.t <= end);
+    const left = 48, right = width - 8, axisHeight = 14;
+    const stripHeight = (height - axisHeight) / groups.length;
+    const x = t => left + (t - start) / this.windowLength * (right - left);
+
+    groups.forEach((group, i) => {
+      const top = i * stripHeight;
+      const info = PLOT_GROUPS[group];
+      ctx.strokeStyle = '#333';
+      ctx.strokeRect(left, top + 1, right - left, stripHeight - 2);
+      if (info.raster) this.drawRaster(visible, x, top, stripHeight);
+      else this.drawLines(group, visible, x, left, right, top, stripHeight);
+      ctx.fillStyle = '#aaa';
+      ctx.fillText(`${info.label}${info.unit ? ` (${info.unit})` : ''}`, left + 4, top + 12);
+    });
+
+    // Time axis
+    ctx.fillStyle = '#888';
+    const step = this.windowLength / 5;
+    for (let t = Math.ceil(start / step) * step; t <= end + 1e-9; t += step) {
+      ctx.fillText(`${t.toFixed(step < 1 ? 1 : 0)}s`, x(t) - 10, height - 3);
+    }
+    if (this.paused) {
+      ctx.fillStyle = '#ff0';
+      ctx.fillText('PAUSED', right - 50, height - 3);
+    }
+  }
+
+  drawLines(group, samples, x, left, right, top, height) {
+    const ctx = this.ctx;
+    const names = this.series[group] || [];
+    let min = Infinity, max = -Infinity;
+    samples.forEach(s => names.forEach(name => {
+      const v = s.values[`${group}.${name}`];
+      if (v === undefined) return;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }));
+    if (!Number.isFinite(min)) {
+      ctx.fillStyle = '#666';
+      ctx.fillText(group === 'controller' ? 'Call plot(name, value) from computeControl' : 'No data', left + 4, top + 26);
+      return;
+    }
+    if (max - min < 1e-9) {
+      min -= 1;
+      max += 1;
+    }
+    const pad = (max - min) * 0.08;
+    min -= pad;
+    max += pad;
+    const y = v => top + 2 + (1 - (v - min) / (max - min)) * (height - 4);
+
+    ctx.fillStyle = '#888';
+    ctx.fillText(max.toPrecision(3), 2, top + 10);
+    ctx.fillText(min.toPrecision(3), 2, top + height - 3);
+    if (min < 0 && max > 0) {
+      ctx.strokeStyle = '#333';
+      ctx.beginPath();
+      ctx.moveTo(left, y(0));
+      ctx.lineTo(right, y(0));
+      ctx.stroke();
+    }
+
+    names.forEach((name, n) => {
+      const color = COLORS[n % COLORS.length];
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let drawing = false;
+      samples.forEach(s => {
+        const v = s.values[`${group}.${name}`];
+        if (v === undefined) {
+          drawing = false;
+          return;
+        }
+        if (drawing) ctx.lineTo(x(s.t), y(v));
+        else ctx.moveTo(x(s.t), y(v));
+        drawing = true;
+      });
+      ctx.stroke();
+      // Legend, right-aligned
+      ctx.fillStyle = color;
+      ctx.fillText(name, right - 6 - (names.length - n) * 60, top + 12);
+    });
+  }
+
+  drawRaster(samples, x, top, height) {
+    const ctx = this.ctx;
+    const rows = Math.max(this.thrusterCount, 1);
+    const rowHeight = (height - 18) / rows;
+    const width = Math.max(1, x(SAMPLE_INTERVAL) - x(0));
+    samples.forEach(s => {
+      s.duties.forEach((duty, i) => {
+        if (!(duty > 0)) return;
+        ctx.fillStyle = `rgba(255, 160, 40, ${Math.min(duty, 1)})`;
+        ctx.fillRect(x(s.t), top + 16 + i * rowHeight, width, Math.max(1, rowHeight - 1));
+      });
+    });
+    ctx.fillStyle = '#888';
+    if (rowHeight >= 9) {
+      for (let i = 0; i < rows; i++) ctx.fillText(String(i), 30, top + 16 + (i + 1) * rowHeight - 1);
+    }
+  }
+
+  exportPNG() {
+    if (!this.canvas) return;
+    this.render();
+    this.canvas.toBlob(blob => {
+      if (!blob) return;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'satsim_plot.png';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 'image/png');
+  }
+}
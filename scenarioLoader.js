@@ -0,0 +1,152 @@
+// File: scenarioLoader.js
+// Scenario files: one JSON that bundles everything the start menu uploads,
+// so an instructor can hand out a single file per exercise. Models are
+// embedded as base64 (plain or as a data: URL); the JSON parts are the same
+// objects as the separate files.
+//
+//   {
+//     "format": "satsim-scenario",
+//     "version": 1,
+//     "name": "...", "description": "...",
+//     "config": { ... },                  complete configuration
+//     "spacecraftModel": "<base64>",      spacecraft STL
+//     "dockingPort": "<base64>",          docking port STL
+//     "initialPosition": { ... },         initial position file
+//     "secondSpacecraftModel": "<base64>",
+//     "secondPosition": { ... },
+//     "secondDockingLocation": { ... },
+//     "station": "gateway" | "none" | { url, position?, scale? },
+//     "lighting": { ambient?, sunColor?, sunIntensity?, sunPosition?, fillIntensity? },
+//     "faults": [ ... ],                  fault schedule (replaces the position file's)
+//     "successCriteria": { ... }          see evaluateSuccessCriteria()
+//   }
+//
+// Everything is optional; anything left out falls back to the defaults, as
+// with the start menu. unpackScenario() turns a scenario into the
+// window.uploadedFiles shape that getConfiguration/getSpacecraftModel
+// (configLoader.js) and DockingManager already read, plus `scenario` for
+// the rest. No DOM, so headless runs can load scenarios too.
+
+import { getFuelStatus } from './spacecraftPhysics.js';
+
+export const SCENARIO_FORMAT = 'satsim-scenario';
+export const SCENARIO_VERSION = 1;
+
+// uploadedFiles keys holding models (ArrayBuffers) and JSON objects.
+const MODEL_KEYS = ['spacecraftModel', 'dockingPort', 'secondSpacecraftModel'];
+const JSON_KEYS = ['config', 'initialPosition', 'secondPosition', 'secondDockingLocation'];
+
+export function isScenario(content) {
+  return !!content && content.format === SCENARIO_FORMAT;
+}
+
+// base64 (or a base64 data: URL) -> ArrayBuffer.
+export function decodeAsset(asset) {
+  const base64 = asset.startsWith('data:') ? asset.slice(asset.indexOf(',') + 1) : asset;
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+// ArrayBuffer -> base64, in chunks so large models don't overflow the stack.
+export function encodeAsset(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Scenario JSON -> { uploadedFiles, scenario }. Throws on a file that is not
+// a scenario, a newer version or a model that won't decode.
+export function unpackScenario(content) {
+  if (!isScenario(content)) throw new Error(`Not a scenario file (expected "format": "${SCENARIO_FORMAT}")`);
+  if ((content.version ?? 1) > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${content.version} is newer than this simulator supports (${SCENARIO_VERSION})`);
+  }
+
+  const uploadedFiles = {};
+  MODEL_KEYS.forEach(key => {
+    if (!content[key]) {
+      uploadedFiles[key] = null;
+      return;
+    }
+    try {
+      uploadedFiles[key] = decodeAsset(content[key]);
+    } catch (error) {
+      throw new Error(`Scenario ${key} is not valid base64: ${error.message}`);
+    }
+  });
+  JSON_KEYS.forEach(key => { uploadedFiles[key] = content[key] || null; });
+
+  return {
+    uploadedFiles,
+    scenario: {
+      name: content.name || 'Untitled scenario',
+      description: content.description || '',
+      station: content.station ?? 'gateway',
+      lighting: content.lighting || null,
+      faults: content.faults ?? null,
+      successCriteria: content.successCriteria || null
+    }
+  };
+}
+
+// The start menu's uploads (and any scenario extras) -> scenario JSON.
+export function packScenario(uploadedFiles, extras = {}) {
+  const content = { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, name: extras.name || 'Untitled scenario' };
+  if (extras.description) content.description = extras.description;
+  MODEL_KEYS.forEach(key => {
+    if (uploadedFiles[key]) content[key] = encodeAsset(uploadedFiles[key]);
+  });
+  JSON_KEYS.forEach(key => {
+    if (uploadedFiles[key]) content[key] = uploadedFiles[key];
+  });
+  ['station', 'lighting', 'faults', 'successCriteria'].forEach(key => {
+    if (extras[key] !== undefined && extras[key] !== null) content[key] = extras[key];
+  });
+  return content;
+}
+
+// Check a run against the scenario's success criteria:
+//
+//   dock                    must be hard docked (default true)
+//   dockWith                'primary', 'secondSpacecraft' or 'any' (default)
+//   maxTime                 s of simulated time
+//   minFuelPercent          fuel left, % of capacity
+//   maxApproachViolations   corridor + keep-out violations (approachMonitor.js)
+//   maxFailedCaptures       rebounds + failed captures (dockingCapture.js)
+//
+// Returns { passed, checks: [{ name, passed, detail }] }, or null without
+// criteria.
+export function evaluateSuccessCriteria(criteria, core) {
+  if (!criteria) return null;
+  const checks = [];
+  const add = (name, passed, detail) => checks.push({ name, passed, detail });
+
+  if (criteria.dock !== false) {
+    const zone = core.capture.phase === 'docked' ? core.capture.zone?.name : null;
+    const wanted = criteria.dockWith || 'any';
+    add('dock', !!core.isDocked && (wanted === 'any' || zone === wanted),
+      core.isDocked ? `docked at ${zone || 'primary'}` : 'not docked');
+  }
+  if (criteria.maxTime !== undefined) {
+    add('maxTime', core.time <= criteria.maxTime, `${core.time.toFixed(1)} s of ${criteria.maxTime} s`);
+  }
+  if (criteria.minFuelPercent !== undefined) {
+    const fuel = getFuelStatus();
+    const percent = fuel.maxFuelMass > 0 ? fuel.fuelMass / fuel.maxFuelMass * 100 : 0;
+    add('minFuelPercent', percent >= criteria.minFuelPercent, `${percent.toFixed(1)}% fuel left, need ${criteria.minFuelPercent}%`);
+  }
+  if (criteria.maxApproachViolations !== undefined) {
+    const count = core.approach.counts.corridor + core.approach.counts.keepOut;
+    add('maxApproachViolations', count <= criteria.maxApproachViolations, `${count} approach violation(s), ${criteria.maxApproachViolations} allowed`);
+  }
+  if (criteria.maxFailedCaptures !== undefined) {
+    const count = core.capture.events.filter(e => e.type === 'rebound' || e.type === 'failed').length;
+    add('maxFailedCaptures', count <= criteria.maxFailedCaptures, `${count} failed capture(s), ${criteria.maxFailedCaptures} allowed`);
+  }
+  return { passed: checks.every(c => c.passed), checks };
+}
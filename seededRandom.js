@@ -0,0 +1,21 @@
+// File: seededRandom.js
+// Small seeded pseudo-random generator (mulberry32) for anything random that
+// has to replay exactly, such as random fault picks (faultManager.js). Same seed,
+// same sequence, on every browser and under Node.
+
+// A fresh 32-bit seed. Math.random() is fine here: the seed itself is recorded.
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Returns a function with the same contract as Math.random(): [0, 1).
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
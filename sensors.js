@@ -0,0 +1,291 @@
+// File: sensors.js
+// Sensor models for the autopilot. The controller's `state` fields
+// (controllerState.js) are the physics truth; SensorSuite adds
+// `state.sensors`, what onboard hardware would report instead: noisy,
+// biased, sampled at each sensor's own rate and delivered late by its own
+// latency. The truth fields are also copied into `state.truth`, and an
+// instructor can hide all of them so a program has to navigate on its
+// sensors alone.
+//
+// Configured per scenario by a `sensors` block in the position JSON. Every
+// field is optional; a sensor set to false is left out, and gps is only
+// fitted when its block is given:
+//
+//   "sensors": {
+//     "truth": true,
+//     "gyro":          { "rate": 50, "latency": 0.02, "noise": 0.02,
+//                        "bias": { "x": 0, "y": 0, "z": 0 }, "biasWalk": 0.001 },
+//     "accelerometer": { "rate": 50, "latency": 0.02, "noise": 0.002,
+//                        "bias": { "x": 0, "y": 0, "z": 0 } },
+//     "starTracker":   { "rate": 2, "latency": 0.25, "noise": 0.01 },
+//     "relative":      { "rate": 5, "latency": 0.1, "rangeNoise": 0.01,
+//                        "rangeRateNoise": 0.005, "bearingNoise": 0.1 },
+//     "gps":           { "rate": 1, "latency": 0.5, "noise": 0.5, "velocityNoise": 0.05 }
+//   }
+//
+// rate in Hz (at most one sample per physics step), latency in s. Noise is
+// the 1σ of white noise per sample: gyro deg/s, accelerometer m/s², star
+// tracker deg per axis, range m, range rate m/s, bearing deg, gps m and m/s.
+// The gyro bias drifts as a random walk of biasWalk deg/s/√s.
+//
+// Readings in state.sensors (null until the first sample arrives or while
+// the sensor has dropped out); `time` is when each one was measured:
+//   gyro           { x, y, z, time }  body rates, deg/s
+//   accelerometer  { x, y, z, time }  body-frame specific force, m/s² (thrust
+//                                     and contact, not orbital dynamics)
+//   starTracker    { quaternion, attitude: { roll, pitch, yaw }, time }
+//   relative       { range, rangeRate, direction: { x, y, z }, zone, time }
+//                  line of sight to the selected docking zone, body frame
+//   gps            { position, velocity, time }  world frame
+//
+// sensorBias/sensorDropout faults (faultManager.js) act on the readings too:
+// gyro, accelerometer, attitude (star tracker), relative (line of sight, m)
+// and position/velocity (gps). Noise draws come from core.random, so runs
+// with sensors still replay exactly.
+
+import { quaternionToEulerYXZ } from './controllerState.js';
+import { rotateByInverse, multiplyQuaternions } from './dockingZones.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+
+export const SENSOR_DEFAULTS = {
+  gyro: { rate: 50, latency: 0.02, noise: 0.02, bias: { x: 0, y: 0, z: 0 }, biasWalk: 0.001 },
+  accelerometer: { rate: 50, latency: 0.02, noise: 0.002, bias: { x: 0, y: 0, z: 0 } },
+  starTracker: { rate: 2, latency: 0.25, noise: 0.01 },
+  relative: { rate: 5, latency: 0.1, rangeNoise: 0.01, rangeRateNoise: 0.005, bearingNoise: 0.1 },
+  gps: { rate: 1, latency: 0.5, noise: 0.5, velocityNoise: 0.05 }
+};
+
+// The controller state fields that are physics truth (see SENSOR_FIELDS).
+const TRUTH_FIELDS = [
+  'position', 'velocity', 'orientation', 'attitude', 'gyro', 'angularVelocity',
+  'velocityBody', 'gyroBody', 'angularVelocityBody'
+];
+
+function finite(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function vec(v, fallback = { x: 0, y: 0, z: 0 }) {
+  return { x: finite(v?.x, fallback.x), y: finite(v?.y, fallback.y), z: finite(v?.z, fallback.z) };
+}
+
+// Standard normal draw (Box-Muller) from a [0, 1) generator.
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function noisyVec(v, sigma, random) {
+  if (!(sigma > 0)) return { ...v };
+  return { x: v.x + sigma * gaussian(random), y: v.y + sigma * gaussian(random), z: v.z + sigma * gaussian(random) };
+}
+
+function addBias(v, bias) {
+  if (!bias) return v;
+  const out = { ...v };
+  Object.entries(bias).forEach(([key, value]) => { if (key in out) out[key] += value; });
+  return out;
+}
+
+function normalize(q) {
+  const len = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+  return { x: q.x / len, y: q.y / len, z: q.z / len, w: q.w / len };
+}
+
+// Small body-frame rotation of (x, y, z) radians about each axis.
+function smallRotation(x, y, z) {
+  return normalize({ x: x / 2, y: y / 2, z: z / 2, w: 1 });
+}
+
+// Inverse of quaternionToEulerYXZ (same as THREE's 'YXZ' setFromEuler).
+function quaternionFromEulerYXZ(ex, ey, ez) {
+  const c1 = Math.cos(ex / 2), c2 = Math.cos(ey / 2), c3 = Math.cos(ez / 2);
+  const s1 = Math.sin(ex / 2), s2 = Math.sin(ey / 2), s3 = Math.sin(ez / 2);
+  return {
+    x: s1 * c2 * c3 + c1 * s2 * s3,
+    y: c1 * s2 * c3 - s1 * c2 * s3,
+    z: c1 * c2 * s3 - s1 * s2 * c3,
+    w: c1 * c2 * c3 + s1 * s2 * s3
+  };
+}
+
+function toAttitude(q) {
+  const e = quaternionToEulerYXZ(q);
+  return { roll: e.z * RAD_TO_DEG, pitch: e.x * RAD_TO_DEG, yaw: e.y * RAD_TO_DEG };
+}
+
+// Merge a sensor block over its defaults. false (or enabled: false) removes it.
+function parseSensor(name, spec) {
+  if (spec === false || spec?.enabled === false) return null;
+  const defaults = SENSOR_DEFAULTS[name];
+  const sensor = {};
+  Object.entries(defaults).forEach(([key, value]) => {
+    sensor[key] = typeof value === 'object' ? vec(spec?.[key], value) : Math.max(0, finite(spec?.[key], value));
+  });
+  return sensor;
+}
+
+export class SensorSuite {
+  constructor() {
+    this.truth = true; // Controller state keeps the truth fields and `truth`
+    this.targetZoneIndex = 0; // Docking zone the relative sensor tracks
+    this.configure(null);
+  }
+
+  // Apply a position file's `sensors` block (null = defaults, no gps).
+  configure(spec) {
+    const config = spec && typeof spec === 'object' ? spec : {};
+    this.truth = config.truth !== false;
+    this.models = {};
+    Object.keys(SENSOR_DEFAULTS).forEach(name => {
+      if (name === 'gps' && config.gps === undefined) return;
+      const model = parseSensor(name, config[name]);
+      if (model) this.models[name] = model;
+    });
+    this.spec = spec || null;
+    this.reset();
+  }
+
+  // Back to t = 0: no readings yet, gyro bias drift starts over.
+  reset() {
+    this.time = 0;
+    this.channels = {};
+    Object.keys(this.models).forEach(name => {
+      this.channels[name] = { nextSample: 0, buffer: [], reading: null };
+    });
+    this.gyroDrift = { x: 0, y: 0, z: 0 };
+  }
+
+  // Sample every sensor that is due after a physics step. Call with the
+  // core's clock already advanced.
+  update(core) {
+    const body = core.body;
+    this.time = core.time;
+    if (!body) return;
+    Object.entries(this.models).forEach(([name, model]) => {
+      const channel = this.channels[name];
+      if (this.time + 1e-9 >= channel.nextSample) {
+        const period = model.rate > 0 ? 1 / model.rate : 0;
+        channel.nextSample = Math.max(channel.nextSample + period, this.time);
+        const value = this._sample(name, model, core, period);
+        if (value) value.time = this.time;
+        channel.buffer.push({ availableAt: this.time + model.latency, value });
+      }
+      // The newest sample whose latency has passed
+      while (channel.buffer.length && channel.buffer[0].availableAt <= this.time + 1e-9) {
+        channel.reading = channel.buffer.shift().value;
+      }
+    });
+  }
+
+  // Readings delivered by now, one entry per fitted sensor.
+  read() {
+    const readings = {};
+    Object.keys(this.models).forEach(name => {
+      const reading = this.channels[name].reading;
+      readings[name] = reading ? JSON.parse(JSON.stringify(reading)) : null;
+    });
+    return readings;
+  }
+
+  // Add the readings to a controller state, and move the truth fields into
+  // state.truth (or drop them when truth is switched off). Without truth,
+  // state.target keeps only which zone it is and the zone's limits.
+  applyTo(state) {
+    const truth = {};
+    TRUTH_FIELDS.forEach(field => {
+      truth[field] = state[field];
+      if (!this.truth) delete state[field];
+    });
+    if (this.truth) state.truth = truth;
+    if (!this.truth && state.target) {
+      const { index, total, name, label, boxSize, angleThreshold, criteria } = state.target;
+      state.target = { index, total, name, label, boxSize, angleThreshold, criteria };
+    }
+    state.sensors = this.read();
+    return state;
+  }
+
+  _sample(name, model, core, period) {
+    const random = core.random;
+    const faults = target => core.faults.getSensorFaults(target);
+    const body = core.body;
+    const q = body.quaternion;
+
+    if (name === 'gyro') {
+      const fault = faults('gyro');
+      if (period > 0 && model.biasWalk > 0) {
+        this.gyroDrift = noisyVec(this.gyroDrift, model.biasWalk * Math.sqrt(period), random);
+      }
+      const rates = rotateByInverse(q, body.angularVelocity);
+      const measured = noisyVec({
+        x: rates.x * RAD_TO_DEG + model.bias.x + this.gyroDrift.x,
+        y: rates.y * RAD_TO_DEG + model.bias.y + this.gyroDrift.y,
+        z: rates.z * RAD_TO_DEG + model.bias.z + this.gyroDrift.z
+      }, model.noise, random);
+      return fault.dropout ? null : addBias(measured, fault.bias);
+    }
+
+    if (name === 'accelerometer') {
+      const fault = faults('accelerometer');
+      const a = rotateByInverse(q, core.acceleration || { x: 0, y: 0, z: 0 });
+      const measured = noisyVec({ x: a.x + model.bias.x, y: a.y + model.bias.y, z: a.z + model.bias.z }, model.noise, random);
+      return fault.dropout ? null : addBias(measured, fault.bias);
+    }
+
+    if (name === 'starTracker') {
+      const fault = faults('attitude');
+      const sigma = model.noise * DEG_TO_RAD;
+      const error = noisyVec({ x: 0, y: 0, z: 0 }, sigma, random);
+      let quaternion = normalize(multiplyQuaternions(q, smallRotation(error.x, error.y, error.z)));
+      if (fault.dropout) return null;
+      if (fault.bias) {
+        const a = addBias(toAttitude(quaternion), fault.bias);
+        quaternion = quaternionFromEulerYXZ(a.pitch * DEG_TO_RAD, a.yaw * DEG_TO_RAD, a.roll * DEG_TO_RAD);
+      }
+      return { quaternion, attitude: toAttitude(quaternion) };
+    }
+
+    if (name === 'relative') {
+      const zone = core.dockingZones[this.targetZoneIndex % Math.max(core.dockingZones.length, 1)];
+      if (!zone) return null;
+      const fault = faults('relative');
+      const p = zone.position;
+      const lineOfSight = addBias(rotateByInverse(q, {
+        x: p.x - body.position.x, y: p.y - body.position.y, z: p.z - body.position.z
+      }), fault.bias);
+      const range = Math.hypot(lineOfSight.x, lineOfSight.y, lineOfSight.z);
+      // Closing speed along the line of sight (negative while approaching),
+      // relative to the zone in case it is on a moving vehicle
+      const zv = zone.velocity || { x: 0, y: 0, z: 0 };
+      const v = rotateByInverse(q, { x: body.velocity.x - zv.x, y: body.velocity.y - zv.y, z: body.velocity.z - zv.z });
+      const rangeRate = range > 0 ? -(v.x * lineOfSight.x + v.y * lineOfSight.y + v.z * lineOfSight.z) / range : 0;
+      const sigma = model.bearingNoise * DEG_TO_RAD;
+      const d = range > 0 ? { x: lineOfSight.x / range, y: lineOfSight.y / range, z: lineOfSight.z / range } : { x: 0, y: 0, z: 1 };
+      const direction = normalize({ ...noisyVec(d, sigma, random), w: 0 });
+      if (fault.dropout) return null;
+      return {
+        range: Math.max(0, range + model.rangeNoise * gaussian(random)),
+        rangeRate: rangeRate + model.rangeRateNoise * gaussian(random),
+        direction: { x: direction.x, y: direction.y, z: direction.z },
+        zone: zone.name || null
+      };
+    }
+
+    if (name === 'gps') {
+      const positionFault = faults('position');
+      const velocityFault = faults('velocity');
+      const position = addBias(noisyVec(vec(body.position), model.noise, random), positionFault.bias);
+      const velocity = addBias(noisyVec(vec(body.velocity), model.velocityNoise, random), velocityFault.bias);
+      if (positionFault.dropout && velocityFault.dropout) return null;
+      return {
+        position: positionFault.dropout ? null : position,
+        velocity: velocityFault.dropout ? null : velocity
+      };
+    }
+    return null;
+  }
+}
@@ -1,12 +1,12 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { CameraSystem } from './CameraSystem.js';
-import initializeThrusters, { initializeThrustersWithConfig } from './thrusterSetup.js';
 import { 
   initializeUI,
   updateUI,
   toggleUIVisibility,
-  updateUIText
+  updateUIText,
+  cycleAttitudeIndicatorFrame
 } from './hudUpdater.js';
 import { loadConvexHulls, toggleHullVisibility } from './hullManager.js';
 import { 
@@ -15,22 +15,32 @@ import {
   getSpacecraftBody, 
   getSpacecraftMesh, 
   updateSpacecraft,
-  updateSatelliteMass,
-  consumeFuel,
-  getFuelStatus,
-  resetFuel,
-  setFuelProperties
+  snapshotSpacecraftPose,
+  shiftSpacecraftModel,
+  getSpacecraftModelMesh,
+  getFuelStatus
 } from './spacecraftManager.js';
-import { AttitudeControlSystem } from './attitudeControl.js';
 import { LampManager } from './lampManager.js';
 import { StudentController } from './controller.js';
-import { createThrusterVisual, setThrusterEffectActive, updateThrusterEffects } from './thrusterEffects.js';
+import { createThrusterVisual, setThrusterEffectActive, setThrusterPlumeLevel, updateThrusterEffects } from './thrusterEffects.js';
 // Extracted modules
 import { getConfiguration, getSpacecraftModel } from './configLoader.js';
 import { loadSpaceStation, setupLighting, addEyeChart } from './environmentSetup.js';
 import { DockingManager } from './dockingManager.js';
 import { MissionClock } from './missionClock.js';
+import { TelemetryRecorder } from './telemetryRecorder.js';
+import { GhostShip } from './ghostShip.js';
+import { createSeededRandom, randomSeed } from './seededRandom.js';
+import { InputRecorder, ReplayPlayer, parseReplay } from './inputReplay.js';
+import { FAULT_TYPES, parseFault, describeTrigger } from './faultManager.js';
 import { SoundManager } from './soundManager.js';
+import { FixedStepScheduler, PHYSICS_DT } from './fixedStepScheduler.js';
+import { SimulationCore, createPhysicsWorld, TRANSLATION_KEYS, ROTATION_KEYS } from './simulationCore.js';
+import { evaluateSuccessCriteria } from './scenarioLoader.js';
+import { computeDeltaVBudget, predictDockingPropellant } from './deltaV.js';
+import { GamepadInput, GAMEPAD_AXIS_ACTIONS, GAMEPAD_BUTTON_ACTIONS } from './gamepadInput.js';
+import { PlotPanel, samplePlotSignals } from './plotPanel.js';
+import { KeyBindings, KEY_ACTIONS, FLIGHT_ACTIONS, MODIFIER_KEY, normalizeKey, makeBinding, formatBinding } from './keybindings.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
@@ -65,10 +75,7 @@ function initSimulation() {
   renderer.setSize(window.innerWidth, window.innerHeight);
   document.getElementById('simulation-container').appendChild(renderer.domElement);
 
-  const world = new CANNON.World();
-  world.gravity.set(0, 0, 0);
-  world.broadphase = new CANNON.SAPBroadphase(world);
-  world.solver.iterations = 10;
+  const world = createPhysicsWorld();
 
   let satBody;
   let satMesh;
@@ -85,6 +92,7 @@ function initSimulation() {
   let defaultProperties = null;
   
   let showDistanceInfo = false;
+  let showAttitudeIndicator = true;
   let raycaster = new THREE.Raycaster();
   let maxDistance = 100;
   
@@ -101,21 +109,41 @@ function initSimulation() {
   initialOrientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI/2);
   let initialOrientationThree = new THREE.Quaternion();
   initialOrientationThree.setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI/2);
-  let isDocked = true; // Start docked
-  let canDock = false;
-  let hasLeftDockingBoxOnce = false;
-  
   let DOCKING_BOX_SIZE = 0.1;
   let DOCKING_ANGLE_THRESHOLD = 3;
+  let DOCKING_CRITERIA = null; // per-axis/roll limits for the primary zone (dockingZones.js)
+  let APPROACH_RULES = null; // corridor and keep-out sphere around the primary zone
 
   window.scene = scene;
   window.world = world;
   window.renderer = renderer;
 
+  // Scenario file extras (scenarioLoader.js): station, lighting, faults and
+  // success criteria. Its files are already in window.uploadedFiles.
+  const scenario = window.uploadedFiles?.scenario || null;
+  if (scenario) {
+    console.log(`Scenario: ${scenario.name}`);
+    toggleUIVisibility('scenario-info', true);
+    updateUIText('scenario-name', scenario.name);
+  }
+
   // Sub-systems that were previously inline. Own their own state.
   dockingManager = new DockingManager({ scene, world });
+
+  // Physics, fuel, actuators and the docking state machine (simulationCore.js).
+  // Shares the docking manager's zone list so both see the same zones.
+  const simCore = new SimulationCore({ world, stepSize: PHYSICS_DT, dockingZones: dockingManager.dockingZones });
+  window.simCore = simCore;
   missionClock = new MissionClock();
   soundManager = new SoundManager();
+  // Samples simCore at a fixed rate in simulated time (telemetryRecorder.js)
+  const telemetryRecorder = new TelemetryRecorder();
+  window.telemetryRecorder = telemetryRecorder;
+  // Strip charts of recent signals and the autopilot's plot() values (plotPanel.js)
+  const plotPanel = new PlotPanel();
+  window.plotPanel = plotPanel;
+  // Translucent copy of a previous attempt, flown from a telemetry file
+  const ghostShip = new GhostShip(scene);
 
   async function initializeDefaultSpacecraft() {
     const config = await getConfiguration();
@@ -134,6 +162,7 @@ function initSimulation() {
       initialPosition = new CANNON.Vec3(posData.position.x, posData.position.y, posData.position.z);
       initialOrientation = new CANNON.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
       initialOrientationThree = new THREE.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
+      simCore.setInitialPose(posData);
       
       // Load docking parameters if available in the file
       if (posData.dockingBoxSize !== undefined) {
@@ -144,11 +173,23 @@ function initSimulation() {
         DOCKING_ANGLE_THRESHOLD = posData.dockingAngleThreshold;
         console.log("Using imported docking angle threshold:", DOCKING_ANGLE_THRESHOLD);
       }
+      if (posData.dockingCriteria !== undefined) {
+        DOCKING_CRITERIA = posData.dockingCriteria;
+        console.log("Using imported docking criteria:", DOCKING_CRITERIA);
+      }
+      if (posData.approach !== undefined) {
+        APPROACH_RULES = posData.approach;
+        console.log("Using imported approach corridor/keep-out sphere:", APPROACH_RULES);
+      }
       
       console.log("Using imported initial position/orientation:", posData);
     } else {
       console.log("Using default initial position/orientation");
     }
+    // A scenario file's fault schedule replaces the position file's
+    if (scenario?.faults) {
+      simCore.faults.load(scenario.faults);
+    }
 
     const rotation = { x: 0, y: 0, z: 0 };
 
@@ -169,11 +210,13 @@ function initSimulation() {
       
       window.satBody = satBody;
       window.satMesh = satMesh;
+      simCore.setSpacecraftBody(satBody);
       
       satBody.position.copy(initialPosition);
       satBody.quaternion.copy(initialOrientation);
       satMesh.position.copy(initialPosition);
       satMesh.quaternion.copy(initialOrientation);
+      snapshotSpacecraftPose();
       
       // Store centerOfMass in spacecraft mesh for cameras to access
       satMesh.userData.centerOfMassOffset = centerOfMassOffset;
@@ -206,10 +249,15 @@ function initSimulation() {
       camSys = new CameraSystem(renderer, satMesh);
       window.camSys = camSys;
       
-      attitudeControl = new AttitudeControlSystem(satBody, scene);
-      attitudeControl.setSatelliteMesh(satMesh);
-      attitudeControl.setCenterOfMassOffset(centerOfMassOffset);
-      studentController = new StudentController({ satBody });
+      studentController = new StudentController({
+        satBody,
+        faults: simCore.faults,
+        sensors: simCore.sensors,
+        getTarget: () => dockingManager.getSelectedTargetState(satBody),
+        onCycleSelectedZone: cycleDockingTarget,
+        onPlot: (name, value) => plotPanel.setControllerValue(name, value),
+        onStepReady: () => { if (!paused && satBody) advancePhysics(0); }
+      });
       
       lampManager = new LampManager(scene, satMesh);
       lampManager.setCenterOfMassOffset(centerOfMassOffset);
@@ -231,6 +279,8 @@ function initSimulation() {
         orientation: initialOrientationThree,
         dockingBoxSize: DOCKING_BOX_SIZE,
         dockingAngleThreshold: DOCKING_ANGLE_THRESHOLD,
+        dockingCriteria: DOCKING_CRITERIA,
+        approach: APPROACH_RULES,
         name: 'primary'
       });
 
@@ -242,12 +292,12 @@ function initSimulation() {
   }
 
   // Static environment (space station, lights, eye chart) now lives in environmentSetup.js
-  station = loadSpaceStation(scene);
-  setupLighting(scene);
+  station = loadSpaceStation(scene, scenario?.station);
+  setupLighting(scene, scenario?.lighting);
   addEyeChart(scene);
 
   let thrusters = [];
-  const keyToThrusterIndices = { w:[],s:[],a:[],d:[],q:[],e:[],i:[],k:[],j:[],l:[],u:[],o:[] };
+  const keyToThrusterIndices = simCore.keyToThrusterIndices;
   const userDisabledThrusterIndices = new Set();
   let highlightedThrusterIndex = null;
 
@@ -266,26 +316,58 @@ function initSimulation() {
     if (thruster?.material?.emissive) thruster.material.emissive.setHex(color);
   }
 
-  function isSpecialDisabledThruster(index) {
-    return specialThrusterModeTriggered && index === disabledThrusterIndex;
+  // Failed off by a fault (faultManager.js); the menu cannot re-enable it.
+  function isThrusterFailedOff(index) {
+    return !!thrusters[index]?.fault?.stuckOff;
   }
 
+  // Switched off in the thruster menu. The key allocation flies around
+  // these; a failed thruster is not worked around, so the pilot has to cope.
   function isThrusterDisabled(index) {
-    return userDisabledThrusterIndices.has(index) || isSpecialDisabledThruster(index);
+    return userDisabledThrusterIndices.has(index);
   }
 
   function setThrusterActive(thruster, active) {
-    if (!thruster) return;
-    const wasActive = thruster.active;
-    thruster.active = !!active;
+    simCore.setThrusterActive(thruster, active);
+  }
+
+  // The core owns thruster on/off state; these hooks add the browser side.
+  simCore.isThrusterDisabled = isThrusterDisabled;
+  simCore.onThrusterActiveChange = (thruster, wasActive, active) => {
     // Visual effects (ignition smoke puff + plume fade) live in thrusterEffects.js
-    setThrusterEffectActive(thruster, wasActive, !!active);
+    setThrusterEffectActive(thruster, wasActive, active);
     // Audio: startup transient on ignition + continuous roar while active.
-    if (soundManager) soundManager.setThrusterActive(thruster, wasActive, !!active);
+    if (soundManager) soundManager.setThrusterActive(thruster, wasActive, active);
     if (thruster.index !== highlightedThrusterIndex) {
       setThrusterEmissive(thruster, getThrusterBaseEmissive(thruster));
     }
-  }
+  };
+
+  // Tanks draining moved the center of mass (the body origin): move what is
+  // drawn on the spacecraft the other way. Cameras read the shared
+  // satMesh.userData.centerOfMassOffset, so they follow on their own.
+  // Docked to Spacecraft 2: its meshes ride on our model (dockingCapture.js)
+  simCore.capture.onMatedChange = (zone, mated, { restore }) => {
+    dockingManager.setSecondSpacecraftCarried(mated ? getSpacecraftModelMesh() : null, { restore });
+  };
+
+  simCore.onCenterOfMassChange = (offset, shift) => {
+    shiftSpacecraftModel(shift);
+    thrusters.forEach(t => { if (t.visual) t.visual.position.sub(shift); });
+    if (lampManager) lampManager.setCenterOfMassOffset(offset);
+  };
+
+  // A fault fired or cleared (faultManager.js): thruster menu, lamps and the
+  // instructor panel follow. Thruster/wheel/CMG flags are already set.
+  simCore.faults.onChange = () => {
+    updateThrusterMenuFaultStates();
+    if (lampManager) {
+      lampManager.lamps.forEach((lamp, index) => {
+        lampManager.setLampFailed(index, simCore.faults.isLampFailed(index, lamp.id));
+      });
+    }
+    updateFaultPanel();
+  };
 
   function highlightThruster(index) {
     if (highlightedThrusterIndex !== null && highlightedThrusterIndex !== index) {
@@ -303,21 +385,28 @@ function initSimulation() {
     if (highlightedThrusterIndex === index) highlightedThrusterIndex = null;
   }
 
-  function updateThrusterMenuSpecialStates() {
+  function updateThrusterMenuFaultStates() {
     thrusters.forEach((thruster, index) => {
       const checkbox = document.getElementById(`thruster-enabled-${index}`);
       const row = document.getElementById(`thruster-menu-row-${index}`);
       if (!checkbox || !row) return;
-      const specialDisabled = isSpecialDisabledThruster(index);
-      checkbox.disabled = specialDisabled;
-      if (specialDisabled) {
+      const failedOff = isThrusterFailedOff(index);
+      const stuckOpen = !!thruster.fault?.stuckOpen;
+      const leaking = !stuckOpen && thruster.fault?.leakDuty > 0;
+      checkbox.disabled = failedOff;
+      if (failedOff) {
         checkbox.checked = false;
         setThrusterActive(thruster, false);
       } else {
         checkbox.checked = !userDisabledThrusterIndices.has(index);
       }
-      row.classList.toggle('special-disabled', specialDisabled);
-      row.title = specialDisabled ? 'Disabled by special mode; this menu cannot re-enable it.' : 'Hover to highlight this thruster in the scene.';
+      row.classList.toggle('fault-off', failedOff);
+      row.classList.toggle('fault-open', stuckOpen);
+      row.classList.toggle('fault-leak', leaking);
+      row.title = failedOff ? 'Failed off; this menu cannot re-enable it.'
+        : stuckOpen ? 'Stuck open: fires at full thrust whatever this menu says.'
+        : leaking ? `Leaking ${(thruster.fault.leakDuty * 100).toFixed(1)}% of full thrust whatever this menu says.`
+        : 'Hover to highlight this thruster in the scene.';
     });
   }
 
@@ -337,6 +426,522 @@ function initSimulation() {
     });
   }
 
+  // HUD telemetry controls: sample rate, start/stop and CSV/JSON download.
+  function initializeTelemetryControls() {
+    const toggle = document.getElementById('telemetry-toggle');
+    const rateInput = document.getElementById('telemetry-rate');
+    const csvButton = document.getElementById('telemetry-csv');
+    const jsonButton = document.getElementById('telemetry-json');
+    if (!toggle || !rateInput || !csvButton || !jsonButton) return;
+
+    const maxRate = 1 / PHYSICS_DT; // One sample per physics step at most
+    rateInput.max = maxRate;
+    const applyRate = () => {
+      const rate = Math.min(parseFloat(rateInput.value) || telemetryRecorder.rateHz, maxRate);
+      rateInput.value = telemetryRecorder.setRate(rate);
+    };
+    applyRate();
+    rateInput.addEventListener('change', applyRate);
+
+    const updateStatus = () => {
+      updateUIText('telemetry-status', telemetryRecorder.recording ? 'RECORDING' : 'OFF');
+      document.getElementById('telemetry-status').style.color = telemetryRecorder.recording ? '#f66' : '';
+      updateUIText('telemetry-count', telemetryRecorder.samples.length);
+      toggle.textContent = telemetryRecorder.recording ? 'Stop Recording' : 'Start Recording';
+    };
+    toggle.addEventListener('click', () => {
+      if (telemetryRecorder.recording) {
+        telemetryRecorder.stop();
+      } else {
+        applyRate();
+        telemetryRecorder.start();
+      }
+      updateStatus();
+      toggle.blur(); // Keep Space/Enter from re-toggling while flying
+    });
+
+    const download = (format) => {
+      if (telemetryRecorder.samples.length === 0) {
+        alert('No telemetry recorded yet. Press Start Recording first.');
+        return;
+      }
+      telemetryRecorder.download(format);
+    };
+    csvButton.addEventListener('click', () => download('csv'));
+    jsonButton.addEventListener('click', () => download('json'));
+    updateStatus();
+  }
+
+  function setThrusterUserEnabled(index, enabled) {
+    if (enabled) userDisabledThrusterIndices.delete(index);
+    else {
+      userDisabledThrusterIndices.add(index);
+      setThrusterActive(thrusters[index], false);
+    }
+    const checkbox = document.getElementById(`thruster-enabled-${index}`);
+    if (checkbox && !isThrusterFailedOff(index)) checkbox.checked = enabled;
+  }
+
+  let ghostLabel = '';
+
+  // HUD ghost controls: load a trajectory (telemetry JSON) or clear it.
+  function initializeGhostControls() {
+    const loadButton = document.getElementById('ghost-load');
+    const clearButton = document.getElementById('ghost-clear');
+    const fileInput = document.getElementById('ghost-file');
+    if (!loadButton || !clearButton || !fileInput) return;
+
+    loadButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        // The STL/GLB model alone; the default box spacecraft has none
+        const model = getSpacecraftModelMesh() ||
+          new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial());
+        const count = ghostShip.load(JSON.parse(text), model);
+        ghostLabel = `${file.name} (${ghostShip.duration.toFixed(1)} s, ${count} samples)`;
+        updateUIText('ghost-status', ghostShip.visible ? ghostLabel : `${ghostLabel}, hidden`);
+      }).catch(error => {
+        alert(`Could not load ghost trajectory: ${error.message}`);
+      });
+      fileInput.value = '';
+    });
+    clearButton.addEventListener('click', () => {
+      ghostShip.clear();
+      updateUIText('ghost-status', 'None');
+    });
+  }
+
+  // ---------- INSTRUCTOR FAULT PANEL (` + M) ----------
+
+  // Fire a fault now. Live faults are recorded so replays match.
+  function injectFault(spec) {
+    try {
+      simCore.faults.inject(spec, simCore);
+      return true;
+    } catch (error) {
+      console.error('Could not fire fault:', error.message);
+      return false;
+    }
+  }
+
+  function updateFaultPanel() {
+    const activeList = document.getElementById('fault-active-list');
+    const scheduleList = document.getElementById('fault-schedule-list');
+    if (!activeList || !scheduleList) return;
+
+    activeList.innerHTML = '';
+    simCore.faults.active.forEach(fault => {
+      const row = document.createElement('div');
+      row.className = 'fault-row';
+      const label = document.createElement('span');
+      const until = fault.clearAt !== null ? `, until ${fault.clearAt.toFixed(1)} s` : '';
+      label.textContent = `${simCore.faults.describe(fault, simCore)} (t = ${fault.activatedAt.toFixed(1)} s${until})`;
+      const clear = document.createElement('button');
+      clear.textContent = 'Clear';
+      clear.addEventListener('click', () => {
+        if (replayPlayer) return; // The recording decides
+        recordInputEvent({ type: 'clearFault', id: fault.id });
+        simCore.faults.clear(fault.id, simCore);
+      });
+      row.appendChild(label);
+      row.appendChild(clear);
+      activeList.appendChild(row);
+    });
+    if (!simCore.faults.active.length) activeList.textContent = 'None';
+
+    scheduleList.innerHTML = '';
+    simCore.faults.pending.forEach(fault => {
+      const row = document.createElement('div');
+      row.className = 'fault-row';
+      row.textContent = `${simCore.faults.describe(fault, simCore)} (${describeTrigger(fault.trigger)})`;
+      scheduleList.appendChild(row);
+    });
+    if (!simCore.faults.pending.length) scheduleList.textContent = 'None';
+  }
+
+  // Select the next docking zone (` + Z, or cycleSelectedZone() in an
+  // autopilot): the HUD, state.target and the relative sensor follow it.
+  function cycleDockingTarget() {
+    const selection = dockingManager.cycleSelectedZone();
+    if (!selection) return;
+    showDockingTarget(selection);
+    recordInputEvent({ type: 'selectZone', index: selection.index });
+  }
+
+  // Select docking zone `index` without cycling (replays).
+  function selectDockingTarget(index) {
+    const selection = dockingManager.selectZone(index);
+    if (selection) showDockingTarget(selection);
+  }
+
+  function showDockingTarget(selection) {
+    updateUIText('docking-target-label', selection.label);
+    simCore.sensors.targetZoneIndex = selection.index;
+  }
+
+  function toggleFaultPanel() {
+    const panel = document.getElementById('fault-panel');
+    if (panel) panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  }
+
+  function toggleGamepadPanel() {
+    const panel = document.getElementById('gamepad-panel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    if (panel.style.display === 'none') {
+      gamepadInput.cancelBinding();
+      gamepadInput.cancelCalibration();
+    }
+    refreshGamepadPanel();
+  }
+
+  // Setup panel: deadzone, calibration and the per-device bindings.
+  function initializeGamepadPanel() {
+    const axisList = document.getElementById('gamepad-axis-list');
+    const buttonList = document.getElementById('gamepad-button-list');
+    if (!axisList || !buttonList) return;
+
+    document.getElementById('gamepad-panel-close').addEventListener('click', toggleGamepadPanel);
+    const deadzone = document.getElementById('gamepad-deadzone');
+    deadzone.addEventListener('input', e => {
+      gamepadInput.setDeadzone(parseInt(e.target.value) / 100);
+      updateUIText('gamepad-deadzone-value', e.target.value);
+    });
+    deadzone.addEventListener('keydown', event => event.stopPropagation());
+
+    document.getElementById('gamepad-calibrate').addEventListener('click', e => {
+      e.target.blur();
+      if (gamepadInput.calibrating) {
+        gamepadInput.finishCalibration();
+      } else if (!gamepadInput.startCalibration()) {
+        alert('No gamepad found. Connect one and press any button on it first.');
+      }
+      refreshGamepadPanel();
+    });
+    document.getElementById('gamepad-clear-calibration').addEventListener('click', e => {
+      e.target.blur();
+      gamepadInput.clearCalibration();
+    });
+    document.getElementById('gamepad-reset').addEventListener('click', e => {
+      e.target.blur();
+      if (!gamepadInput.connected || !confirm(`Reset all bindings and calibration for ${gamepadInput.gamepad.id}?`)) return;
+      gamepadInput.resetProfile();
+      refreshGamepadPanel();
+    });
+
+    const addRow = (list, kind, action, label) => {
+      const row = document.createElement('div');
+      row.className = 'fault-row';
+      const name = document.createElement('span');
+      name.textContent = label;
+      name.style.flex = '1';
+      const binding = document.createElement('span');
+      binding.id = `gamepad-${kind}-${action}`;
+      binding.style.color = '#0ff';
+      row.appendChild(name);
+      row.appendChild(binding);
+      if (kind === 'axis') {
+        const live = document.createElement('span');
+        live.id = `gamepad-live-${action}`;
+        live.style.width = '40px';
+        live.style.textAlign = 'right';
+        row.appendChild(live);
+      }
+      const bind = document.createElement('button');
+      bind.textContent = 'Bind';
+      bind.title = kind === 'axis'
+        ? 'Then push the axis toward + (or press an analog button)'
+        : 'Then press the button';
+      bind.addEventListener('click', e => {
+        e.target.blur();
+        if (!gamepadInput.bind(kind, action, refreshGamepadPanel)) {
+          alert('No gamepad found. Connect one and press any button on it first.');
+          return;
+        }
+        binding.textContent = kind === 'axis' ? 'move axis...' : 'press button...';
+      });
+      const clear = document.createElement('button');
+      clear.textContent = '×';
+      clear.title = 'Unbind';
+      clear.addEventListener('click', e => {
+        e.target.blur();
+        gamepadInput.unbind(kind, action);
+        refreshGamepadPanel();
+      });
+      row.appendChild(bind);
+      row.appendChild(clear);
+      list.appendChild(row);
+    };
+    Object.entries(GAMEPAD_AXIS_ACTIONS).forEach(([action, info]) => addRow(axisList, 'axis', action, info.label));
+    Object.entries(GAMEPAD_BUTTON_ACTIONS).forEach(([action, label]) => addRow(buttonList, 'button', action, label));
+    refreshGamepadPanel();
+  }
+
+  function toggleKeyBindingPanel() {
+    const panel = document.getElementById('keybinding-panel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    rebindingAction = null;
+    refreshKeyBindingPanel();
+  }
+
+  // Rebinding: the next key press (with or without the modifier) after
+  // clicking an action's key is its new binding. Escape cancels. Listens in
+  // the capture phase so the press doesn't also fly the spacecraft.
+  let rebindingAction = null;
+  let rebindModifier = false;
+  window.addEventListener('keydown', e => {
+    if (!rebindingAction) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const k = normalizeKey(e.key);
+    if (k === MODIFIER_KEY) {
+      rebindModifier = true;
+      return;
+    }
+    if (k !== 'escape') keyBindings.set(rebindingAction, makeBinding(k, rebindModifier));
+    rebindingAction = null;
+    refreshKeyBindingPanel();
+    renderControlsHelp();
+  }, true);
+  window.addEventListener('keyup', e => {
+    if (normalizeKey(e.key) === MODIFIER_KEY) rebindModifier = false;
+  }, true);
+
+  function initializeKeyBindingPanel() {
+    const list = document.getElementById('keybinding-list');
+    if (!list) return;
+    document.getElementById('keybinding-panel-close').addEventListener('click', toggleKeyBindingPanel);
+
+    list.innerHTML = '';
+    let group = null;
+    Object.entries(KEY_ACTIONS).forEach(([action, info]) => {
+      if (info.group !== group) {
+        group = info.group;
+        const heading = document.createElement('div');
+        heading.className = 'fault-panel-section';
+        heading.textContent = group;
+        list.appendChild(heading);
+      }
+      const row = document.createElement('div');
+      row.className = 'fault-row';
+      const name = document.createElement('span');
+      name.textContent = info.label;
+      name.style.flex = '1';
+      const bind = document.createElement('button');
+      bind.id = `keybinding-${action}`;
+      bind.style.minWidth = '90px';
+      bind.title = 'Click, then press the new key (hold ` for a `+ combination, Escape cancels)';
+      bind.addEventListener('click', e => {
+        e.target.blur();
+        rebindingAction = action;
+        rebindModifier = false;
+        refreshKeyBindingPanel();
+      });
+      const clear = document.createElement('button');
+      clear.textContent = '×';
+      clear.title = 'Unbind';
+      clear.addEventListener('click', e => {
+        e.target.blur();
+        keyBindings.set(action, null);
+        refreshKeyBindingPanel();
+        renderControlsHelp();
+      });
+      row.appendChild(name);
+      row.appendChild(bind);
+      row.appendChild(clear);
+      list.appendChild(row);
+    });
+
+    document.getElementById('keybinding-reset').addEventListener('click', e => {
+      e.target.blur();
+      if (!confirm('Reset every key binding to its default?')) return;
+      keyBindings.reset();
+      refreshKeyBindingPanel();
+      renderControlsHelp();
+    });
+    document.getElementById('keybinding-export').addEventListener('click', e => {
+      e.target.blur();
+      const blob = new Blob([JSON.stringify(keyBindings.toJSON(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'satsim_keybindings.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+    const fileInput = document.getElementById('keybinding-import-file');
+    document.getElementById('keybinding-import').addEventListener('click', e => {
+      e.target.blur();
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        keyBindings.import(JSON.parse(text));
+        refreshKeyBindingPanel();
+        renderControlsHelp();
+      }).catch(error => {
+        alert(`Could not load key bindings: ${error.message}`);
+      });
+      fileInput.value = '';
+    });
+    refreshKeyBindingPanel();
+    renderControlsHelp();
+  }
+
+  function refreshKeyBindingPanel() {
+    Object.keys(KEY_ACTIONS).forEach(action => {
+      const button = document.getElementById(`keybinding-${action}`);
+      if (!button) return;
+      button.textContent = action === rebindingAction ? 'press a key...' : formatBinding(keyBindings.bindings[action]);
+      button.style.color = keyBindings.isConflicting(action) ? '#f66' : '#eee';
+    });
+    const conflicts = keyBindings.conflicts();
+    updateUIText('keybinding-conflicts', conflicts.length
+      ? conflicts.map(({ binding, users }) => `${formatBinding(binding)}: ${users.join(', ')}`).join(' | ')
+      : 'None', conflicts.length ? '#f66' : '#0f0');
+  }
+
+  // The controls box and pause overlay show the current bindings.
+  function renderControlsHelp() {
+    const key = action => formatBinding(keyBindings.bindings[action]);
+    const pair = (a, b) => `${key(a)}/${key(b)}`;
+    const lines = [
+      ['Translation', `${pair('w', 's')}: +Z/-Z | ${pair('a', 'd')}: +X/-X | ${pair('e', 'q')}: +Y/-Y`],
+      ['Rotation', `${pair('k', 'i')}: +Pitch/-Pitch | ${pair('j', 'l')}: +Yaw/-Yaw | ${pair('o', 'u')}: +Roll/-Roll`],
+      ['Attitude Control', `${key('attitudeMode')}: Toggle Control Mode(RCS/RW/CMG)`],
+      ['Lights and Camera', `${key('lamps')}: Toggle Lights | ${key('camera')}: Switch Camera`],
+      ['Attitude Indicator', `${key('attitudeIndicator')}: Show/Hide | ${key('attitudeFrame')}: Reference frame (Target/LVLH/Inertial)`],
+      ['State', `${key('reset')}: Reset | ${key('pause')}: Pause/Unpause | ${key('dockingTarget')}: Cycle docking info target | ${key('stop')}: Stop Movement and Rotation`],
+      ['Fine Control', `${key('fineControl')}: Single-frame & timed thruster pulses`],
+      ['Gamepad', `${key('gamepadPanel')}: Gamepad/joystick setup`],
+      ['Keys', `${key('keyBindingPanel')}: Rebind keys`],
+      ['Plots', `${key('plotPanel')}: Strip-chart plot panel`]
+    ];
+    const controls = document.getElementById('controls');
+    if (controls) {
+      controls.replaceChildren();
+      lines.forEach(([title, text], i) => {
+        const strong = document.createElement('strong');
+        strong.textContent = `${title}:`;
+        controls.appendChild(strong);
+        controls.appendChild(document.createTextNode(` ${text}`));
+        if (i < lines.length - 1) controls.appendChild(document.createElement('br'));
+      });
+    }
+    updateUIText('paused-instructions', `Press "${key('pause')}" to unpause`);
+  }
+
+  function refreshGamepadPanel() {
+    if (!document.getElementById('gamepad-axis-list')) return;
+    const profile = gamepadInput.profile;
+    updateUIText('gamepad-device', gamepadInput.gamepad
+      ? `${gamepadInput.gamepad.id} (${gamepadInput.gamepad.mapping || 'no standard mapping'})`
+      : 'None (press a button on it to connect)');
+    const percent = Math.round((profile?.deadzone ?? 0.1) * 100);
+    document.getElementById('gamepad-deadzone').value = percent;
+    updateUIText('gamepad-deadzone-value', percent);
+    updateUIText('gamepad-calibrate', gamepadInput.calibrating ? 'Finish Calibration' : 'Calibrate');
+    Object.keys(GAMEPAD_AXIS_ACTIONS).forEach(action => updateUIText(`gamepad-axis-${action}`, gamepadInput.describe('axis', action)));
+    Object.keys(GAMEPAD_BUTTON_ACTIONS).forEach(action => updateUIText(`gamepad-button-${action}`, gamepadInput.describe('button', action)));
+  }
+
+  function updateGamepadLive() {
+    Object.keys(GAMEPAD_AXIS_ACTIONS).forEach(action => {
+      updateUIText(`gamepad-live-${action}`, (gamepadInput.values[action] || 0).toFixed(2));
+    });
+    updateUIText('gamepad-raw', gamepadInput.raw.length
+      ? gamepadInput.raw.map((v, i) => `${i}: ${v.toFixed(2)}`).join('  ')
+      : '--');
+  }
+
+  function initializeFaultPanel() {
+    const typeSelect = document.getElementById('fault-type');
+    const targetInput = document.getElementById('fault-target');
+    if (!typeSelect || !targetInput) return;
+
+    const targetHints = {
+      thruster: 'random, index or name',
+      reactionWheel: 'random, index or name',
+      cmg: 'random, index or name',
+      sensor: 'gyro, accelerometer, attitude, relative, position, velocity',
+      lamp: 'all, index or id',
+      camera: 'all, index or name'
+    };
+    Object.entries(FAULT_TYPES).forEach(([type, info]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = info.label;
+      typeSelect.appendChild(option);
+    });
+    const showParams = () => {
+      targetInput.placeholder = targetHints[FAULT_TYPES[typeSelect.value].target];
+      document.querySelectorAll('.fault-param').forEach(el => {
+        el.style.display = el.dataset.faultType === typeSelect.value ? 'flex' : 'none';
+      });
+    };
+    typeSelect.addEventListener('change', showParams);
+    showParams();
+    // Typing in the panel must not fly the spacecraft
+    document.querySelectorAll('#fault-panel input, #fault-panel select').forEach(element => {
+      element.addEventListener('keydown', event => event.stopPropagation());
+      element.addEventListener('keyup', event => event.stopPropagation());
+    });
+
+    const number = id => parseFloat(document.getElementById(id).value);
+    document.getElementById('fault-fire').addEventListener('click', (e) => {
+      e.target.blur();
+      if (replayPlayer) {
+        alert('Faults cannot be fired during a replay.');
+        return;
+      }
+      const spec = { type: typeSelect.value, target: targetInput.value.trim() || undefined };
+      if (spec.type === 'thrusterLeak') {
+        spec.leakRate = number('fault-leak-rate') / 100;
+      }
+      if (spec.type === 'thrusterDegraded') {
+        spec.thrustScale = number('fault-thrust-scale');
+        spec.ispScale = number('fault-isp-scale');
+      }
+      if (spec.type === 'sensorBias') {
+        const [a, b, c] = ['fault-bias-x', 'fault-bias-y', 'fault-bias-z'].map(number);
+        spec.bias = spec.target === 'attitude' ? { roll: a, pitch: b, yaw: c } : { x: a, y: b, z: c };
+      }
+      const duration = number('fault-duration');
+      if (duration > 0) spec.duration = duration;
+      try {
+        parseFault(spec);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      recordInputEvent({ type: 'fault', fault: spec });
+      injectFault(spec);
+    });
+    document.getElementById('fault-clear-all').addEventListener('click', (e) => {
+      e.target.blur();
+      if (replayPlayer) return;
+      recordInputEvent({ type: 'clearAllFaults' });
+      simCore.faults.clearAll(simCore);
+    });
+    document.getElementById('fault-panel-close').addEventListener('click', toggleFaultPanel);
+    const truthToggle = document.getElementById('sensor-truth');
+    if (truthToggle) {
+      truthToggle.checked = simCore.sensors.truth;
+      truthToggle.addEventListener('change', () => {
+        truthToggle.blur();
+        simCore.sensors.truth = truthToggle.checked;
+      });
+    }
+    updateFaultPanel();
+  }
+
   function initializeThrusterMenu() {
     const menu = document.getElementById('thruster-menu');
     const header = document.getElementById('thruster-menu-header');
@@ -371,15 +976,17 @@ function initSimulation() {
       checkbox.id = `thruster-enabled-${index}`;
       checkbox.checked = true;
       checkbox.addEventListener('change', () => {
-        if (isSpecialDisabledThruster(index)) {
+        if (isThrusterFailedOff(index)) {
           checkbox.checked = false;
           return;
         }
-        if (checkbox.checked) userDisabledThrusterIndices.delete(index);
-        else {
-          userDisabledThrusterIndices.add(index);
-          setThrusterActive(thruster, false);
+        if (replayPlayer) {
+          // The recording decides which thrusters are enabled
+          checkbox.checked = !userDisabledThrusterIndices.has(index);
+          return;
         }
+        setThrusterUserEnabled(index, checkbox.checked);
+        recordInputEvent({ type: 'thrusterEnabled', index, enabled: checkbox.checked });
       });
 
       const label = document.createElement('label');
@@ -393,122 +1000,198 @@ function initSimulation() {
       list.appendChild(row);
     });
 
-    updateThrusterMenuSpecialStates();
+    updateThrusterMenuFaultStates();
   }
 
   const keys = {};               
   let backtickPressed = false;
 
+  // Key -> action bindings (keybindings.js); rebound in the `+Y panel.
+  const keyBindings = new KeyBindings();
+  window.keyBindings = keyBindings;
+
   document.addEventListener('keydown', e => {
-    if (e.key === 'CapsLock') {
-      fineControlMode = !fineControlMode;
-      fineControlKeys = {};
-      fineControlProcessedKeys = {};
+    const k = normalizeKey(e.key);
+    if (k === MODIFIER_KEY) {
+      backtickPressed = true;
       return;
     }
-    
-    const k = e.key.toLowerCase();
-    if (k === '`') backtickPressed = true;
-    
-    if (fineControlMode && ['w','s','a','d','q','e','i','k','j','l','u','o'].includes(k)) {
-      e.preventDefault();
-      if (!fineControlProcessedKeys[k]) {
-        fineControlKeys[k] = true;
-        fineControlProcessedKeys[k] = true;
-        // Record the start time for timed firing
-        if (timedFiringEnabled && !fineControlKeyStartTimes[k]) {
-          fineControlKeyStartTimes[k] = performance.now();
-        }
-      }
-    } else {
-      keys[k] = true;
+    // Flight actions fire their WASDQE/IJKLUO key; custom thruster keybinds
+    // fire themselves.
+    const action = keyBindings.actionFor(k, backtickPressed);
+    const flightKey = FLIGHT_ACTIONS.includes(action) ? action
+      : (!action && keyBindings.thrusterKeys[k] ? k : null);
+
+    // During a replay the recording flies the spacecraft; only view keys
+    // work, and the pause keys play/pause the replay.
+    if (replayPlayer) {
+      if (action === 'pause' || action === 'undock') setReplayPlaying(!replayPlayer.playing);
+      if (action === 'faultPanel') toggleFaultPanel();
+      if (action === 'keyBindingPanel') toggleKeyBindingPanel();
+      if (action === 'plotPanel') plotPanel.toggle();
+      if (action === 'attitudeIndicator') toggleAttitudeIndicator();
+      if (action === 'attitudeFrame') cycleAttitudeFrame();
+      if (action === 'camera') camSys.switchCameraMode();
+      return;
     }
 
-    if (backtickPressed && k === 'r') resetSimulation();
-    if (backtickPressed && k === 'p') {
-      if (isDocked && paused) {
-        // Undocking: record the time when we start
-        isDocked = false;
-        hasLeftDockingBoxOnce = true;
-        canDock = false;
-        updateUIText('docking-status', 'NOT DOCKED');
-        missionClock.onUndock();
-      }
-      if (paused) {
-        missionClock.onResume();
+    if (flightKey) {
+      if (fineControlMode) {
+        e.preventDefault();
+        if (!fineControlProcessedKeys[flightKey]) {
+          fineControlKeys[flightKey] = true;
+          fineControlProcessedKeys[flightKey] = true;
+          // Record the start time for timed firing
+          if (timedFiringEnabled && fineControlKeyStartTimes[flightKey] === undefined) {
+            fineControlKeyStartTimes[flightKey] = physicsScheduler.time;
+          }
+        }
       } else {
-        missionClock.onPause();
+        keys[flightKey] = true;
       }
-      paused = !paused;
+      return;
     }
-    if (backtickPressed && k === 'f') {
-      if (isDocked && paused) {
-        // Undocking: record the time when we start
-        isDocked = false;
-        hasLeftDockingBoxOnce = true;
-        canDock = false;
-        updateUIText('docking-status', 'NOT DOCKED');
-        missionClock.onUndock();
-      }
-      if (paused) {
-        missionClock.onResume();
+
+    switch (action) {
+      case 'fineControl': toggleFineControl(); break;
+      case 'reset': resetSimulation(); break;
+      // Both pause keys pause/unpause, undocking first if docked
+      case 'pause':
+      case 'undock': togglePause(); break;
+      case 'hulls': toggleHulls(); break;
+      case 'distanceInfo':
+        showDistanceInfo = !showDistanceInfo;
+        toggleUIVisibility('distance-info', showDistanceInfo);
+        break;
+      case 'ghost':
+        if (ghostShip.loaded) updateUIText('ghost-status', ghostShip.toggleVisible() ? ghostLabel : `${ghostLabel}, hidden`);
+        break;
+      case 'dockingBoxes': dockingManager.toggleDockingBoxes(); break;
+      case 'faultPanel': toggleFaultPanel(); break;
+      case 'gamepadPanel': toggleGamepadPanel(); break;
+      case 'keyBindingPanel': toggleKeyBindingPanel(); break;
+      case 'plotPanel': plotPanel.toggle(); break;
+      case 'attitudeIndicator': toggleAttitudeIndicator(); break;
+      case 'attitudeFrame': cycleAttitudeFrame(); break;
+      case 'dockingTarget': cycleDockingTarget(); break;
+      case 'camera': camSys.switchCameraMode(); break;
+      case 'stop':
+        e.preventDefault();
+        stopEverything();
+        recordInputEvent({ type: 'stopEverything' });
+        break;
+      case 'attitudeMode': toggleAttitudeMode(); break;
+      case 'lamps': toggleLamps(); break;
+      case 'lampHelpers': if (lampManager) lampManager.toggleHelpers(); break;
+    }
+  });
+
+  document.addEventListener('keyup', e => {
+    const k = normalizeKey(e.key);
+    if (k === MODIFIER_KEY) backtickPressed = false;
+    keyBindings.releasedBy(k).forEach(flightKey => {
+      if (fineControlMode) {
+        delete fineControlProcessedKeys[flightKey];
       } else {
-        missionClock.onPause();
+        delete keys[flightKey];
       }
-      paused = !paused;
-    }
-    if (backtickPressed && k === 'h') {
-      toggleHullVisibility();
+    });
+  });
 
-      // Check the status text to see if hulls are now visible
-      const hullStatus = document.getElementById('hull-status').textContent;
-      const showHulls = hullStatus === 'Hulls Visible';
+  function toggleAttitudeIndicator() {
+    showAttitudeIndicator = !showAttitudeIndicator;
+    toggleUIVisibility('attitude-indicator', showAttitudeIndicator);
+  }
 
-      // Manually toggle the docking port collision box to match the hulls
-      if (window.dockingPortCollisionMesh) {
-        window.dockingPortCollisionMesh.visible = showHulls;
-      }
+  function cycleAttitudeFrame() {
+    const label = cycleAttitudeIndicatorFrame();
+    if (label) updateUIText('adi-frame', label);
+  }
 
-      toggleSpacecraftBoundingBoxVisibility(showHulls);
+  function toggleHulls() {
+    toggleHullVisibility();
 
-      // Also toggle the second spacecraft bounding box
-      if (dockingManager.secondSpacecraftBoundingBoxMesh) {
-        dockingManager.secondSpacecraftBoundingBoxMesh.visible = showHulls;
-      }
-    }
-    if (backtickPressed && k === 'x') {
-      showDistanceInfo = !showDistanceInfo;
-      toggleUIVisibility('distance-info', showDistanceInfo);
+    // Check the status text to see if hulls are now visible
+    const hullStatus = document.getElementById('hull-status').textContent;
+    const showHulls = hullStatus === 'Hulls Visible';
+
+    // Manually toggle the docking port collision box to match the hulls
+    if (window.dockingPortCollisionMesh) {
+      window.dockingPortCollisionMesh.visible = showHulls;
     }
-    if (backtickPressed && k === 'b') {
-      dockingManager.toggleDockingBoxes();
+
+    toggleSpacecraftBoundingBoxVisibility(showHulls);
+
+    // Also toggle the second spacecraft bounding box
+    if (dockingManager.secondSpacecraftBoundingBoxMesh) {
+      dockingManager.secondSpacecraftBoundingBoxMesh.visible = showHulls;
     }
-    if (backtickPressed && k === 'z') {
-      // Cycle which docking zone the HUD shows info for
-      const selection = dockingManager.cycleSelectedZone();
-      if (selection) {
-        updateUIText('docking-target-label', selection.label);
-      }
+  }
+
+  // One-shot actions shared by the keyboard and gamepad buttons
+  function toggleFineControl() {
+    fineControlMode = !fineControlMode;
+    fineControlKeys = {};
+    fineControlProcessedKeys = {};
+    recordInputEvent({ type: 'fineControl', enabled: fineControlMode });
+  }
+
+  function togglePause() {
+    if (simCore.isDocked && paused) undockSpacecraft();
+    if (paused) {
+      missionClock.onResume();
+      recordInputEvent({ type: 'resume' });
+    } else {
+      missionClock.onPause();
+      recordInputEvent({ type: 'pause' });
     }
-    if (k === 'c') camSys.switchCameraMode();
-    if (k === ' ') stopEverything();
-    if (k === 't' && attitudeControl && attitudeControl.loaded) {
-      const newMode = attitudeControl.toggleMode();
-      updateUIText('control-mode', 
-        newMode === 'thrusters' ? 'Thrusters' : 
-        newMode === 'reactionwheels' ? 'Reaction Wheels' : 'CMGs');
-      toggleUIVisibility('reaction-wheel-status', newMode === 'reactionwheels');
-      toggleUIVisibility('cmg-status', newMode === 'cmgs');
+    paused = !paused;
+  }
+
+  function toggleAttitudeMode() {
+    if (!attitudeControl || !attitudeControl.loaded) return;
+    const newMode = attitudeControl.toggleMode();
+    showAttitudeMode(newMode);
+    recordInputEvent({ type: 'attitudeMode', mode: newMode });
+  }
+
+  function toggleLamps() {
+    if (!lampManager) return;
+    const lampsVisible = lampManager.toggleLamps();
+    updateUIText('lamp-status-text', lampsVisible ? 'ON' : 'OFF');
+  }
+
+  // Gamepad / joystick / HOTAS (gamepadInput.js). Polled once per frame; the
+  // deflected axes go into each physics step's commands, so replays keep them.
+  const gamepadInput = new GamepadInput();
+  window.gamepadInput = gamepadInput;
+  let gamepadLabel = null;
+
+  function pollGamepad() {
+    const actions = gamepadInput.poll();
+    const label = gamepadInput.gamepad ? gamepadInput.gamepad.id : null;
+    if (label !== gamepadLabel) {
+      gamepadLabel = label;
+      updateUIText('gamepad-status', label || 'None');
+      refreshGamepadPanel();
     }
-    if (k === 'v' && lampManager) {
-      if (backtickPressed) {
-        lampManager.toggleHelpers();
-      } else {
-        const lampsVisible = lampManager.toggleLamps();
-        updateUIText('lamp-status-text', lampsVisible ? 'ON' : 'OFF');
-      }
+    actions.forEach(runGamepadAction);
+    if (document.getElementById('gamepad-panel')?.style.display === 'block') updateGamepadLive();
+  }
+
+  function runGamepadAction(action) {
+    // During a replay only the view and play/pause respond, as with the keys
+    if (replayPlayer) {
+      if (action === 'camera') camSys.switchCameraMode();
+      if (action === 'pause') setReplayPlaying(!replayPlayer.playing);
+      return;
     }
-  });
+    if (action === 'camera') camSys.switchCameraMode();
+    if (action === 'lamps') toggleLamps();
+    if (action === 'fineControl') toggleFineControl();
+    if (action === 'attitudeMode') toggleAttitudeMode();
+    if (action === 'pause') togglePause();
+  }
 
   document.addEventListener('keyup', e => {
     const k = e.key.toLowerCase();
@@ -521,79 +1204,322 @@ function initSimulation() {
   });
 
   function stopEverything() {
-    if (!satBody) return;
-    satBody.velocity.set(0,0,0);
-    satBody.angularVelocity.set(0,0,0);
-    thrusters.forEach(t => {
-      if (t.active) {
-        setThrusterActive(t, false);
-      }
-    });
+    simCore.stopEverything();
   }
-  let paused = true; // Start paused so spacecraft stays docked
 
-  let specialThrusterModeEnabled = false;
-  let disabledThrusterIndex = -1;
-  let specialThrusterModeTriggered = false;
+  // Undocking: record the time when we start
+  function undockSpacecraft() {
+    simCore.undock();
+    updateUIText('docking-status', 'NOT DOCKED');
+    missionClock.onUndock();
+    recordInputEvent({ type: 'undock' });
+  }
 
-  function checkSpecialThrusterModeDate() {
-    const activationDate = new Date('2031-03-08T00:00:00');
-    const currentDate = new Date();
-    return currentDate >= activationDate;
+  function showAttitudeMode(mode) {
+    updateUIText('control-mode', 
+      mode === 'thrusters' ? 'Thrusters' : 
+      mode === 'reactionwheels' ? 'Reaction Wheels' : 'CMGs');
+    toggleUIVisibility('reaction-wheel-status', mode === 'reactionwheels');
+    toggleUIVisibility('cmg-status', mode === 'cmgs');
   }
+  let paused = true; // Start paused so spacecraft stays docked
 
-  function resetSimulation(){
+  // Random fault picks draw from a seeded RNG, re-seeded on every reset, so
+  // a recorded run replays exactly (inputReplay.js).
+  let rngSeed = randomSeed();
+  simCore.random = createSeededRandom(rngSeed);
+  const inputRecorder = new InputRecorder();
+  let replayPlayer = null; // Set while a recording is being replayed
+  window.inputRecorder = inputRecorder;
+
+  // `seed` reseeds the fault RNG (a replay passes the recorded one);
+  // `keepCamera` leaves the view alone, for seeking within a replay.
+  function resetSimulation({ seed = randomSeed(), keepCamera = false } = {}) {
     if (!satBody || !satMesh) return;
     
-    satBody.position.copy(initialPosition);
-    satBody.velocity.set(0,0,0);
-    satBody.angularVelocity.set(0,0,0);
-    
-    satBody.quaternion.copy(initialOrientation);
+    // Pose, fuel, wheel/CMG momentum, thrusters and docking state
+    simCore.reset();
     satMesh.quaternion.copy(initialOrientation);
-    
-    resetFuel();
+    snapshotSpacecraftPose();
+    physicsScheduler.reset();
+    if (studentController) studentController.discardTicks();
     
     if (attitudeControl) {
-      attitudeControl.mode = 'thrusters';
       updateUIText('control-mode', 'Thrusters');
       toggleUIVisibility('reaction-wheel-status', false);
       toggleUIVisibility('cmg-status', false);
-      attitudeControl.reactionWheels.forEach(wheel => wheel.currentAngularMomentum = 0);
-      attitudeControl.cmgs.forEach(cmg => cmg.currentAngularMomentum.set(0, 0, 0));
     }
     
     if (lampManager) {
       lampManager.lampsVisible = true;
-      lampManager.lights.forEach(light => light.visible = true);
+      lampManager.lights.forEach((light, index) => light.visible = !lampManager.failedLamps.has(index));
       updateUIText('lamp-status-text', 'ON');
       lampManager.helpersVisible = false;
       lampManager.lampHelpers.forEach(helper => helper.visible = false);
     }
     
-    camSys.reset();
-    thrusters.forEach(t => {
-      setThrusterActive(t, false);
-    });
+    if (!keepCamera) camSys.reset();
     if (soundManager) soundManager.stopAll();
     
-  
-    specialThrusterModeEnabled = checkSpecialThrusterModeDate();
-    disabledThrusterIndex = -1;
-    specialThrusterModeTriggered = false;
-    updateThrusterMenuSpecialStates();
+    rngSeed = seed;
+    simCore.random = createSeededRandom(rngSeed);
     
     // Reset clock when simulation is reset - reset to docked state
-    isDocked = true;
     paused = true;
-    canDock = false;
-    hasLeftDockingBoxOnce = false;
     updateUIText('docking-status', 'DOCKED');
+    if (scenario) updateUIText('scenario-result', 'IN PROGRESS', '#ff0');
     missionClock.reset();
+    plotPanel.clear();
+
+    // A reset starts a new input recording (a replay keeps its own)
+    if (!replayPlayer) beginInputRecording();
+  }
+
+  // Grade the run against the scenario's success criteria, on docking.
+  function showScenarioResult() {
+    const result = evaluateSuccessCriteria(scenario?.successCriteria, simCore);
+    if (!result) return;
+    const failed = result.checks.filter(c => !c.passed);
+    updateUIText('scenario-result',
+      result.passed ? 'PASSED' : 'FAILED: ' + failed.map(c => c.detail).join('; '),
+      result.passed ? '#0f0' : '#f66');
+    console.log(`Scenario "${scenario.name}" ${result.passed ? 'passed' : 'failed'}:`, result.checks);
+  }
+
+  // ---------- INPUT RECORDING / REPLAY ----------
+
+  function beginInputRecording() {
+    const p = simCore.initialPosition, q = simCore.initialOrientation;
+    inputRecorder.begin({
+      seed: rngSeed,
+      disabledThrusters: [...userDisabledThrusterIndices],
+      fineControl: fineControlMode,
+      stepSize: PHYSICS_DT,
+      thrusterCount: thrusters.length,
+      initialPose: {
+        position: { x: p.x, y: p.y, z: p.z },
+        orientation: { x: q.x, y: q.y, z: q.z, w: q.w }
+      },
+      selectedZone: dockingManager.selectedDockingZoneIndex
+    });
+    updateReplayUI();
+  }
+
+  // Log an event for the step about to run (not while replaying).
+  function recordInputEvent(event) {
+    if (!replayPlayer) inputRecorder.recordEvent(simCore.stepCount, event);
+  }
+
+  function applyReplayEvent(event) {
+    switch (event.type) {
+      case 'undock':
+        if (simCore.isDocked) undockSpacecraft();
+        break;
+      case 'attitudeMode':
+        if (attitudeControl && attitudeControl.loaded) {
+          attitudeControl.mode = event.mode;
+          showAttitudeMode(event.mode);
+        }
+        break;
+      case 'stopEverything':
+        stopEverything();
+        break;
+      case 'thrusterEnabled':
+        setThrusterUserEnabled(event.index, event.enabled);
+        break;
+      case 'fineControl':
+        fineControlMode = !!event.enabled;
+        break;
+      case 'fault':
+        injectFault(event.fault);
+        break;
+      case 'clearFault':
+        simCore.faults.clear(event.id, simCore);
+        break;
+      case 'clearAllFaults':
+        simCore.faults.clearAll(simCore);
+        break;
+      case 'selectZone':
+        selectDockingTarget(event.index);
+        break;
+      // pause/resume only mark where the original run was paused
+    }
+  }
+
+  // Reset to the recording's start state: same seed, thruster menu, start
+  // pose and docking target, so the steps that follow match the original run.
+  function restartReplay() {
+    const recording = replayPlayer.recording;
+    replayPlayer.rewind();
+    resetSimulation({ seed: recording.seed, keepCamera: true });
+    fineControlMode = !!recording.fineControl;
+    fineControlKeys = {};
+    thrusters.forEach((thruster, index) => {
+      setThrusterUserEnabled(index, !recording.disabledThrusters.includes(index));
+    });
+    // Recordings without these start from the current pose and target
+    const pose = recording.initialPose;
+    if (pose) {
+      satBody.position.set(pose.position.x, pose.position.y, pose.position.z);
+      satBody.quaternion.set(pose.orientation.x, pose.orientation.y, pose.orientation.z, pose.orientation.w);
+      satMesh.quaternion.copy(satBody.quaternion);
+      snapshotSpacecraftPose();
+      updateSpacecraft(1);
+    }
+    if (Number.isInteger(recording.selectedZone)) selectDockingTarget(recording.selectedZone);
+    paused = !replayPlayer.playing;
+  }
+
+  function startReplay(data) {
+    let recording;
+    try {
+      recording = parseReplay(data);
+    } catch (error) {
+      alert(`Could not load replay: ${error.message}`);
+      return;
+    }
+    if (recording.thrusterCount !== thrusters.length) {
+      console.warn(`Replay was recorded with ${recording.thrusterCount} thrusters, this spacecraft has ${thrusters.length}. It will not play back exactly.`);
+    }
+    if (Math.abs(recording.stepSize - PHYSICS_DT) > 1e-12) {
+      console.warn(`Replay step size ${recording.stepSize} s differs from ${PHYSICS_DT} s. It will not play back exactly.`);
+    }
+    replayPlayer = new ReplayPlayer(recording);
+    replayPlayer.speed = parseFloat(document.getElementById('replay-speed')?.value) || 1;
+    restartReplay();
+    updateReplayUI();
+  }
+
+  // Back to live flying from a fresh reset.
+  function exitReplay() {
+    if (!replayPlayer) return;
+    replayPlayer = null;
+    resetSimulation();
+    updateReplayUI();
+  }
+
+  function setReplayPlaying(playing) {
+    if (!replayPlayer) return;
+    if (playing && replayPlayer.isFinished(simCore.stepCount)) restartReplay();
+    replayPlayer.playing = playing;
+    paused = !playing;
+    if (!playing && soundManager) soundManager.stopAll();
+    updateReplayUI();
+  }
+
+  // Jump to `step` by re-simulating: restart from step 0 when going back,
+  // then run the steps without rendering.
+  function seekReplay(step) {
+    if (!replayPlayer) return;
+    const target = Math.max(0, Math.min(Math.round(step), replayPlayer.totalSteps));
+    if (target < simCore.stepCount) restartReplay();
+    while (simCore.stepCount < target) {
+      if (!physicsStep(PHYSICS_DT)) break;
+    }
+    physicsScheduler.resetAccumulator();
+    updateSpacecraft(1);
+    if (soundManager) soundManager.stopAll();
+    paused = !replayPlayer.playing;
+    updateReplayUI();
+  }
+
+  function updateReplayUI() {
+    const status = document.getElementById('replay-status');
+    if (!status) return;
+    const slider = document.getElementById('replay-seek');
+    const live = !replayPlayer;
+    const total = live ? (inputRecorder.recording?.totalSteps || 0) : replayPlayer.totalSteps;
+    const step = live ? total : simCore.stepCount;
+
+    status.textContent = live ? 'RECORDING' : (replayPlayer.playing ? 'REPLAY ▶' : 'REPLAY ❚❚');
+    status.style.color = live ? '#0f0' : '#ff0';
+    updateUIText('replay-time', `${(step * PHYSICS_DT).toFixed(2)} / ${(total * PHYSICS_DT).toFixed(2)} s (step ${step})`);
+    slider.max = total;
+    if (document.activeElement !== slider) slider.value = step; // Don't fight a drag
+    document.querySelectorAll('.replay-only').forEach(el => { el.disabled = live; });
+    document.getElementById('replay-play').textContent = !live && replayPlayer.playing ? 'Pause' : 'Play';
+    document.getElementById('replay-exit').disabled = live;
+  }
+
+  function initializeReplayPanel() {
+    const header = document.getElementById('replay-panel-header');
+    const toggle = document.getElementById('replay-panel-toggle');
+    const body = document.getElementById('replay-panel-body');
+    if (!header || !toggle || !body) return;
+
+    const setCollapsed = (collapsed) => {
+      body.style.display = collapsed ? 'none' : 'block';
+      toggle.textContent = collapsed ? '+' : '−';
+      toggle.setAttribute('aria-label', collapsed ? 'Expand replay panel' : 'Minimize replay panel');
+    };
+    header.addEventListener('click', () => {
+      setCollapsed(body.style.display !== 'none');
+    });
+    setCollapsed(true);
+
+    document.getElementById('replay-save').addEventListener('click', () => {
+      if (!inputRecorder.recording || inputRecorder.recording.totalSteps === 0) {
+        alert('Nothing recorded yet. Undock and fly first.');
+        return;
+      }
+      const blob = new Blob([JSON.stringify(inputRecorder.toJSON())], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'satsim_replay.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+
+    const fileInput = document.getElementById('replay-load-file');
+    document.getElementById('replay-load').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      file.text().then(text => startReplay(JSON.parse(text))).catch(error => {
+        alert(`Could not load replay: ${error.message}`);
+      });
+      fileInput.value = '';
+    });
+    document.getElementById('replay-current').addEventListener('click', () => {
+      if (!inputRecorder.recording || inputRecorder.recording.totalSteps === 0) {
+        alert('Nothing recorded yet. Undock and fly first.');
+        return;
+      }
+      startReplay(JSON.parse(JSON.stringify(inputRecorder.toJSON())));
+    });
+
+    document.getElementById('replay-play').addEventListener('click', (e) => {
+      setReplayPlaying(!replayPlayer.playing);
+      e.target.blur();
+    });
+    document.getElementById('replay-back').addEventListener('click', () => {
+      setReplayPlaying(false);
+      seekReplay(simCore.stepCount - 1);
+    });
+    document.getElementById('replay-forward').addEventListener('click', () => {
+      setReplayPlaying(false);
+      seekReplay(simCore.stepCount + 1);
+    });
+    document.getElementById('replay-seek').addEventListener('change', (e) => {
+      seekReplay(parseInt(e.target.value));
+      e.target.blur();
+    });
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+      if (replayPlayer) replayPlayer.speed = parseFloat(e.target.value) || 1;
+    });
+    document.getElementById('replay-exit').addEventListener('click', exitReplay);
+    updateReplayUI();
   }
 
   async function main(config) {
     initializeUI();
+    document.getElementById('adi-frame-button').addEventListener('click', (e) => {
+      e.target.blur();
+      cycleAttitudeFrame();
+    });
     
     // Set up event listeners for timed firing controls and torque slider
     const timedFiringToggle = document.getElementById('timed-firing-toggle');
@@ -677,16 +1603,27 @@ function initSimulation() {
       const centerOfMassOffset = satBody.centerOfMassOffset || {x: 0, y: 0, z: 0};
       
       // Initialize all systems with the combined configuration
-      thrusters = await initializeThrustersWithConfig(config.thrusters, CANNON, satMesh, keyToThrusterIndices, createThrusterVisual, centerOfMassOffset);
+      thrusters = simCore.initializeThrusters(config.thrusters, { satMesh, createThrusterVisual, centerOfMass: centerOfMassOffset });
       window.thrusters = thrusters;
+      keyBindings.setThrusterKeys(thrusters);
+      keyBindings.conflicts().forEach(({ binding, users }) => {
+        console.warn(`Key ${formatBinding(binding)} is bound to ${users.join(' and ')}`);
+      });
       initializeThrusterMenu();
       initializeControllerMenu();
+      initializeTelemetryControls();
+      initializeGhostControls();
+      initializeReplayPanel();
+      initializeFaultPanel();
+      initializeGamepadPanel();
+      initializeKeyBindingPanel();
+      beginInputRecording();
       
       // Load hulls from the JSON file
       loadConvexHulls(CONVEX_HULLS_PATH, scene, world);
       
       // Load attitude control configuration
-      await attitudeControl.initializeWithConfigs(config.reactionwheels, config.cmg);
+      attitudeControl = await simCore.initializeAttitudeControl(config.reactionwheels, config.cmg, centerOfMassOffset);
       
       // Load lamps configuration
       await lampManager.loadLampsWithConfig(config.lamps);
@@ -748,16 +1685,131 @@ function initSimulation() {
   }
 
   const clock = new THREE.Clock();
+
+  // Physics runs on a fixed step, decoupled from rendering (fixedStepScheduler.js).
+  const physicsScheduler = new FixedStepScheduler({ stepSize: PHYSICS_DT });
   
   // FPS limiting variables
   const TARGET_FPS = 60;
   const FRAME_DURATION = 1000 / TARGET_FPS;
   let lastFrameTime = performance.now();
+
+  // Helper: a key counts as "pressed" if it's down on the real keyboard OR
+  // held by the student controller. The controller drives the exact same
+  // thruster/fuel path as a human pilot, so its keys are merged in here.
+  function isKeyActive(key) {
+    if (fineControlMode ? fineControlKeys[key] : keys[key]) return true;
+    return studentController ? studentController.getActiveKeys().has(key) : false;
+  }
+  // WASDQE/IJKLUO plus any custom thruster keybinds from the config
+  const thrusterKeys = () => [...TRANSLATION_KEYS, ...ROTATION_KEYS, ...Object.keys(keyBindings.thrusterKeys)];
+  const LEAK_PLUME_LEVEL = 0.3; // Plume opacity of a thruster that is only leaking
+  let lastStepKeys = []; // Keys fed to the last physics step (live or replayed)
+
+  // Advance the whole simulation by exactly one fixed step. Everything that
+  // integrates over time (forces, fuel, wheel/CMG momentum, controller time,
+  // timed firing, docking) uses this dt and nothing else. Returns false if
+  // the step paused the simulation (docking), so the scheduler stops early.
+  // The physics itself lives in SimulationCore; this adds the browser-side
+  // inputs (keyboard, controller, timed firing). While a replay is loaded
+  // the inputs come from the recording instead. Faults fire inside the core.
+  function physicsStep(dt) {
+    if (replayPlayer) {
+      if (replayPlayer.isFinished(simCore.stepCount)) {
+        setReplayPlaying(false);
+        return false;
+      }
+      replayPlayer.takeEvents(simCore.stepCount).forEach(applyReplayEvent);
+    }
+
+    // Handle timed firing: check if any keys have exceeded their firing
+    // duration, measured in simulated time.
+    if (!replayPlayer && fineControlMode && timedFiringEnabled) {
+      Object.entries(fineControlKeyStartTimes).forEach(([key, startTime]) => {
+        const elapsed = physicsScheduler.time - startTime;
+        if (elapsed >= firingDuration) {
+          // Remove from fineControlKeys to stop firing
+          delete fineControlKeys[key];
+          delete fineControlKeyStartTimes[key];
+        }
+      });
+    }
+    
+    snapshotSpacecraftPose();
+
+    let input;
+    if (replayPlayer) {
+      input = replayPlayer.inputAt(simCore.stepCount);
+    } else {
+      if (studentController) {
+        studentController.update();
+      }
+      // Gamepad axes ride along with the autopilot's commands
+      const commands = studentController ? studentController.getActiveCommands() : null;
+      const analog = gamepadInput.getAnalog();
+      input = {
+        keys: thrusterKeys().filter(isKeyActive),
+        commands: analog ? { ...commands, analog } : commands,
+        torquePercentage
+      };
+      inputRecorder.recordStep(simCore.stepCount, input);
+    }
+
+    // Thrusters, RW/CMG torque, fuel, world step and docking (simulationCore.js)
+    simCore.torquePercentage = input.torquePercentage;
+    const { docked } = simCore.step(input.keys, input.commands);
+    lastStepKeys = input.keys;
+    // A thruster that is only leaking shows a faint plume
+    thrusters.forEach((t, i) => {
+      const leakOnly = t.fault?.leakDuty > 0 && !t.fault.stuckOpen && simCore.thrusterDuties[i] <= t.fault.leakDuty;
+      setThrusterPlumeLevel(t, leakOnly ? LEAK_PLUME_LEVEL : 1);
+    });
+
+    if (telemetryRecorder.update(simCore, missionClock.getElapsedMs(paused, simCore.isDocked) / 1000)) {
+      updateUIText('telemetry-count', telemetryRecorder.samples.length);
+    }
+    if (plotPanel.due(simCore.time)) {
+      plotPanel.record(simCore.time, samplePlotSignals(simCore, dockingManager.getSelectedDockingZoneStatus(satBody)));
+    }
+
+    // Fine-control pulses last exactly one physics step. When timed firing is
+    // enabled, keys are cleared by the duration check above instead.
+    if (!timedFiringEnabled) {
+      fineControlKeys = {};
+    }
+
+    if (docked) {
+      // Record the time elapsed when we dock
+      missionClock.onDock();
+      showScenarioResult();
+      // Docked to Spacecraft 2 the pair flies on as one body; at the station
+      // the run stops. A replay plays on through docking; the recording
+      // undocks again if the original run did.
+      if (replayPlayer || simCore.capture.mated) return true;
+      paused = true;
+      return false;
+    }
+    return true;
+  }
   
+  // A step the student controller is driving waits for computeControl's
+  // reply from the worker, just as headless.js calls it synchronously.
+  function isStepReady() {
+    if (replayPlayer || !studentController) return true;
+    return studentController.readyForStep(simCore.stepCount, simCore.time + PHYSICS_DT, PHYSICS_DT);
+  }
+
+  // Run the fixed steps that fit in `frameTime` more seconds, plus any that
+  // were waiting for the controller. Returns the interpolation alpha.
+  function advancePhysics(frameTime) {
+    return physicsScheduler.advance(frameTime, physicsStep, isStepReady);
+  }
+
   function animate(){
     requestAnimationFrame(animate);
     
-    // FPS limiting - only update at target FPS
+    // FPS limiting - only render at target FPS. Physics is unaffected: the
+    // scheduler below catches up on however much time actually elapsed.
     const currentTime = performance.now();
     const elapsed = currentTime - lastFrameTime;
     
@@ -768,203 +1820,52 @@ function initSimulation() {
     // Update last frame time, accounting for any excess to maintain steady frame rate
     lastFrameTime = currentTime - (elapsed % FRAME_DURATION);
     
-    const dt = clock.getDelta();
+    const frameDt = clock.getDelta();
+    pollGamepad();
 
     // Skip shadow re-rendering when paused — nothing in the scene moves, so
     // the existing shadow map is still valid. This is a big win since the sim
     // starts (and often stays) paused/docked.
     renderer.shadowMap.autoUpdate = !paused;
 
-    // Handle timed firing: check if any keys have exceeded their firing duration
-    if (fineControlMode && timedFiringEnabled) {
-      Object.entries(fineControlKeyStartTimes).forEach(([key, startTime]) => {
-        const elapsed = (currentTime - startTime) / 1000; // Convert to seconds
-        if (elapsed >= firingDuration) {
-          // Remove from fineControlKeys to stop firing
-          delete fineControlKeys[key];
-          delete fineControlKeyStartTimes[key];
-        }
-      });
-    }
-    
-    if (!specialThrusterModeEnabled && checkSpecialThrusterModeDate()) {
-      specialThrusterModeEnabled = true;
-    }
-    //specialThrusterModeEnabled = true;
-    
-    // Check if spacecraft z position is < 2 and trigger special thruster mode.
-    // Disable one thruster that is oriented (in WORLD space) toward +Z. If
-    // several qualify, pick one at random so the failure is non-deterministic.
-    // If none qualify in the current orientation, fall back to a random one.
-    if (specialThrusterModeEnabled && !specialThrusterModeTriggered && satBody && thrusters.length > 0 && satBody.position.z < 2) {
-      const positiveZDirection = new CANNON.Vec3(0, 0, 1);
-      const thrustersFacingPositiveZ = [];
-
-      thrusters.forEach((thruster, index) => {
-        // thruster.dir is in the spacecraft's LOCAL frame; rotate it into
-        // world space using the current orientation before testing against
-        // the world +Z axis.
-        const worldDir = satBody.quaternion.vmult(thruster.dir);
-        const dotProduct = worldDir.dot(positiveZDirection);
-        if (dotProduct > 0) {
-          thrustersFacingPositiveZ.push(index);
-        }
-      });
-
-      // Pick randomly among the +Z-facing thrusters, else a random fallback.
-      if (thrustersFacingPositiveZ.length > 0) {
-        disabledThrusterIndex = thrustersFacingPositiveZ[
-          Math.floor(Math.random() * thrustersFacingPositiveZ.length)
-        ];
-      } else {
-        disabledThrusterIndex = Math.floor(Math.random() * thrusters.length);
-      }
-
-      specialThrusterModeTriggered = true;
-      setThrusterActive(thrusters[disabledThrusterIndex], false);
-      updateThrusterMenuSpecialStates();
-    }
-
-    // Helper: a key counts as "pressed" if it's down on the real keyboard OR
-    // held by the student controller. The controller drives the exact same
-    // thruster/fuel path as a human pilot, so its keys are merged in here.
-    const isKeyActive = (key) => {
-      if (fineControlMode ? fineControlKeys[key] : keys[key]) return true;
-      return studentController ? studentController.getActiveKeys().has(key) : false;
-    };
-
-    if (!paused && satBody){
-      if (studentController) {
-        studentController.update();
-      }
-
-      if (attitudeControl && attitudeControl.loaded && attitudeControl.mode !== 'thrusters') {
-        const torque = new CANNON.Vec3(0, 0, 0);
-        const isCMGMode = attitudeControl.mode === 'cmgs';
-        
-        // Get max torque from the active attitude control system
-        let maxTorque = 0.5; // Default fallback
-        if (isCMGMode && attitudeControl.cmgs.length > 0) {
-          // Use average max torque from all CMGs
-          maxTorque = attitudeControl.cmgs.reduce((sum, cmg) => sum + cmg.maxTorque, 0) / attitudeControl.cmgs.length;
-        } else if (!isCMGMode && attitudeControl.reactionWheels.length > 0) {
-          // Use average max torque from all reaction wheels
-          maxTorque = attitudeControl.reactionWheels.reduce((sum, wheel) => sum + wheel.maxTorque, 0) / attitudeControl.reactionWheels.length;
-        }
-        
-        // Calculate torque per axis based on percentage
-        const torquePerAxis = maxTorque * (torquePercentage / 100);
-        
-        if (fineControlMode) {
-          // Swap I and K for CMGs
-          if (isCMGMode ? isKeyActive('k') : isKeyActive('i')) torque.x += torquePerAxis;
-          if (isCMGMode ? isKeyActive('i') : isKeyActive('k')) torque.x -= torquePerAxis;
-          // Swap J and L for CMGs
-          if (isCMGMode ? isKeyActive('j') : isKeyActive('l')) torque.y += torquePerAxis;
-          if (isCMGMode ? isKeyActive('l') : isKeyActive('j')) torque.y -= torquePerAxis;
-          // Swap U and O for CMGs
-          if (isCMGMode ? isKeyActive('o') : isKeyActive('u')) torque.z += torquePerAxis;
-          if (isCMGMode ? isKeyActive('u') : isKeyActive('o')) torque.z -= torquePerAxis;
-        } else {
-          // Swap I and K for CMGs
-          if (isCMGMode ? isKeyActive('k') : isKeyActive('i')) torque.x += torquePerAxis;
-          if (isCMGMode ? isKeyActive('i') : isKeyActive('k')) torque.x -= torquePerAxis;
-          // Swap J and L for CMGs
-          if (isCMGMode ? isKeyActive('j') : isKeyActive('l')) torque.y += torquePerAxis;
-          if (isCMGMode ? isKeyActive('l') : isKeyActive('j')) torque.y -= torquePerAxis;
-          // Swap U and O for CMGs
-          if (isCMGMode ? isKeyActive('o') : isKeyActive('u')) torque.z += torquePerAxis;
-          if (isCMGMode ? isKeyActive('u') : isKeyActive('o')) torque.z -= torquePerAxis;
-        }
-        if (torque.length() > 0) attitudeControl.applyControlTorque(torque);
-      } else {
-        Object.entries(keyToThrusterIndices).forEach(([key, indices]) => {
-          const keyIsPressed = isKeyActive(key);
-          if (keyIsPressed && indices.length && !['w','s','a','d','q','e'].includes(key)) {
-            indices.forEach(i => {
-              const t = thrusters[i]; if (!t) return;
-              if (isThrusterDisabled(i)) { setThrusterActive(t, false); return; }
-              const fuelStatus = getFuelStatus();
-              if (fuelStatus.fuelMass <= 0) { if (t.active) setThrusterActive(t, false); return; }
-              if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) { console.error("Thruster has invalid properties, skipping.", t); if (t.active) setThrusterActive(t, false); return; }
-              const forceLocal = t.dir.scale(t.thrust);
-              satBody.applyLocalForce(forceLocal, t.pos);
-              const fuelConsumptionRate = t.thrust / (t.isp * 9.81);
-              const fuelConsumed = fuelConsumptionRate * dt;
-              const remainingFuel = consumeFuel(fuelConsumed);
-              if (remainingFuel <= 0) { if (t.active) setThrusterActive(t, false); return; }
-
-              // FIX: Visually activate the thruster
-              if (!t.active) {
-                setThrusterActive(t, true);
-              }
-            });
-          }
-        });
-      }
-      
-      Object.entries(keyToThrusterIndices).forEach(([key, indices]) => {
-        const keyIsPressed = isKeyActive(key);
-        if (keyIsPressed && indices.length && ['w','s','a','d','q','e'].includes(key)) {
-          indices.forEach(i => {
-            const t = thrusters[i]; if (!t) return;
-            if (isThrusterDisabled(i)) { setThrusterActive(t, false); return; }
-            const fuelStatus = getFuelStatus();
-            if (fuelStatus.fuelMass <= 0) { if (t.active) setThrusterActive(t, false); return; }
-            if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) { console.error("Thruster has invalid properties, skipping.", t); if (t.active) setThrusterActive(t, false); return; }
-            const forceLocal = t.dir.scale(t.thrust);
-            satBody.applyLocalForce(forceLocal, t.pos);
-            const fuelConsumptionRate = t.thrust / (t.isp * 9.81);
-            const fuelConsumed = fuelConsumptionRate * dt;
-            const remainingFuel = consumeFuel(fuelConsumed);
-            if (remainingFuel <= 0) { if (t.active) setThrusterActive(t, false); return; }
-
-            // FIX: Visually activate the thruster
-            if (!t.active) {
-              setThrusterActive(t, true);
-            }
-          });
-        }
-      });
-      
-      world.step(1/60);
+    // Run however many fixed physics steps fit in this frame; alpha is the
+    // leftover fraction used to interpolate the rendered pose.
+    let alpha = 1;
+    if (!paused && satBody) {
+      alpha = advancePhysics(replayPlayer ? frameDt * replayPlayer.speed : frameDt);
+    } else {
+      physicsScheduler.resetAccumulator();
     }
 
     if (getSpacecraftBody()) {
-      updateSpacecraft();
+      updateSpacecraft(paused ? 1 : alpha);
     }
 
     // Animate exhaust plumes + ignition smoke puffs (thrusterEffects.js)
-    updateThrusterEffects(thrusters, dt);
+    updateThrusterEffects(thrusters, frameDt);
 
     camSys.update();
 
+    // A blacked-out onboard camera shows no picture
+    const onboardIndex = camSys.cameraMode - 2;
+    const onboardCamera = camSys.firstPersonCameras[onboardIndex];
+    const blackout = !!onboardCamera && simCore.faults.isCameraBlackedOut(onboardIndex, onboardCamera.name);
+    const blackoutOverlay = document.getElementById('camera-blackout');
+    if (blackoutOverlay) blackoutOverlay.style.display = blackout ? 'flex' : 'none';
+
     if (lampManager) {
       lampManager.updateLamps();
     }
 
-    thrusters.forEach(t => {
-      const stillPressed = Object.entries(keyToThrusterIndices).some(([k,ids])=> {
-        const keyIsPressed = isKeyActive(k);
-        return keyIsPressed && ids.includes(t.index);
-      });
-      if (t.active && (!stillPressed || isThrusterDisabled(t.index))){
-        setThrusterActive(t, false);
-      }
-    });
-
-    // Only clear fineControlKeys if timed firing is NOT enabled
-    // When timed firing is enabled, keys are cleared by the duration check logic
-    if (!timedFiringEnabled) {
-      fineControlKeys = {};
-    }
+    simCore.releaseThrusters(replayPlayer ? key => lastStepKeys.includes(key) : isKeyActive);
+    updateReplayUI();
 
-    // Docking logic — checks ALL zones to determine actual dock state
-    const dockingStatus = dockingManager.isInDockingZone(satBody);
-    if (!dockingStatus.inBox) hasLeftDockingBoxOnce = true;
+    // Docking status from the latest physics step; recomputed while paused
+    // since nothing steps then.
+    const dockingStatus = paused ? dockingManager.isInDockingZone(satBody) : simCore.dockingStatus;
 
     // HUD display — shows info for the SELECTED zone (cycled with ` + z).
-    // This is separate from the actual docking logic above.
+    // This is separate from the actual docking logic in physicsStep().
     const hudStatus = dockingManager.getSelectedDockingZoneStatus(satBody);
     if (hudStatus) {
       updateUIText('dock-distance', hudStatus.distance.toFixed(3));
@@ -972,26 +1873,28 @@ function initSimulation() {
       updateUIText('docking-speed', hudStatus.speed.toFixed(3));
       updateUIText('docking-angular-speed', hudStatus.angularSpeed.toFixed(3));
       updateUIText('docking-target-label', hudStatus.label);
-    } else {
+    } else if (dockingStatus.distance !== undefined) {
       updateUIText('dock-distance', dockingStatus.distance.toFixed(3));
       updateUIText('angular-diff', dockingStatus.angleDiff.toFixed(2));
       updateUIText('docking-speed', dockingStatus.speed.toFixed(3));
       updateUIText('docking-angular-speed', dockingStatus.angularSpeed.toFixed(3));
     }
-    
-    if (!isDocked && canDock && hasLeftDockingBoxOnce && dockingStatus.inBox && dockingStatus.inAngle && dockingStatus.withinSpeedLimits && dockingStatus.withinAngularSpeedLimit) {
-      isDocked = true; paused = true;
-      updateUIText('docking-status', 'DOCKED');
-      satBody.velocity.set(0, 0, 0);
-      satBody.angularVelocity.set(0, 0, 0);
-      // Record the time elapsed when we dock
-      missionClock.onDock();
-    }
-    if (!canDock && !dockingStatus.inBox && hasLeftDockingBoxOnce) {
-      canDock = true;
-    }
+
+    // A free-flying Spacecraft 2 and the docking boxes move with the physics
+    dockingManager.updateMovingParts();
+
+    // Ghost ship follows the mission clock (0 until undock, frozen once docked)
+    const ghostDeltas = ghostShip.update(missionClock.getElapsedMs(paused, simCore.isDocked) / 1000, satBody);
 
     const fuelStatus = getFuelStatus();
+    const deltaVBudget = computeDeltaVBudget(simCore);
+    const deltaV = {
+      budget: deltaVBudget,
+      // Nothing to predict while docked
+      prediction: simCore.isDocked ? null : predictDockingPropellant(simCore, dockingManager.getSelectedZone(), deltaVBudget),
+      spent: simCore.deltaV.spent,
+      propellantUsed: simCore.deltaV.propellantUsed
+    };
       updateUI({
       satBody,
       hudElement: document.getElementById('status-panel'),
@@ -1006,14 +1909,23 @@ function initSimulation() {
       raycaster,
       maxDistance,
       showDistanceInfo,
+      showAttitudeIndicator,
+      target: dockingManager.getSelectedTargetState(satBody),
       cameraSystem: camSys,
       fineControlMode,
-      isDocked,
-      dockingStatus: hudStatus || dockingStatus
+      isDocked: simCore.isDocked,
+      dockingStatus: hudStatus || dockingStatus,
+      capture: simCore.capture,
+      approach: simCore.approach,
+      deltaV,
+      simTime: simCore.time,
+      orbitalDynamics: simCore.orbitalDynamics,
+      ghostDeltas
     });
     
     // Update clock display
-    missionClock.update(paused, isDocked);
+    missionClock.update(paused, simCore.isDocked);
+    plotPanel.render();
 
     // Render through the SSAO composer; fall back to direct rendering if the
     // composer hasn't been initialized yet.
@@ -1062,6 +1974,24 @@ function initSimulation() {
       dockingBoxSize: DOCKING_BOX_SIZE,
       dockingAngleThreshold: DOCKING_ANGLE_THRESHOLD
     };
+    if (DOCKING_CRITERIA) {
+      positionData.dockingCriteria = DOCKING_CRITERIA;
+    }
+    if (APPROACH_RULES) {
+      positionData.approach = APPROACH_RULES;
+    }
+    // Keep the scenario's orbit block so the exported file reloads the same mode
+    if (simCore.orbitalDynamics) {
+      positionData.orbit = simCore.orbitalDynamics.toJSON();
+    }
+    // ...and its fault schedule
+    if (simCore.faults.schedule.length) {
+      positionData.faults = simCore.faults.schedule;
+    }
+    // ...and its sensor models, with the truth setting from the fault panel
+    if (simCore.sensors.spec || !simCore.sensors.truth) {
+      positionData.sensors = { ...simCore.sensors.spec, truth: simCore.sensors.truth };
+    }
 
     // Create a blob and download the file
     const dataStr = JSON.stringify(positionData, null, 2);
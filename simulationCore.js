@@ -0,0 +1,695 @@
+// File: simulationCore.js
+// Headless simulation core: the cannon-es world, the spacecraft body, the
+// thrusters, the attitude actuators, fuel and the docking state machine,
+// advanced one fixed physics step at a time. No Three.js and no DOM, so it
+// runs under Node (see headless.js) as well as in the browser, where
+// simulation.js drives it and layers rendering, HUD, sound and input on top.
+//
+// Browser-only concerns reach the core through hooks:
+//  - isThrusterDisabled(index)      thruster menu / failure modes
+//  - isThrusterExcludedFromAllocation(index)  thrusters the key allocation
+//                                   works around (default: isThrusterDisabled)
+//  - onThrusterActiveChange(t, was, now)  plumes, emissive glow, sound
+//  - onCenterOfMassChange(offset, shift)  move model/lamps with a tank-driven CoM
+//  - capture.onMatedChange(zone, mated, { restore })  carry SC2's meshes
+//
+// Docking goes through soft capture, retraction and hard dock
+// (dockingCapture.js) in `capture`. A zone on a dynamic vehicle (a tumbling
+// Spacecraft 2) is moved with it after every step. Approach corridor and
+// keep-out sphere rules (approachMonitor.js) are checked in `approach`.
+// Delta-v spent and propellant used (deltaV.js) add up in `deltaV`.
+//
+// Fuel, the tank mass model and a mated vehicle's mass are module state in
+// spacecraftPhysics.js, so only one core flies at a time: building a second
+// one retires the first (see dispose()).
+//
+// Faults (faultManager.js) live in `faults` and fire at the start of a step;
+// `random` feeds their random picks, so seed it for runs that must replay.
+// The autopilot's sensor models (sensors.js) live in `sensors`, sample after
+// each step and draw their noise from `random` too.
+
+import * as CANNON from 'cannon-es';
+import { processThrusterConfig, fillKeyToThrusterIndices } from './thrusterSetup.js';
+import { AttitudeControlSystem } from './attitudeControl.js';
+import {
+  createSpacecraftBody,
+  consumeFuel,
+  getFuelStatus,
+  getMassProperties,
+  resetFuel,
+  applyGyroscopicTorque,
+  addMassPropertiesListener,
+  removeMassPropertiesListener,
+  setVehicleDynamics
+} from './spacecraftPhysics.js';
+import {
+  findClosestDockingZoneStatus,
+  resolveSecondSpacecraftZone,
+  mountDockingZone,
+  updateMovingZone,
+  resetMovingZone
+} from './dockingZones.js';
+import { PHYSICS_DT } from './fixedStepScheduler.js';
+import { OrbitalDynamics } from './orbitalDynamics.js';
+import { allocateThrusters, computeKeyAllocation } from './thrusterAllocation.js';
+import { FaultManager } from './faultManager.js';
+import { SensorSuite } from './sensors.js';
+import { DeltaVTracker } from './deltaV.js';
+import { DockingCapture } from './dockingCapture.js';
+import { ApproachMonitor } from './approachMonitor.js';
+
+// The core whose spacecraft owns the fuel and mass state (file header)
+let activeCore = null;
+
+export const TRANSLATION_KEYS = ['w', 's', 'a', 'd', 'q', 'e'];
+export const ROTATION_KEYS = ['i', 'k', 'j', 'l', 'u', 'o'];
+// How far (m) the center of mass may move before the key allocation is solved
+// again. Every burn moves it a little as the tanks drain.
+const KEY_ALLOCATION_COM_TOLERANCE = 0.001;
+
+// Empty key -> thruster index map, filled in by processThrusterConfig().
+export function createKeyToThrusterIndices() {
+  const map = {};
+  [...TRANSLATION_KEYS, ...ROTATION_KEYS].forEach(k => { map[k] = []; });
+  return map;
+}
+
+// Zero-gravity world with the solver settings the browser sim uses.
+export function createPhysicsWorld() {
+  const world = new CANNON.World();
+  world.gravity.set(0, 0, 0);
+  world.broadphase = new CANNON.SAPBroadphase(world);
+  world.solver.iterations = 10;
+  return world;
+}
+
+// Normalise step input to a key predicate. Accepts a function (key -> bool),
+// an array/Set of held keys, or nothing.
+function toKeyPredicate(keys) {
+  if (typeof keys === 'function') return keys;
+  if (!keys) return () => false;
+  const held = keys instanceof Set ? keys : new Set(keys);
+  return key => held.has(key);
+}
+
+export class SimulationCore {
+  constructor({
+    world = null,
+    keyToThrusterIndices = createKeyToThrusterIndices(),
+    dockingZones = [],
+    stepSize = PHYSICS_DT
+  } = {}) {
+    this.world = world || createPhysicsWorld();
+    this.stepSize = stepSize;
+
+    this.body = null;
+    this.thrusters = [];
+    this.keyToThrusterIndices = keyToThrusterIndices;
+    this.attitudeControl = null;
+    this.dockingZones = dockingZones;
+    this.torquePercentage = 50; // Percentage of max RW/CMG torque used by the rotation keys
+    this.thrusterDuties = []; // Duty cycles fired by the last step(), by thruster index
+    this.commandDuties = []; // The part of those requested by controller commands
+    this.keyAllocation = null; // { key: duties[] }, see getKeyAllocation()
+    this._keyAllocationSignature = null;
+    this._keyAllocationCenter = null; // center of mass offset it was solved for
+
+    // Default start pose: docked at the station port.
+    this.initialPosition = new CANNON.Vec3(0, -3, 5.5);
+    this.initialOrientation = new CANNON.Quaternion();
+    this.initialOrientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    this.dockingBoxSize = 0.1;
+    this.dockingAngleThreshold = 3;
+    this.dockingCriteria = null; // per-zone limits, see dockingZones.js
+    this.approachRules = null; // primary zone's corridor/keep-out sphere
+
+    // Clohessy-Wiltshire relative motion (orbitalDynamics.js); null = free drift.
+    this.orbitalDynamics = null;
+
+    this.faults = new FaultManager();
+    this.random = Math.random;
+    this.sensors = new SensorSuite();
+    this.acceleration = { x: 0, y: 0, z: 0 }; // Non-gravitational, world frame, over the last step
+
+    this.time = 0;
+    this.stepCount = 0;
+
+    // Docking state machine. Starts docked; must leave the box once and
+    // then make contact again to be captured.
+    this.capture = new DockingCapture();
+    this.approach = new ApproachMonitor();
+    this.deltaV = new DeltaVTracker();
+    this.isDocked = true;
+    this.canDock = false;
+    this.hasLeftDockingBoxOnce = false;
+    this.dockingStatus = { inBox: false };
+
+    // Hooks (see file header)
+    this.isThrusterDisabled = () => false;
+    this.isThrusterExcludedFromAllocation = index => this.isThrusterDisabled(index);
+    this.onThrusterActiveChange = null;
+    this.onCenterOfMassChange = null;
+
+    this._massListener = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SETUP
+  // ---------------------------------------------------------------------------
+
+  // Adopt an already-built spacecraft body (the browser builds it from the
+  // loaded model's bounding box) and add it to the world if needed.
+  setSpacecraftBody(body) {
+    if (activeCore && activeCore !== this) {
+      console.warn('A new SimulationCore took over the spacecraft state; disposing the previous one');
+      activeCore.dispose();
+    }
+    activeCore = this;
+    this.body = body;
+    if (!this.world.bodies.includes(body)) this.world.addBody(body);
+    if (!this._massListener) {
+      this._massListener = (offset, shift) => this.followCenterOfMass(offset, shift);
+      addMassPropertiesListener(this._massListener);
+    }
+    return body;
+  }
+
+  // Stop following the shared mass state, so a later core can take over.
+  // The body stays as it is; the core should not be stepped afterwards.
+  dispose() {
+    if (this._massListener) {
+      removeMassPropertiesListener(this._massListener);
+      this._massListener = null;
+    }
+    if (activeCore === this) activeCore = null;
+  }
+
+  // The center of mass moved by `shift` (body frame) as the tanks drained:
+  // lever arms are measured from the new center of mass.
+  followCenterOfMass(offset, shift) {
+    this.thrusters.forEach(t => {
+      if (t.configPos) t.pos.set(t.configPos.x - offset.x, t.configPos.y - offset.y, t.configPos.z - offset.z);
+    });
+    const solvedAt = this._keyAllocationCenter;
+    if (!solvedAt || Math.hypot(offset.x - solvedAt.x, offset.y - solvedAt.y, offset.z - solvedAt.z) > KEY_ALLOCATION_COM_TOLERANCE) {
+      this.keyAllocation = null;
+    }
+    if (this.attitudeControl) {
+      this.attitudeControl.reactionWheels.forEach(wheel => wheel.position.vsub(shift, wheel.position));
+    }
+    if (this.onCenterOfMassChange) this.onCenterOfMassChange(offset, shift);
+  }
+
+  // Build the spacecraft body straight from spacecraftProperties. Without a
+  // model there is no bounding box, so the collision box is `halfExtents`.
+  createSpacecraft(properties = {}, options = {}) {
+    return this.setSpacecraftBody(createSpacecraftBody(properties, options));
+  }
+
+  // Apply a position file ({ position, orientation, dockingBoxSize?,
+  // dockingAngleThreshold?, dockingCriteria?, approach?, orbit?, faults?,
+  // sensors? }) as the start/primary-docking pose. The optional orbit block
+  // switches on CW relative motion for this scenario, `faults` is its fault
+  // schedule and `sensors` configures the autopilot's sensor models.
+  setInitialPose(posData) {
+    if (!posData) return;
+    this.initialPosition = new CANNON.Vec3(posData.position.x, posData.position.y, posData.position.z);
+    this.initialOrientation = new CANNON.Quaternion(
+      posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w
+    );
+    if (posData.dockingBoxSize !== undefined) this.dockingBoxSize = posData.dockingBoxSize;
+    if (posData.dockingAngleThreshold !== undefined) this.dockingAngleThreshold = posData.dockingAngleThreshold;
+    if (posData.dockingCriteria !== undefined) this.dockingCriteria = posData.dockingCriteria;
+    if (posData.approach !== undefined) this.approachRules = posData.approach;
+    this.setOrbit(posData);
+    this.faults.load(posData.faults);
+    this.sensors.configure(posData.sensors);
+  }
+
+  // Configure (or clear) orbital relative motion from a position file. The
+  // CW origin defaults to the initial (docked) position, so a docked
+  // spacecraft feels no relative acceleration.
+  setOrbit(posData) {
+    try {
+      this.orbitalDynamics = OrbitalDynamics.fromPositionData(posData, this.initialPosition);
+    } catch (error) {
+      console.error("Invalid orbit configuration, using free drift:", error);
+      this.orbitalDynamics = null;
+    }
+    return this.orbitalDynamics;
+  }
+
+  // Put the body back at the initial pose, at rest.
+  placeAtInitialPose() {
+    if (!this.body) return;
+    this.body.position.copy(this.initialPosition);
+    this.body.quaternion.copy(this.initialOrientation);
+    this.body.velocity.set(0, 0, 0);
+    this.body.angularVelocity.set(0, 0, 0);
+  }
+
+  // Build thrusters from the normalized { thrusters: [...] } config. Visuals
+  // are optional: pass satMesh + createThrusterVisual in the browser only.
+  initializeThrusters(thrusterConfig, { satMesh = null, createThrusterVisual = null, centerOfMass = this.body?.centerOfMassOffset } = {}) {
+    // Refill the existing map in place; simulation.js/modelControls.js hold a reference to it.
+    Object.keys(this.keyToThrusterIndices).forEach(k => { this.keyToThrusterIndices[k].length = 0; });
+    this.keyAllocation = null;
+    try {
+      this.thrusters = processThrusterConfig(
+        thrusterConfig,
+        CANNON,
+        satMesh,
+        this.keyToThrusterIndices,
+        createThrusterVisual,
+        centerOfMass || { x: 0, y: 0, z: 0 }
+      );
+    } catch (error) {
+      console.error("Failed to initialize thrusters with config:", error);
+      this.thrusters = [];
+    }
+    this.faults.applyEffects(this);
+    return this.thrusters;
+  }
+
+  async initializeAttitudeControl(reactionWheelsConfig, cmgConfig, centerOfMass = this.body?.centerOfMassOffset) {
+    this.attitudeControl = new AttitudeControlSystem(this.body, null);
+    this.attitudeControl.setCenterOfMassOffset(centerOfMass || { x: 0, y: 0, z: 0 });
+    await this.attitudeControl.initializeWithConfigs(reactionWheelsConfig, cmgConfig);
+    this.faults.applyEffects(this);
+    return this.attitudeControl;
+  }
+
+  registerDockingZone(zone) {
+    this.dockingZones.push(zone);
+    mountDockingZone(zone);
+  }
+
+  // The primary zone is the initial pose (the station's docking port).
+  registerPrimaryDockingZone() {
+    this.registerDockingZone({
+      position: new CANNON.Vec3(this.initialPosition.x, this.initialPosition.y, this.initialPosition.z),
+      orientation: this.initialOrientation.clone(),
+      dockingBoxSize: this.dockingBoxSize,
+      dockingAngleThreshold: this.dockingAngleThreshold,
+      dockingCriteria: this.dockingCriteria,
+      approach: this.approachRules,
+      name: 'primary'
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // THRUSTERS
+  // ---------------------------------------------------------------------------
+
+  setThrusterActive(thruster, active) {
+    if (!thruster) return;
+    const wasActive = thruster.active;
+    thruster.active = !!active;
+    if (this.onThrusterActiveChange) this.onThrusterActiveChange(thruster, wasActive, !!active);
+  }
+
+  // Switched off in the menu or failed off.
+  isThrusterUnavailable(i) {
+    return this.isThrusterDisabled(i) || !!this.thrusters[i]?.fault?.stuckOff;
+  }
+
+  // Duty a faulty valve fires at whatever is commanded: 1 when stuck open,
+  // the leak rate when leaking, else 0. The menu cannot stop it either.
+  getForcedDuty(i) {
+    const fault = this.thrusters[i]?.fault;
+    if (!fault) return 0;
+    return fault.stuckOpen ? 1 : fault.leakDuty;
+  }
+
+  // Fire thruster `i` at `duty` (0..1) of full thrust for one step of `dt`
+  // seconds, burning fuel in proportion. A degraded thruster gives less
+  // thrust and/or Isp than its config says.
+  fireThruster(i, duty, dt) {
+    const t = this.thrusters[i]; if (!t) return;
+    if (this.isThrusterUnavailable(i) && !(this.getForcedDuty(i) > 0)) { this.setThrusterActive(t, false); return; }
+    if (getFuelStatus().fuelMass <= 0) { if (t.active) this.setThrusterActive(t, false); return; }
+    if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) { console.error("Thruster has invalid properties, skipping.", t); if (t.active) this.setThrusterActive(t, false); return; }
+    const thrust = t.thrust * (t.fault ? t.fault.thrustScale : 1);
+    const isp = t.isp * (t.fault ? t.fault.ispScale : 1);
+    this.body.applyLocalForce(t.dir.scale(thrust * duty), t.pos);
+    const fuelConsumptionRate = thrust / (isp * 9.81);
+    const remainingFuel = consumeFuel(fuelConsumptionRate * duty * dt);
+    if (remainingFuel <= 0) { if (t.active) this.setThrusterActive(t, false); return; }
+    if (!t.active) this.setThrusterActive(t, true);
+  }
+
+  // Fire the thrusters at `indices` at full thrust.
+  fireThrusters(indices, dt) {
+    indices.forEach(i => this.fireThruster(i, 1, dt));
+  }
+
+  // Key allocation for the autoBind thrusters that are currently available,
+  // recomputed when the center of mass moves (by more than
+  // KEY_ALLOCATION_COM_TOLERANCE) or a thruster is switched off or
+  // back on, so the keys keep giving clean translations/rotations. Keeps
+  // keyToThrusterIndices (used by the thruster menu and releaseThrusters) in
+  // step with it.
+  getKeyAllocation() {
+    const available = i => this.thrusters[i].autoBind !== false && !this.isThrusterExcludedFromAllocation(i);
+    const signature = this.thrusters.map((t, i) => (available(i) ? 1 : 0)).join('');
+    if (!this.keyAllocation || signature !== this._keyAllocationSignature) {
+      this.keyAllocation = computeKeyAllocation(this.thrusters, { isAvailable: available });
+      this._keyAllocationSignature = signature;
+      const c = this.body?.centerOfMassOffset || { x: 0, y: 0, z: 0 };
+      this._keyAllocationCenter = { x: c.x, y: c.y, z: c.z };
+      fillKeyToThrusterIndices(this.keyToThrusterIndices, this.thrusters, this.keyAllocation);
+    }
+    return this.keyAllocation;
+  }
+
+  // Duty cycles for the held keys. Rotation keys are skipped while the
+  // reaction wheels / CMGs handle attitude; custom keybinds never are. autoBind thrusters follow the key
+  // allocation; custom-bound thrusters fire at full thrust on their keys.
+  // `keyWeight` gives each key's share (1 when held, a fraction for an analog
+  // axis), by default 0 or 1 from `isKeyActive`.
+  keyDuties(isKeyActive, useActuators, keyWeight = key => (isKeyActive(key) ? 1 : 0)) {
+    const duties = new Array(this.thrusters.length).fill(0);
+    const held = Object.keys(this.keyToThrusterIndices)
+      .filter(key => keyWeight(key) > 0 && (!ROTATION_KEYS.includes(key) || !useActuators));
+    if (!held.length) return duties;
+
+    const allocation = this.getKeyAllocation();
+    held.forEach(key => {
+      const weight = Math.min(keyWeight(key), 1);
+      this.thrusters.forEach((t, i) => {
+        if (t.autoBind === false) {
+          if (t.keybind.includes(key)) duties[i] += weight;
+        } else if (allocation[key]) {
+          duties[i] += weight * allocation[key][i];
+        }
+      });
+    });
+    return duties;
+  }
+
+  // Controller commands (see controllerState.sanitizeControllerCommands):
+  // explicit duty cycles plus the allocation of any force/torque request,
+  // added to `duties`. `analog` ({ key: 0..1 }, gamepadInput.js) fires like
+  // partly held keys.
+  addCommandDuties(commands, duties, useActuators = false) {
+    const commandDuties = new Array(this.thrusters.length).fill(0);
+    if (commands.thrusters) {
+      Object.entries(commands.thrusters).forEach(([index, duty]) => {
+        const i = Number(index);
+        if (i < commandDuties.length) commandDuties[i] += duty;
+      });
+    }
+    if (commands.force || commands.torque) {
+      allocateThrusters(this.thrusters, commands.force, commands.torque, {
+        isAvailable: i => !this.isThrusterUnavailable(i)
+      }).forEach((duty, i) => { commandDuties[i] += duty; });
+    }
+    if (commands.analog) {
+      this.keyDuties(null, useActuators, key => commands.analog[key] || 0)
+        .forEach((duty, i) => { commandDuties[i] += duty; });
+    }
+    commandDuties.forEach((duty, i) => { duties[i] += duty; });
+    this.commandDuties = commandDuties;
+    return duties;
+  }
+
+  // Fire every thruster once at its combined duty (capped at 100%), so fuel
+  // is accounted for the same way for keys and commands. Stuck-open and
+  // leaking thrusters fire at least at their forced duty.
+  fireDuties(duties, dt) {
+    duties.forEach((duty, i) => {
+      duties[i] = Math.max(Math.min(duty, 1), this.getForcedDuty(i));
+      if (duties[i] > 0) this.fireThruster(i, duties[i], dt);
+    });
+    this.thrusterDuties = duties;
+  }
+
+  // Wheel/CMG torque commands go through the attitude system's momentum limits.
+  // Analog rotation axes command a share of full torque, not the
+  // torquePercentage the keys use.
+  applyActuatorCommands(commands, dt, useActuators = false) {
+    const ac = this.attitudeControl;
+    if (useActuators && commands.analog) {
+      this.applyAttitudeKeys(null, dt, key => commands.analog[key] || 0, 1);
+    }
+    if (ac && commands.wheelTorque && ac.reactionWheels.length) {
+      ac.applyWheelTorque(new CANNON.Vec3(commands.wheelTorque.x, commands.wheelTorque.y, commands.wheelTorque.z), dt);
+    }
+    if (ac && commands.cmgTorque && ac.cmgs.length) {
+      ac.applyCMGTorque(new CANNON.Vec3(commands.cmgTorque.x, commands.cmgTorque.y, commands.cmgTorque.z), dt);
+    }
+  }
+
+  // Switch off any active thruster whose key is no longer held and that the
+  // last step's commands did not fire (or that has since been disabled).
+  // Stuck-open and leaking thrusters stay on.
+  releaseThrusters(isKeyActive) {
+    this.thrusters.forEach(t => {
+      if (this.getForcedDuty(t.index) > 0) return;
+      const stillPressed = this.commandDuties[t.index] > 0 ||
+        Object.entries(this.keyToThrusterIndices).some(([k, ids]) => isKeyActive(k) && ids.includes(t.index));
+      if (t.active && (!stillPressed || this.isThrusterUnavailable(t.index))) {
+        this.setThrusterActive(t, false);
+      }
+    });
+  }
+
+  // Rotation keys -> body torque for reaction wheels / CMGs. Each key gives
+  // keyWeight(key) x `scale` of the actuators' max torque.
+  applyAttitudeKeys(isKeyActive, dt, keyWeight = key => (isKeyActive(key) ? 1 : 0), scale = this.torquePercentage / 100) {
+    const ac = this.attitudeControl;
+    const torque = new CANNON.Vec3(0, 0, 0);
+    const isCMGMode = ac.mode === 'cmgs';
+
+    // Get max torque from the active attitude control system
+    let maxTorque = 0.5; // Default fallback
+    if (isCMGMode && ac.cmgs.length > 0) {
+      maxTorque = ac.cmgs.reduce((sum, cmg) => sum + cmg.maxTorque, 0) / ac.cmgs.length;
+    } else if (!isCMGMode && ac.reactionWheels.length > 0) {
+      maxTorque = ac.reactionWheels.reduce((sum, wheel) => sum + wheel.maxTorque, 0) / ac.reactionWheels.length;
+    }
+    const torquePerAxis = maxTorque * scale;
+    const w = key => Math.min(keyWeight(key), 1) * torquePerAxis;
+
+    // Swap I/K, J/L and U/O for CMGs
+    torque.x += isCMGMode ? w('k') - w('i') : w('i') - w('k');
+    torque.y += isCMGMode ? w('j') - w('l') : w('l') - w('j');
+    torque.z += isCMGMode ? w('o') - w('u') : w('u') - w('o');
+    if (torque.length() > 0) ac.applyControlTorque(torque, dt);
+  }
+
+  // ---------------------------------------------------------------------------
+  // STEPPING
+  // ---------------------------------------------------------------------------
+
+  // Advance exactly one fixed step. `keys` is whatever is held this step
+  // (predicate, array or Set of thruster keys); `commands` are optional
+  // controller commands (thruster duties, force/torque, wheel/CMG torque,
+  // analog axes). Returns { docked, dockingStatus, captureEvent } where
+  // `docked` is true on the step that hard docks and captureEvent is any
+  // contact, capture or hard-dock event from this step (dockingCapture.js).
+  step(keys, commands = null) {
+    const dt = this.stepSize;
+    const isKeyActive = toKeyPredicate(keys);
+    let docked = false;
+    const eventCount = this.capture.events.length;
+    this.thrusterDuties = [];
+    this.commandDuties = [];
+
+    if (this.body) {
+      this.faults.update(this);
+      const ac = this.attitudeControl;
+      const useActuators = ac && ac.loaded && ac.mode !== 'thrusters';
+
+      if (useActuators) {
+        this.applyAttitudeKeys(isKeyActive, dt);
+      }
+      const duties = this.keyDuties(isKeyActive, useActuators);
+      if (commands) this.addCommandDuties(commands, duties, useActuators);
+      const fuelBefore = getFuelStatus().fuelMass;
+      this.fireDuties(duties, dt);
+      this.deltaV.record(this, fuelBefore, dt);
+      if (commands) this.applyActuatorCommands(commands, dt, useActuators);
+
+      if (this.orbitalDynamics) this.orbitalDynamics.applyTo(this.body);
+      applyGyroscopicTorque(this.body, this.attitudeControl ? this.attitudeControl.getStoredMomentum() : null);
+      this.freeVehicleBodies().forEach(body => {
+        if (this.orbitalDynamics) this.orbitalDynamics.applyTo(body);
+        applyGyroscopicTorque(body);
+      });
+
+      // What an accelerometer feels: the velocity change minus orbital dynamics
+      const v0 = this.body.velocity.clone();
+      const orbital = this.orbitalDynamics?.enabled
+        ? this.orbitalDynamics.getAcceleration(this.body.position, this.body.velocity)
+        : { x: 0, y: 0, z: 0 };
+      this.world.step(dt);
+      const v1 = this.body.velocity;
+      this.acceleration = {
+        x: (v1.x - v0.x) / dt - orbital.x,
+        y: (v1.y - v0.y) / dt - orbital.y,
+        z: (v1.z - v0.z) / dt - orbital.z
+      };
+      this.dockingZones.forEach(zone => {
+        if (zone !== this.capture.mated?.zone) updateMovingZone(zone);
+      });
+      docked = this.updateDocking();
+      this.capture.carry(this);
+      this.approach.update(this);
+    }
+
+    this.time += dt;
+    this.stepCount++;
+    if (this.body) this.sensors.update(this);
+    const captureEvent = this.capture.events.length > eventCount ? this.capture.events[this.capture.events.length - 1] : null;
+    return { docked, dockingStatus: this.dockingStatus, captureEvent };
+  }
+
+  // Bodies of dynamic vehicles that are flying on their own (not mated).
+  freeVehicleBodies() {
+    return this.dockingZones
+      .filter(zone => zone.mount && zone !== this.capture.mated?.zone)
+      .map(zone => zone.vehicle.body);
+  }
+
+  // Docking logic — checks ALL zones to determine actual dock state.
+  // Contact with the closest zone's box starts a capture attempt; a capture
+  // retracts onto the port and returns true on the step it hard docks.
+  updateDocking() {
+    this.dockingStatus = findClosestDockingZoneStatus(this.body, this.dockingZones);
+    if (!this.dockingStatus.inBox) this.hasLeftDockingBoxOnce = true;
+
+    if (this.capture.phase === 'retracting') {
+      if (!this.capture.retract(this, this.stepSize)) return false;
+      this.capture.hardDock(this);
+      this.isDocked = true;
+      return true;
+    }
+    if (!this.isDocked && this.canDock && this.hasLeftDockingBoxOnce && this.dockingStatus.inBox && !this.capture.inContact) {
+      const zone = this.dockingZones.find(z => z.name === this.dockingStatus.zoneName);
+      if (zone) this.capture.contact(this, zone, this.dockingStatus);
+    }
+    if (!this.dockingStatus.inBox) this.capture.inContact = false;
+    if (!this.canDock && !this.dockingStatus.inBox && this.hasLeftDockingBoxOnce) {
+      this.canDock = true;
+    }
+    return false;
+  }
+
+  // Leave the docked state (browser: ` + P / ` + F). A mated vehicle is
+  // released where it is.
+  undock() {
+    if (!this.isDocked) return;
+    this.capture.release(this);
+    this.isDocked = false;
+    this.hasLeftDockingBoxOnce = true;
+    this.canDock = false;
+  }
+
+  // Stop all motion and shut every thruster off (browser: space bar).
+  stopEverything() {
+    if (!this.body) return;
+    this.body.velocity.set(0, 0, 0);
+    this.body.angularVelocity.set(0, 0, 0);
+    this.thrusters.forEach(t => { if (t.active) this.setThrusterActive(t, false); });
+  }
+
+  // Back to t = 0: initial pose, full tank, empty wheels, docked.
+  reset() {
+    // Release any mated vehicle and refuel first: both move the body origin
+    // along with the center of mass, so the pose has to be set afterwards.
+    this.capture.reset(this);
+    this.dockingZones.forEach(resetMovingZone);
+    resetFuel();
+    this.placeAtInitialPose();
+    if (this.attitudeControl) {
+      this.attitudeControl.mode = 'thrusters';
+      this.attitudeControl.reactionWheels.forEach(wheel => wheel.currentAngularMomentum = 0);
+      this.attitudeControl.cmgs.forEach(cmg => cmg.currentAngularMomentum.set(0, 0, 0));
+    }
+    this.faults.reset(this);
+    this.sensors.reset();
+    this.approach.reset();
+    this.deltaV.reset();
+    this.acceleration = { x: 0, y: 0, z: 0 };
+    this.thrusters.forEach(t => this.setThrusterActive(t, false));
+    this.thrusterDuties = [];
+    this.commandDuties = [];
+    this.time = 0;
+    this.stepCount = 0;
+    this.isDocked = true;
+    this.canDock = false;
+    this.hasLeftDockingBoxOnce = false;
+    this.dockingStatus = { inBox: false };
+  }
+
+  // Plain-object snapshot for logging and tests.
+  getState() {
+    const b = this.body;
+    const plain = v => ({ x: v.x, y: v.y, z: v.z });
+    return {
+      time: this.time,
+      step: this.stepCount,
+      position: b ? plain(b.position) : null,
+      velocity: b ? plain(b.velocity) : null,
+      quaternion: b ? { x: b.quaternion.x, y: b.quaternion.y, z: b.quaternion.z, w: b.quaternion.w } : null,
+      angularVelocity: b ? plain(b.angularVelocity) : null,
+      fuel: getFuelStatus(),
+      massProperties: getMassProperties(),
+      attitudeControl: this.attitudeControl ? this.attitudeControl.getStatus() : null,
+      activeThrusters: this.thrusters.filter(t => t.active).map(t => t.index),
+      isDocked: this.isDocked,
+      dockingStatus: this.dockingStatus,
+      capture: {
+        phase: this.capture.phase,
+        zone: this.capture.zone?.name || null,
+        mated: this.capture.mated ? this.capture.mated.zone.name : null
+      },
+      approach: { ...this.approach.counts, cautions: this.approach.cautions.map(c => c.message) },
+      deltaV: { spent: this.deltaV.spent, propellantUsed: this.deltaV.propellantUsed },
+      faults: this.faults.active.map(f => ({ id: f.id, type: f.type, target: f.target, indices: f.indices })),
+      orbit: this.orbitalDynamics
+        ? { meanMotion: this.orbitalDynamics.meanMotion, period: this.orbitalDynamics.period }
+        : null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // HEADLESS CONSTRUCTION
+  // ---------------------------------------------------------------------------
+
+  // Build a complete core from plain JSON: the normalized config (see
+  // configLoader.normalizeConfiguration), the primary position file and the
+  // optional second-spacecraft position / docking-location files. There is no
+  // model, so the collision box is `halfExtents` (default 0.5 m cube) and
+  // the station/SC2 meshes are not simulated as colliders. A dynamic SC2
+  // still gets a body (that collides with nothing) so it can move.
+  static async fromConfig({
+    config,
+    position = null,
+    secondPosition = null,
+    secondDockingLocation = null,
+    halfExtents = new CANNON.Vec3(0.5, 0.5, 0.5),
+    stepSize = PHYSICS_DT
+  }) {
+    const core = new SimulationCore({ stepSize });
+    core.createSpacecraft(config.spacecraftProperties || {}, { halfExtents });
+    core.setInitialPose(position);
+    core.placeAtInitialPose();
+    core.initializeThrusters(config.thrusters || { thrusters: [] });
+    await core.initializeAttitudeControl(config.reactionwheels, config.cmg);
+    core.registerPrimaryDockingZone();
+    const secondZone = resolveSecondSpacecraftZone(secondPosition, secondDockingLocation);
+    if (secondZone.vehicle.dynamic) {
+      const { position: p, orientation: q } = secondZone.vehicle;
+      const body = new CANNON.Body({ position: new CANNON.Vec3(p.x, p.y, p.z), collisionFilterMask: 0 });
+      body.quaternion.set(q.x, q.y, q.z, q.w);
+      body.addShape(new CANNON.Box(new CANNON.Vec3(0.5, 0.5, 0.5)));
+      setVehicleDynamics(body, secondZone.vehicle);
+      core.world.addBody(body);
+      secondZone.vehicle = { ...secondZone.vehicle, position: body.position, orientation: body.quaternion, body };
+    }
+    core.registerDockingZone(secondZone);
+    return core;
+  }
+}
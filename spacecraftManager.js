@@ -3,6 +3,19 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { createSpacecraftBody, getSpacecraftBody } from './spacecraftPhysics.js';
+
+// Body/fuel state lives in spacecraftPhysics.js (no Three.js) so the headless
+// SimulationCore can share it; re-exported here for existing imports.
+export {
+  getSpacecraftBody,
+  updateSatelliteMass,
+  consumeFuel,
+  getFuelStatus,
+  resetFuel,
+  setFuelProperties,
+  getMassProperties
+} from './spacecraftPhysics.js';
 
 // Configuration flag for centering the spacecraft model
 // Set to true to center the model (move its center of mass to origin)
@@ -11,20 +24,20 @@ const CENTER_SPACECRAFT_MODEL = false;
 
 // Spacecraft-related variables
 let spacecraftGroup = null;
+let spacecraftModel = null;
 let spacecraftBoundingBoxMesh = null;
-let spacecraftBody = null;
 
-// Fuel system variables - SINGLE SOURCE OF TRUTH
-let dryMass = 5;
-let fuelMass = 5;
-let maxFuelMass = 5;
+// Pose at the start of the latest physics step, for interpolated rendering
+let previousPosition = new CANNON.Vec3();
+let previousQuaternion = new CANNON.Quaternion();
+let interpolatedQuaternion = new CANNON.Quaternion();
 
 // Load spacecraft model from a File object
 export function loadSpacecraft(file, scene, world, rotation, centroidModel, properties, onLoaded) {
   // Clean up previous spacecraft if it exists
   if (spacecraftGroup) {
     scene.remove(spacecraftGroup);
-    world.removeBody(spacecraftBody);
+    world.removeBody(getSpacecraftBody());
   }
 
   const fileName = file.name.toLowerCase();
@@ -98,6 +111,7 @@ function processLoadedModel(model, rotation, centroidModel, properties, scene, w
 
   // Add the model to the main group and enable shadows
   spacecraftGroup.add(model);
+  spacecraftModel = model;
   
   // Enable shadow casting/receiving on the model mesh
   if (model.isMesh || (model.isGroup && model.children.length > 0)) {
@@ -109,85 +123,16 @@ function processLoadedModel(model, rotation, centroidModel, properties, scene, w
     });
   }
 
-  // Create physics shape
-  const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
-  
-  // Update fuel system variables if provided in properties
-  // Convert strings to numbers
-  if (properties.dryMass !== undefined) dryMass = parseFloat(properties.dryMass);
-  if (properties.fuelMass !== undefined) fuelMass = parseFloat(properties.fuelMass);
-  if (properties.maxFuelMass !== undefined) maxFuelMass = parseFloat(properties.maxFuelMass);
-  
-  // Calculate total mass (dry mass + fuel mass)
-  const totalMass = dryMass + fuelMass;
-  
-  // Create the body with custom properties if provided
-  const bodyOptions = {
-    mass: totalMass,
-    angularDamping: 0,
-    linearDamping: 0,
-    allowSleep: false
-  };
-  
-  spacecraftBody = new CANNON.Body(bodyOptions);
-  
-  // Extract centerOfMass from properties if provided
-  const centerOfMassOffset = properties.centerOfMass 
-    ? new CANNON.Vec3(
-        properties.centerOfMass.x || 0,
-        properties.centerOfMass.y || 0,
-        properties.centerOfMass.z || 0
-      )
-    : new CANNON.Vec3(0, 0, 0);
-  
-  // Calculate final shape offset: centroid offset + centerOfMass offset
-  const finalShapeOffset = new CANNON.Vec3(
-    collisionBoxOffset.x + centerOfMassOffset.x,
-    collisionBoxOffset.y + centerOfMassOffset.y,
-    collisionBoxOffset.z + centerOfMassOffset.z
-  );
-  
-  // Add the shape with the combined offset
-  spacecraftBody.addShape(shape, finalShapeOffset);
-  
-  // Store centerOfMass for other systems to use
-  spacecraftBody.centerOfMassOffset = centerOfMassOffset;
-  
-  // --- CORRECT INERTIA FIX ---
-  // If custom inertia was provided, apply it using the correct Cannon-ES approach
-  if (properties.inertia) {
-      // DEBUG: Log that we are applying custom inertia
-      console.log("DEBUG: Applying custom inertia from properties:", properties.inertia);
-
-      // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-      const customInertia = new CANNON.Vec3(
-        properties.inertia.x || 0, 
-        properties.inertia.y || 0, 
-        properties.inertia.z || 0
-      );
-      
-      // 2. Set the inertia and its inverse manually
-      spacecraftBody.inertia.copy(customInertia);
-      spacecraftBody.invInertia.set(
-        customInertia.x > 0 ? 1 / customInertia.x : 0,
-        customInertia.y > 0 ? 1 / customInertia.y : 0,
-        customInertia.z > 0 ? 1 / customInertia.z : 0
-      );
-      
-      // 3. Apply the changes to the world-space inertia
-      spacecraftBody.updateInertiaWorld(true);
-
-      // DEBUG: Log the inertia values on the body after applying them
-      console.log("DEBUG: Inertia on spacecraftBody after manual update:", {
-          x: spacecraftBody.inertia.x,
-          y: spacecraftBody.inertia.y,
-          z: spacecraftBody.inertia.z
-      });
-  } else {
-      // DEBUG: Log if no custom inertia was found in properties
-      console.log("DEBUG: No custom inertia found in properties. Using default values.");
-  }
-  // --- END CORRECT INERTIA FIX ---
+  // Create the physics body (box shape, mass from fuel state, custom inertia)
+  const spacecraftBody = createSpacecraftBody(properties, {
+    halfExtents: new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2),
+    shapeOffset: new CANNON.Vec3(collisionBoxOffset.x, collisionBoxOffset.y, collisionBoxOffset.z)
+  });
+  console.log("DEBUG: Inertia on spacecraftBody:", {
+    x: spacecraftBody.inertia.x,
+    y: spacecraftBody.inertia.y,
+    z: spacecraftBody.inertia.z
+  });
   
   // Set the body's position to match the group's position
   spacecraftBody.position.copy(spacecraftGroup.position);
@@ -230,118 +175,58 @@ export function toggleSpacecraftBoundingBoxVisibility(visible) {
   }
 }
 
-// Get the spacecraft body
-export function getSpacecraftBody() {
-  return spacecraftBody;
-}
-
 // Get the spacecraft mesh (now returns the group)
 export function getSpacecraftMesh() {
   return spacecraftGroup;
 }
 
-// Update the spacecraft group to match the physics body
-export function updateSpacecraft() {
-  if (spacecraftGroup && spacecraftBody) {
-    spacecraftGroup.position.copy(spacecraftBody.position);
-    spacecraftGroup.quaternion.copy(spacecraftBody.quaternion);
-  }
+// The loaded model alone (no thrusters, lamps or helpers), e.g. to clone
+export function getSpacecraftModelMesh() {
+  return spacecraftModel;
 }
 
-// Function to update satellite mass based on fuel
-export function updateSatelliteMass() {
-  if (spacecraftBody) {
-    const totalMass = dryMass + fuelMass;
-    spacecraftBody.mass = totalMass;
-    // Remove this line as it recalculates inertia based on shape
-    // spacecraftBody.updateMassProperties();
-    
-    // Instead, just update the mass-related properties without recalculating inertia
-    spacecraftBody.invMass = totalMass > 0 ? 1 / totalMass : 0;
-  }
-}
-
-// Function to consume fuel
-export function consumeFuel(amount) {
-  fuelMass = Math.max(0, fuelMass - amount);
-  updateSatelliteMass();
-  return fuelMass;
-}
-
-// Function to get fuel status
-export function getFuelStatus() {
-  return {
-    dryMass,
-    fuelMass,
-    maxFuelMass,
-    fuelPercentage: (fuelMass / maxFuelMass) * 100
-  };
+// The body origin follows the center of mass; keep the model and its
+// bounding box where they were on the spacecraft by moving them by -shift.
+export function shiftSpacecraftModel(shift) {
+  if (spacecraftModel) spacecraftModel.position.sub(shift);
+  if (spacecraftBoundingBoxMesh) spacecraftBoundingBoxMesh.position.sub(shift);
 }
 
-// Function to reset fuel
-export function resetFuel() {
-  fuelMass = maxFuelMass;
-  updateSatelliteMass();
+// Remember the body pose before a physics step so the render can blend
+// between it and the post-step pose.
+export function snapshotSpacecraftPose() {
+  const spacecraftBody = getSpacecraftBody();
+  if (!spacecraftBody) return;
+  previousPosition.copy(spacecraftBody.position);
+  previousQuaternion.copy(spacecraftBody.quaternion);
 }
 
-// Function to apply new properties to the spacecraft
-export function setFuelProperties(properties) {
-  // Update the fuel system variables
-  if (properties.dryMass !== undefined) dryMass = properties.dryMass;
-  if (properties.fuelMass !== undefined) fuelMass = properties.fuelMass;
-  if (properties.maxFuelMass !== undefined) maxFuelMass = properties.maxFuelMass;
-
-  // Update the physics body if it exists
-  if (spacecraftBody) {
-    const totalMass = dryMass + fuelMass;
-    spacecraftBody.mass = totalMass;
-    spacecraftBody.invMass = totalMass > 0 ? 1 / totalMass : 0;
-
-    if (properties.inertia) {
-      // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-      const customInertia = new CANNON.Vec3(
-        properties.inertia.x || 0, 
-        properties.inertia.y || 0, 
-        properties.inertia.z || 0
-      );
-      
-      // 2. Set the inertia and its inverse manually
-      spacecraftBody.inertia.copy(customInertia);
-      spacecraftBody.invInertia.set(
-        customInertia.x > 0 ? 1 / customInertia.x : 0,
-        customInertia.y > 0 ? 1 / customInertia.y : 0,
-        customInertia.z > 0 ? 1 / customInertia.z : 0
-      );
-      
-      // 3. Apply the changes to the world-space inertia
-      spacecraftBody.updateInertiaWorld(true);
+// Update the spacecraft group to match the physics body. `alpha` is the
+// fixed-step scheduler's leftover fraction: 1 shows the latest physics state,
+// smaller values blend back toward the pose before the last step.
+export function updateSpacecraft(alpha = 1) {
+  const spacecraftBody = getSpacecraftBody();
+  if (spacecraftGroup && spacecraftBody) {
+    if (alpha >= 1) {
+      spacecraftGroup.position.copy(spacecraftBody.position);
+      spacecraftGroup.quaternion.copy(spacecraftBody.quaternion);
+      return;
     }
-    
-    // Don't call updateMassProperties() as it will recalculate inertia
-    // spacecraftBody.updateMassProperties();
+    const p0 = previousPosition, p1 = spacecraftBody.position;
+    spacecraftGroup.position.set(
+      p0.x + (p1.x - p0.x) * alpha,
+      p0.y + (p1.y - p0.y) * alpha,
+      p0.z + (p1.z - p0.z) * alpha
+    );
+    previousQuaternion.slerp(spacecraftBody.quaternion, alpha, interpolatedQuaternion);
+    spacecraftGroup.quaternion.copy(interpolatedQuaternion);
   }
 }
 
 // Initialize default spacecraft with fuel system
 export function initializeDefaultSpacecraft(scene, world, properties = null) {
-  // Use provided properties or default values
-  const dryMassValue = properties && properties.dryMass !== undefined ? properties.dryMass : dryMass;
-  const fuelMassValue = properties && properties.fuelMass !== undefined ? properties.fuelMass : fuelMass;
-  const maxFuelMassValue = properties && properties.maxFuelMass !== undefined ? properties.maxFuelMass : maxFuelMass;
-  
-  // Update the global variables
-  dryMass = dryMassValue;
-  fuelMass = fuelMassValue;
-  maxFuelMass = maxFuelMassValue;
-  
-  const totalMass = dryMass + fuelMass;
-
-  const satBody = new CANNON.Body({
-    mass: totalMass,
-    shape: new CANNON.Box(new CANNON.Vec3(1, 1, 1)),
-    angularDamping: 0,
-    linearDamping: 0,
-    allowSleep: false
+  const satBody = createSpacecraftBody(properties || {}, {
+    halfExtents: new CANNON.Vec3(1, 1, 1)
   });
   
   satBody.position.set(0, -3, 5.5);
@@ -350,29 +235,6 @@ export function initializeDefaultSpacecraft(scene, world, properties = null) {
   pitchQuaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI/2);
   satBody.quaternion.copy(pitchQuaternion);
   
-  // --- CORRECT INERTIA FIX ---
-  // If custom inertia was provided, apply it using the correct Cannon-ES approach
-  if (properties && properties.inertia) {
-    // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-    const customInertia = new CANNON.Vec3(
-      properties.inertia.x || 0, 
-      properties.inertia.y || 0, 
-      properties.inertia.z || 0
-    );
-    
-    // 2. Set the inertia and its inverse manually
-    satBody.inertia.copy(customInertia);
-    satBody.invInertia.set(
-      customInertia.x > 0 ? 1 / customInertia.x : 0,
-      customInertia.y > 0 ? 1 / customInertia.y : 0,
-      customInertia.z > 0 ? 1 / customInertia.z : 0
-    );
-    
-    // 3. Apply the changes to the world-space inertia
-    satBody.updateInertiaWorld(true);
-  }
-  // --- END CORRECT INERTIA FIX ---
-  
   world.addBody(satBody);
 
   const satGeo = new THREE.BoxGeometry(1, 1, 1);
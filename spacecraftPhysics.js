@@ -0,0 +1,289 @@
+// File: spacecraftPhysics.js
+// Physics-only half of the spacecraft: the cannon-es body, custom inertia and
+// the fuel/mass bookkeeping. No Three.js, no DOM — this module is shared by the
+// browser (through spacecraftManager.js, which re-exports it) and by the
+// headless SimulationCore running under Node.
+
+import * as CANNON from 'cannon-es';
+import { MassModel, combineMassProperties } from './massProperties.js';
+import {
+  parseInertia,
+  isPositiveDefinite,
+  setBodyInertiaTensor,
+  multiplyTensor
+} from './inertiaTensor.js';
+
+let spacecraftBody = null;
+
+// Tank-based mass model (massProperties.js); null when the config declares
+// no tanks and the inertia / center of mass stay fixed.
+let massModel = null;
+const massPropertiesListeners = new Set();
+
+// Without tanks: the configured inertia and center of mass, kept so they can
+// be restored when a mated vehicle is released.
+let fixedInertia = null;
+let fixedCenterOfMass = { x: 0, y: 0, z: 0 };
+
+// A vehicle docked to the spacecraft and flown with it (dockingCapture.js):
+// { mass, centerOfMass, inertia } in the config frame, or null.
+let attachedMass = null;
+let compoundApplied = false;
+
+// Fuel system variables - SINGLE SOURCE OF TRUTH
+let dryMass = 5;
+let fuelMass = 5;
+let maxFuelMass = 5;
+
+// Apply an inertia (any form accepted by inertiaTensor.parseInertia, or an
+// already-parsed { xx, yy, zz, xy, xz, yz } tensor) directly, bypassing
+// cannon's shape-based calculation. updateMassProperties() must NOT be called
+// afterwards or the box-shape inertia will overwrite it.
+export function applyInertia(body, inertia) {
+  let tensor;
+  try {
+    tensor = parseInertia(inertia);
+  } catch (error) {
+    console.error('Invalid inertia, keeping the current one:', error);
+    return;
+  }
+  if (!isPositiveDefinite(tensor)) {
+    console.warn('Inertia tensor is not positive definite; products of inertia are too large for the moments. Using the diagonal only.', tensor);
+    tensor = { xx: tensor.xx, yy: tensor.yy, zz: tensor.zz, xy: 0, xz: 0, yz: 0 };
+  }
+  setBodyInertiaTensor(body, tensor);
+}
+
+// Gyroscopic coupling, which cannon-es leaves out of its integrator: in the
+// body frame τ = -ω × (I·ω + h), where h is momentum stored in reaction
+// wheels / CMGs (body frame, optional). Applied as a world torque for the
+// coming step, so call it once per step before world.step().
+export function applyGyroscopicTorque(body, storedMomentum = null) {
+  const tensor = body.inertiaTensor;
+  if (!tensor) return;
+  const q = body.quaternion;
+  const w = q.conjugate().vmult(body.angularVelocity);
+  const L = multiplyTensor(tensor, w);
+  if (storedMomentum) {
+    L.x += storedMomentum.x;
+    L.y += storedMomentum.y;
+    L.z += storedMomentum.z;
+  }
+  const torque = new CANNON.Vec3(
+    -(w.y * L.z - w.z * L.y),
+    -(w.z * L.x - w.x * L.z),
+    -(w.x * L.y - w.y * L.x)
+  );
+  body.torque.vadd(q.vmult(torque), body.torque);
+}
+
+// Build the spacecraft's physics body from spacecraftProperties. `halfExtents`
+// is the collision box (from the model's bounding box in the browser, or
+// supplied directly when running headless) and `shapeOffset` moves that box
+// relative to the body origin.
+export function createSpacecraftBody(properties = {}, {
+  halfExtents = new CANNON.Vec3(0.5, 0.5, 0.5),
+  shapeOffset = new CANNON.Vec3(0, 0, 0)
+} = {}) {
+  // Convert strings to numbers
+  if (properties.dryMass !== undefined) dryMass = parseFloat(properties.dryMass);
+  if (properties.fuelMass !== undefined) fuelMass = parseFloat(properties.fuelMass);
+  if (properties.maxFuelMass !== undefined) maxFuelMass = parseFloat(properties.maxFuelMass);
+
+  const body = new CANNON.Body({
+    mass: dryMass + fuelMass,
+    angularDamping: 0,
+    linearDamping: 0,
+    allowSleep: false
+  });
+
+  const centerOfMassOffset = properties.centerOfMass
+    ? new CANNON.Vec3(
+        properties.centerOfMass.x || 0,
+        properties.centerOfMass.y || 0,
+        properties.centerOfMass.z || 0
+      )
+    : new CANNON.Vec3(0, 0, 0);
+
+  body.addShape(new CANNON.Box(halfExtents), new CANNON.Vec3(
+    shapeOffset.x + centerOfMassOffset.x,
+    shapeOffset.y + centerOfMassOffset.y,
+    shapeOffset.z + centerOfMassOffset.z
+  ));
+
+  // Store centerOfMass for other systems to use. With tanks this object is
+  // updated in place as fuel burns, so keep a reference rather than a copy.
+  body.centerOfMassOffset = centerOfMassOffset;
+
+  if (properties.inertia) {
+    applyInertia(body, properties.inertia);
+  }
+  fixedInertia = properties.inertia || { x: body.inertia.x, y: body.inertia.y, z: body.inertia.z };
+  fixedCenterOfMass = { x: centerOfMassOffset.x, y: centerOfMassOffset.y, z: centerOfMassOffset.z };
+  attachedMass = null;
+  compoundApplied = false;
+
+  spacecraftBody = body;
+  setMassModel(properties);
+  return body;
+}
+
+// Turn a docking target's body (Spacecraft 2) into a free flyer: `vehicle`
+// is the zone's vehicle from dockingZones.resolveSecondSpacecraftZone, with
+// its mass, inertia and initial velocity (m/s) / angularVelocity (rad/s).
+export function setVehicleDynamics(body, vehicle) {
+  body.type = CANNON.Body.DYNAMIC;
+  body.mass = vehicle.mass;
+  body.linearDamping = 0;
+  body.angularDamping = 0;
+  body.allowSleep = false;
+  body.updateMassProperties();
+  applyInertia(body, vehicle.inertia);
+  const v = vehicle.velocity || { x: 0, y: 0, z: 0 };
+  const w = vehicle.angularVelocity || { x: 0, y: 0, z: 0 };
+  body.velocity.set(v.x, v.y, v.z);
+  body.angularVelocity.set(w.x, w.y, w.z);
+}
+
+// (Re)build the tank model from spacecraftProperties. The tank capacities
+// define maxFuelMass when tanks are declared.
+function setMassModel(properties) {
+  massModel = MassModel.fromProperties(properties, dryMass, fuelMass);
+  if (!massModel) return;
+  if (properties.maxFuelMass !== undefined && Math.abs(massModel.capacity - maxFuelMass) > 1e-6) {
+    console.warn(`maxFuelMass (${maxFuelMass} kg) differs from the total tank capacity (${massModel.capacity} kg), using the tank capacity.`);
+  }
+  maxFuelMass = massModel.capacity;
+  fuelMass = Math.min(fuelMass, maxFuelMass);
+  updateMassDistribution();
+}
+
+// Register fn(centerOfMassOffset, shift) to hear when the center of mass
+// moves. `shift` is the move in the body frame; everything mounted on the
+// body (thruster lever arms, lamps, model) has to move by -shift.
+export function addMassPropertiesListener(fn) {
+  massPropertiesListeners.add(fn);
+}
+
+export function removeMassPropertiesListener(fn) {
+  massPropertiesListeners.delete(fn);
+}
+
+// Move the body origin by `shift` (body frame) without moving the spacecraft:
+// shapes move the other way and the world position/velocity follow the new
+// reference point.
+function shiftBodyOrigin(body, shift) {
+  body.shapeOffsets.forEach(offset => offset.vsub(shift, offset));
+  const worldShift = body.quaternion.vmult(shift);
+  body.position.vadd(worldShift, body.position);
+  body.previousPosition.vadd(worldShift, body.previousPosition);
+  body.interpolatedPosition.vadd(worldShift, body.interpolatedPosition);
+  body.velocity.vadd(body.angularVelocity.cross(worldShift), body.velocity);
+  body.updateBoundingRadius();
+  body.aabbNeedsUpdate = true;
+}
+
+// Recompute center of mass and inertia (full tensor) from the fuel left in
+// the tanks, plus any mated vehicle.
+function updateMassDistribution() {
+  if (!spacecraftBody || (!massModel && !attachedMass && !compoundApplied)) return;
+  let own;
+  try {
+    own = massModel
+      ? massModel.evaluate(fuelMass)
+      : { mass: dryMass + fuelMass, centerOfMass: fixedCenterOfMass, inertia: parseInertia(fixedInertia) };
+  } catch (error) {
+    console.error('Invalid inertia, keeping the current mass distribution:', error);
+    return;
+  }
+  const { centerOfMass, inertia } = attachedMass ? combineMassProperties(own, attachedMass) : own;
+  compoundApplied = !!attachedMass;
+  applyInertia(spacecraftBody, inertia);
+
+  const offset = spacecraftBody.centerOfMassOffset;
+  const shift = new CANNON.Vec3(centerOfMass.x - offset.x, centerOfMass.y - offset.y, centerOfMass.z - offset.z);
+  if (shift.lengthSquared() < 1e-18) return;
+  shiftBodyOrigin(spacecraftBody, shift);
+  offset.set(centerOfMass.x, centerOfMass.y, centerOfMass.z);
+  massPropertiesListeners.forEach(fn => fn(offset, shift));
+}
+
+// Get the spacecraft body
+export function getSpacecraftBody() {
+  return spacecraftBody;
+}
+
+// Dock another vehicle to the spacecraft so the pair flies as one body, or
+// release it with null. `vehicle` is { mass, centerOfMass, inertia }, with
+// the center of mass and the inertia tensor (about that center) in the
+// config frame.
+export function setAttachedMass(vehicle) {
+  attachedMass = vehicle && vehicle.mass > 0
+    ? { mass: vehicle.mass, centerOfMass: { ...vehicle.centerOfMass }, inertia: parseInertia(vehicle.inertia) }
+    : null;
+  updateSatelliteMass();
+}
+
+// Function to update satellite mass based on fuel
+export function updateSatelliteMass() {
+  if (spacecraftBody) {
+    const totalMass = dryMass + fuelMass + (attachedMass ? attachedMass.mass : 0);
+    spacecraftBody.mass = totalMass;
+    // Don't call updateMassProperties(): it recalculates inertia from the shape.
+    spacecraftBody.invMass = totalMass > 0 ? 1 / totalMass : 0;
+    updateMassDistribution();
+  }
+}
+
+// Function to consume fuel
+export function consumeFuel(amount) {
+  fuelMass = Math.max(0, fuelMass - amount);
+  updateSatelliteMass();
+  return fuelMass;
+}
+
+// Function to get fuel status
+export function getFuelStatus() {
+  return {
+    dryMass,
+    fuelMass,
+    maxFuelMass,
+    fuelPercentage: (fuelMass / maxFuelMass) * 100
+  };
+}
+
+// Current mass distribution from the tank model, or null without tanks.
+export function getMassProperties() {
+  if (!massModel) return null;
+  const { mass, centerOfMass, inertia, tankFuel } = massModel.evaluate(fuelMass);
+  return {
+    mass,
+    centerOfMass,
+    inertia,
+    tanks: massModel.tanks.map((tank, i) => ({ name: tank.name, fuelMass: tankFuel[i], capacity: tank.capacity }))
+  };
+}
+
+// Function to reset fuel
+export function resetFuel() {
+  fuelMass = maxFuelMass;
+  updateSatelliteMass();
+}
+
+// Function to apply new properties to the spacecraft
+export function setFuelProperties(properties) {
+  if (properties.dryMass !== undefined) dryMass = properties.dryMass;
+  if (properties.fuelMass !== undefined) fuelMass = properties.fuelMass;
+  if (properties.maxFuelMass !== undefined) maxFuelMass = properties.maxFuelMass;
+
+  if (spacecraftBody) {
+    if (properties.tanks !== undefined || massModel) {
+      // Inertia and center of mass now come from the tank model.
+      setMassModel(properties.tanks !== undefined ? properties : { ...massModel.sourceProperties, ...properties });
+    } else if (properties.inertia) {
+      fixedInertia = properties.inertia;
+      applyInertia(spacecraftBody, properties.inertia);
+    }
+    updateSatelliteMass();
+  }
+}
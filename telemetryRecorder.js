@@ -0,0 +1,223 @@
+// File: telemetryRecorder.js
+// Telemetry recorder for lab reports: samples the spacecraft state from a
+// SimulationCore at a fixed rate in simulated time and exports the run as
+// CSV (one flat row per sample) or JSON (the sample objects as recorded).
+//
+// Each sample holds:
+//  - time (simulated s) and missionTime (mission clock, s; null if not given)
+//  - position (m), velocity (m/s), quaternion, euler (deg, the HUD's
+//    roll/pitch/yaw), angularVelocity (deg/s, like the HUD and state.gyro)
+//  - fuel (getFuelStatus: fuelMass, maxFuelMass, dryMass)
+//  - deltaV: delta-v spent (m/s) and propellant used (kg) so far (deltaV.js)
+//  - thrusters: active flag and duty cycle per thruster
+//  - reactionWheels / cmgs momentum from attitudeControl.getStatus()
+//  - docking: isDocked plus the closest zone's status
+//  - approach: corridor / keep-out violations so far and the current cautions
+//
+// No Three.js and no DOM except download(), so headless runs can use it too.
+
+import { getFuelStatus } from './spacecraftPhysics.js';
+import { quaternionToEulerYXZ } from './controllerState.js';
+
+export const DEFAULT_TELEMETRY_RATE_HZ = 10;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Roll/pitch/yaw in degrees, decomposed like the HUD and state.attitude.
+function eulerDegrees(q) {
+  const e = quaternionToEulerYXZ(q);
+  return { roll: e.z * RAD_TO_DEG, pitch: e.x * RAD_TO_DEG, yaw: e.y * RAD_TO_DEG };
+}
+
+// One telemetry sample from the core's current state.
+export function buildTelemetrySample(core, missionTime = null) {
+  const b = core.body;
+  const plain = v => ({ x: v.x, y: v.y, z: v.z });
+  const fuel = getFuelStatus();
+  const status = core.attitudeControl ? core.attitudeControl.getStatus() : null;
+  const dockingStatus = core.dockingStatus || { inBox: false };
+
+  return {
+    time: core.time,
+    missionTime,
+    position: plain(b.position),
+    velocity: plain(b.velocity),
+    quaternion: { x: b.quaternion.x, y: b.quaternion.y, z: b.quaternion.z, w: b.quaternion.w },
+    euler: eulerDegrees(b.quaternion),
+    angularVelocity: {
+      x: b.angularVelocity.x * RAD_TO_DEG,
+      y: b.angularVelocity.y * RAD_TO_DEG,
+      z: b.angularVelocity.z * RAD_TO_DEG
+    },
+    fuel: { fuelMass: fuel.fuelMass, maxFuelMass: fuel.maxFuelMass, dryMass: fuel.dryMass },
+    thrusters: core.thrusters.map(t => ({
+      name: t.name,
+      active: !!t.active,
+      duty: core.thrusterDuties[t.index] || 0
+    })),
+    attitudeMode: status ? status.mode : null,
+    reactionWheels: (status?.reactionWheels || []).map(w => ({ name: w.name, momentum: w.momentum })),
+    cmgs: (status?.cmgs || []).map(c => ({ name: c.name, x: c.momentumX, y: c.momentumY, z: c.momentumZ })),
+    docking: {
+      isDocked: core.isDocked,
+      zone: dockingStatus.zoneName ?? null,
+      inBox: !!dockingStatus.inBox,
+      inAngle: !!dockingStatus.inAngle,
+      distance: dockingStatus.distance ?? null,
+      angleDiff: dockingStatus.angleDiff ?? null,
+      speed: dockingStatus.speed ?? null,
+      angularSpeed: dockingStatus.angularSpeed ?? null
+    },
+    deltaV: {
+      spent: core.deltaV ? core.deltaV.spent : 0,
+      propellantUsed: core.deltaV ? core.deltaV.propellantUsed : 0
+    },
+    approach: {
+      corridorViolations: core.approach ? core.approach.counts.corridor : 0,
+      keepOutViolations: core.approach ? core.approach.counts.keepOut : 0,
+      cautions: core.approach ? core.approach.cautions.map(c => c.message) : []
+    }
+  };
+}
+
+// Flatten a sample into CSV columns. Per-thruster / per-actuator columns are
+// numbered so every row of a run has the same header.
+function flattenSample(sample) {
+  const row = {
+    time: sample.time,
+    mission_time: sample.missionTime,
+    pos_x: sample.position.x, pos_y: sample.position.y, pos_z: sample.position.z,
+    vel_x: sample.velocity.x, vel_y: sample.velocity.y, vel_z: sample.velocity.z,
+    quat_x: sample.quaternion.x, quat_y: sample.quaternion.y, quat_z: sample.quaternion.z, quat_w: sample.quaternion.w,
+    roll_deg: sample.euler.roll, pitch_deg: sample.euler.pitch, yaw_deg: sample.euler.yaw,
+    rate_x_deg_s: sample.angularVelocity.x, rate_y_deg_s: sample.angularVelocity.y, rate_z_deg_s: sample.angularVelocity.z,
+    fuel_mass: sample.fuel.fuelMass,
+    fuel_percent: sample.fuel.maxFuelMass > 0 ? sample.fuel.fuelMass / sample.fuel.maxFuelMass * 100 : 0,
+    delta_v_spent: sample.deltaV.spent,
+    propellant_used: sample.deltaV.propellantUsed,
+    attitude_mode: sample.attitudeMode
+  };
+  sample.thrusters.forEach((t, i) => {
+    row[`thruster_${i}_active`] = t.active ? 1 : 0;
+    row[`thruster_${i}_duty`] = t.duty;
+  });
+  sample.reactionWheels.forEach((w, i) => { row[`rw_${i}_momentum`] = w.momentum; });
+  sample.cmgs.forEach((c, i) => {
+    row[`cmg_${i}_momentum_x`] = c.x;
+    row[`cmg_${i}_momentum_y`] = c.y;
+    row[`cmg_${i}_momentum_z`] = c.z;
+  });
+  const d = sample.docking;
+  Object.assign(row, {
+    docked: d.isDocked ? 1 : 0,
+    dock_zone: d.zone,
+    dock_in_box: d.inBox ? 1 : 0,
+    dock_in_angle: d.inAngle ? 1 : 0,
+    dock_distance: d.distance,
+    dock_angle_diff_deg: d.angleDiff,
+    dock_speed: d.speed,
+    dock_angular_speed: d.angularSpeed
+  });
+  const a = sample.approach;
+  Object.assign(row, {
+    corridor_violations: a.corridorViolations,
+    keep_out_violations: a.keepOutViolations,
+    approach_caution: a.cautions.join('; ')
+  });
+  return row;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class TelemetryRecorder {
+  constructor({ rateHz = DEFAULT_TELEMETRY_RATE_HZ } = {}) {
+    this.samples = [];
+    this.recording = false;
+    this.rateHz = rateHz;
+    this.nextSampleTime = 0;
+    this.startedAt = null; // Wall-clock ISO time the recording started, for the JSON header
+  }
+
+  setRate(rateHz) {
+    const rate = parseFloat(rateHz);
+    if (!(rate > 0)) {
+      console.warn(`Invalid telemetry rate: ${rateHz}. Keeping ${this.rateHz} Hz.`);
+      return this.rateHz;
+    }
+    this.rateHz = rate;
+    return rate;
+  }
+
+  // Start a new recording (clears the previous one).
+  start() {
+    this.samples = [];
+    this.recording = true;
+    this.nextSampleTime = -Infinity;
+    this.startedAt = new Date().toISOString();
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  // Call once per physics step. Takes a sample when the simulated time has
+  // reached the next sample slot. A reset (time going backwards) starts a new
+  // slot sequence but keeps what was recorded.
+  update(core, missionTime = null) {
+    if (!this.recording || !core.body) return false;
+    const last = this.samples[this.samples.length - 1];
+    if (last && core.time < last.time) this.nextSampleTime = -Infinity;
+    if (core.time + 1e-9 < this.nextSampleTime) return false;
+
+    this.samples.push(buildTelemetrySample(core, missionTime));
+    const interval = 1 / this.rateHz;
+    this.nextSampleTime = Number.isFinite(this.nextSampleTime)
+      ? Math.max(this.nextSampleTime + interval, core.time)
+      : core.time + interval;
+    return true;
+  }
+
+  toCSV() {
+    const rows = this.samples.map(flattenSample);
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(key => csvValue(row[key])).join(',')));
+    return lines.join('\n') + '\n';
+  }
+
+  toJSON() {
+    return {
+      startedAt: this.startedAt,
+      rateHz: this.rateHz,
+      units: {
+        time: 's', position: 'm', velocity: 'm/s', euler: 'deg',
+        angularVelocity: 'deg/s', fuelMass: 'kg', momentum: 'N·m·s', distance: 'm', angleDiff: 'deg'
+      },
+      samples: this.samples
+    };
+  }
+
+  // Browser only: save the recording as telemetry.csv / telemetry.json.
+  download(format = 'csv') {
+    const isJSON = format === 'json';
+    const text = isJSON ? JSON.stringify(this.toJSON(), null, 2) : this.toCSV();
+    const blob = new Blob([text], { type: isJSON ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = isJSON ? 'telemetry.json' : 'telemetry.csv';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
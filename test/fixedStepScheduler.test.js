@@ -0,0 +1,37 @@
+// File: test/fixedStepScheduler.test.js
+// The fixed-step scheduler holds steps whose inputs are not in yet (the
+// browser's student controller reply) and runs them later without losing or
+// adding simulated time. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixedStepScheduler } from '../fixedStepScheduler.js';
+
+test('a held step keeps its time and runs on a later advance', () => {
+  const scheduler = new FixedStepScheduler({ stepSize: 0.01 });
+  let steps = 0;
+  let ready = false;
+  const step = () => { steps++; ready = false; return true; };
+
+  scheduler.advance(0.035, step, () => ready);
+  assert.equal(steps, 0);
+
+  // Each reply lets exactly one more step through
+  for (let i = 1; i <= 3; i++) {
+    ready = true;
+    scheduler.advance(0, step, () => ready);
+    assert.equal(steps, i);
+  }
+  ready = true;
+  scheduler.advance(0, step, () => ready);
+  assert.equal(steps, 3, 'only 0.035 s had elapsed');
+  assert.ok(Math.abs(scheduler.time - 0.03) < 1e-12);
+});
+
+test('the backlog while held is capped at one long frame', () => {
+  const scheduler = new FixedStepScheduler({ stepSize: 0.125, maxFrameTime: 0.5, maxSubSteps: 100 });
+  for (let i = 0; i < 10; i++) scheduler.advance(0.5, () => true, () => false);
+  let steps = 0;
+  scheduler.advance(0, () => { steps++; return true; }, () => true);
+  assert.equal(steps, 4);
+});
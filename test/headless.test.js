@@ -0,0 +1,61 @@
+// File: test/headless.test.js
+// Headless runs of example-spacecraftconfig.json with scripted burns:
+// propellant use and velocity against the rocket equation's numbers, a
+// controller program through the same path as `node headless.js
+// --controller`, and repeat runs in one process. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as CANNON from 'cannon-es';
+import { runHeadless } from '../headless.js';
+
+const config = JSON.parse(readFileSync(new URL('../example-spacecraftconfig.json', import.meta.url), 'utf8'));
+
+const G0 = 9.81;
+const THRUST = 1, ISP = 200; // every thruster in the example config
+const FLOW = THRUST / (ISP * G0); // kg/s per thruster at full thrust
+
+// Velocity in the body frame (W pushes along body +Z)
+function bodyVelocity(state) {
+  const { x, y, z, w } = state.quaternion;
+  const v = state.velocity;
+  return new CANNON.Quaternion(x, y, z, w).conjugate().vmult(new CANNON.Vec3(v.x, v.y, v.z));
+}
+
+test('a 2 s W burn uses four thrusters\' propellant and reaches the rocket-equation speed', async () => {
+  const result = await runHeadless({
+    config, duration: 5, seed: 1,
+    getKeys: (state, core) => (core.time < 2 - 1e-9 ? ['w'] : [])
+  });
+  const { fuel } = result.final;
+  const used = fuel.maxFuelMass - fuel.fuelMass;
+  assert.ok(Math.abs(used - 4 * FLOW * 2) < 1e-6, `propellant used ${used}`);
+
+  const finalMass = fuel.dryMass + fuel.fuelMass;
+  const expected = ISP * G0 * Math.log((finalMass + used) / finalMass);
+  const v = bodyVelocity(result.final);
+  assert.ok(Math.abs(v.z - expected) < 1e-3, `body vz ${v.z}, expected ${expected}`);
+  assert.ok(Math.hypot(v.x, v.y) < 1e-6, `sideways drift ${v.x}, ${v.y}`);
+});
+
+test('a controller program flies through the same path as --controller', async () => {
+  const controllerCode = `
+    function computeControl(state) {
+      plot('vz', state.velocityBody.z);
+      return { force: state.time < 1.001 ? { x: 0, y: 0, z: 2 } : null };
+    }`;
+  const result = await runHeadless({ config, controllerCode, duration: 3, seed: 1 });
+  assert.equal(result.controllerErrors, 0, result.log.join('\n'));
+  const used = result.final.fuel.maxFuelMass - result.final.fuel.fuelMass;
+  assert.ok(Math.abs(used - 2 * FLOW * 1) < 1e-4, `propellant used ${used}`);
+  assert.ok(Math.abs(bodyVelocity(result.final).z - 0.2) < 2e-3, `body vz ${bodyVelocity(result.final).z}`);
+  assert.ok(result.plots.vz.length > 0, 'plot() values recorded');
+});
+
+test('repeat runs in one process start from the same fuel and give the same result', async () => {
+  const run = () => runHeadless({ config, duration: 3, seed: 7, getKeys: (state, core) => (core.time < 1 ? ['w', 'k'] : []) });
+  const first = await run();
+  const second = await run();
+  assert.deepEqual(second.final, first.final);
+});
@@ -0,0 +1,106 @@
+// File: test/keyAllocation.test.js
+// Regression checks for the thruster allocation on example-spacecraftconfig.json:
+// every key gives a pure wrench at full authority without firing opposing
+// thrusters, controller force/torque and gamepad analog commands deliver
+// what they ask for, and draining tanks do not re-solve the keys every step.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SimulationCore } from '../simulationCore.js';
+import { normalizeConfiguration } from '../configLoader.js';
+import { KEY_WRENCHES, wrenchFromDuties } from '../thrusterAllocation.js';
+
+const config = JSON.parse(readFileSync(new URL('../example-spacecraftconfig.json', import.meta.url), 'utf8'));
+const core = await SimulationCore.fromConfig({ config: normalizeConfiguration(config) });
+
+// Net wrench along each key's axis with every thruster it can use at full
+// thrust: four +Z thrusters, one -Z, two each way on X, one each way on Y,
+// 0.2 m lever arms.
+const EXPECTED = { w: 4, s: 1, a: 2, d: 2, e: 1, q: 1, k: 0.2, i: 0.2, j: 0.2, l: 0.2, o: 0.4, u: 0.4 };
+const TOLERANCE = 1e-6;
+
+const vec = v => [v.x, v.y, v.z];
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+function assertWrench(actual, expected, label) {
+  [...vec(actual.force), ...vec(actual.torque)].forEach((v, k) => {
+    assert.ok(Math.abs(v - expected[k]) < TOLERANCE, `${label}: component ${k} is ${v}, expected ${expected[k]}`);
+  });
+}
+
+for (const [key, wrench] of Object.entries(KEY_WRENCHES)) {
+  test(`key ${key} gives a pure ${EXPECTED[key]} wrench along its axis`, () => {
+    const duties = core.keyDuties(k => k === key, false);
+    const f = wrench.force || { x: 0, y: 0, z: 0 }, t = wrench.torque || { x: 0, y: 0, z: 0 };
+    const expected = [...vec(f), ...vec(t)].map(v => v * EXPECTED[key]);
+    assertWrench(wrenchFromDuties(core.thrusters, duties), expected, key);
+
+    // Translation keys never fire a thruster pushing the other way
+    if (wrench.force) {
+      duties.forEach((duty, i) => {
+        if (dot(core.thrusters[i].dir, wrench.force) < 0) assert.equal(duty, 0, `${key} fires opposing thruster ${i}`);
+      });
+    }
+  });
+}
+
+test('controller force/torque commands are met exactly when the thrusters can', () => {
+  const requests = [
+    [{ x: 0, y: 0, z: 2 }, null],
+    [null, { x: 0.1, y: 0, z: 0 }],
+    [{ x: 1, y: 0, z: 1 }, { x: 0, y: 0, z: 0.05 }],
+    [{ x: 0.3, y: -0.2, z: 0.5 }, { x: 0.02, y: -0.03, z: 0.01 }]
+  ];
+  requests.forEach(([force, torque]) => {
+    const duties = core.addCommandDuties({ force, torque }, new Array(core.thrusters.length).fill(0));
+    const zero = { x: 0, y: 0, z: 0 };
+    assertWrench(wrenchFromDuties(core.thrusters, duties), [...vec(force || zero), ...vec(torque || zero)],
+      JSON.stringify({ force, torque }));
+  });
+});
+
+test('a force beyond the thrusters saturates at full authority', () => {
+  const duties = core.addCommandDuties({ force: { x: 0, y: 0, z: 10 } }, new Array(core.thrusters.length).fill(0));
+  assertWrench(wrenchFromDuties(core.thrusters, duties), [0, 0, 4, 0, 0, 0], 'saturated +Z');
+});
+
+test('gamepad analog axes scale the key wrenches', () => {
+  const duties = core.addCommandDuties({ analog: { a: 0.3, k: 0.5 } }, new Array(core.thrusters.length).fill(0));
+  assertWrench(wrenchFromDuties(core.thrusters, duties), [0.6, 0, 0, 0.1, 0, 0], 'analog a + k');
+});
+
+test('holding W for 1 s reaches 0.4 m/s along body +Z', () => {
+  core.undock();
+  const held = new Set(['w']);
+  for (let i = 0; i < Math.round(1 / core.stepSize); i++) {
+    core.step(held, null);
+    core.releaseThrusters(key => held.has(key));
+  }
+  const b = core.body;
+  const v = b.quaternion.conjugate().vmult(b.velocity);
+  assert.ok(Math.abs(v.z - 0.4) < 0.005, `body vz ${v.z}`);
+  assert.ok(Math.hypot(v.x, v.y) < 1e-6, `sideways drift ${v.x}, ${v.y}`);
+});
+
+test('the key allocation is only solved again once the tanks have moved the center of mass', async () => {
+  const tanked = structuredClone(config);
+  tanked.spacecraftProperties.tanks = [{ name: 'Main', position: { x: 0, y: 0, z: -0.3 }, capacity: 5 }];
+  const tankCore = await SimulationCore.fromConfig({ config: normalizeConfiguration(tanked) });
+  tankCore.undock();
+  const held = new Set(['w']);
+  const solves = [];
+  let last = null;
+  for (let i = 0; i < Math.round(30 / tankCore.stepSize); i++) {
+    const allocation = tankCore.getKeyAllocation();
+    if (allocation !== last) solves.push(tankCore.body.centerOfMassOffset.z);
+    last = allocation;
+    tankCore.step(held, null);
+    tankCore.releaseThrusters(key => held.has(key));
+  }
+  tankCore.dispose();
+  // 30 s of W burns 0.06 kg of the 10 kg and moves the center of mass about
+  // 1.8 mm: one solve at the start and one after the first millimetre
+  assert.equal(solves.length, 2, `solved at center of mass z = ${solves.join(', ')}`);
+});
@@ -0,0 +1,263 @@
+// File: thrusterAllocation.js
+// Thruster allocation: turn a body-frame force/torque request into per-thruster
+// duty cycles (0..1). Each thruster contributes a 6-vector
+// b_i = thrust_i · [dir_i ; pos_i × dir_i] (pos measured from the current
+// center of mass), and a request w is met by solving the linear program
+//
+//   minimize  Σ_k W_k·|(B·u − w)_k| + ε·Σ f_i·u_i     subject to  0 ≤ u_i ≤ 1
+//
+// with a dense simplex. W_k weighs torque rows by the thrusters' mean lever
+// arm so newtons and newton-metres count alike; the tiny ε term (f_i is the
+// thruster's relative propellant flow) picks the cheapest of equally good
+// solutions, so thrusters are not fired against each other. Requests the
+// thrusters cannot produce are met as closely as possible.
+//
+// The keyboard uses the same machinery: each of WASDQE/IJKLUO is a unit
+// wrench along one body axis (KEY_WRENCHES), and the key fires the strongest
+// pure wrench along it the thrusters can make (allocateKeyWrench), so any
+// thruster layout translates and rotates cleanly without hand-made keybinds.
+//
+// No Three.js and no other imports: used by SimulationCore (browser and
+// headless) and by the editor's thrusters tab.
+
+// Keyboard commands as unit body wrenches. Signs match the old cosine
+// autobinding: W is +z force, K is +x torque, and so on.
+export const KEY_WRENCHES = {
+  w: { force: { x: 0, y: 0, z: 1 } },
+  s: { force: { x: 0, y: 0, z: -1 } },
+  a: { force: { x: 1, y: 0, z: 0 } },
+  d: { force: { x: -1, y: 0, z: 0 } },
+  e: { force: { x: 0, y: 1, z: 0 } },
+  q: { force: { x: 0, y: -1, z: 0 } },
+  k: { torque: { x: 1, y: 0, z: 0 } },  // pitch up
+  i: { torque: { x: -1, y: 0, z: 0 } }, // pitch down
+  j: { torque: { x: 0, y: 1, z: 0 } },  // yaw left
+  l: { torque: { x: 0, y: -1, z: 0 } }, // yaw right
+  o: { torque: { x: 0, y: 0, z: 1 } },  // roll left
+  u: { torque: { x: 0, y: 0, z: -1 } }  // roll right
+};
+
+// Key duties below this are dropped, so a key's thruster set stays small and
+// matches what the thruster menu / editor show as bound.
+export const KEY_DUTY_THRESHOLD = 0.01;
+
+// Thruster columns in body frame, skipping unavailable thrusters.
+export function buildAllocationColumns(thrusters, isAvailable = () => true) {
+  const columns = [];
+  thrusters.forEach((t, i) => {
+    if (!isAvailable(i) || !(t.thrust > 0)) return;
+    const d = t.dir, p = t.pos;
+    columns.push({
+      index: i,
+      flow: t.isp > 0 ? t.thrust / t.isp : t.thrust, // relative propellant flow
+      b: [
+        t.thrust * d.x,
+        t.thrust * d.y,
+        t.thrust * d.z,
+        t.thrust * (p.y * d.z - p.z * d.y),
+        t.thrust * (p.z * d.x - p.x * d.z),
+        t.thrust * (p.x * d.y - p.y * d.x)
+      ]
+    });
+  });
+  return columns;
+}
+
+function dot6(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3] + a[4] * b[4] + a[5] * b[5];
+}
+
+const FUEL_WEIGHT = 1e-6; // ε, per unit duty of an average thruster
+const PURE_WEIGHT = 1e3; // residual weight when a key asks for a pure wrench
+const EPS = 1e-10;
+
+// Minimize c·x subject to A·x = b, x ≥ 0, from a starting basis whose columns
+// of A form the identity (and b ≥ 0). Tableau simplex with Bland's rule, which
+// cannot cycle on the degenerate problems the key wrenches give. Returns x,
+// or null if the problem is unbounded or does not finish.
+function simplex(c, A, b, basis, maxPivots = 5000) {
+  const m = A.length, n = c.length;
+  const T = A.map((row, i) => [...row, b[i]]);
+  const z = c.slice(); // reduced costs
+  for (let i = 0; i < m; i++) {
+    const cb = c[basis[i]];
+    if (cb) for (let j = 0; j < n; j++) z[j] -= cb * T[i][j];
+  }
+  for (let pivots = 0; pivots < maxPivots; pivots++) {
+    let enter = -1;
+    for (let j = 0; j < n; j++) {
+      if (z[j] < -EPS) {
+        enter = j;
+        break;
+      }
+    }
+    if (enter < 0) {
+      const x = new Array(n).fill(0);
+      basis.forEach((j, i) => { x[j] = T[i][n]; });
+      return x;
+    }
+    let leave = -1, best = Infinity;
+    for (let i = 0; i < m; i++) {
+      const a = T[i][enter];
+      if (a <= EPS) continue;
+      const ratio = T[i][n] / a;
+      if (ratio < best - EPS || (Math.abs(ratio - best) <= EPS && basis[i] < basis[leave])) {
+        best = ratio;
+        leave = i;
+      }
+    }
+    if (leave < 0) return null;
+
+    const row = T[leave];
+    const a = row[enter];
+    for (let j = 0; j <= n; j++) row[j] /= a;
+    for (let i = 0; i < m; i++) {
+      const f = T[i][enter];
+      if (i === leave || f === 0) continue;
+      const r = T[i];
+      for (let j = 0; j <= n; j++) r[j] -= f * row[j];
+    }
+    const f = z[enter];
+    for (let j = 0; j < n; j++) z[j] -= f * row[j];
+    basis[leave] = enter;
+  }
+  return null;
+}
+
+// Build and solve the allocation LP over `columns`. Variables, in order:
+// u (duties), α (only with `direction`), residual slacks r⁺ and r⁻ per row,
+// and u's upper-bound slacks. With `direction` the request is α·direction and
+// α is maximized; otherwise it is `w`. Returns { u, alpha } or null.
+function solveAllocation(columns, { w = [0, 0, 0, 0, 0, 0], direction = null, residualWeight = 1 }) {
+  const n = columns.length;
+  const withAlpha = !!direction;
+  const nv = n + (withAlpha ? 1 : 0) + 12 + n;
+  const iAlpha = n, iPlus = n + (withAlpha ? 1 : 0), iMinus = iPlus + 6, iBound = iMinus + 6;
+
+  // Torque rows count per metre of mean lever arm
+  const arms = columns.map(c => Math.hypot(c.b[3], c.b[4], c.b[5]) / Math.max(Math.hypot(c.b[0], c.b[1], c.b[2]), EPS));
+  const arm = Math.max(arms.reduce((sum, a) => sum + a, 0) / n, 0.01);
+  const rowWeight = k => residualWeight * (k < 3 ? 1 : 1 / arm);
+  const flows = columns.map(c => c.flow);
+  const meanFlow = flows.reduce((sum, f) => sum + f, 0) / n || 1;
+
+  const c = new Array(nv).fill(0);
+  columns.forEach((col, i) => { c[i] = FUEL_WEIGHT * col.flow / meanFlow; });
+  if (withAlpha) c[iAlpha] = -1;
+  for (let k = 0; k < 6; k++) {
+    c[iPlus + k] = rowWeight(k);
+    c[iMinus + k] = rowWeight(k);
+  }
+
+  // Wrench rows: B·u − α·direction − r⁺ + r⁻ = w, negated where w < 0 so the
+  // starting basis (r⁻, or r⁺ on negated rows) is feasible.
+  const A = [], b = [], basis = [];
+  for (let k = 0; k < 6; k++) {
+    const sign = w[k] < 0 ? -1 : 1;
+    const row = new Array(nv).fill(0);
+    columns.forEach((col, i) => { row[i] = sign * col.b[k]; });
+    if (withAlpha) row[iAlpha] = -sign * direction[k];
+    row[iPlus + k] = -sign;
+    row[iMinus + k] = sign;
+    A.push(row);
+    b.push(sign * w[k]);
+    basis.push(sign > 0 ? iMinus + k : iPlus + k);
+  }
+  // Bound rows: u_i + s_i = 1
+  for (let i = 0; i < n; i++) {
+    const row = new Array(nv).fill(0);
+    row[i] = 1;
+    row[iBound + i] = 1;
+    A.push(row);
+    b.push(1);
+    basis.push(iBound + i);
+  }
+
+  const x = simplex(c, A, b, basis);
+  if (!x) return null;
+  return {
+    u: x.slice(0, n).map(v => Math.min(1, Math.max(0, v))),
+    alpha: withAlpha ? x[iAlpha] : 0
+  };
+}
+
+/**
+ * Duty cycles for a body-frame wrench request.
+ *
+ * @param {Array<object>} thrusters - Thruster objects ({ pos, dir, thrust, isp }).
+ * @param {{x,y,z}|null} force - Requested body-frame force (N).
+ * @param {{x,y,z}|null} torque - Requested body-frame torque about the CoM (N·m).
+ * @param {object} [options]
+ * @param {function} [options.isAvailable] - index -> false to leave a thruster off.
+ * @returns {Array<number>} Duty cycle per thruster index (0 for unused).
+ */
+export function allocateThrusters(thrusters, force, torque, { isAvailable = () => true } = {}) {
+  const duties = new Array(thrusters.length).fill(0);
+  const columns = buildAllocationColumns(thrusters, isAvailable);
+  if (columns.length === 0) return duties;
+
+  const w = [
+    force?.x || 0, force?.y || 0, force?.z || 0,
+    torque?.x || 0, torque?.y || 0, torque?.z || 0
+  ];
+  if (!w.some(v => v !== 0)) return duties;
+
+  const solution = solveAllocation(columns, { w });
+  if (!solution) {
+    console.warn('Thruster allocation did not converge; no thrusters fired');
+    return duties;
+  }
+  columns.forEach((c, k) => { duties[c.index] = solution.u[k]; });
+  return duties;
+}
+
+// Duty cycles for the strongest pure wrench along `wrench` ({ force?, torque? },
+// a direction) the thrusters can make, cheapest first. When the layout cannot
+// make it pure at all, the closest it can make to a small request, scaled so
+// the busiest thruster runs at 100%.
+export function allocateKeyWrench(thrusters, wrench, options = {}) {
+  const duties = new Array(thrusters.length).fill(0);
+  const columns = buildAllocationColumns(thrusters, options.isAvailable);
+  if (columns.length === 0) return duties;
+  const f = wrench.force || { x: 0, y: 0, z: 0 }, t = wrench.torque || { x: 0, y: 0, z: 0 };
+  const direction = [f.x, f.y, f.z, t.x, t.y, t.z];
+
+  const pure = solveAllocation(columns, { direction, residualWeight: PURE_WEIGHT });
+  if (pure && pure.alpha > EPS) {
+    columns.forEach((c, k) => { duties[c.index] = pure.u[k]; });
+  } else {
+    const meanNorm = Math.sqrt(columns.reduce((sum, c) => sum + dot6(c.b, c.b), 0) / columns.length);
+    const closest = solveAllocation(columns, { w: direction.map(v => v * 1e-3 * meanNorm) });
+    if (closest) columns.forEach((c, k) => { duties[c.index] = closest.u[k]; });
+  }
+
+  const peak = Math.max(...duties);
+  if (!(peak > 0)) return duties.fill(0);
+  return duties.map(d => (d / peak >= KEY_DUTY_THRESHOLD ? d / peak : 0));
+}
+
+// { key: duties[] } for every keyboard key.
+export function computeKeyAllocation(thrusters, options = {}) {
+  const allocation = {};
+  Object.entries(KEY_WRENCHES).forEach(([key, wrench]) => {
+    allocation[key] = allocateKeyWrench(thrusters, wrench, options);
+  });
+  return allocation;
+}
+
+// Keys whose allocation uses thruster `index` (for keybind displays).
+export function keysForThruster(allocation, index) {
+  return Object.keys(KEY_WRENCHES).filter(key => allocation[key][index] > 0);
+}
+
+// Body-frame force and torque produced by a set of duty cycles.
+export function wrenchFromDuties(thrusters, duties) {
+  const force = { x: 0, y: 0, z: 0 };
+  const torque = { x: 0, y: 0, z: 0 };
+  buildAllocationColumns(thrusters).forEach(({ index, b }) => {
+    const u = duties[index] || 0;
+    force.x += b[0] * u; force.y += b[1] * u; force.z += b[2] * u;
+    torque.x += b[3] * u; torque.y += b[4] * u; torque.z += b[5] * u;
+  });
+  return { force, torque };
+}
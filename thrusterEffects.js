@@ -100,6 +100,7 @@ export function createThrusterVisual(pos, dir) {
   plume.userData.plumeOpacity = 0;   // current animated opacity
   plume.userData.plumeTarget = 0;    // 0 = off, plumeMax = on
   plume.userData.plumeMax = 0.6;     // peak opacity when fully firing
+  plume.userData.plumeLevel = 1;     // fraction of plumeMax shown (see setThrusterPlumeLevel)
   group.add(plume);
 
   // --- Ignition smoke puff ---
@@ -285,6 +286,17 @@ export function setThrusterEffectActive(thruster, wasActive, active) {
   }
 }
 
+/**
+ * Sets how strong a firing thruster's plume looks, as a fraction of full.
+ * A thruster that is only leaking shows a faint plume.
+ *
+ * @param {object} thruster - The thruster object (must have `.plume`).
+ * @param {number} level - 0..1 of the full plume opacity.
+ */
+export function setThrusterPlumeLevel(thruster, level) {
+  if (thruster.plume) thruster.plume.userData.plumeLevel = level;
+}
+
 /**
  * Animates all thruster exhaust plumes and ignition smoke puffs for one frame.
  *
@@ -301,10 +313,11 @@ export function updateThrusterEffects(thrusters, dt) {
     if (!p) return;
     const ud = p.userData;
     const speed = ud.plumeMax / 3; // ~3 frames to full / to zero
-    if (ud.plumeOpacity < ud.plumeTarget) {
-      ud.plumeOpacity = Math.min(ud.plumeTarget, ud.plumeOpacity + speed);
-    } else if (ud.plumeOpacity > ud.plumeTarget) {
-      ud.plumeOpacity = Math.max(ud.plumeTarget, ud.plumeOpacity - speed);
+    const target = ud.plumeTarget * (ud.plumeLevel ?? 1);
+    if (ud.plumeOpacity < target) {
+      ud.plumeOpacity = Math.min(target, ud.plumeOpacity + speed);
+    } else if (ud.plumeOpacity > target) {
+      ud.plumeOpacity = Math.max(target, ud.plumeOpacity - speed);
     }
     p.material.uniforms.uBaseOpacity.value = ud.plumeOpacity;
     if (ud.plumeOpacity <= 0 && ud.plumeTarget <= 0) p.visible = false;
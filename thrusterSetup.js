@@ -1,8 +1,6 @@
 // File: thrusterSetup.js
 
-// Auto-binding tolerances
-const TRANSLATION_ANGLE_DEGREES = 90-25;
-const TRANSLATION_TOLERANCE = Math.cos(TRANSLATION_ANGLE_DEGREES * Math.PI / 180);
+import { computeKeyAllocation, keysForThruster } from './thrusterAllocation.js';
 
 /**
  * Initializes all thrusters based on a configuration file.
@@ -54,17 +52,21 @@ export async function initializeThrustersWithConfig(config, CANNON, satMesh, key
 
 /**
  * Common function to process thruster configuration and create thruster objects.
- * This is used by both initializeThrusters and initializeThrustersWithConfig.
+ * This is used by both initializeThrusters and initializeThrustersWithConfig,
+ * and directly by the headless SimulationCore, which passes no satMesh or
+ * createThrusterVisual (the visual/material/plume/smokePuff fields are then null).
+ * Keys for autoBind thrusters come from thrusterAllocation.js, which treats
+ * each key as a body wrench and solves for the thrusters that produce it.
  *
  * @param {object} config - The thruster configuration object.
  * @param {object} CANNON - The Cannon.js physics engine instance.
- * @param {object3D} satMesh - The Three.js (or other) mesh of the satellite to which thrusters will be added.
+ * @param {object3D|null} satMesh - The Three.js (or other) mesh of the satellite to which thrusters will be added.
  * @param {object} keyToThrusterIndices - An object that will be populated with key-to-thruster mappings.
- * @param {function} createThrusterVisual - A function that creates visual representation of a single thruster.
+ * @param {function|null} createThrusterVisual - A function that creates visual representation of a single thruster.
  * @param {object} centerOfMass - The center of mass offset {x, y, z} to apply to thruster positions.
  * @returns {Array<object>} An array of thruster objects.
  */
-function processThrusterConfig(config, CANNON, satMesh, keyToThrusterIndices, createThrusterVisual, centerOfMass = {x: 0, y: 0, z: 0}) {
+export function processThrusterConfig(config, CANNON, satMesh, keyToThrusterIndices, createThrusterVisual, centerOfMass = {x: 0, y: 0, z: 0}) {
   const thrusters = config.thrusters.map((t, i) => {
     // Adjust position: original - centerOfMass (relative to center of mass)
     const pos = new CANNON.Vec3(
@@ -72,9 +74,12 @@ function processThrusterConfig(config, CANNON, satMesh, keyToThrusterIndices, cr
       t.position[1] - (centerOfMass.y || 0),
       t.position[2] - (centerOfMass.z || 0)
     );
+    // Config-frame position, kept so lever arms can follow a moving center of mass
+    const configPos = new CANNON.Vec3(parseFloat(t.position[0]), parseFloat(t.position[1]), parseFloat(t.position[2]));
     const dir = new CANNON.Vec3(t.direction[0], t.direction[1], t.direction[2]).unit();
-    const { group: visual, material, plume, smokePuff } = createThrusterVisual(pos, dir);
-    satMesh.add(visual);
+    const { group: visual = null, material = null, plume = null, smokePuff = null } =
+      createThrusterVisual ? createThrusterVisual(pos, dir) : {};
+    if (satMesh && visual) satMesh.add(visual);
 
     // --- DATA SANITIZATION ---
     // This is critical fix. We ensure thrust and isp are valid numbers.
@@ -96,53 +101,48 @@ function processThrusterConfig(config, CANNON, satMesh, keyToThrusterIndices, cr
     // --- END SANITIZATION ---
 
     // ---------- KEYBIND MAPPING ----------
-    // Check if autoBind is enabled or use custom keybinds from JSON
+    // autoBind thrusters are driven through thruster allocation, so their keys
+    // come from the solver once every thruster is known (below). Otherwise use
+    // the custom keybinds from JSON; an empty keybind array leaves the
+    // thruster unbound.
     const autoBind = t.autoBind !== false; // Default to true unless explicitly false
-    const customKeybinds = Array.isArray(t.keybind) ? t.keybind : [];
-
-    if (autoBind) {
-      // Use auto-binding logic based on position and direction
-      const dot = (a, b) => a.dot(b);
-      if (Math.abs(dot(dir, new CANNON.Vec3(0, 0, 1))) > TRANSLATION_TOLERANCE) keyToThrusterIndices[dir.z > 0 ? 'w' : 's'].push(i);
-      if (Math.abs(dot(dir, new CANNON.Vec3(1, 0, 0))) > TRANSLATION_TOLERANCE) keyToThrusterIndices[dir.x > 0 ? 'a' : 'd'].push(i);
-      if (Math.abs(dot(dir, new CANNON.Vec3(0, 1, 0))) > TRANSLATION_TOLERANCE) keyToThrusterIndices[dir.y > 0 ? 'e' : 'q'].push(i);
-
-      // Rotation: torque = r × F  (lever arm × direction)
-      const lever = pos;
-      const torque = lever.cross(dir);
-
-      // Pitch (rotation around X axis)
-      if (Math.abs(torque.x) > 0.025) {
-        if (torque.x > 0) keyToThrusterIndices['k'].push(i); // pitch up
-        else keyToThrusterIndices['i'].push(i); // pitch down
-      }
-
-      // Yaw (rotation around Y axis)
-      if (Math.abs(torque.y) > 0.025) {
-        if (torque.y > 0) keyToThrusterIndices['j'].push(i); // yaw left
-        else keyToThrusterIndices['l'].push(i); // yaw right
-      }
-
-      // Roll (rotation around Z axis)
-      if (Math.abs(torque.z) > 0.025) {
-        if (torque.z > 0) keyToThrusterIndices['o'].push(i); // roll left
-        else keyToThrusterIndices['u'].push(i); // roll right
-      }
-    } else {
-      // Use custom keybinds from JSON
-      // If keybind array is empty, thruster remains unbound
-      customKeybinds.forEach(key => {
-        const normalizedKey = key.toLowerCase().trim();
-        if (normalizedKey && keyToThrusterIndices[normalizedKey]) {
-          keyToThrusterIndices[normalizedKey].push(i);
-        }
-      });
-    }
+    const customKeybinds = Array.isArray(t.keybind)
+      ? t.keybind.map(key => String(key).toLowerCase().trim()).filter(Boolean)
+      : [];
     // ----------------------------------
 
     // Return sanitized thruster object (plume = transparent exhaust cone mesh)
-    return { pos, dir, thrust, isp, visual, material, plume, smokePuff, active: false, index: i, name: t.name || `Thruster ${i + 1}` };
+    return {
+      pos, configPos, dir, thrust, isp, visual, material, plume, smokePuff,
+      active: false, index: i, name: t.name || `Thruster ${i + 1}`,
+      autoBind, keybind: autoBind ? [] : customKeybinds
+    };
   });
 
+  fillKeyToThrusterIndices(keyToThrusterIndices, thrusters, computeKeyAllocation(thrusters, {
+    isAvailable: i => thrusters[i].autoBind
+  }));
   return thrusters;
 }
+
+/**
+ * Refill a key -> thruster index map from a key allocation
+ * (thrusterAllocation.computeKeyAllocation) plus the custom keybinds of
+ * thrusters with autoBind off. A custom keybind outside WASDQE/IJKLUO gets
+ * its own entry, so any key can fire a thruster. The map is filled in place
+ * because the simulation and modelControls.js hold references to it.
+ *
+ * @param {object} keyToThrusterIndices - Map to refill.
+ * @param {Array<object>} thrusters - Thruster objects from processThrusterConfig.
+ * @param {object} allocation - { key: duties[] }.
+ */
+export function fillKeyToThrusterIndices(keyToThrusterIndices, thrusters, allocation) {
+  Object.keys(keyToThrusterIndices).forEach(key => { keyToThrusterIndices[key].length = 0; });
+  thrusters.forEach((t, i) => {
+    const keys = t.autoBind ? keysForThruster(allocation, i) : t.keybind;
+    keys.forEach(key => {
+      if (!keyToThrusterIndices[key]) keyToThrusterIndices[key] = [];
+      keyToThrusterIndices[key].push(i);
+    });
+  });
+}